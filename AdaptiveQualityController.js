@@ -0,0 +1,177 @@
+// AdaptiveQualityController.js - Adjusts scene rendering quality based upon
+//                                the measured frame rendering time
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//
+// Frame times represent the time spent rendering each frame (rather than
+// the interval between frames, which is limited by the display refresh
+// rate). Quality is reduced by one level when the moving average of the
+// frame time exceeds the frame time budget, and is restored by one level when
+// the average falls sufficiently below the budget. Adjustments are only
+// made after the sample window has been filled with samples measured at
+// the current quality level. If a restored level is abandoned shortly
+// after restoration, the delay before the next restoration attempt is
+// doubled (prevents continuous oscillation between two levels).
+
+function adaptiveQualityController() {
+	this.enabled = Constants.adaptiveQualityEnabled;
+	
+	// Frame time samples (milliseconds) - circular buffer.
+	this.frameTimeSamples = [];
+	this.nextSampleIndex = 0;
+	this.frameTimeSampleSum = 0.0;
+	
+	// Exponentially-smoothed frame time (retained across quality level
+	// changes - used for display purposes).
+	this.smoothedFrameTimeMs = 0.0;
+	this.constFrameTimeSmoothingFactor = 0.1;
+	
+	this.currentQualityLevelIndex = 0;
+	
+	// Time elapsed at the current quality level (milliseconds).
+	this.qualityLevelElapsedTimeMs = 0.0;
+	
+	// Minimum time at the current level before quality is restored to a
+	// higher level (milliseconds).
+	this.currentRestoreDelayMs = Constants.adaptiveQualityMinRestoreDelayMs;
+	
+	// Indicates that the current level was reached by restoring quality.
+	this.qualityLevelRestored = false;
+}
+
+/**
+ * Quality levels, ordered from the highest quality to the lowest
+ *  quality (renderScale - fraction of the canvas resolution at which
+ *  the tree is rendered, scrollerUpdateInterval - number of frames
+ *  between scroller updates, treeDepthReduction - reduction of the
+ *  maximum depth at which trees are rendered)
+ */
+adaptiveQualityController.constQualityLevels = [
+	{ renderScale: 1.0, scrollerUpdateInterval: 2, treeDepthReduction: 0 },
+	{ renderScale: 0.75, scrollerUpdateInterval: 2, treeDepthReduction: 0 },
+	{ renderScale: 0.5, scrollerUpdateInterval: 2, treeDepthReduction: 0 },
+	{ renderScale: 0.5, scrollerUpdateInterval: 4, treeDepthReduction: 0 },
+	{ renderScale: 0.5, scrollerUpdateInterval: 4, treeDepthReduction: 1 }
+];
+
+/**
+ * Enables/disables quality adaptation (the highest quality level is
+ *  employed while adaptation is disabled)
+ * @param enabled {boolean} True if quality adaptation should be enabled
+ */
+adaptiveQualityController.prototype.setEnabled = function(enabled) {
+	this.enabled = (enabled === true);
+	this.setQualityLevelIndex(0, false);
+}
+
+/**
+ * Records the rendering time of a single frame, adjusting the quality
+ *  level if necessary
+ * @param frameTimeMs {number} Time spent rendering the frame (milliseconds)
+ * @param frameIntervalMs {number} Time elapsed since the previous frame
+ *                                 (milliseconds)
+ */
+adaptiveQualityController.prototype.recordFrameTime = function(frameTimeMs, frameIntervalMs) {
+	if (this.frameTimeSamples.length < Constants.adaptiveQualitySampleCount) {
+		this.frameTimeSamples.push(frameTimeMs);
+	}
+	else {
+		this.frameTimeSampleSum -= this.frameTimeSamples[this.nextSampleIndex];
+		this.frameTimeSamples[this.nextSampleIndex] = frameTimeMs;
+	}
+	
+	this.frameTimeSampleSum += frameTimeMs;
+	this.smoothedFrameTimeMs = (this.smoothedFrameTimeMs > 0.0) ? (this.smoothedFrameTimeMs +
+		((frameTimeMs - this.smoothedFrameTimeMs) * this.constFrameTimeSmoothingFactor)) : frameTimeMs;
+	this.nextSampleIndex = (this.nextSampleIndex + 1) % Constants.adaptiveQualitySampleCount;
+	this.qualityLevelElapsedTimeMs += frameIntervalMs;
+	
+	if (this.enabled && (this.frameTimeSamples.length >= Constants.adaptiveQualitySampleCount)) {
+		this.adjustQualityLevel(this.getAverageFrameTime());
+	}
+}
+
+/**
+ * Adjusts the quality level, based upon the average frame time
+ * @param averageFrameTimeMs {number} Moving average of the frame time
+ *                                    (milliseconds)
+ */
+adaptiveQualityController.prototype.adjustQualityLevel = function(averageFrameTimeMs) {
+	var lowestQualityLevelIndex = adaptiveQualityController.constQualityLevels.length - 1;
+	
+	if ((averageFrameTimeMs > Constants.adaptiveQualityFrameTimeBudgetMs) &&
+		(this.currentQualityLevelIndex < lowestQualityLevelIndex)) {
+		
+		// A restored level that cannot be sustained delays subsequent
+		// restoration attempts.
+		if (this.qualityLevelRestored && (this.qualityLevelElapsedTimeMs < this.currentRestoreDelayMs)) {
+			this.currentRestoreDelayMs = Math.min(this.currentRestoreDelayMs * 2.0,
+				Constants.adaptiveQualityMaxRestoreDelayMs);
+		}
+		
+		this.setQualityLevelIndex(this.currentQualityLevelIndex + 1, false);
+	}
+	else if ((averageFrameTimeMs < (Constants.adaptiveQualityFrameTimeBudgetMs *
+		Constants.adaptiveQualityRestoreBudgetFraction)) && (this.currentQualityLevelIndex > 0) &&
+		(this.qualityLevelElapsedTimeMs >= this.currentRestoreDelayMs)) {
+		
+		this.setQualityLevelIndex(this.currentQualityLevelIndex - 1, true);
+	}
+}
+
+/**
+ * Sets the current quality level (the frame time samples are discarded,
+ *  as the samples were measured at the previous level)
+ * @param qualityLevelIndex {number} Index of the quality level
+ * @param qualityLevelRestored {boolean} True if the level represents an
+ *                                       increase in quality
+ * @see adaptiveQualityController.constQualityLevels
+ */
+adaptiveQualityController.prototype.setQualityLevelIndex = function(qualityLevelIndex, qualityLevelRestored) {
+	this.currentQualityLevelIndex = qualityLevelIndex;
+	this.qualityLevelRestored = qualityLevelRestored;
+	this.qualityLevelElapsedTimeMs = 0.0;
+	
+	this.frameTimeSamples = [];
+	this.nextSampleIndex = 0;
+	this.frameTimeSampleSum = 0.0;
+}
+
+/**
+ * Retrieves the moving average of the frame time
+ * @return {number} The average frame time (milliseconds), or zero if no
+ *                  frame times have been recorded at the current level
+ */
+adaptiveQualityController.prototype.getAverageFrameTime = function() {
+	return (this.frameTimeSamples.length > 0) ? (this.frameTimeSampleSum / this.frameTimeSamples.length) : 0.0;
+}
+
+/**
+ * Retrieves the exponentially-smoothed frame time
+ * @return {number} The smoothed frame time (milliseconds), or zero if no
+ *                  frame times have been recorded
+ */
+adaptiveQualityController.prototype.getSmoothedFrameTime = function() {
+	return this.smoothedFrameTimeMs;
+}
+
+/**
+ * Retrieves the index of the current quality level (zero represents
+ *  the highest quality)
+ * @return {number} The quality level index
+ */
+adaptiveQualityController.prototype.getQualityLevelIndex = function() {
+	return this.currentQualityLevelIndex;
+}
+
+/**
+ * Retrieves the current quality level
+ * @return {object} The quality level (renderScale, scrollerUpdateInterval,
+ *                  treeDepthReduction)
+ * @see adaptiveQualityController.constQualityLevels
+ */
+adaptiveQualityController.prototype.getQualityLevel = function() {
+	return adaptiveQualityController.constQualityLevels[this.currentQualityLevelIndex];
+}
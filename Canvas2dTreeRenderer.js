@@ -0,0 +1,420 @@
+// Canvas2dTreeRenderer.js - Renders the conifer tree, tree decorations and
+//                           the overlay using a Canvas 2D context (fallback
+//                           renderer, employed when WebGL is unavailable)
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -RgbColor.js
+//  -ColorPalette.js
+//  -TreeGeometry.js
+//  -PointSpriteRenderer.js
+//
+// All tree geometry is expressed within the tree coordinate space
+// employed by the fractal shader - the geometry is scaled to the
+// dimensions of the target canvas (branch widths are scaled
+// non-uniformly, as is the case within the fractal shader).
+
+function canvas2dTreeRenderer() {
+	// Palette used to color the trunk, branches and background (equivalent
+	// to the fractal shader coloring).
+	this.palette = colorPalette.getTheme(colorPalette.nameClassicGreen);
+
+	// Atmospheric fading applied to forest trees (equivalent to the
+	// fractal shader fading).
+	this.constForestFogColor = new rgbColor(0.55, 0.62, 0.72, 1.0);
+	this.constForestFogAlphaAttenuation = 0.6;
+
+	// Total branch width, including the anti-aliased fringe rendered by
+	// the fractal shader.
+	this.constBranchLineWidth = treeGeometry.constBranchWidth + 0.001;
+
+	// Bauble highlight position, relative to the bauble radius.
+	this.constBaubleHighlightOffset = -0.35;
+
+	// Displacement of the tree within the tree coordinate space.
+	this.treeDisplayOffset = [ 0.0, 0.0 ];
+}
+
+/**
+ * Sets the displacement of the tree (and forest) within the tree
+ *  coordinate space
+ * @param offsetX {number} Horizontal displacement
+ * @param offsetY {number} Vertical displacement
+ */
+canvas2dTreeRenderer.prototype.setTreeDisplayOffset = function(offsetX, offsetY) {
+	this.treeDisplayOffset[0] = offsetX;
+	this.treeDisplayOffset[1] = offsetY;
+}
+
+/**
+ * Sets the palette used to render the tree and background
+ * @param palette {colorPalette} The palette
+ */
+canvas2dTreeRenderer.prototype.setPalette = function(palette) {
+	if (palette instanceof colorPalette) {
+		this.palette = palette;
+	}
+}
+
+/**
+ * Renders the palette background color
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                 background will be drawn
+ */
+canvas2dTreeRenderer.prototype.renderBackground = function(canvasContext) {
+	if (validateVar(canvasContext)) {
+		canvasContext.save();
+		canvasContext.globalAlpha = this.palette.backgroundColor.getAlphaValue();
+		canvasContext.fillStyle = this.palette.backgroundColor.getRgbIntValueAsStandardString();
+		canvasContext.fillRect(0, 0, canvasContext.canvas.width, canvasContext.canvas.height);
+		canvasContext.restore();
+	}
+}
+
+/**
+ * Renders the trunk and all branches of a tree
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the tree
+ *                                                 will be drawn
+ * @param treeParameters {object} Tree parameter object
+ * @param treePlacement {object} Optional forest tree placement (baseCoordX,
+ *                               baseCoordY, scale, atmosphericFade) - the
+ *                               tree is rendered at the foreground tree
+ *                               position if the placement is not specified
+ * @see treeGeometry
+ * @see treeForest
+ */
+canvas2dTreeRenderer.prototype.renderTree = function(canvasContext, treeParameters, treePlacement) {
+	if (validateVar(canvasContext) && validateVar(treeParameters)) {
+		// Group the branch segments by depth, in order to apply a single
+		// shade to each depth.
+		var segmentsByDepth = [];
+		treeGeometry.enumerateBranches(treeParameters, function(startPoint, endPoint, branchDepth) {
+			if (!validateVar(segmentsByDepth[branchDepth])) {
+				segmentsByDepth[branchDepth] = [];
+			}
+
+			segmentsByDepth[branchDepth].push([ startPoint, endPoint ]);
+		});
+
+		canvasContext.save();
+		canvasContext.setTransform(canvasContext.canvas.width, 0, 0, canvasContext.canvas.height, 0, 0);
+
+		// Map the tree coordinate space to the texture coordinate space.
+		var aspectScale = treeGeometry.computeAspectScale(canvasContext.canvas.width, canvasContext.canvas.height);
+		canvasContext.translate(0.5, 0.5);
+		canvasContext.scale(1.0 / aspectScale[0], 1.0 / aspectScale[1]);
+		canvasContext.translate(-0.5, -0.5);
+		canvasContext.translate(this.treeDisplayOffset[0], this.treeDisplayOffset[1]);
+
+		var atmosphericFade = 0.0;
+		var treeAlphaMultiplier = 1.0;
+		if (validateVar(treePlacement)) {
+			// Position/scale the tree relative to the trunk base point of the
+			// foreground tree.
+			canvasContext.translate(treePlacement.baseCoordX, treePlacement.baseCoordY);
+			canvasContext.scale(treePlacement.scale, treePlacement.scale);
+			canvasContext.translate(-treeGeometry.constInitialTrunkBasePoint[0], -treeGeometry.constInitialTrunkBasePoint[1]);
+			atmosphericFade = treePlacement.atmosphericFade;
+			treeAlphaMultiplier = 1.0 - (atmosphericFade * this.constForestFogAlphaAttenuation);
+		}
+		canvasContext.lineWidth = this.constBranchLineWidth;
+		canvasContext.lineCap = "round";
+
+		// Render the outermost branches first, such that the brighter,
+		// inner branches are rendered above the outermost branches.
+		for (var depthLoop = 1; depthLoop < segmentsByDepth.length; depthLoop++) {
+			var depthSegments = segmentsByDepth[depthLoop];
+			if (validateVar(depthSegments) && (depthSegments.length > 0)) {
+				this.applyStrokeColor(canvasContext, this.computeBranchColor(depthLoop), atmosphericFade,
+					treeAlphaMultiplier);
+				canvasContext.beginPath();
+				for (var segmentLoop = 0; segmentLoop < depthSegments.length; segmentLoop++) {
+					canvasContext.moveTo(depthSegments[segmentLoop][0][0], depthSegments[segmentLoop][0][1]);
+					canvasContext.lineTo(depthSegments[segmentLoop][1][0], depthSegments[segmentLoop][1][1]);
+				}
+				canvasContext.stroke();
+			}
+		}
+
+		// The trunk is rendered above all branches.
+		var trunkTipPoint = treeGeometry.computeTrunkTipPoint(treeParameters);
+		this.applyStrokeColor(canvasContext, this.palette.trunkColor, atmosphericFade, treeAlphaMultiplier);
+		canvasContext.beginPath();
+		canvasContext.moveTo(treeGeometry.constInitialTrunkBasePoint[0], treeGeometry.constInitialTrunkBasePoint[1]);
+		canvasContext.lineTo(trunkTipPoint[0], trunkTipPoint[1]);
+		canvasContext.stroke();
+
+		canvasContext.restore();
+	}
+}
+
+/**
+ * Renders all forest trees (from most distant to nearest)
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                 trees will be drawn
+ * @param forestTreeList {Array} Forest trees, ordered from nearest to most
+ *                               distant
+ * @see treeForest
+ */
+canvas2dTreeRenderer.prototype.renderForest = function(canvasContext, forestTreeList) {
+	if (Array.isArray(forestTreeList)) {
+		for (var treeLoop = forestTreeList.length - 1; treeLoop >= 0; treeLoop--) {
+			this.renderTree(canvasContext, forestTreeList[treeLoop], forestTreeList[treeLoop]);
+		}
+	}
+}
+
+/**
+ * Applies a tree color to the stroke style/global alpha of a context (the
+ *  alpha component of the color determines the rendered intensity)
+ * @param canvasContext {CanvasRenderingContext2D} The target context
+ * @param treeColor {rgbColor} The trunk/branch color
+ * @param atmosphericFade {number} Atmospheric fade applied to the color (0.0 -
+ *                                 1.0, inclusive)
+ * @param alphaMultiplier {number} Multiplier applied to the color intensity
+ */
+canvas2dTreeRenderer.prototype.applyStrokeColor = function(canvasContext, treeColor, atmosphericFade, alphaMultiplier) {
+	canvasContext.strokeStyle = treeColor.blendWithColor(this.constForestFogColor,
+		atmosphericFade).getRgbIntValueAsStandardString();
+	canvasContext.globalAlpha = treeColor.getAlphaValue() * alphaMultiplier;
+}
+
+/**
+ * Determines the color of branches at a particular depth
+ * @param branchDepth {number} Depth of the branch (maximum tree depth for
+ *                             branches attached to the trunk, one for the
+ *                             outermost branches)
+ * @return {rgbColor} Branch color
+ */
+canvas2dTreeRenderer.prototype.computeBranchColor = function(branchDepth) {
+	return this.palette.computeBranchColor(Math.min(branchDepth / treeGeometry.maxRecursionDepth, 1.0));
+}
+
+/**
+ * Renders a list of sprites (equivalent to the output of the point sprite
+ *  renderer)
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                 sprites will be drawn
+ * @param spriteList {Array} List of sprite objects
+ * @see pointSpriteRenderer
+ */
+canvas2dTreeRenderer.prototype.renderSprites = function(canvasContext, spriteList) {
+	if (validateVar(canvasContext) && Array.isArray(spriteList)) {
+		var targetWidth = canvasContext.canvas.width;
+		var targetHeight = canvasContext.canvas.height;
+
+		canvasContext.save();
+		for (var spriteLoop = 0; spriteLoop < spriteList.length; spriteLoop++) {
+			var currentSprite = spriteList[spriteLoop];
+			var spriteRadius = currentSprite.size * targetHeight / 2.0;
+
+			if (spriteRadius > 0.0) {
+				canvasContext.globalAlpha = Math.max(0.0, Math.min(1.0, currentSprite.spriteColor.getAlphaValue()));
+				if (currentSprite.shape === pointSpriteRenderer.shapeBauble) {
+					canvasContext.fillStyle = this.createBaubleGradient(canvasContext, currentSprite, spriteRadius,
+						targetWidth, targetHeight);
+				}
+				else if (currentSprite.shape === pointSpriteRenderer.shapeLight) {
+					canvasContext.fillStyle = this.createLightGradient(canvasContext, currentSprite, spriteRadius,
+						targetWidth, targetHeight);
+				}
+				else {
+					// Snowflakes/stars are rendered with solid colors (gradients
+					// are comparatively expensive for large sprite counts).
+					canvasContext.fillStyle = currentSprite.spriteColor.getRgbIntValueAsStandardString();
+				}
+
+				canvasContext.beginPath();
+				if (currentSprite.shape === pointSpriteRenderer.shapeStar) {
+					this.appendStarPath(canvasContext, currentSprite, spriteRadius, 5, 0.4, targetWidth, targetHeight);
+				}
+				else if (currentSprite.shape === pointSpriteRenderer.shapeStarburst) {
+					this.appendStarPath(canvasContext, currentSprite, spriteRadius, 8, 0.2, targetWidth, targetHeight);
+				}
+				else {
+					canvasContext.arc(currentSprite.coordX * targetWidth, currentSprite.coordY * targetHeight,
+						(currentSprite.shape === pointSpriteRenderer.shapeFlake) ? (spriteRadius * 0.6) : spriteRadius,
+						0.0, 2.0 * Math.PI);
+				}
+				canvasContext.fill();
+			}
+		}
+		canvasContext.restore();
+	}
+}
+
+/**
+ * Appends a rotated star outline to the current path of a context
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                 sprite will be drawn
+ * @param sprite {object} The sprite object
+ * @param spriteRadius {number} Radius of the sprite (pixels)
+ * @param pointCount {number} Number of star points
+ * @param innerRadiusFraction {number} Radius of the star between points
+ *                                     (relative to the sprite radius)
+ * @param targetWidth {number} Width of the target canvas (pixels)
+ * @param targetHeight {number} Height of the target canvas (pixels)
+ */
+canvas2dTreeRenderer.prototype.appendStarPath = function(canvasContext, sprite, spriteRadius, pointCount,
+															innerRadiusFraction, targetWidth, targetHeight) {
+	var centerX = sprite.coordX * targetWidth;
+	var centerY = sprite.coordY * targetHeight;
+	var vertexCount = pointCount * 2;
+
+	for (var vertexLoop = 0; vertexLoop < vertexCount; vertexLoop++) {
+		// Star points are located where the rotated angle is a multiple of
+		// (2 * PI / point count), as is the case within the point sprite
+		// shader.
+		var vertexAngle = (Math.PI * vertexLoop / pointCount) - sprite.rotation;
+		var vertexRadius = ((vertexLoop % 2) === 0) ? spriteRadius : (spriteRadius * innerRadiusFraction);
+		var vertexX = centerX + (vertexRadius * Math.cos(vertexAngle));
+		var vertexY = centerY + (vertexRadius * Math.sin(vertexAngle));
+
+		if (vertexLoop === 0) {
+			canvasContext.moveTo(vertexX, vertexY);
+		}
+		else {
+			canvasContext.lineTo(vertexX, vertexY);
+		}
+	}
+
+	canvasContext.closePath();
+}
+
+/**
+ * Creates a gradient that depicts a shaded ornament (bauble) sprite
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                 sprite will be drawn
+ * @param sprite {object} The sprite object
+ * @param spriteRadius {number} Radius of the sprite (pixels)
+ * @param targetWidth {number} Width of the target canvas (pixels)
+ * @param targetHeight {number} Height of the target canvas (pixels)
+ * @return {CanvasGradient} The bauble gradient
+ */
+canvas2dTreeRenderer.prototype.createBaubleGradient = function(canvasContext, sprite, spriteRadius,
+																targetWidth, targetHeight) {
+	var centerX = sprite.coordX * targetWidth;
+	var centerY = sprite.coordY * targetHeight;
+	var highlightOffset = this.constBaubleHighlightOffset * spriteRadius;
+
+	var baubleGradient = canvasContext.createRadialGradient(centerX + highlightOffset, centerY + highlightOffset,
+		0.0, centerX, centerY, spriteRadius);
+	baubleGradient.addColorStop(0.0, this.unitColorToStandardString(sprite.spriteColor, 0.7, 1.0));
+	baubleGradient.addColorStop(0.3, this.unitColorToStandardString(sprite.spriteColor, 0.0, 1.0));
+	baubleGradient.addColorStop(1.0, this.unitColorToStandardString(sprite.spriteColor, 0.0, 0.45));
+
+	return baubleGradient;
+}
+
+/**
+ * Creates a gradient that depicts a glowing light sprite
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                 sprite will be drawn
+ * @param sprite {object} The sprite object
+ * @param spriteRadius {number} Radius of the sprite (pixels)
+ * @param targetWidth {number} Width of the target canvas (pixels)
+ * @param targetHeight {number} Height of the target canvas (pixels)
+ * @return {CanvasGradient} The light gradient
+ */
+canvas2dTreeRenderer.prototype.createLightGradient = function(canvasContext, sprite, spriteRadius,
+																targetWidth, targetHeight) {
+	var centerX = sprite.coordX * targetWidth;
+	var centerY = sprite.coordY * targetHeight;
+
+	var lightGradient = canvasContext.createRadialGradient(centerX, centerY, 0.0, centerX, centerY, spriteRadius);
+	lightGradient.addColorStop(0.0, this.unitColorToStandardString(sprite.spriteColor, 0.7, 1.0, 1.0));
+	lightGradient.addColorStop(0.3, this.unitColorToStandardString(sprite.spriteColor, 0.0, 1.0, 0.3));
+	lightGradient.addColorStop(1.0, this.unitColorToStandardString(sprite.spriteColor, 0.0, 1.0, 0.0));
+
+	return lightGradient;
+}
+
+/**
+ * Produces a CSS color string from a sprite color, blending the color
+ *  with white and scaling the color intensity
+ * @param spriteColor {rgbColor} The source color
+ * @param whiteFraction {number} Fraction of white blended with the color
+ *                               (0.0 - 1.0, inclusive)
+ * @param intensityScale {number} Factor used to scale the color components
+ * @param unitAlpha {number} Optional alpha value (0.0 - 1.0, inclusive -
+ *                           defaults to 1.0)
+ * @return {string} A CSS rgba(...) color string
+ */
+canvas2dTreeRenderer.prototype.unitColorToStandardString = function(spriteColor, whiteFraction, intensityScale,
+																	unitAlpha) {
+	function componentValue(unitComponent) {
+		var blendedComponent = ((unitComponent * (1.0 - whiteFraction)) + whiteFraction) * intensityScale;
+		return Math.round(Math.max(0.0, Math.min(1.0, blendedComponent)) * 255.0);
+	}
+
+	return "rgba(" + componentValue(spriteColor.getRedValue()) + ", " +
+		componentValue(spriteColor.getGreenValue()) + ", " +
+		componentValue(spriteColor.getBlueValue()) + ", " +
+		(validateVar(unitAlpha) ? unitAlpha : 1.0) + ")";
+}
+
+/**
+ * Composites the image of a previously-displayed tree variant, as
+ *  required during a tree variant transition (equivalent to the
+ *  variant transition styles implemented within the fractal shader)
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                 image will be drawn
+ * @param previousVariantCanvas {HTMLCanvasElement} Canvas that contains the
+ *                                                  previous tree variant image
+ * @param transitionStyle {number} Variant transition style (0 - none, 1 - fade,
+ *                                 2 - shrink-back, 3 - wipe)
+ * @param transitionFraction {number} Transition progress (0.0 - 1.0, inclusive)
+ */
+canvas2dTreeRenderer.prototype.renderPreviousVariant = function(canvasContext, previousVariantCanvas,
+																transitionStyle, transitionFraction) {
+	var constTransitionStyleShrink = 2;
+	var constTransitionStyleWipe = 3;
+	var constWipeEdgeWidth = 0.1;
+
+	if (validateVar(canvasContext) && validateVar(previousVariantCanvas) && (transitionStyle > 0) &&
+		(transitionFraction < 1.0)) {
+
+		var targetWidth = canvasContext.canvas.width;
+		var targetHeight = canvasContext.canvas.height;
+
+		canvasContext.save();
+		canvasContext.globalAlpha = 1.0 - transitionFraction;
+
+		if (transitionStyle === constTransitionStyleShrink) {
+			// Shrink the previous tree towards the base of the trunk.
+			var shrinkScale = Math.max(1.0 - transitionFraction, 0.001);
+			var trunkBasePoint = treeGeometry.treePointToTexturePoint(treeGeometry.constInitialTrunkBasePoint,
+				treeGeometry.computeAspectScale(targetWidth, targetHeight), this.treeDisplayOffset);
+			var baseCoordX = trunkBasePoint[0] * targetWidth;
+			var baseCoordY = trunkBasePoint[1] * targetHeight;
+			canvasContext.translate(baseCoordX, baseCoordY);
+			canvasContext.scale(shrinkScale, shrinkScale);
+			canvasContext.translate(-baseCoordX, -baseCoordY);
+			canvasContext.globalAlpha = 1.0 - Math.max(0.0, Math.min(1.0, (transitionFraction - 0.7) / 0.3));
+		}
+		else if (transitionStyle === constTransitionStyleWipe) {
+			// Remove the previous tree from left to right.
+			var wipeEdgePosition = (transitionFraction * (1.0 + constWipeEdgeWidth)) - (constWipeEdgeWidth / 2.0);
+			canvasContext.beginPath();
+			canvasContext.rect(wipeEdgePosition * targetWidth, 0, targetWidth, targetHeight);
+			canvasContext.clip();
+			canvasContext.globalAlpha = 1.0;
+		}
+
+		canvasContext.drawImage(previousVariantCanvas, 0, 0, targetWidth, targetHeight);
+		canvasContext.restore();
+	}
+}
+
+/**
+ * Composites the overlay canvas (scroller, etc.) over the entire
+ *  target canvas
+ * @param canvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                 overlay will be drawn
+ * @param overlayCanvas {HTMLCanvasElement} The overlay canvas
+ */
+canvas2dTreeRenderer.prototype.renderOverlay = function(canvasContext, overlayCanvas) {
+	if (validateVar(canvasContext) && validateVar(overlayCanvas)) {
+		canvasContext.drawImage(overlayCanvas, 0, 0, canvasContext.canvas.width, canvasContext.canvas.height);
+	}
+}
@@ -0,0 +1,151 @@
+// CanvasLayoutController.js - Sizes the main and overlay canvases to fill
+//                             the browser window, accounting for the
+//                             device pixel ratio
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//
+// The main canvas is sized in device pixels (the device pixel ratio is
+// limited to Constants.maxCanvasDevicePixelRatio), while the overlay
+// canvas is sized in CSS pixels (overlay content - scroller text, etc. -
+// is specified in CSS pixels, and is stretched across the main canvas).
+// The layout is updated when the window is resized, or when the device
+// pixel ratio changes (browser zoom, or relocation of the window to a
+// different display).
+
+function canvasLayoutController(mainCanvas, overlayCanvas) {
+	this.mainCanvas = mainCanvas;
+	this.overlayCanvas = overlayCanvas;
+	
+	// Function invoked after the canvases have been resized.
+	this.layoutChangeFunction = null;
+	
+	// Media query that matches the current device pixel ratio (employed
+	// to detect device pixel ratio changes that are not accompanied by a
+	// window resize event).
+	this.pixelRatioMediaQuery = null;
+	
+	// When set, the canvas dimensions are not altered (the canvases are
+	// temporarily sized by another component - e.g., during frame export).
+	this.layoutSuspended = false;
+	
+	var layoutController = this;
+	this.resizeHandler = function() {
+		layoutController.updateLayout();
+	};
+	this.pixelRatioChangeHandler = function() {
+		layoutController.watchDevicePixelRatio();
+		layoutController.updateLayout();
+	};
+}
+
+/**
+ * Sets the function that is invoked after the canvases have been resized
+ * @param layoutChangeFunction {function} Function that receives the main canvas
+ *                                        and overlay canvas dimensions (main
+ *                                        canvas width/height, followed by the
+ *                                        overlay canvas width/height)
+ */
+canvasLayoutController.prototype.setLayoutChangeFunction = function(layoutChangeFunction) {
+	this.layoutChangeFunction = layoutChangeFunction;
+}
+
+/**
+ * Sizes the canvases, and begins responding to window size/device pixel
+ *  ratio changes
+ */
+canvasLayoutController.prototype.start = function() {
+	window.addEventListener("resize", this.resizeHandler);
+	this.watchDevicePixelRatio();
+	this.updateLayout();
+}
+
+/**
+ * Suspends/resumes automatic canvas sizing (the canvases are sized to
+ *  fill the window immediately upon resumption)
+ * @param layoutSuspended {boolean} True if the canvas dimensions should not
+ *                                  be altered
+ */
+canvasLayoutController.prototype.setLayoutSuspended = function(layoutSuspended) {
+	this.layoutSuspended = (layoutSuspended === true);
+	
+	if (!this.layoutSuspended) {
+		this.updateLayout();
+	}
+}
+
+/**
+ * Registers a media query that is triggered when the device pixel ratio
+ *  departs from the current device pixel ratio (the query must be
+ *  re-registered after each change)
+ */
+canvasLayoutController.prototype.watchDevicePixelRatio = function() {
+	if (this.pixelRatioMediaQuery !== null) {
+		this.pixelRatioMediaQuery.removeListener(this.pixelRatioChangeHandler);
+		this.pixelRatioMediaQuery = null;
+	}
+	
+	if (typeof(window.matchMedia) === "function") {
+		this.pixelRatioMediaQuery = window.matchMedia("(resolution: " + this.getDevicePixelRatio() + "dppx)");
+		if (validateVar(this.pixelRatioMediaQuery) && (typeof(this.pixelRatioMediaQuery.addListener) === "function")) {
+			this.pixelRatioMediaQuery.addListener(this.pixelRatioChangeHandler);
+		}
+		else {
+			this.pixelRatioMediaQuery = null;
+		}
+	}
+}
+
+/**
+ * Retrieves the ratio of device pixels to CSS pixels
+ * @return {number} The device pixel ratio (1.0 if the ratio cannot be
+ *                  determined)
+ */
+canvasLayoutController.prototype.getDevicePixelRatio = function() {
+	return ((typeof(window.devicePixelRatio) === "number") && (window.devicePixelRatio > 0.0)) ?
+		window.devicePixelRatio : 1.0;
+}
+
+/**
+ * Sizes the canvases to fill the window, unless automatic sizing has
+ *  been suspended
+ */
+canvasLayoutController.prototype.updateLayout = function() {
+	if (!this.layoutSuspended) {
+		this.applyLayout();
+	}
+}
+
+/**
+ * Sizes the canvases to fill the window (regardless of suspension),
+ *  notifying the layout change function if the canvas dimensions have
+ *  been altered
+ */
+canvasLayoutController.prototype.applyLayout = function() {
+	var displayWidth = Math.max(Math.floor(window.innerWidth), 1);
+	var displayHeight = Math.max(Math.floor(window.innerHeight), 1);
+	var pixelRatio = Math.min(this.getDevicePixelRatio(), Constants.maxCanvasDevicePixelRatio);
+	
+	var canvasWidth = Math.max(Math.round(displayWidth * pixelRatio), 1);
+	var canvasHeight = Math.max(Math.round(displayHeight * pixelRatio), 1);
+	
+	// The display size of the main canvas is always assigned, as the device
+	// pixel ratio can change without altering the canvas resolution.
+	this.mainCanvas.style.width = displayWidth + "px";
+	this.mainCanvas.style.height = displayHeight + "px";
+	
+	if ((this.mainCanvas.width !== canvasWidth) || (this.mainCanvas.height !== canvasHeight) ||
+		(this.overlayCanvas.width !== displayWidth) || (this.overlayCanvas.height !== displayHeight)) {
+		
+		// Assigning the canvas dimensions erases the canvas contents.
+		this.mainCanvas.width = canvasWidth;
+		this.mainCanvas.height = canvasHeight;
+		this.overlayCanvas.width = displayWidth;
+		this.overlayCanvas.height = displayHeight;
+		
+		if (typeof(this.layoutChangeFunction) === "function") {
+			this.layoutChangeFunction(canvasWidth, canvasHeight, displayWidth, displayHeight);
+		}
+	}
+}
@@ -0,0 +1,116 @@
+// ColorPalette.js - Encapsulates the set of colors used to render the tree
+//                   (trunk, branches and background), and the named palette
+//                   themes
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -RgbColor.js
+//
+// Branch colors are specified for the innermost branches (attached to
+// the trunk) and the outermost branches - branches at intermediate depths
+// are rendered using a blend of the two colors. The alpha component of
+// the trunk/branch colors determines the rendered intensity.
+
+function colorPalette(paletteName, displayName, trunkColor, innerBranchColor, outerBranchColor, backgroundColor) {
+	this.paletteName = paletteName;
+	this.displayName = displayName;
+	
+	this.trunkColor = trunkColor;
+	this.innerBranchColor = innerBranchColor;
+	this.outerBranchColor = outerBranchColor;
+	this.backgroundColor = backgroundColor;
+}
+
+/**
+ * Palette theme names
+ */
+colorPalette.nameClassicGreen = "classicGreen";
+colorPalette.nameSilverFrost = "silverFrost";
+colorPalette.nameGold = "gold";
+colorPalette.nameNight = "night";
+
+/**
+ * Named palette themes (in display order)
+ */
+colorPalette.themeList = [
+	new colorPalette(colorPalette.nameClassicGreen, "Classic green",
+		new rgbColor(0.0, 0.5, 0.0, 0.9),
+		new rgbColor(0.0, 0.5, 0.0, 0.9),
+		new rgbColor(0.0, 0.5, 0.0, 0.4),
+		new rgbColor(0.0, 0.0, 0.0, 1.0)),
+	new colorPalette(colorPalette.nameSilverFrost, "Silver frost",
+		new rgbColor(0.55, 0.6, 0.68, 0.9),
+		new rgbColor(0.85, 0.9, 0.97, 0.95),
+		new rgbColor(0.6, 0.7, 0.85, 0.5),
+		new rgbColor(0.04, 0.06, 0.12, 1.0)),
+	new colorPalette(colorPalette.nameGold, "Gold",
+		new rgbColor(0.55, 0.35, 0.1, 0.9),
+		new rgbColor(1.0, 0.82, 0.35, 0.95),
+		new rgbColor(0.8, 0.55, 0.15, 0.45),
+		new rgbColor(0.08, 0.03, 0.0, 1.0)),
+	new colorPalette(colorPalette.nameNight, "Night",
+		new rgbColor(0.12, 0.2, 0.3, 0.9),
+		new rgbColor(0.15, 0.35, 0.5, 0.85),
+		new rgbColor(0.1, 0.2, 0.4, 0.35),
+		new rgbColor(0.0, 0.01, 0.04, 1.0))
+];
+
+/**
+ * Retrieves a named palette theme
+ * @param paletteName {string} Name of the palette theme
+ * @return {colorPalette} The palette theme, or null if no theme exists with
+ *                        the specified name
+ */
+colorPalette.getTheme = function(paletteName) {
+	var palette = null;
+	
+	for (var themeLoop = 0; (themeLoop < colorPalette.themeList.length) && (palette === null); themeLoop++) {
+		if (colorPalette.themeList[themeLoop].paletteName === paletteName) {
+			palette = colorPalette.themeList[themeLoop];
+		}
+	}
+	
+	return palette;
+}
+
+/**
+ * Retrieves the palette theme that follows a named theme (themes are
+ *  cycled in display order)
+ * @param paletteName {string} Name of the current palette theme
+ * @return {colorPalette} The next palette theme
+ */
+colorPalette.getNextTheme = function(paletteName) {
+	var themeIndex = colorPalette.themeList.indexOf(colorPalette.getTheme(paletteName));
+	
+	return colorPalette.themeList[(themeIndex + 1) % colorPalette.themeList.length];
+}
+
+/**
+ * Produces a palette that is a linear blend of this palette and another
+ *  palette
+ * @param targetPalette {colorPalette} The palette towards which this palette
+ *                                     will be blended
+ * @param blendFraction {number} Blend weight of the target palette (0.0 - this
+ *                               palette, 1.0 - the target palette)
+ * @return {colorPalette} A new, blended palette (the palette assumes the name
+ *                        of the target palette)
+ */
+colorPalette.prototype.blendWithPalette = function(targetPalette, blendFraction) {
+	return new colorPalette(targetPalette.paletteName, targetPalette.displayName,
+		this.trunkColor.blendWithColor(targetPalette.trunkColor, blendFraction),
+		this.innerBranchColor.blendWithColor(targetPalette.innerBranchColor, blendFraction),
+		this.outerBranchColor.blendWithColor(targetPalette.outerBranchColor, blendFraction),
+		this.backgroundColor.blendWithColor(targetPalette.backgroundColor, blendFraction));
+}
+
+/**
+ * Determines the color of branches at a particular depth
+ * @param depthFraction {number} Depth of the branch, relative to the maximum
+ *                               recursion depth (0.0 - outermost branches,
+ *                               1.0 - branches attached to the trunk at the
+ *                               maximum recursion depth)
+ * @return {rgbColor} The branch color
+ */
+colorPalette.prototype.computeBranchColor = function(depthFraction) {
+	return this.outerBranchColor.blendWithColor(this.innerBranchColor, depthFraction);
+}
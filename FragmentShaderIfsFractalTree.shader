@@ -8,6 +8,15 @@
 // 
 // https://www.shadertoy.com/view/XtyGzh 
 //
+// In forest mode, additional trees are rendered behind the foreground
+// tree - each forest tree is a scaled/translated instance of the tree,
+// with independent shape and growth parameters.
+//
+// A CPU reference implementation of treeSceneFragColor(...) (and the
+// related functions) resides within TreeSceneReference.js - changes to
+// the tree computations should be reflected within the reference
+// implementation.
+//
 // Author: Ayodeji Oshinnaiye
 
 precision highp float;
@@ -15,6 +24,10 @@ precision highp float;
 varying mediump vec2 vTextureCoord;
 uniform sampler2D uOverlaySampler;
 
+// Maximum number of forest trees (must correspond to
+// treeForest.constMaxTreeCount).
+const int MAX_FOREST_TREES = 6;
+
 uniform float uniform_trunkLengthMultiplier;
 uniform float uniform_branchLengthMultiplier;
 uniform float uniform_windFactor;
@@ -30,37 +43,99 @@ uniform float uniform_maxTreeLengthFraction;
 // Maximum recursion depth
 uniform int uniform_maxTreeDepth;
 
+// Output of the previously-displayed tree variant, which is
+// faded/dissolved out while the current tree variant grows.
+uniform sampler2D uPreviousVariantSampler;
+// Progress of the transition from the previous tree variant
+// (0.0 - 1.0, inclusive).
+uniform float uniform_variantTransitionFraction;
+// Variant transition style (0 - none, 1 - fade, 2 - shrink-back, 3 - wipe).
+uniform int uniform_variantTransitionStyle;
+// Determines whether or not the overlay texture is blended with the
+// tree (the overlay is omitted when the tree is captured for a variant
+// transition).
+uniform bool uniform_overlayEnabled;
+// Scale factors that map texture coordinates to tree coordinates about
+// the center of the canvas (preserves the tree proportions when the
+// canvas aspect ratio differs from the reference aspect ratio - see
+// treeGeometry.computeAspectScale(...)).
+uniform vec2 uniform_aspectScale;
+// Displacement of the scene within the tree coordinate space (shifted
+// periodically in order to prevent display burn-in).
+uniform vec2 uniform_treeOffset;
+// Portion of the complete image rendered by the current quad (x, y -
+// texture coordinate of the upper-left corner, z, w - texture coordinate
+// extents), permitting high-resolution images to be rendered in tiles
+// (vec4(0.0, 0.0, 1.0, 1.0) when the complete image is rendered).
+uniform vec4 uniform_tileTransform;
+
+// Palette colors - the alpha component of the trunk/branch colors
+// determines the rendered intensity (branches between the innermost
+// and outermost depths are rendered using a blend of the branch
+// colors).
+uniform vec4 uniform_trunkColor;
+uniform vec4 uniform_innerBranchColor;
+uniform vec4 uniform_outerBranchColor;
+// Background color (transparent when the tree is captured for a
+// variant transition).
+uniform vec4 uniform_backgroundColor;
+
+// Number of forest trees rendered behind the foreground tree (0 -
+// MAX_FOREST_TREES, inclusive). Forest trees are ordered from nearest to
+// most distant.
+uniform int uniform_forestTreeCount;
+// Forest tree placement (xy - trunk base point, z - scale relative to the
+// foreground tree, w - atmospheric fade (0.0 - 1.0, inclusive)).
+uniform vec4 uniform_forestTreePlacement[MAX_FOREST_TREES];
+// Forest tree shape (x - inter-level scale down factor, y - minimum tree
+// length fraction, z - maximum tree length fraction, w - maximum recursion
+// depth).
+uniform vec4 uniform_forestTreeShape[MAX_FOREST_TREES];
+// Forest tree growth (x - trunk length multiplier, y - branch length
+// multiplier, z - wind factor).
+uniform vec3 uniform_forestTreeGrowth[MAX_FOREST_TREES];
+
 
 // Microsoft Edge browser won't evaluate acos(-1.0) during shader compilation...
 const float PI = 3.1415926535897932384626433832795;
 //const float PI = acos(-1.0);
 const float BRANCH_WIDTH = 0.020;
-const int SUBBRANCHES_PER_HOST_BRANCH = 8;
-const int MAX_RECURSION_DEPTH = 3;
-// Microsoft Edge browser won't evaluate int(pow(float(SUBBRANCHES_PER_HOST_BRANCH), float(MAX_RECURSION_DEPTH))) during shader compilation...
-const int MAX_TOTAL_BRANCHES = 512;
-//const int MAX_TOTAL_BRANCHES = int(pow(float(SUBBRANCHES_PER_HOST_BRANCH), float(MAX_RECURSION_DEPTH)));
+
+// Branching configuration - these values are injected as #define
+// directives by globalResources.loadShaders(...) (MAX_TOTAL_BRANCHES is
+// computed in JavaScript, as the Microsoft Edge browser won't evaluate
+// int(pow(float(SUBBRANCHES_PER_HOST_BRANCH), float(MAX_RECURSION_DEPTH)))
+// during shader compilation...). The default configuration is used if
+// the values have not been injected.
+#ifndef SUBBRANCHES_PER_HOST_BRANCH
+#define SUBBRANCHES_PER_HOST_BRANCH 8
+#endif
+#ifndef MAX_RECURSION_DEPTH
+#define MAX_RECURSION_DEPTH 3
+#endif
+#ifndef MAX_TOTAL_BRANCHES
+#define MAX_TOTAL_BRANCHES 512
+#endif
 
 // Distance from the branch where the maximum color intensity will be rendered for a fragment.
 const float DISTANCE_THRESHOLD = 0.001;
 // Minimum distance to branch at which a fragment will be depicted for the branch.
 const float OUTER_DISTANCE_THRESHOLD = DISTANCE_THRESHOLD * 1.5;
 
-const vec2 VECTOR_UP = vec2(0.0, 1.0);
 const vec2 POINT_ORIGIN = vec2(0.5, 0.5);
 const vec2 POINT_ZERO_ORIGIN = vec2(0.0, 0.0);
 
-const float GREENCOMPONENT_INITIAL = 0.4;
-const float GREENCOMPONENT_FINAL = 0.9;
+const int VARIANT_TRANSITION_STYLE_NONE = 0;
+const int VARIANT_TRANSITION_STYLE_FADE = 1;
+const int VARIANT_TRANSITION_STYLE_SHRINK = 2;
+const int VARIANT_TRANSITION_STYLE_WIPE = 3;
+// Width of the soft edge at the boundary of a variant wipe transition.
+const float VARIANT_WIPE_EDGE_WIDTH = 0.1;
 
 const float BRANCHES_PER_SIDE = (float(SUBBRANCHES_PER_HOST_BRANCH) / 2.0);
 // Distance between branches along the host branch.
 const float BRANCH_DISPLACEMENT_FRACTION_ALONG_HOST = 1.0 / BRANCHES_PER_SIDE;
 
-float MAX_TREE_LEVEL_LENGTH_FRACTION = uniform_maxTreeLengthFraction;
-float MIN_TREE_LEVEL_LENGTH_FRACTION = uniform_minTreeLengthFraction;
-
-float INTERLEVEL_SCALE_DOWN_FACTOR = uniform_interLevelScaleDownFactor;
 const float BRANCH_ROTATION_ANGLE = (PI * 3.2/4.0);
 const float WIND_MAX_ROTATION_ANGLE = (PI / 20.0);
 
@@ -76,114 +151,20 @@ float SUBBRANCH_COUNT_LOGARITHM = log2(float(SUBBRANCHES_PER_HOST_BRANCH));
 // (Microsoft Edge browser won't evaluate length(INITIAL_TRUNK_VECTOR) during shader compilation...)
 const float MAX_INCLUSION_DISTANCE = 0.60 * 0.70;
 
-float MAX_BRANCH_INCLUSION_DISTANCE_FRACTION = INTERLEVEL_SCALE_DOWN_FACTOR * 2.5;
-
-/**
- * Rotates a point around a provided point, using the specified rotation
- *  angle
- *  
- * @param targetPoint The point that is to be rotated
- * @param rotationOrigin The center/origin of the rotation operation
- * @param rotationAngle The angle for the target point to be rotated, in radians
- *
- * @return The rotated point
- */    
-vec2 rotatePoint( vec2 targetPoint, vec2 rotationOrigin, float rotationAngle )
-{
-    // 2D Rotation
-    // https://www.siggraph.org/education/materials/HyperGraph/modeling/mod_tran/2drota.htm
-    // x' = x cos Θ - y sin Θ
-	// y' = x sin Θ + y cos Θ
-    
-    mat2 rotationMatrix = mat2(cos(rotationAngle), sin(rotationAngle), -sin(rotationAngle), cos(rotationAngle));
-    vec2 rotatedPoint = (targetPoint - rotationOrigin) * rotationMatrix;
-    
-    rotatedPoint += rotationOrigin;
-
-    return rotatedPoint;
-}
-
-/**
- * Returns the signed distance to a cylinder (centered at the origin) with
- *  flat ends
- *  
- * @param queryPoint The point for which the distance to a cylinder
- *                   should be determined
- * @param cylinderDimensions Dimensions of the cylinder (x component defines
- *                           the cylinder width, y component defines the cylinder
- *                           height)
- *
- * @return The distance to the defined cylinder
- */    
-float signedDistanceToCappedCylinder(const vec2 queryPoint, const vec2 cylinderDimensions)
-{
-    vec2 queryPoint2 = queryPoint - vec2(0.0, cylinderDimensions.y);
-	// Adapted from signed distance function for a capped cylinder
-	// "Modeling with Distance Functions"
-	// http://www.iquilezles.org/www/articles/distfunctions/distfunctions.htm
-	vec2 distance = abs(vec2(length(queryPoint2.x), queryPoint2.y)) - cylinderDimensions;
-	return min(max(distance.x, distance.y), 0.0) + length(max(distance, 0.0));	
-}
-
-/**
- * Returns the signed distance to a cylinder with rounded
- *  ends
- *  
- * @param queryPoint The point for which the distance to a capsule
- *                   should be determined
- * @param capStartPoint Start of the capsule for which
- *                      the distance should be determined
- * @param capEndPoint End of the capsule for which the distance
- *                    should be determined
- * @param endRadius Radius for the terminal points of the capsule
- *
- * @return The distance to the defined line segment
- */
-float signedDistanceToCapsule( vec2 queryPoint, vec2 capStartPoint, vec2 capEndPoint, float endRadius )
-{
-	// Adapted from signed distance function for a capsule/line
-	// "Modeling with Distance Functions"
-	// http://www.iquilezles.org/www/articles/distfunctions/distfunctions.htm
-    vec2 pa = queryPoint - capStartPoint, ba = capEndPoint - capStartPoint;
-    float h = clamp( dot(pa,ba)/dot(ba,ba), 0.0, 1.0 );
-    return length( pa - ba*h ) - endRadius;
-}
+// Multiplier applied to the inter-level scale down factor in order to
+// determine the maximum distance from a branch start point for pixels in
+// which the sub-branch computation is to be performed.
+const float BRANCH_INCLUSION_DISTANCE_SCALE = 2.5;
 
+// Color towards which distant forest trees are faded, and the maximum
+// reduction in opacity applied to distant forest trees.
+const vec3 FOREST_FOG_COLOR = vec3(0.55, 0.62, 0.72);
+const float FOREST_FOG_ALPHA_ATTENUATION = 0.6;
 
-/**
- * Returns the signed distance to a specified line segment
- *  
- * @param queryPoint The point for which the distance to a line
- *                   segment should be determined
- * @param segmentStartPoint Start of the line segment for which
- *                          the distance should be determined
- * @param segmentWidth Width of the line segment
- * @param segmentVector Vector that defines the direction/length
- *                      of the line segment
- *
- * @return The distance to the defined line segment
- */
-float distanceToLineSegment(const vec2 queryPoint, const vec2 segmentStartPoint, const float segmentWidth, const vec2 segmentVector)
-{
-    float distanceToSegment = 0.0;
-        
-	float segmentVectorLength = length(segmentVector);
-    vec2 translatedQueryPoint = queryPoint - segmentStartPoint;
-    vec3 crossProduct = cross(vec3(segmentVector, 0.0), vec3(VECTOR_UP, 0.0));
-    // Inverse cosine of the dot product will only yield angles between 0.0 and PI.
-    // Use the cross product in order to determine the proper size on with the vector
-    // lies with respect to the up vector.
-    float angleSideMultiplier = (2.0 * step(0.0, crossProduct.z)) - 1.0;
-    float rotationAngle = -angleSideMultiplier * acos(dot(segmentVector, VECTOR_UP) / (segmentVectorLength * length(VECTOR_UP)));
-    vec2 rotTransQueryPoint = rotatePoint(translatedQueryPoint, vec2(0, 0), rotationAngle);
-    //vec2 cylinderDimensions = vec2(segmentWidth, segmentVectorLength * 0.5);
-    //distanceToSegment = signedDistanceToCappedCylinder(rotTransQueryPoint, cylinderDimensions);
-	
-	const float kEndPointRadius = BRANCH_WIDTH / 2.0;
-	distanceToSegment = signedDistanceToCapsule(rotTransQueryPoint, POINT_ZERO_ORIGIN, vec2(0, segmentVectorLength), kEndPointRadius);
-
-	return distanceToSegment;
-}
+// Shared geometric/distance functions (branches are rendered as line
+// segments with rounded ends).
+#define LINE_SEGMENT_END_POINT_RADIUS (BRANCH_WIDTH / 2.0)
+#include "ShaderGeometryFunctions.shader"
 
 /**
  * Returns the nearest power of a number in the given numeric
@@ -231,18 +212,32 @@ int nearestPowerOfBranchCountBaseGreaterEqual(float queryNumber)
  * @param currentPoint     Location of the fragment for which the color is
  *                         to be determined
  * @param branchHalfWidth  Half-width of a tree branch
+ * @param treeShape        Tree shape (x - inter-level scale down factor,
+ *                         y - minimum tree length fraction, z - maximum
+ *                         tree length fraction, w - maximum recursion depth)
+ * @param treeGrowth       Tree growth (x - trunk length multiplier,
+ *                         y - branch length multiplier, z - wind factor)
  *
  * @return A four-component fragment color
  */
-vec4 treeSceneFragColor( const vec2 currentPoint, const float branchHalfWidth )
+vec4 treeSceneFragColor( const vec2 currentPoint, const float branchHalfWidth, const vec4 treeShape, const vec3 treeGrowth )
 {
     vec4 finalFragmentColor = vec4(0.0, 0.0, 0.0, 0.0);
     
+    float interLevelScaleDownFactor = treeShape.x;
+    float minTreeLevelLengthFraction = treeShape.y;
+    float maxTreeLevelLengthFraction = treeShape.z;
+    int maxTreeDepth = int(treeShape.w);
+    float maxBranchInclusionDistanceFraction = interLevelScaleDownFactor * BRANCH_INCLUSION_DISTANCE_SCALE;
+    float trunkLengthMultiplier = treeGrowth.x;
+    float branchLengthMultiplier = treeGrowth.y;
+    float windFactor = treeGrowth.z;
+    
     // Prevent unnecessary computations - if the fragment is not near
     // the tree, do not perform a tree branch computation.
     if (distance(INITIAL_TRUNK_BASE_POINT + (INITIAL_TRUNK_VECTOR / 2.0), currentPoint) <= MAX_INCLUSION_DISTANCE)
     {
-		vec2 trunkVector = rotatePoint((INITIAL_TRUNK_VECTOR * uniform_trunkLengthMultiplier), vec2(0, 0), TRUNK_MAX_SWAY_ANGLE_AMPLITUDE * uniform_windFactor);
+		vec2 trunkVector = rotatePoint((INITIAL_TRUNK_VECTOR * trunkLengthMultiplier), vec2(0, 0), TRUNK_MAX_SWAY_ANGLE_AMPLITUDE * windFactor);
 	
         float distanceToTrunk = distanceToLineSegment(currentPoint,
                                                       INITIAL_TRUNK_BASE_POINT,
@@ -253,9 +248,11 @@ vec4 treeSceneFragColor( const vec2 currentPoint, const float branchHalfWidth )
 		// Recursion depth evaluated for the branch that was determined to be within
 		// the distance threshold.
 		int depthAtEvaluatedDistance = 0;
+		// Set when the trunk (rather than a branch) is nearest to the fragment.
+		bool trunkAtEvaluatedDistance = false;
 
         bool branchDistanceThresholdReached = false;
-		int totalBranchCount = int(pow(float(SUBBRANCHES_PER_HOST_BRANCH), float(uniform_maxTreeDepth)));
+		int totalBranchCount = int(pow(float(SUBBRANCHES_PER_HOST_BRANCH), float(maxTreeDepth)));
         int branchCount = totalBranchCount;
         for (int subBranchLoop = 0; subBranchLoop < MAX_TOTAL_BRANCHES; subBranchLoop++)
         {   
@@ -275,10 +272,10 @@ vec4 treeSceneFragColor( const vec2 currentPoint, const float branchHalfWidth )
             // An L-system, coded in base x, where x is the number of branches
             // per host branch.
             float branchLineageCoding = float(branchCount - 1);
-			int currentDepth = uniform_maxTreeDepth;
+			int currentDepth = maxTreeDepth;
             for (int depthLoop = MAX_RECURSION_DEPTH; depthLoop >= 1 ; depthLoop--)
             {
-				currentDepth = depthLoop - (MAX_RECURSION_DEPTH - uniform_maxTreeDepth);
+				currentDepth = depthLoop - (MAX_RECURSION_DEPTH - maxTreeDepth);
 				if (currentDepth == 0)
 				{
 					break;
@@ -297,7 +294,7 @@ vec4 treeSceneFragColor( const vec2 currentPoint, const float branchHalfWidth )
 
 				// Distance verification - abort early if the current pixel is not
 				// near the branch.
-				if (distance(branchStartPoint, currentPoint) <= (MAX_BRANCH_INCLUSION_DISTANCE_FRACTION * length(currentHostVector)))
+				if (distance(branchStartPoint, currentPoint) <= (maxBranchInclusionDistanceFraction * length(currentHostVector)))
 				{
 					// Update the number of branches, which will be interpreted as a base x
 					// number (where x is the number of sub-branches per branch - the digits
@@ -307,15 +304,15 @@ vec4 treeSceneFragColor( const vec2 currentPoint, const float branchHalfWidth )
 
 					// Reduce the length of the branches that are further along the tree,
 					// in order to simulate a conifer tree profile.
-					float branchLength = mix(MAX_TREE_LEVEL_LENGTH_FRACTION, MIN_TREE_LEVEL_LENGTH_FRACTION, halfBranchLevel / float(SUBBRANCHES_PER_HOST_BRANCH / 2)) * uniform_branchLengthMultiplier;
+					float branchLength = mix(maxTreeLevelLengthFraction, minTreeLevelLengthFraction, halfBranchLevel / float(SUBBRANCHES_PER_HOST_BRANCH / 2)) * branchLengthMultiplier;
 					currentHostVector *= branchLength;
 
 					// Divide the branches into left and right sides along the host branch.
 					int directionBias = int(mod(float(branchLevel), 2.0) * 2.0);
 					float rotationDirectionBias = float(directionBias) - 1.0;
-					branchEndPoint = ((currentHostVector * INTERLEVEL_SCALE_DOWN_FACTOR) + branchStartPoint);
+					branchEndPoint = ((currentHostVector * interLevelScaleDownFactor) + branchStartPoint);
 					// ...Apply a "wind" factor for branch rotation.
-					float windRotationAngle = WIND_MAX_ROTATION_ANGLE * float(currentDepth) / float(uniform_maxTreeDepth) * uniform_windFactor;
+					float windRotationAngle = WIND_MAX_ROTATION_ANGLE * float(currentDepth) / float(maxTreeDepth) * windFactor;
 					branchEndPoint = rotatePoint(branchEndPoint, branchStartPoint, ((BRANCH_ROTATION_ANGLE * rotationDirectionBias) + windRotationAngle));
 					vec2 branchVector = branchEndPoint - branchStartPoint;                
 
@@ -329,6 +326,7 @@ vec4 treeSceneFragColor( const vec2 currentPoint, const float branchHalfWidth )
 					{
 						branchDistanceThresholdReached = true;
 						depthAtEvaluatedDistance = currentDepth;
+						trunkAtEvaluatedDistance = (distanceToTrunk <= distanceToBranch);
 						break;
 					}
 				}
@@ -345,30 +343,150 @@ vec4 treeSceneFragColor( const vec2 currentPoint, const float branchHalfWidth )
             branchCount--;
         }
 		
-		float distBasedColorComponent = 0.0;
-
-		// Darken branches that are deeper within the branch hierarchy.
-		float currentGreenComponent = mix(GREENCOMPONENT_INITIAL, GREENCOMPONENT_FINAL, float(depthAtEvaluatedDistance) / float(MAX_RECURSION_DEPTH) );
+		// Blend the branch colors - branches that are deeper within the branch
+		// hierarchy are rendered using the outer branch color.
+		vec4 currentTreeColor = trunkAtEvaluatedDistance ? uniform_trunkColor :
+			mix(uniform_outerBranchColor, uniform_innerBranchColor, float(depthAtEvaluatedDistance) / float(MAX_RECURSION_DEPTH));
         if (finalDistanceToTree < OUTER_DISTANCE_THRESHOLD)                        
         {
 			float unitDistanceFactor = smoothstep(DISTANCE_THRESHOLD, 0.0, finalDistanceToTree);
-			distBasedColorComponent = currentGreenComponent * unitDistanceFactor;
-			finalFragmentColor = vec4(0.0, 0.5, 0.0, distBasedColorComponent);
+			finalFragmentColor = vec4(currentTreeColor.rgb, currentTreeColor.a * unitDistanceFactor);
         }
     }
 	
     return finalFragmentColor;
 }
 
+/**
+ * Places a fragment color "over" another fragment color
+ * @param topColor         Fragment color that is placed in front
+ * @param bottomColor      Fragment color that is placed behind
+ *
+ * @return The composited four-component fragment color
+ */
+vec4 compositeOver( const vec4 topColor, const vec4 bottomColor )
+{
+	vec4 compositeColor = topColor;
+	
+	float compositeAlpha = topColor.a + (bottomColor.a * (1.0 - topColor.a));
+	if (compositeAlpha > 0.0)
+	{
+		compositeColor = vec4(((topColor.rgb * topColor.a) + (bottomColor.rgb * bottomColor.a * (1.0 - topColor.a))) / compositeAlpha,
+			compositeAlpha);
+	}
+	
+	return compositeColor;
+}
 
+/**
+ * Determines the fragment color for the foreground tree and all forest
+ *  trees - trees are evaluated from nearest to most distant, with each
+ *  tree placed beneath the previously-evaluated trees
+ * @param currentPoint     Location of the fragment for which the color is
+ *                         to be determined
+ *
+ * @return A four-component fragment color
+ */
+vec4 forestSceneFragColor( const vec2 currentPoint )
+{
+	vec4 sceneColor = vec4(0.0, 0.0, 0.0, 0.0);
+	
+	// The foreground tree is evaluated during the first iteration (a
+	// single tree evaluation site limits the shader compilation time).
+	for (int treeLoop = 0; treeLoop <= MAX_FOREST_TREES; treeLoop++)
+	{
+		if ((treeLoop > uniform_forestTreeCount) || (sceneColor.a >= 1.0))
+		{
+			break;
+		}
+		
+		vec4 treePlacement = vec4(INITIAL_TRUNK_BASE_POINT, 1.0, 0.0);
+		vec4 treeShape = vec4(uniform_interLevelScaleDownFactor, uniform_minTreeLengthFraction,
+			uniform_maxTreeLengthFraction, float(uniform_maxTreeDepth));
+		vec3 treeGrowth = vec3(uniform_trunkLengthMultiplier, uniform_branchLengthMultiplier, uniform_windFactor);
+		if (treeLoop > 0)
+		{
+			treePlacement = uniform_forestTreePlacement[treeLoop - 1];
+			treeShape = uniform_forestTreeShape[treeLoop - 1];
+			treeGrowth = uniform_forestTreeGrowth[treeLoop - 1];
+		}
+		
+		// Evaluate the tree within the coordinate space of the foreground
+		// tree - the inclusion distance test within treeSceneFragColor(...)
+		// therefore acts as a per-tree bounding test.
+		vec2 treePoint = INITIAL_TRUNK_BASE_POINT + ((currentPoint - treePlacement.xy) / treePlacement.z);
+		vec4 treeColor = treeSceneFragColor(treePoint, BRANCH_WIDTH / 2.0, treeShape, treeGrowth);
+		
+		// Atmospheric fading - distant trees are tinted and made more
+		// transparent.
+		treeColor.rgb = mix(treeColor.rgb, FOREST_FOG_COLOR, treePlacement.w);
+		treeColor.a *= 1.0 - (treePlacement.w * FOREST_FOG_ALPHA_ATTENUATION);
+		
+		sceneColor = compositeOver(sceneColor, treeColor);
+	}
+	
+	return sceneColor;
+}
 
-
+/**
+ * Composites the output of the previously-displayed tree variant
+ *  beneath the current tree fragment color, as required during a
+ *  variant transition
+ * @param currentPoint     Location of the fragment
+ * @param treeColor        Fragment color of the current tree variant
+ *
+ * @return The composited four-component fragment color
+ */
+vec4 compositePreviousVariant( const vec2 currentPoint, const vec4 treeColor )
+{
+	vec4 compositeColor = treeColor;
+	
+	if ((uniform_variantTransitionStyle != VARIANT_TRANSITION_STYLE_NONE) &&
+		(uniform_variantTransitionFraction < 1.0))
+	{
+		vec2 samplePoint = currentPoint;
+		float previousVariantWeight = 1.0 - uniform_variantTransitionFraction;
+		
+		if (uniform_variantTransitionStyle == VARIANT_TRANSITION_STYLE_SHRINK)
+		{
+			// Shrink the previous tree towards the base of the trunk (the
+			// previous variant image is stored in texture coordinates).
+			float shrinkScale = max(1.0 - uniform_variantTransitionFraction, 0.001);
+			vec2 trunkBasePoint = POINT_ORIGIN + ((INITIAL_TRUNK_BASE_POINT + uniform_treeOffset - POINT_ORIGIN) /
+				uniform_aspectScale);
+			samplePoint = trunkBasePoint + ((currentPoint - trunkBasePoint) / shrinkScale);
+			previousVariantWeight = 1.0 - smoothstep(0.7, 1.0, uniform_variantTransitionFraction);
+		}
+		else if (uniform_variantTransitionStyle == VARIANT_TRANSITION_STYLE_WIPE)
+		{
+			// Remove the previous tree from left to right.
+			float wipeEdgePosition = (uniform_variantTransitionFraction * (1.0 + VARIANT_WIPE_EDGE_WIDTH)) - VARIANT_WIPE_EDGE_WIDTH;
+			previousVariantWeight = smoothstep(wipeEdgePosition, wipeEdgePosition + VARIANT_WIPE_EDGE_WIDTH, currentPoint.x);
+		}
+		
+		// Render target textures are stored with the origin at the lower-left corner.
+		vec4 previousColor = texture2D(uPreviousVariantSampler, vec2(samplePoint.x, 1.0 - samplePoint.y));
+		vec2 clampedSamplePoint = clamp(samplePoint, 0.0, 1.0);
+		previousColor.a *= previousVariantWeight * float(all(equal(clampedSamplePoint, samplePoint)));
+		
+		// Place the current tree "over" the previous tree.
+		compositeColor = compositeOver(treeColor, previousColor);
+	}
+	
+	return compositeColor;
+}
 
 void main() {
 	
+	vec2 imageCoord = uniform_tileTransform.xy + (vTextureCoord * uniform_tileTransform.zw);
+	vec2 treePoint = POINT_ORIGIN + ((imageCoord - POINT_ORIGIN) * uniform_aspectScale) - uniform_treeOffset;
+	vec4 baseColor = forestSceneFragColor(treePoint);
+	baseColor = compositePreviousVariant(imageCoord, baseColor);
+	baseColor = compositeOver(baseColor, uniform_backgroundColor);
+	
 	// Blend the output with the overlay texture.
-	vec4 baseColor = treeSceneFragColor(vTextureCoord, BRANCH_WIDTH / 2.0);
-	vec4 overlayColor = texture2D(uOverlaySampler, vec2(vTextureCoord.s, vTextureCoord.t));	
+	vec4 overlayColor = uniform_overlayEnabled ? texture2D(uOverlaySampler, vec2(imageCoord.s, imageCoord.t)) :
+		vec4(0.0, 0.0, 0.0, 0.0);
 	vec4 baseColorMultiplier = vec4(1.0, 1.0, 1.0, 1.0) - overlayColor.wwww;
 
 	gl_FragColor = (baseColor * baseColorMultiplier) + (overlayColor * vec4(overlayColor.www, 1.0));
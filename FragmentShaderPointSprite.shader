@@ -0,0 +1,123 @@
+// FragmentShaderPointSprite.shader - Renders point sprites with various
+//  procedurally-generated shapes (tree decorations, etc.).
+//
+// Author: Ayodeji Oshinnaiye
+
+precision mediump float;
+
+varying mediump vec4 vSpriteColor;
+varying mediump vec2 vSpriteShapeRotation;
+
+// Sprite shapes (must correspond to the pointSpriteRenderer shape values).
+const float SHAPE_BAUBLE = 0.0;
+const float SHAPE_LIGHT = 1.0;
+const float SHAPE_FLAKE = 2.0;
+const float SHAPE_STAR = 3.0;
+const float SHAPE_STARBURST = 4.0;
+
+// Offset of the specular highlight on a bauble (sprite-centered coordinates).
+const vec2 BAUBLE_HIGHLIGHT_OFFSET = vec2(-0.35, -0.35);
+
+/**
+ * Determines the color of a bauble (shaded sphere) fragment
+ * @param spritePoint Fragment location, relative to the sprite
+ *                    center (-1.0 - 1.0, inclusive)
+ *
+ * @return A four-component fragment color
+ */
+vec4 baubleFragColor( const vec2 spritePoint )
+{
+	float centerDistance = length(spritePoint);
+	float coverage = smoothstep(1.0, 0.85, centerDistance);
+	float shading = 0.45 + (0.55 * (1.0 - (centerDistance * centerDistance)));
+	float highlight = smoothstep(0.4, 0.0, length(spritePoint - BAUBLE_HIGHLIGHT_OFFSET)) * 0.8;
+	vec3 baubleColor = min((vSpriteColor.rgb * shading) + vec3(highlight), vec3(1.0));
+	
+	return vec4(baubleColor, coverage * vSpriteColor.a);
+}
+
+/**
+ * Determines the color of a light (glowing point) fragment - the
+ *  sprite alpha determines the light intensity
+ * @param spritePoint Fragment location, relative to the sprite
+ *                    center (-1.0 - 1.0, inclusive)
+ *
+ * @return A four-component fragment color
+ */
+vec4 lightFragColor( const vec2 spritePoint )
+{
+	float centerDistance = length(spritePoint);
+	float coreIntensity = smoothstep(0.3, 0.0, centerDistance);
+	float haloIntensity = pow(max(1.0 - centerDistance, 0.0), 2.0) * 0.6;
+	vec3 lightColor = mix(vSpriteColor.rgb, vec3(1.0), coreIntensity * 0.7);
+	
+	return vec4(lightColor, max(coreIntensity, haloIntensity) * vSpriteColor.a);
+}
+
+/**
+ * Determines the color of a snowflake (soft-edged disc) fragment
+ * @param spritePoint Fragment location, relative to the sprite
+ *                    center (-1.0 - 1.0, inclusive)
+ *
+ * @return A four-component fragment color
+ */
+vec4 flakeFragColor( const vec2 spritePoint )
+{
+	float coverage = smoothstep(1.0, 0.3, length(spritePoint));
+	
+	return vec4(vSpriteColor.rgb, coverage * vSpriteColor.a);
+}
+
+/**
+ * Determines the color of a rotated star fragment
+ * @param spritePoint Fragment location, relative to the sprite
+ *                    center (-1.0 - 1.0, inclusive)
+ * @param pointCount Number of star points
+ * @param innerRadius Radius of the star between points (relative
+ *                    to the sprite radius)
+ *
+ * @return A four-component fragment color
+ */
+vec4 starFragColor( const vec2 spritePoint, const float pointCount, const float innerRadius )
+{
+	float centerDistance = length(spritePoint);
+	float pointAngle = atan(spritePoint.y, spritePoint.x) + vSpriteShapeRotation.y;
+	float starRadius = mix(innerRadius, 1.0, pow(abs(cos(pointAngle * pointCount / 2.0)), 4.0));
+	float coverage = smoothstep(starRadius, starRadius - 0.08, centerDistance);
+	vec3 starColor = mix(vSpriteColor.rgb, vec3(1.0), smoothstep(0.35, 0.0, centerDistance) * 0.8);
+	
+	return vec4(starColor, coverage * vSpriteColor.a);
+}
+
+void main() {
+	vec2 spritePoint = (gl_PointCoord * 2.0) - vec2(1.0);
+	
+	vec4 spriteColor = vec4(0.0);
+	if (vSpriteShapeRotation.x < (SHAPE_BAUBLE + 0.5))
+	{
+		spriteColor = baubleFragColor(spritePoint);
+	}
+	else if (vSpriteShapeRotation.x < (SHAPE_LIGHT + 0.5))
+	{
+		spriteColor = lightFragColor(spritePoint);
+	}
+	else if (vSpriteShapeRotation.x < (SHAPE_FLAKE + 0.5))
+	{
+		spriteColor = flakeFragColor(spritePoint);
+	}
+	else if (vSpriteShapeRotation.x < (SHAPE_STAR + 0.5))
+	{
+		spriteColor = starFragColor(spritePoint, 5.0, 0.4);
+	}
+	else if (vSpriteShapeRotation.x < (SHAPE_STARBURST + 0.5))
+	{
+		spriteColor = starFragColor(spritePoint, 8.0, 0.2);
+	}
+	
+	if (spriteColor.a <= 0.0)
+	{
+		discard;
+	}
+	
+	gl_FragColor = spriteColor;
+}
@@ -0,0 +1,41 @@
+// FragmentShaderSceneTransition.shader - Composites the output of an
+//  outgoing scene and an incoming scene during a scene transition.
+//
+// Author: Ayodeji Oshinnaiye
+
+precision mediump float;
+
+varying mediump vec2 vTextureCoord;
+
+// Rendered output of the outgoing/incoming scenes.
+uniform sampler2D uOutgoingSceneSampler;
+uniform sampler2D uIncomingSceneSampler;
+
+// Transition progress (0.0 - 1.0, inclusive).
+uniform float uniform_transitionFraction;
+// Transition style (0 - crossfade, 1 - wipe).
+uniform int uniform_transitionStyle;
+
+const int TRANSITION_STYLE_WIPE = 1;
+
+// Width of the soft edge that separates the scenes during a wipe.
+const float WIPE_EDGE_WIDTH = 0.05;
+
+void main() {
+	// Render target textures are stored with the origin at the lower-left
+	// corner, while the texture coordinates originate at the upper-left
+	// corner.
+	vec2 renderTargetCoord = vec2(vTextureCoord.s, 1.0 - vTextureCoord.t);
+	vec4 outgoingColor = texture2D(uOutgoingSceneSampler, renderTargetCoord);
+	vec4 incomingColor = texture2D(uIncomingSceneSampler, renderTargetCoord);
+	
+	float incomingWeight = uniform_transitionFraction;
+	if (uniform_transitionStyle == TRANSITION_STYLE_WIPE)
+	{
+		// The incoming scene is revealed from left to right.
+		float wipeEdgePosition = uniform_transitionFraction * (1.0 + WIPE_EDGE_WIDTH);
+		incomingWeight = smoothstep(wipeEdgePosition, wipeEdgePosition - WIPE_EDGE_WIDTH, vTextureCoord.s);
+	}
+
+	gl_FragColor = mix(outgoingColor, incomingColor, incomingWeight);
+}
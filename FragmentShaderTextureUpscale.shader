@@ -0,0 +1,19 @@
+// FragmentShaderTextureUpscale.shader - Displays the contents of a
+//  reduced-resolution render target across the full output area
+//  (bilinear filtering is applied during magnification).
+//
+// Author: Ayodeji Oshinnaiye
+
+precision mediump float;
+
+varying mediump vec2 vTextureCoord;
+
+// Reduced-resolution scene output.
+uniform sampler2D uSourceSampler;
+
+void main() {
+	// Render target textures are stored with the origin at the lower-left
+	// corner, while the texture coordinates originate at the upper-left
+	// corner.
+	gl_FragColor = texture2D(uSourceSampler, vec2(vTextureCoord.s, 1.0 - vTextureCoord.t));
+}
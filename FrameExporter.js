@@ -0,0 +1,320 @@
+// FrameExporter.js - Renders a scene offline, using a fixed time quantum,
+//                    and exports the rendered frames as a ZIP archive of
+//                    PNG images, or as a WebM video
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//  -GlobalResources.js
+//  -ZipArchiveWriter.js
+//
+// Each frame advances the scene by exactly 1000 / frame rate milliseconds
+// (the first frame depicts the initial scene state), regardless of the
+// time required to render the frame, and mouse/touch gestures over the
+// canvas do not affect the exported scene - the rendered frames are
+// identical for a given random seed. Frames are read from the main
+// canvas, which includes the composited overlay.
+//
+// WebM export employs MediaRecorder, which timestamps frames using the
+// wall clock - frames are submitted at the export frame rate, and the
+// frame timing of the video is only exact when each frame can be rendered
+// within the frame interval (the PNG sequence is always exact).
+//
+// Export settings object format:
+// {
+//     durationMs: 10000, (duration of the exported animation)
+//     frameRate: 30, (frames per second)
+//     width: 1280, (resolution of the exported frames - applied to the
+//     height: 720   canvases by the caller)
+// }
+
+function frameExporter(targetScene, exportSettings) {
+	// Scene to be rendered (initialized by the exporter - the scene must
+	// not have been executed previously, and is not disposed by the
+	// exporter).
+	this.targetScene = targetScene;
+	
+	this.frameRate = Math.max(returnValidNumOrZero(exportSettings.frameRate), 1);
+	this.frameCount = Math.max(Math.round(returnValidNumOrZero(exportSettings.durationMs) * this.frameRate / 1000.0), 1);
+	this.frameTimeQuantumMs = 1000.0 / this.frameRate;
+	
+	this.nextFrameIndex = 0;
+	this.exportCancelled = false;
+	
+	// Function that receives export progress updates (receives a completion
+	// fraction, 0.0 - 1.0, inclusive).
+	this.progressFunction = null;
+}
+
+/**
+ * Export formats
+ */
+frameExporter.formatPngSequence = "png";
+frameExporter.formatWebm = "webm";
+
+/**
+ * WebM MIME types, in order of preference
+ */
+frameExporter.constWebmMimeTypeList = [
+	"video/webm;codecs=vp9",
+	"video/webm;codecs=vp8",
+	"video/webm"
+];
+
+/**
+ * Determines whether or not the browser is able to record WebM video
+ *  from a canvas
+ * @return {boolean} True if WebM export is supported
+ */
+frameExporter.isWebmExportSupported = function() {
+	return (typeof(window.MediaRecorder) === "function") &&
+		(typeof(HTMLCanvasElement.prototype.captureStream) === "function") &&
+		(frameExporter.getWebmMimeType() !== null);
+}
+
+/**
+ * Selects the preferred WebM MIME type supported by MediaRecorder
+ * @return {string} The MIME type upon success, null if WebM recording is
+ *                  unsupported
+ */
+frameExporter.getWebmMimeType = function() {
+	var selectedMimeType = null;
+	
+	if (typeof(window.MediaRecorder) === "function") {
+		for (var typeLoop = 0; (typeLoop < frameExporter.constWebmMimeTypeList.length) &&
+			(selectedMimeType === null); typeLoop++) {
+			
+			var mimeType = frameExporter.constWebmMimeTypeList[typeLoop];
+			if ((typeof(MediaRecorder.isTypeSupported) !== "function") || MediaRecorder.isTypeSupported(mimeType)) {
+				selectedMimeType = mimeType;
+			}
+		}
+	}
+	
+	return selectedMimeType;
+}
+
+/**
+ * Sets the function that receives export progress updates
+ * @param progressFunction {function} Function that receives an export
+ *                                    completion fraction (0.0 - 1.0,
+ *                                    inclusive)
+ */
+frameExporter.prototype.setProgressFunction = function(progressFunction) {
+	this.progressFunction = progressFunction;
+}
+
+/**
+ * Requests that the export be abandoned (the export promise is rejected
+ *  after the current frame has been completed)
+ */
+frameExporter.prototype.cancel = function() {
+	this.exportCancelled = true;
+}
+
+/**
+ * Retrieves the number of frames to be exported
+ * @return {number} The number of frames
+ */
+frameExporter.prototype.getFrameCount = function() {
+	return this.frameCount;
+}
+
+/**
+ * Renders and exports all frames
+ * @param exportFormat {string} Export format (frameExporter.formatPngSequence
+ *                              or frameExporter.formatWebm)
+ * @return {Promise} A promise that is resolved with the exported data (Blob),
+ *                   or rejected with an Error
+ */
+frameExporter.prototype.exportFrames = function(exportFormat) {
+	var exportPromise = null;
+	
+	if (globalResources.getMainCanvasContext() === null) {
+		exportPromise = Promise.reject(new Error("The main canvas is unavailable"));
+	}
+	else if (exportFormat === frameExporter.formatWebm) {
+		exportPromise = frameExporter.isWebmExportSupported() ? this.exportWebm() :
+			Promise.reject(new Error("WebM recording is not supported by this browser"));
+	}
+	else {
+		exportPromise = this.exportPngSequence();
+	}
+	
+	return exportPromise;
+}
+
+/**
+ * Renders the next frame onto the main canvas
+ */
+frameExporter.prototype.renderNextFrame = function() {
+	if (this.nextFrameIndex === 0) {
+		// Frame time measurements would otherwise alter the rendering quality.
+		this.targetScene.getQualityController().setEnabled(false);
+		this.targetScene.initialize(true);
+	}
+	
+	// The first frame depicts the initial scene state.
+	var timeQuantum = (this.nextFrameIndex > 0) ? this.frameTimeQuantumMs : 0.0;
+	this.targetScene.executeStep(timeQuantum, globalResources.getMainCanvasContext(),
+		globalResources.getOverlayCanvasContext());
+	
+	this.nextFrameIndex++;
+}
+
+/**
+ * Reports the current export progress to the progress function
+ */
+frameExporter.prototype.notifyProgress = function() {
+	if (typeof(this.progressFunction) === "function") {
+		this.progressFunction(Math.min(this.nextFrameIndex / this.frameCount, 1.0));
+	}
+}
+
+/**
+ * Renders all frames, storing each frame as a PNG image within a ZIP
+ *  archive (frame00000.png, frame00001.png, ...)
+ * @return {Promise} A promise that is resolved with the archive (Blob), or
+ *                   rejected with an Error
+ */
+frameExporter.prototype.exportPngSequence = function() {
+	var exporter = this;
+	var archiveWriter = new zipArchiveWriter();
+	var mainCanvas = globalResources.getMainCanvasContext().canvas;
+	
+	function exportRemainingFrames() {
+		var framePromise = null;
+		
+		if (exporter.exportCancelled) {
+			framePromise = Promise.reject(new Error("Export cancelled"));
+		}
+		else if (exporter.nextFrameIndex < exporter.frameCount) {
+			var frameFileName = "frame" + ("0000" + exporter.nextFrameIndex).slice(-5) + ".png";
+			exporter.renderNextFrame();
+			
+			// The canvas image is captured immediately (the WebGL drawing
+			// buffer is not preserved after the image has been presented).
+			framePromise = frameExporter.canvasToPngBlob(mainCanvas).then(function(frameBlob) {
+				return frameExporter.readBlobData(frameBlob);
+			}).then(function(frameData) {
+				archiveWriter.addFile(frameFileName, frameData);
+				exporter.notifyProgress();
+				return exportRemainingFrames();
+			});
+		}
+		else {
+			framePromise = Promise.resolve(archiveWriter.createBlob());
+		}
+		
+		return framePromise;
+	}
+	
+	// Rendering failures are reported via promise rejection.
+	return Promise.resolve().then(exportRemainingFrames);
+}
+
+/**
+ * Renders all frames, recording the frames as a WebM video (frames are
+ *  submitted to the recorder at the export frame rate)
+ * @return {Promise} A promise that is resolved with the video (Blob), or
+ *                   rejected with an Error
+ */
+frameExporter.prototype.exportWebm = function() {
+	var exporter = this;
+	var mimeType = frameExporter.getWebmMimeType();
+	var mainCanvas = globalResources.getMainCanvasContext().canvas;
+	
+	return new Promise(function(resolveFunction, rejectFunction) {
+		// Frames are only captured when explicitly requested.
+		var captureStream = mainCanvas.captureStream(0);
+		var videoTrack = captureStream.getVideoTracks()[0];
+		var videoRecorder = new MediaRecorder(captureStream, { mimeType: mimeType,
+			videoBitsPerSecond: Constants.exportVideoBitsPerSecond });
+		
+		var recordedChunkList = [];
+		videoRecorder.ondataavailable = function(dataEvent) {
+			if (validateVar(dataEvent.data) && (dataEvent.data.size > 0)) {
+				recordedChunkList.push(dataEvent.data);
+			}
+		};
+		videoRecorder.onstop = function() {
+			videoTrack.stop();
+			if (exporter.exportCancelled) {
+				rejectFunction(new Error("Export cancelled"));
+			}
+			else {
+				resolveFunction(new Blob(recordedChunkList, { type: "video/webm" }));
+			}
+		};
+		videoRecorder.onerror = function(errorEvent) {
+			exporter.exportCancelled = true;
+			console.log("WebM recording failed: " + (validateVar(errorEvent.error) ? errorEvent.error.message : ""));
+		};
+		
+		var recordingStartTime = 0;
+		function recordNextFrame() {
+			if (!exporter.exportCancelled && (exporter.nextFrameIndex < exporter.frameCount)) {
+				var frameIndex = exporter.nextFrameIndex;
+				try {
+					exporter.renderNextFrame();
+					videoTrack.requestFrame();
+					exporter.notifyProgress();
+				}
+				catch (frameError) {
+					console.log("WebM export failed at frame " + frameIndex + ": " + frameError.message);
+					exporter.exportCancelled = true;
+				}
+				
+				// Each frame is displayed until the scheduled time of the next
+				// frame (late frames are submitted immediately).
+				var nextFrameTime = recordingStartTime + ((frameIndex + 1) * exporter.frameTimeQuantumMs);
+				window.setTimeout(recordNextFrame, Math.max(nextFrameTime - performance.now(), 0));
+			}
+			else if (videoRecorder.state !== "inactive") {
+				videoRecorder.stop();
+			}
+		}
+		
+		videoRecorder.start();
+		recordingStartTime = performance.now();
+		recordNextFrame();
+	});
+}
+
+/**
+ * Encodes the contents of a canvas as a PNG image
+ * @param sourceCanvas {HTMLCanvasElement} The canvas
+ * @return {Promise} A promise that is resolved with the image (Blob), or
+ *                   rejected with an Error
+ */
+frameExporter.canvasToPngBlob = function(sourceCanvas) {
+	return new Promise(function(resolveFunction, rejectFunction) {
+		sourceCanvas.toBlob(function(imageBlob) {
+			if (validateVar(imageBlob)) {
+				resolveFunction(imageBlob);
+			}
+			else {
+				rejectFunction(new Error("Unable to encode the canvas image"));
+			}
+		}, "image/png");
+	});
+}
+
+/**
+ * Reads the contents of a Blob
+ * @param sourceBlob {Blob} The Blob
+ * @return {Promise} A promise that is resolved with the data (Uint8Array),
+ *                   or rejected with an Error
+ */
+frameExporter.readBlobData = function(sourceBlob) {
+	return new Promise(function(resolveFunction, rejectFunction) {
+		var blobReader = new FileReader();
+		blobReader.onload = function() {
+			resolveFunction(new Uint8Array(blobReader.result));
+		};
+		blobReader.onerror = function() {
+			rejectFunction(new Error("Unable to read the frame image"));
+		};
+		blobReader.readAsArrayBuffer(sourceBlob);
+	});
+}
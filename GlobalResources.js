@@ -3,9 +3,16 @@
 // Author: Ayodeji Oshinnaiye
 // Dependent upon:
 //  -Utility.js
+//  -WebGlUtility.js
+//  -InternalConstants.js
+//  -ShaderPreprocessor.js
+//  -ShaderDiagnostics.js
+//  -ResourceLoader.js
 
 function globalResources() {
 	this.progressFunction = null;
+	this.loadErrorFunction = null;
+	this.activeResourceLoader = null;
 	this.mainCanvasContext = null;
 	this.overlayCanvasContext = null;
 	this.overlayTexture = null;
@@ -18,12 +25,58 @@ function globalResources() {
  */
 globalResources.vertexShaderStandardPositionName = "VertexShaderStandardPosition.shader";
 
+/**
+ * Name of the fragment shader that renders
+ *  the fractal tree
+ */
+globalResources.fractalTreeFragmentShaderName = "FragmentShaderIfsFractalTree.shader";
+
+/**
+ * Name of the fragment shader that upscales
+ *  reduced-resolution scene output
+ */
+globalResources.textureUpscaleFragmentShaderName = "FragmentShaderTextureUpscale.shader";
+
 /**
  * List of all fragment shader resource
  *  names
  */
 globalResources.fragmentShaderNameList = [
-	"FragmentShaderIfsFractalTree.shader"
+	globalResources.fractalTreeFragmentShaderName,
+	"FragmentShaderSceneTransition.shader",
+	globalResources.textureUpscaleFragmentShaderName
+];
+
+/**
+ * Name of the vertex shader required to
+ *  display point sprites
+ */
+globalResources.vertexShaderPointSpriteName = "VertexShaderPointSprite.shader";
+
+/**
+ * List of all fragment shader resource
+ *  names that are used with the point
+ *  sprite vertex shader
+ */
+globalResources.pointSpriteFragmentShaderNameList = [
+	"FragmentShaderPointSprite.shader"
+];
+
+/**
+ * List of shader source files that are only
+ *  included within other shaders
+ */
+globalResources.includedShaderNameList = [
+	"ShaderGeometryFunctions.shader"
+];
+
+/**
+ * Background music files (the first file with
+ *  a format supported by the browser is loaded)
+ */
+globalResources.backgroundMusicSourceList = [
+	{ fileSpecification: "audio/Tingly Tree.ogg", mimeType: "audio/ogg" },
+	{ fileSpecification: "audio/Tingly Tree.mp3", mimeType: "audio/mpeg" }
 ];
 
 /**
@@ -35,52 +88,401 @@ globalResources.fragmentShaderNameList = [
  */
 globalResources.shaderProgramList = [];
 
-// Main canvas context must have been initialized
+/**
+ * Image files that are loaded as WebGL textures (each
+ *  image is resized to the dimensions of the internal
+ *  bitmap, ensuring power-of-two texture dimensions -
+ *  entries are specified as { resourceName: <string>,
+ *  generateMipmaps: <boolean>, wrapTexture: <boolean> })
+ */
+globalResources.imageTextureList = [
+];
+
+/**
+ * Image files that are only drawn via the Canvas 2D
+ *  API (no WebGL textures are created)
+ * @see postcardComposer
+ */
+globalResources.imageNameList = [
+	"images/Signature.svg"
+];
+
+/**
+ * Will contain a collection of WebGL textures,
+ *  created from the loaded image files
+ * @see globalResources.imageTextureList
+ */
+globalResources.textureCollection = [];
+
+/**
+ * Will contain the WebGL textures, keyed by image
+ *  resource name
+ * @see globalResources.imageTextureList
+ */
+globalResources.texturesByName = {};
+
+/**
+ * Canvas used to resize images to the dimensions of
+ *  the internally-stored image bitmap (created upon
+ *  first use)
+ */
+globalResources.internalBitmapCanvas = null;
+
+/**
+ * Will contain the compiled WebGL shader programs,
+ *  keyed by fragment shader resource name
+ * @see globalResources.fragmentShaderNameList
+ * @see globalResources.pointSpriteFragmentShaderNameList
+ */
+globalResources.shaderProgramsByName = {};
+
+/**
+ * Will contain the #define directive values
+ *  injected into each shader, keyed by shader
+ *  resource name
+ * @see globalResources.computeFractalTreeShaderDefines
+ */
+globalResources.shaderDefinesByName = {};
+
+/**
+ * Will contain the preprocessed source of each
+ *  shader (includes a line map used to relate
+ *  compiler diagnostics to the original files),
+ *  keyed by shader resource name
+ */
+globalResources.preprocessedShadersByName = {};
+
+/**
+ * Will contain diagnostics produced during
+ *  shader preprocessing, compilation and
+ *  linking
+ * @see shaderDiagnostic
+ */
+globalResources.shaderDiagnosticList = [];
+
+/**
+ * Branching configuration limits supported
+ *  by the fractal tree shader (sub-branches
+ *  are evenly divided between the sides of
+ *  the host branch)
+ */
+globalResources.constSupportedSubBranchCounts = [ 4, 6, 8, 10 ];
+globalResources.constMinTreeRecursionDepth = 1;
+globalResources.constMaxTreeRecursionDepth = 4;
+
+/**
+ * Default fractal tree branching configuration
+ */
+globalResources.constDefaultSubBranchesPerHostBranch = 8;
+globalResources.constDefaultTreeRecursionDepth = 3;
+
+// Main canvas context must have been initialized (shaders are not
+// loaded when the main canvas context is not a WebGL context)
 globalResources.loadShaders = function() {
+	// The branching configuration is determined before any shaders are
+	// compiled (the configuration is also employed by the Canvas 2D
+	// renderer).
+	this.shaderDefinesByName[this.fractalTreeFragmentShaderName] = this.computeFractalTreeShaderDefines(
+		Constants.treeSubBranchesPerHostBranch, Constants.treeMaxRecursionDepth);
+	
+	// Shared (included) shader source files are only loaded once.
+	var sourcePreprocessor = new shaderPreprocessor(function(resourceName) {
+		return globalResources.getLoadedResource(resourceName);
+	});
+	
+	// Only one vertex shader will be used for full-screen rendering, as no special
+	// vertex-based transformations will be employed - point sprites employ a
+	// separate vertex shader.
+	this.loadShaderProgramSet(sourcePreprocessor, this.vertexShaderStandardPositionName, this.fragmentShaderNameList);
+	this.loadShaderProgramSet(sourcePreprocessor, this.vertexShaderPointSpriteName, this.pointSpriteFragmentShaderNameList);
+}
+
+/**
+ * Creates a collection of shader programs, using a list of fragment
+ *  shaders, each combined with a single vertex shader
+ * @param sourcePreprocessor {shaderPreprocessor} Preprocessor used to prepare
+ *                                                the shader source
+ * @param vertexShaderName {string} Resource name of the vertex shader
+ * @param fragmentShaderNameList {Array} List of fragment shader resource names
+ */
+globalResources.loadShaderProgramSet = function(sourcePreprocessor, vertexShaderName, fragmentShaderNameList) {
 	var canvasContext = this.getMainCanvasContext();
 	
-	if (canvasContext != null) {	
-		// Only one vertex shader will be used, as no special vertex-based
-		// transformations will be employed.
-		var vertexShaderSource = this.loadResourceFile(this.vertexShaderStandardPositionName);
+	if ((canvasContext != null) && isWebGlContext(canvasContext)) {	
+		var vertexShader = this.preprocessShader(sourcePreprocessor, vertexShaderName);
 		
-		// Create a collection of shader programs, using a list of fragment
-		// shaders, each combined with the single vertex shader.
 		var fragmentShaderLoop = 0;
-		for (fragmentShaderLoop = 0; fragmentShaderLoop < this.fragmentShaderNameList.length; fragmentShaderLoop++) {
-			var fragmentShaderSourceName = globalResources.fragmentShaderNameList[fragmentShaderLoop];
-			var fragmentShaderSource = this.loadResourceFile(fragmentShaderSourceName);
+		for (fragmentShaderLoop = 0; fragmentShaderLoop < fragmentShaderNameList.length; fragmentShaderLoop++) {
+			var fragmentShaderSourceName = fragmentShaderNameList[fragmentShaderLoop];
+			var fragmentShader = this.preprocessShader(sourcePreprocessor, fragmentShaderSourceName);
+			
+			var createdProgram = null;
+			if ((vertexShader !== null) && (fragmentShader !== null)) {
+				createdProgram = createShaderProgram(canvasContext, vertexShader.source, fragmentShader.source,
+					this.createShaderDiagnosticFunction(vertexShader, fragmentShader), fragmentShaderSourceName);
+			}
 			
-			var shaderProgram = createShaderProgram(canvasContext, vertexShaderSource, fragmentShaderSource);
-			if (shaderProgram != null) {
-				globalResources.shaderProgramList.push(shaderProgram);
+			if (createdProgram != null) {
+				globalResources.shaderProgramList.push(createdProgram);
+				globalResources.shaderProgramsByName[fragmentShaderSourceName] = createdProgram;
 			}
 		}
 	}
 }
 
 /**
- * Performs a synchronous load of a specified resource file
- * @param fileSpecification {string} Contains the URL of the resource to be loaded
- *                                   (can be a relative or absolute URL)
- * @return {DOMString} A DOM string object containing the loaded resource data
- *                     upon success, null otherwise
+ * Preprocesses a shader (resolves #include directives, and injects the
+ *  #define directives associated with the shader)
+ * @param sourcePreprocessor {shaderPreprocessor} Preprocessor used to prepare
+ *                                                the shader source
+ * @param shaderName {string} Resource name of the shader
+ * @return {preprocessedShaderSource} The preprocessed shader upon success,
+ *                                    null otherwise
+ * @see globalResources.getShaderDefines
  */
-globalResources.loadResourceFile = function(fileSpecification) {
-	var fileData = null;
+globalResources.preprocessShader = function(sourcePreprocessor, shaderName) {
+	var preprocessedShader = globalResources.getPreprocessedShader(shaderName);
 	
-	if (validateVar(fileSpecification) && (typeof fileSpecification === "string")) {
-		// Peform a synchronous HTTP request in order to load the file -
-		// resource file loading is expected to be performed during initialization;
-		// therefore, a synchronous request is acceptable.
-		var httpRequest = new XMLHttpRequest();
-		httpRequest.open("GET", fileSpecification, false);
-		//httpRequest.responseType = "text";
-		httpRequest.send();
-		fileData = httpRequest.responseText;
+	// Shaders that are shared between program sets (e.g., vertex shaders) are
+	// only preprocessed once.
+	if (preprocessedShader === null) {
+		preprocessedShader = sourcePreprocessor.preprocessShader(shaderName, this.getShaderDefines(shaderName));
+		if (preprocessedShader !== null) {
+			globalResources.preprocessedShadersByName[shaderName] = preprocessedShader;
+		}
+		else {
+			this.addShaderDiagnostics([ new shaderDiagnostic(shaderName, shaderDiagnostic.stagePreprocess,
+				shaderDiagnostic.severityError, shaderName, null, sourcePreprocessor.lastErrorMessage) ]);
+		}
 	}
 	
-	return fileData;
+	return preprocessedShader;
+}
+
+/**
+ * Creates a function that records the diagnostics produced when a
+ *  shader program fails to compile/link (line numbers are mapped to
+ *  the original shader source files)
+ * @param vertexShader {preprocessedShaderSource} The preprocessed vertex shader
+ * @param fragmentShader {preprocessedShaderSource} The preprocessed fragment shader
+ * @return {function} A diagnostic function that can be supplied to
+ *                    createShaderProgram(...)
+ * @see createShaderProgram
+ */
+globalResources.createShaderDiagnosticFunction = function(vertexShader, fragmentShader) {
+	return function(failedStage, infoLog) {
+		var failedShader = (failedStage === shaderDiagnostic.stageVertex) ? vertexShader : fragmentShader;
+		
+		globalResources.addShaderDiagnostics(shaderDiagnostic.parseInfoLog(infoLog, failedStage,
+			failedShader.shaderName, (failedStage !== shaderDiagnostic.stageLink) ? failedShader : null));
+	};
+}
+
+/**
+ * Records shader diagnostics (the diagnostics are also logged to the
+ *  console)
+ * @param diagnosticList {Array} A list of shaderDiagnostic objects
+ */
+globalResources.addShaderDiagnostics = function(diagnosticList) {
+	for (var diagnosticLoop = 0; diagnosticLoop < diagnosticList.length; diagnosticLoop++) {
+		console.log(diagnosticList[diagnosticLoop].toString());
+		globalResources.shaderDiagnosticList.push(diagnosticList[diagnosticLoop]);
+	}
+}
+
+/**
+ * Retrieves all diagnostics produced during shader loading
+ * @return {Array} A list of shaderDiagnostic objects
+ */
+globalResources.getShaderDiagnostics = function() {
+	return globalResources.shaderDiagnosticList;
+}
+
+/**
+ * Retrieves the preprocessed source of a shader
+ * @param shaderName {string} Resource name of the shader
+ * @return {preprocessedShaderSource} The preprocessed shader upon success, null
+ *                                    otherwise
+ */
+globalResources.getPreprocessedShader = function(shaderName) {
+	var preprocessedShader = globalResources.preprocessedShadersByName[shaderName];
+	
+	return validateVar(preprocessedShader) ? preprocessedShader : null;
+}
+
+/**
+ * Computes the #define directive values that determine the branching
+ *  configuration of the fractal tree shader (unsupported values are
+ *  replaced by the default configuration)
+ * @param subBranchesPerHostBranch {number} Number of sub-branches attached to
+ *                                          each host branch
+ * @param maxRecursionDepth {number} Maximum tree recursion depth
+ * @return {object} Values for SUBBRANCHES_PER_HOST_BRANCH, MAX_RECURSION_DEPTH
+ *                  and MAX_TOTAL_BRANCHES
+ * @see globalResources.constSupportedSubBranchCounts
+ */
+globalResources.computeFractalTreeShaderDefines = function(subBranchesPerHostBranch, maxRecursionDepth) {
+	var branchCount = subBranchesPerHostBranch;
+	if (globalResources.constSupportedSubBranchCounts.indexOf(branchCount) < 0) {
+		console.log("Unsupported sub-branch count: " + subBranchesPerHostBranch);
+		branchCount = globalResources.constDefaultSubBranchesPerHostBranch;
+	}
+	
+	var recursionDepth = maxRecursionDepth;
+	if ((typeof(recursionDepth) !== "number") || (Math.round(recursionDepth) !== recursionDepth) ||
+		(recursionDepth < globalResources.constMinTreeRecursionDepth) ||
+		(recursionDepth > globalResources.constMaxTreeRecursionDepth)) {
+		
+		console.log("Unsupported tree recursion depth: " + maxRecursionDepth);
+		recursionDepth = globalResources.constDefaultTreeRecursionDepth;
+	}
+	
+	return {
+		SUBBRANCHES_PER_HOST_BRANCH: branchCount,
+		MAX_RECURSION_DEPTH: recursionDepth,
+		MAX_TOTAL_BRANCHES: Math.pow(branchCount, recursionDepth)
+	};
+}
+
+/**
+ * Retrieves the #define directive values injected into a shader
+ * @param shaderName {string} Resource name of the shader
+ * @return {object} The #define directive values, keyed by name (empty if no
+ *                  values are injected into the shader)
+ */
+globalResources.getShaderDefines = function(shaderName) {
+	var shaderDefines = globalResources.shaderDefinesByName[shaderName];
+	
+	return validateVar(shaderDefines) ? shaderDefines : {};
+}
+
+/**
+ * Retrieves the branching configuration of the compiled fractal tree
+ *  shader (the configuration is computed from the constants if the
+ *  shaders have not been loaded - e.g., when the Canvas 2D renderer is
+ *  employed)
+ * @return {object} The branching configuration (subBranchesPerHostBranch,
+ *                  maxRecursionDepth)
+ */
+globalResources.getFractalTreeBranchingConfiguration = function() {
+	var shaderDefines = globalResources.shaderDefinesByName[globalResources.fractalTreeFragmentShaderName];
+	if (!validateVar(shaderDefines)) {
+		shaderDefines = globalResources.computeFractalTreeShaderDefines(Constants.treeSubBranchesPerHostBranch,
+			Constants.treeMaxRecursionDepth);
+		globalResources.shaderDefinesByName[globalResources.fractalTreeFragmentShaderName] = shaderDefines;
+	}
+	
+	return {
+		subBranchesPerHostBranch: shaderDefines.SUBBRANCHES_PER_HOST_BRANCH,
+		maxRecursionDepth: shaderDefines.MAX_RECURSION_DEPTH
+	};
+}
+
+/**
+ * Builds the manifest of resources that must be loaded before the demo
+ *  is executed (the main canvas context must have been initialized -
+ *  shaders are only loaded when the main canvas context is a WebGL
+ *  context)
+ * @return {Array} A list of resource manifest entries
+ * @see resourceLoader
+ */
+globalResources.buildResourceManifest = function() {
+	var resourceManifest = [];
+	
+	if (isWebGlContext(this.getMainCanvasContext())) {
+		var shaderNameList = [ this.vertexShaderStandardPositionName, this.vertexShaderPointSpriteName ].concat(
+			this.fragmentShaderNameList, this.pointSpriteFragmentShaderNameList, this.includedShaderNameList);
+		for (var shaderLoop = 0; shaderLoop < shaderNameList.length; shaderLoop++) {
+			resourceManifest.push({ resourceName: shaderNameList[shaderLoop],
+				resourceType: resourceLoader.resourceTypeText });
+		}
+	}
+	
+	for (var imageLoop = 0; imageLoop < this.imageTextureList.length; imageLoop++) {
+		resourceManifest.push({ resourceName: this.imageTextureList[imageLoop].resourceName,
+			resourceType: resourceLoader.resourceTypeImage });
+	}
+	
+	for (var imageNameLoop = 0; imageNameLoop < this.imageNameList.length; imageNameLoop++) {
+		resourceManifest.push({ resourceName: this.imageNameList[imageNameLoop],
+			resourceType: resourceLoader.resourceTypeImage });
+	}
+	
+	if (validateVar(Constants.messageFileSpecification) && (Constants.messageFileSpecification.length > 0)) {
+		resourceManifest.push({ resourceName: Constants.messageFileSpecification,
+			resourceType: resourceLoader.resourceTypeText, optional: true });
+	}
+	
+	// The demo can be executed without music.
+	var backgroundMusicFileSpecification = this.getBackgroundMusicFileSpecification();
+	if (backgroundMusicFileSpecification !== null) {
+		resourceManifest.push({ resourceName: backgroundMusicFileSpecification,
+			resourceType: resourceLoader.resourceTypeAudio, optional: true });
+	}
+	
+	return resourceManifest;
+}
+
+/**
+ * Determines the background music file that will be loaded (based
+ *  upon the audio formats supported by the browser)
+ * @return {string} The background music file specification upon success,
+ *                  null if no supported format is available
+ */
+globalResources.getBackgroundMusicFileSpecification = function() {
+	var fileSpecification = null;
+	
+	if (typeof(Audio) === "function") {
+		var testAudioElement = new Audio();
+		for (var sourceLoop = 0; (sourceLoop < this.backgroundMusicSourceList.length) &&
+			(fileSpecification === null); sourceLoop++) {
+			
+			if (testAudioElement.canPlayType(this.backgroundMusicSourceList[sourceLoop].mimeType) !== "") {
+				fileSpecification = this.backgroundMusicSourceList[sourceLoop].fileSpecification;
+			}
+		}
+	}
+	
+	return fileSpecification;
+}
+
+/**
+ * Retrieves the data of a resource that has been loaded during
+ *  initialization
+ * @param resourceName {string} Name (URL) of the resource
+ * @return {string/object/Image} The resource data upon success, null if the
+ *                               resource has not been loaded
+ * @see globalResources.initialize
+ */
+globalResources.getLoadedResource = function(resourceName) {
+	return validateVar(this.activeResourceLoader) ? this.activeResourceLoader.getLoadedResource(resourceName) : null;
+}
+
+/**
+ * Retrieves the object URL of the loaded background music
+ * @return {string} The background music URL upon success, null if the
+ *                  background music has not been loaded
+ */
+globalResources.getBackgroundMusicUrl = function() {
+	var backgroundMusicFileSpecification = this.getBackgroundMusicFileSpecification();
+	
+	return (backgroundMusicFileSpecification !== null) ?
+		this.getLoadedResource(backgroundMusicFileSpecification) : null;
+}
+
+/**
+ * Retrieves the message text displayed by the message scroller (the
+ *  content of the message file, if a message file has been specified
+ *  and loaded)
+ * @return {string} The message text
+ * @see Constants.messageFileSpecification
+ */
+globalResources.getMessageText = function() {
+	var messageText = validateVar(Constants.messageFileSpecification) ?
+		this.getLoadedResource(Constants.messageFileSpecification) : null;
+	
+	return ((messageText !== null) && (messageText.trim().length > 0)) ? messageText.trim() :
+		Constants.messageText;
 }
 
 /**
@@ -95,7 +497,7 @@ globalResources.getShaderProgramCount = function() {
  * Retrieves an internally-stored WebGL shader program resource
  * @param shaderProgramIndex {number} Index of the shader program
  *                                    to be retrieved
- * @return {WebGLProgram} A WebGL shader program upon success, null otherwise
+ * @return {shaderProgram} A shader program upon success, null otherwise
  */
 globalResources.getIndexedShaderProgram = function(shaderProgramIndex) {
 	var shaderProgram = null;
@@ -109,6 +511,90 @@ globalResources.getIndexedShaderProgram = function(shaderProgramIndex) {
 	return shaderProgram;
 }
 
+/**
+ * Retrieves an internally-stored WebGL shader program resource, using
+ *  the name of the fragment shader from which the program was created
+ * @param fragmentShaderName {string} Resource name of the fragment shader
+ * @return {shaderProgram} A shader program upon success, null otherwise
+ * @see globalResources.fragmentShaderNameList
+ */
+globalResources.getNamedShaderProgram = function(fragmentShaderName) {
+	var shaderProgram = globalResources.shaderProgramsByName[fragmentShaderName];
+	
+	return validateVar(shaderProgram) ? shaderProgram : null;
+}
+
+/**
+ * Creates WebGL textures from the loaded image files (textures are only
+ *  created when the main canvas context is a WebGL context)
+ * @see globalResources.imageTextureList
+ */
+globalResources.loadTextures = function() {
+	var canvasContext = this.getMainCanvasContext();
+	
+	if ((canvasContext != null) && isWebGlContext(canvasContext)) {
+		for (var textureLoop = 0; textureLoop < this.imageTextureList.length; textureLoop++) {
+			var textureEntry = this.imageTextureList[textureLoop];
+			var sourceImage = this.getLoadedResource(textureEntry.resourceName);
+			
+			var imageTexture = null;
+			if (sourceImage !== null) {
+				imageTexture = createTextureFromImageData(canvasContext, this.createInternalBitmapImageData(sourceImage),
+					textureEntry.generateMipmaps, textureEntry.wrapTexture);
+			}
+			
+			if (imageTexture !== null) {
+				globalResources.textureCollection.push(imageTexture);
+				globalResources.texturesByName[textureEntry.resourceName] = imageTexture;
+			}
+			else {
+				console.log("Unable to create a texture from " + textureEntry.resourceName);
+			}
+		}
+	}
+}
+
+/**
+ * Re-creates the shader programs and textures after the WebGL context
+ *  has been restored (all WebGL resources are invalidated when the
+ *  context is lost - the loaded manifest resources are retained)
+ */
+globalResources.restoreWebGlResources = function() {
+	globalResources.shaderProgramList.length = 0;
+	globalResources.shaderProgramsByName = {};
+	globalResources.textureCollection.length = 0;
+	globalResources.texturesByName = {};
+	globalResources.shaderDiagnosticList.length = 0;
+	
+	this.loadShaders();
+	this.loadTextures();
+}
+
+/**
+ * Resizes an image to the dimensions of the internal bitmap (the internal
+ *  bitmap dimensions are powers of two, permitting textures created from
+ *  the bitmap to be mipmapped)
+ * @param sourceImage {Image} The image to be resized
+ * @return {ImageData} The resized image data
+ * @see Constants.internalBitmapWidth
+ * @see Constants.internalBitmapHeight
+ */
+globalResources.createInternalBitmapImageData = function(sourceImage) {
+	if (!validateVar(globalResources.internalBitmapCanvas)) {
+		globalResources.internalBitmapCanvas = document.createElement("canvas");
+		globalResources.internalBitmapCanvas.width = roundUpToPowerOfTwo(Constants.internalBitmapWidth);
+		globalResources.internalBitmapCanvas.height = roundUpToPowerOfTwo(Constants.internalBitmapHeight);
+	}
+	
+	var bitmapWidth = globalResources.internalBitmapCanvas.width;
+	var bitmapHeight = globalResources.internalBitmapCanvas.height;
+	var bitmapContext = globalResources.internalBitmapCanvas.getContext("2d");
+	bitmapContext.clearRect(0, 0, bitmapWidth, bitmapHeight);
+	bitmapContext.drawImage(sourceImage, 0, 0, bitmapWidth, bitmapHeight);
+	
+	return bitmapContext.getImageData(0, 0, bitmapWidth, bitmapHeight);
+}
+
 /**
  * Returns the number of stored WebGL texture resources
  * @return {number} The number of stored WebGL texture resources
@@ -121,7 +607,7 @@ globalResources.getTextureCount = function() {
  * Retrieves an internally-stored WebGL texture resource
  * @param textureIndex {number} Index of the WebGL texture
  *                              to be retrieved
- * @return {WebGLProgram} A WebGL texture program upon success, null otherwise
+ * @return {WebGLTexture} A WebGL texture upon success, null otherwise
  */
 globalResources.getIndexedTexture = function(textureIndex) {
 	var texture = null;
@@ -135,6 +621,19 @@ globalResources.getIndexedTexture = function(textureIndex) {
 	return texture;
 }
 
+/**
+ * Retrieves an internally-stored WebGL texture resource, using the
+ *  name of the image from which the texture was created
+ * @param imageName {string} Resource name of the image
+ * @return {WebGLTexture} A WebGL texture upon success, null otherwise
+ * @see globalResources.imageTextureList
+ */
+globalResources.getNamedTexture = function(imageName) {
+	var texture = globalResources.texturesByName[imageName];
+	
+	return validateVar(texture) ? texture : null;
+}
+
 /**
  * Sets a progress function, which receives loading progress
  *  updates
@@ -147,6 +646,19 @@ globalResources.setProgressFunction = function(progressFunction) {
 	this.progressFunction = progressFunction;
 }
 
+/**
+ * Sets a load error function, which is invoked when required
+ *  resources cannot be loaded
+ * @param loadErrorFunction {function} Function that receives a list of
+ *                                     failed resources (resourceName,
+ *                                     errorMessage), and a function that
+ *                                     re-attempts loading of the failed
+ *                                     resources
+ */
+globalResources.setLoadErrorFunction = function(loadErrorFunction) {
+	this.loadErrorFunction = loadErrorFunction;
+}
+
 /**
  * Sends progress notifications to the progress function
  * @param progressFraction {number} Loading completion fraction
@@ -236,9 +748,44 @@ globalResources.getOverlayTexture = function() {
  *  any resources that require pre-loading
  * @param completionFuction {function} Completion function executed
  *                                     upon completion of all global
- *                                     resource loading
+ *                                     resource loading (not executed
+ *                                     until all required resources
+ *                                     have been loaded)
+ * @param additionalManifestEntries {Array} Resource manifest entries to be
+ *                                          loaded in addition to the demo
+ *                                          resources (optional)
+ * @see globalResources.buildResourceManifest
  */
-globalResources.initialize = function(completionFunction) {
-	this.loadShaders();
-	completionFunction();
-}
\ No newline at end of file
+globalResources.initialize = function(completionFunction, additionalManifestEntries) {
+	this.activeResourceLoader = new resourceLoader();
+	this.activeResourceLoader.addManifestEntries(this.buildResourceManifest());
+	this.activeResourceLoader.addManifestEntries(additionalManifestEntries);
+	this.activeResourceLoader.setProgressFunction(function(progressFraction) {
+		globalResources.notifyProgress(progressFraction);
+	});
+	
+	this.loadManifestResources(completionFunction);
+}
+
+/**
+ * Loads all manifest resources that have not yet been loaded, compiling
+ *  the shaders and creating the textures after all resources have been
+ *  loaded (failures are
+ *  reported to the load error function, which can re-attempt loading)
+ * @param completionFunction {function} Completion function executed upon
+ *                                      completion of all resource loading
+ * @see globalResources.setLoadErrorFunction
+ */
+globalResources.loadManifestResources = function(completionFunction) {
+	this.activeResourceLoader.loadResources().then(function() {
+		globalResources.loadShaders();
+		globalResources.loadTextures();
+		completionFunction();
+	}, function(failedEntryList) {
+		if (typeof globalResources.loadErrorFunction === "function") {
+			globalResources.loadErrorFunction(failedEntryList, function() {
+				globalResources.loadManifestResources(completionFunction);
+			});
+		}
+	});
+}
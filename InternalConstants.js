@@ -3,18 +3,26 @@
 
 var Constants = {
 	/**
-	 * Width of front buffer canvas (and associated
-	 *  backbuffer canvases)
+	 * Reference width of front buffer canvas (the
+	 *  canvas is sized to fill the window - the tree
+	 *  proportions are preserved relative to the
+	 *  reference aspect ratio)
 	 */
 	defaultCanvasWidth : 960,
 	
 	/**
-	 * Height of front buffer canvas (and associated
-	 *  backbuffer canvases)
+	 * Reference height of front buffer canvas
 	 *
 	 */
 	defaultCanvasHeight : 720,
 	
+	/**
+	 * Maximum device pixel ratio applied to the canvas
+	 *  resolution (limits the fragment shader workload
+	 *  on high-density displays)
+	 */
+	maxCanvasDevicePixelRatio: 2.0,
+	
 	/**
 	 * Width of the internally-stored image bitmap
 	 *  representation of each source image
@@ -28,35 +36,300 @@ var Constants = {
 	internalBitmapHeight: 1024,
 			
 	/**
-	 * Width of the texture that will be used as
-	 *  an overlay with respect to the primary
-	 *  image textures
+	 * Width of the initially-displayed progress
+	 *  bar/element
 	 */
-	overlayTextureWidth: 960,
+	progressElementWidth: 800,
 	
 	/**
-	 * Height of the texture that will be used as
-	 *  an overlay with respect to the primary
-	 *  image textures
+	 * Number of attempts made to load each resource
+	 *  before the resource is reported as a failure
 	 */
-	overlayTextureHeight: 600,
+	resourceLoadAttemptCount: 3,
 	
 	/**
-	 * Width of the initially-displayed progress
-	 *  bar/element
+	 * Delay between successive attempts to load a
+	 *  resource (milliseconds)
 	 */
-	progressElementWidth: 800,
+	resourceLoadRetryDelayMs: 1000,
 	
 	/**
 	 * Number of milliseconds contained in one second
 	 */
 	millisecondsPerSecond : 1000,
 	
+	/**
+	 * Maximum time quantum supplied to a single scene
+	 *  step (milliseconds) - limits animation jumps after
+	 *  slow frames
+	 */
+	maxSceneStepTimeQuantumMs: 100,
+	
+	/**
+	 * Enables adjustment of the rendering quality
+	 *  based upon the measured frame time
+	 */
+	adaptiveQualityEnabled: true,
+	
+	/**
+	 * Frame time budget (milliseconds) - quality is
+	 *  reduced when the average time spent rendering
+	 *  a frame exceeds the budget
+	 */
+	adaptiveQualityFrameTimeBudgetMs: 25,
+	
+	/**
+	 * Fraction of the frame time budget below which
+	 *  the average frame time must fall before quality
+	 *  is restored
+	 */
+	adaptiveQualityRestoreBudgetFraction: 0.8,
+	
+	/**
+	 * Number of frame time samples included in the
+	 *  moving average
+	 */
+	adaptiveQualitySampleCount: 60,
+	
+	/**
+	 * Minimum/maximum time spent at a quality level
+	 *  before quality is restored (milliseconds - the
+	 *  delay increases each time that a restored level
+	 *  cannot be sustained)
+	 */
+	adaptiveQualityMinRestoreDelayMs: 5000,
+	adaptiveQualityMaxRestoreDelayMs: 60000,
+	
+	/**
+	 * Duration of mouse inactivity after which the
+	 *  cursor is hidden in kiosk (presentation) mode,
+	 *  in milliseconds
+	 */
+	kioskCursorHideDelayMs: 3000,
+	
+	/**
+	 * Interval at which the tree is moved to a new
+	 *  position in kiosk mode (prevents display
+	 *  burn-in), in milliseconds
+	 */
+	kioskBurnInShiftIntervalMs: 120000,
+	
+	/**
+	 * Maximum displacement of the tree from the
+	 *  default position in kiosk mode (fraction of
+	 *  the tree coordinate space)
+	 */
+	kioskBurnInMaxOffset: 0.03,
+	
+	/**
+	 * Delay before scene execution is restarted in
+	 *  kiosk mode after a scene failure, in
+	 *  milliseconds
+	 */
+	kioskRestartDelayMs: 2000,
+	
+	/**
+	 * Default duration of exported animations, in
+	 *  milliseconds (overridden by the "exportSeconds"
+	 *  URL query parameter)
+	 */
+	exportDurationMs: 10000,
+	
+	/**
+	 * Default frame rate of exported animations, in
+	 *  frames per second (overridden by the
+	 *  "exportFps" URL query parameter)
+	 */
+	exportFrameRate: 30,
+	
+	/**
+	 * Default resolution of exported animation frames,
+	 *  in pixels (overridden by the "exportWidth" and
+	 *  "exportHeight" URL query parameters)
+	 */
+	exportWidth: 1280,
+	exportHeight: 720,
+	
+	/**
+	 * Bit rate of exported WebM video, in bits per
+	 *  second
+	 */
+	exportVideoBitsPerSecond: 8000000,
+	
+	/**
+	 * Default resolution of saved postcards, in pixels
+	 *  (overridden by the "postcardWidth" and
+	 *  "postcardHeight" URL query parameters)
+	 */
+	postcardWidth: 3600,
+	postcardHeight: 2400,
+	
+	/**
+	 * Maximum dimension of the tiles used to render
+	 *  postcard images, in pixels (postcards that
+	 *  exceed the maximum WebGL viewport dimensions
+	 *  are rendered in multiple tiles)
+	 */
+	postcardMaxTileSize: 2048,
+	
+	/**
+	 * Fraction of the postcard height occupied by the
+	 *  message/signature panel
+	 */
+	postcardTextPanelFraction: 0.25,
+	
+	/**
+	 * Sender names displayed on saved postcards
+	 */
+	postcardSenderNames: "Katie and Ayo",
+	
+	/**
+	 * Font name and style of the postcard message
+	 */
+	postcardFont: "Georgia",
+	postcardFontStyle: "Italic",
+	
 	/**
 	 * Maximum angular measurement, in degrees
 	 */
 	maxAngleDegrees : 360,
 	
+	/**
+	 * Style of the transition displayed between
+	 *  successive tree variants ("none", "fade",
+	 *  "shrink" or "wipe")
+	 */
+	variantTransitionStyle: "fade",
+	
+	/**
+	 * Duration of the transition displayed between
+	 *  successive tree variants, in milliseconds
+	 */
+	variantTransitionDurationMs: 2500,
+	
+	/**
+	 * Determines whether or not ornaments/lights are
+	 *  attached to the tree branch tips
+	 */
+	decorationsEnabled: true,
+	
+	/**
+	 * Fraction of the tree branch tips that receive
+	 *  an ornament/light (0.0 - 1.0, inclusive)
+	 */
+	decorationDensity: 0.12,
+	
+	/**
+	 * Fraction of the tree decorations that are
+	 *  ornaments (baubles) - the remaining decorations
+	 *  are twinkling lights
+	 */
+	decorationBaubleFraction: 0.4,
+	
+	/**
+	 * Colors (unit RGB component values) from which
+	 *  tree decoration colors are selected
+	 */
+	decorationPalette: [
+		[ 0.85, 0.1, 0.1 ],
+		[ 0.95, 0.75, 0.2 ],
+		[ 0.2, 0.45, 0.95 ],
+		[ 0.9, 0.9, 0.95 ],
+		[ 0.7, 0.2, 0.8 ]
+	],
+	
+	/**
+	 * Twinkle pattern of the tree lights ("steady",
+	 *  "random", "chase" or "alternate")
+	 */
+	decorationTwinklePattern: "random",
+	
+	/**
+	 * Default tree topper style ("none", "star",
+	 *  "starburst" or "orb" - tree presets can
+	 *  specify a different topper)
+	 */
+	topperStyle: "star",
+	
+	/**
+	 * Default tree topper color (unit RGB
+	 *  component values)
+	 */
+	topperColor: [ 1.0, 0.85, 0.3 ],
+	
+	/**
+	 * Determines whether or not falling snow is
+	 *  displayed
+	 */
+	snowfallEnabled: true,
+	
+	/**
+	 * Snowfall density (total number of
+	 *  snowflakes)
+	 */
+	snowfallDensity: 2000,
+	
+	/**
+	 * Determines whether or not snowflakes
+	 *  accumulate as a snow bank along the
+	 *  bottom of the canvas
+	 */
+	snowBankEnabled: true,
+	
+	/**
+	 * Maximum snow bank height, as a fraction
+	 *  of the canvas height
+	 */
+	snowBankMaxHeightFraction: 0.05,
+	
+	/**
+	 * Number of forest trees rendered behind
+	 *  the foreground tree (0 - 6, inclusive;
+	 *  zero disables forest mode) - may be
+	 *  overridden using the "forest" URL query
+	 *  parameter
+	 */
+	forestTreeCount: 0,
+	
+	/**
+	 * Forest tree layout - null (trees are
+	 *  scattered randomly for each variant), or
+	 *  a list of placements ({ positionX, depth })
+	 * @see treeForest
+	 */
+	forestLayout: null,
+	
+	/**
+	 * Name of the initial tree palette theme
+	 *  ("classicGreen", "silverFrost", "gold" or
+	 *  "night") - may be overridden using the
+	 *  "palette" URL query parameter
+	 */
+	paletteName: "classicGreen",
+	
+	/**
+	 * Determines whether or not the palette
+	 *  themes are cycled (each new tree variant
+	 *  blends to the next theme over the variant
+	 *  lifetime)
+	 */
+	paletteCyclingEnabled: false,
+	
+	/**
+	 * Number of sub-branches attached to each
+	 *  host branch of the fractal tree (4, 6, 8
+	 *  or 10 - compiled into the tree shader)
+	 */
+	treeSubBranchesPerHostBranch: 8,
+	
+	/**
+	 * Maximum recursion depth of the fractal
+	 *  tree (1 - 4, inclusive - compiled into
+	 *  the tree shader; tree rendering time
+	 *  increases rapidly with the depth)
+	 */
+	treeMaxRecursionDepth: 3,
+	
 	/**
 	 * Height of the scroller font, in pixels
 	 */
@@ -82,6 +355,20 @@ var Constants = {
 	 */
 	scrollerBackgroundUnitIntensity: 0.1,
 	
+	/**
+	 * Height of the font used to display the random
+	 *  seed of the tree variant sequence, in pixels
+	 */
+	seedIndicatorFontSizePx: 14,
+	
+	/**
+	 * File containing the message text to be used by
+	 *  the message text scroller (optional - the message
+	 *  text constant is used if no file is specified, or
+	 *  the file cannot be loaded)
+	 */
+	messageFileSpecification: "",
+	
 	/**
 	 * Message text to be used by the message text
 	 *  scroller
@@ -6,7 +6,80 @@
 //  -WebGlUtility.js
 //  -GlobalResources.js
 //  -MainFractalRenderingScene.js
+//  -SceneSequencer.js
+//  -SceneExecution.js
+//  -ParameterControlPanel.js
 //  -ProgressElementController.js
+//  -ResourceLoader.js
+//  -TreePreset.js
+//  -ShaderDiagnostics.js
+//  -ShaderDiagnosticsPanel.js
+//  -AdaptiveQualityController.js
+//  -PerformanceHud.js
+//  -CanvasLayoutController.js
+//  -KioskModeController.js
+//  -FrameExporter.js
+//  -PostcardComposer.js
+
+/**
+ * Main scene instance (retained in order to permit interaction
+ *  with the scene)
+ */
+var activeFractalRenderingScene = null;
+
+/**
+ * Sequencer that executes the scene timeline (retained in order to
+ *  permit the sequencer resources to be released upon restart)
+ */
+var activeSceneSequencer = null;
+
+/**
+ * Live parameter control panel (displayed when the "debug" URL
+ *  query parameter is present, or toggled via the "D" key)
+ */
+var activeParameterControlPanel = null;
+
+/**
+ * Controller of the scene execution loop (permits execution to be
+ *  paused, resumed and single-stepped)
+ */
+var activeSceneExecutionController = null;
+
+/**
+ * Frame rate/quality level display (displayed when the "hud" URL
+ *  query parameter is present, or toggled via the "H" key)
+ */
+var activePerformanceHud = null;
+
+/**
+ * Panel that displays shader compilation/link diagnostics (displayed
+ *  when shader loading produces any diagnostics)
+ */
+var activeShaderDiagnosticsPanel = null;
+
+/**
+ * Controller that sizes the canvases to fill the window
+ */
+var activeCanvasLayoutController = null;
+
+/**
+ * Controller of the unattended presentation (kiosk) mode (entered via
+ *  the presentation mode button, the "F" key, or the "kiosk=1" URL
+ *  query parameter)
+ */
+var activeKioskModeController = null;
+
+/**
+ * Identifier of the pending scene execution restart timeout (null if
+ *  no restart is pending)
+ */
+var pendingSceneRestartTimeoutId = null;
+
+/**
+ * Exporter that is rendering the scene offline (null if no frame export
+ *  is in progress - exports are started via the "E" and "V" keys)
+ */
+var activeFrameExporter = null;
 
 /**
  * Initializes any required DOM resources
@@ -20,10 +93,9 @@ function initDomResources(completionFunction) {
 	// will be displayed..
 	mainDiv = document.createElement("div");
 	
-	// Center the div within the window (the height centering will
-	// not be retained if the window size has been altered).
-	mainDiv.setAttribute("style", "text-align:center; margin-top: " +
-		Math.round((window.innerHeight - Constants.defaultCanvasHeight) / 2.0) + "px");
+	// The div (and the canvas) fills the window.
+	mainDiv.setAttribute("style", "position: fixed; left: 0px; top: 0px; width: 100%; height: 100%; " +
+		"overflow: hidden; background-color: #000000");
 		
 	// Add the DIV to the DOM.
 	document.body.appendChild(mainDiv);		
@@ -32,29 +104,46 @@ function initDomResources(completionFunction) {
 	
     if (validateVar(mainCanvas) && validateVar(overlayCanvas) &&
 		(typeof mainCanvas.getContext === 'function')) {
-		mainCanvas.width = Constants.defaultCanvasWidth;
-		mainCanvas.height = Constants.defaultCanvasHeight;
+		mainCanvas.style.display = "block";
 		
-		overlayCanvas.width = Constants.overlayTextureWidth;
-		overlayCanvas.height = Constants.overlayTextureHeight;
+		// Size the canvases to fill the window (the canvases are resized
+		// whenever the window is resized).
+		activeCanvasLayoutController = new canvasLayoutController(mainCanvas, overlayCanvas);
+		activeCanvasLayoutController.setLayoutChangeFunction(onCanvasLayoutChanged);
+		activeCanvasLayoutController.start();
 	
         // Store the WeblGL context that will be used
-        // to write data to the canvas.
-        var mainCanvasContext = getWebGlContextFromCanvas(mainCanvas);
+        // to write data to the canvas (a Canvas 2D context
+        // is used if WebGL is unavailable, or if the Canvas
+        // 2D renderer has been requested).
+        var mainCanvasContext = isCanvas2dRendererRequested() ? null : getWebGlContextFromCanvas(mainCanvas);
+		if (!validateVar(mainCanvasContext)) {
+			mainCanvasContext = mainCanvas.getContext("2d");
+		}
 		var overlayCanvasContext = overlayCanvas.getContext("2d");
     
 		if (validateVar(mainCanvasContext) && validateVar(overlayCanvasContext)) {
-			// Prepare the WebGL context for use.
-			initializeWebGl(mainCanvasContext);
-			
 			// Add the canvas object DOM (within the DIV).
 			mainDiv.appendChild(mainCanvas);
 			
-			// Create an overlay texture - this texture will be used primarily
-			// to display the scroller text using multitexturing.
-			var overlayTexture = createTextureFromCanvas(mainCanvasContext, overlayCanvas, false);
-			if (validateVar(overlayTexture)) {
-				globalResources.setOverlayTexture(overlayTexture);
+			if (isWebGlContext(mainCanvasContext)) {
+				// Prepare the WebGL context for use.
+				initializeWebGl(mainCanvasContext);
+				
+				// Scene execution is suspended while the WebGL context is lost,
+				// and restarted after the context has been restored.
+				mainCanvas.addEventListener("webglcontextlost", onWebGlContextLost);
+				mainCanvas.addEventListener("webglcontextrestored", onWebGlContextRestored);
+				
+				// Create an overlay texture - this texture will be used primarily
+				// to display the scroller text using multitexturing.
+				var overlayTexture = createTextureFromCanvas(mainCanvasContext, overlayCanvas, false);
+				if (validateVar(overlayTexture)) {
+					globalResources.setOverlayTexture(overlayTexture);
+				}
+			}
+			else {
+				console.log("WebGL is unavailable - the scene will be rendered using a Canvas 2D context");
 			}
 						
 			globalResources.setMainCanvasContext(mainCanvasContext);
@@ -71,16 +160,99 @@ function initDomResources(completionFunction) {
 		progressBarElementController.updateProgressElement(progressFraction);
 	}
 	
+	function reportLoadErrors(failedEntryList, retryFunction) {
+		progressBarElementController.showLoadErrors(failedEntryList, retryFunction);
+	}
+	
 	function loadCompletionFunction() {
 		progressBarElementController.removeProgressElementFromDom();
+		startBackgroundMusic();
 		completionFunction();
 	}
 	
 	globalResources.setProgressFunction(updateProgress);
-	globalResources.initialize(loadCompletionFunction);	
+	globalResources.setLoadErrorFunction(reportLoadErrors);
+	globalResources.initialize(loadCompletionFunction, buildQueryParameterManifestEntries());
+}
+
+/**
+ * Canvas layout change handler - updates the WebGL viewport, the overlay
+ *  texture and the scene overlay layout after the canvases have been
+ *  resized
+ * @see canvasLayoutController
+ */
+onCanvasLayoutChanged = function() {
+	var mainCanvasContext = globalResources.getMainCanvasContext();
+	var overlayCanvasContext = globalResources.getOverlayCanvasContext();
+	
+	if (isWebGlContext(mainCanvasContext)) {
+		mainCanvasContext.viewport(0, 0, mainCanvasContext.canvas.width, mainCanvasContext.canvas.height);
+		
+		// Resize the overlay texture immediately (the overlay canvas has been
+		// erased - the overlay content will be redrawn during the next step).
+		var overlayTexture = globalResources.getOverlayTexture();
+		if ((overlayTexture !== null) && validateVar(overlayCanvasContext)) {
+			updateDynamicTextureWithCanvas(mainCanvasContext, overlayTexture, overlayCanvasContext.canvas);
+		}
+	}
+	
+	if (validateVar(activeFractalRenderingScene)) {
+		activeFractalRenderingScene.updateOverlayLayout(overlayCanvasContext);
+	}
+	
+	// Resizing erases the main canvas - redraw a paused scene.
+	if (validateVar(activeSceneExecutionController) && activeSceneExecutionController.isPaused()) {
+		activeSceneExecutionController.step(0);
+	}
+}
+
+/**
+ * Builds the resource manifest entries for resources specified via
+ *  URL query parameters (the tree preset file specified using the
+ *  "presets" query parameter)
+ * @return {Array} A list of resource manifest entries
+ * @see resourceLoader
+ */
+buildQueryParameterManifestEntries = function() {
+	var manifestEntries = [];
+	
+	// Tree variants will be randomly generated if the preset file cannot be
+	// loaded.
+	var presetFileSpecification = getQueryParameterValue("presets");
+	if (validateVar(presetFileSpecification) && (presetFileSpecification.length > 0)) {
+		manifestEntries.push({ resourceName: presetFileSpecification, resourceType: resourceLoader.resourceTypeText,
+			optional: true });
+	}
+	
+	return manifestEntries;
+}
+
+/**
+ * Starts playback of the background music (if the music has been
+ *  loaded)
+ */
+startBackgroundMusic = function() {
+	var backgroundMusicUrl = globalResources.getBackgroundMusicUrl();
+	var backgroundMusicElement = document.getElementById("backgroundMusic");
+	
+	// The audio element automatically starts playback once a source has
+	// been assigned.
+	if ((backgroundMusicUrl !== null) && validateVar(backgroundMusicElement)) {
+		backgroundMusicElement.src = backgroundMusicUrl;
+	}
 }
 
 
+/**
+ * Determines whether or not the Canvas 2D renderer has been requested
+ *  in place of the WebGL renderer (via "renderer=canvas2d" within the
+ *  URL query string)
+ * @return {boolean} True if the Canvas 2D renderer has been requested
+ */
+isCanvas2dRendererRequested = function() {
+	return (getQueryParameterValue("renderer") === "canvas2d");
+}
+
 /**
  * Completion function to be used with globalResources.initialize() -
  *  performs any final activities related to loading, and executes
@@ -92,14 +264,440 @@ finalizeLoading = function() {
 	executeMainScene();
 }
 
+/**
+ * Builds the timeline of scenes that constitute the demo - when the
+ *  "sceneCycle" URL query parameter specifies a display duration (in
+ *  seconds), the main tree scene alternates with a second tree scene
+ *  (the second scene is revealed via a wipe, and the main scene returns
+ *  via a crossfade), permitting the scene transitions to be observed
+ * @param fractalRenderingScene {mainFractalRenderingScene} The main tree scene
+ * @return {Array} A list of scene timeline entries
+ * @see sceneSequencer
+ */
+buildSceneTimeline = function(fractalRenderingScene) {
+	// The tree scene executes indefinitely - additional scenes (each
+	// with a duration or a completion function) can be inserted before
+	// the tree scene in order to create a multi-part card.
+	var timelineEntries = [
+		{
+			scene: fractalRenderingScene,
+			transitionStyle: sceneSequencer.transitionStyleCrossfade
+		}
+	];
+	
+	var sceneCycleSeconds = parseFloat(getQueryParameterValue("sceneCycle"));
+	if (isFinite(sceneCycleSeconds) && (sceneCycleSeconds > 0)) {
+		timelineEntries[0].durationMs = sceneCycleSeconds * 1000.0;
+		timelineEntries.push({
+			scene: new mainFractalRenderingScene(),
+			durationMs: sceneCycleSeconds * 1000.0,
+			transitionStyle: sceneSequencer.transitionStyleWipe
+		});
+	}
+	
+	return timelineEntries;
+}
+
 /**
  * Performs execution of the main demo scene
  */
 executeMainScene = function() {
-	// Create the main image transformation scene, and ultimately
-	// invoke the start of the demo.
+	// The scene cannot be rendered with WebGL if the tree shader program
+	// is unavailable - display the shader diagnostics, and abort (rather
+	// than rendering with an invalid program).
+	var sceneAborted = isWebGlContext(globalResources.getMainCanvasContext()) &&
+		(globalResources.getNamedShaderProgram(globalResources.fractalTreeFragmentShaderName) === null);
+	
+	var shaderDiagnosticList = globalResources.getShaderDiagnostics();
+	if ((shaderDiagnosticList.length > 0) || sceneAborted) {
+		activeShaderDiagnosticsPanel = new shaderDiagnosticsPanel(shaderDiagnosticList);
+		activeShaderDiagnosticsPanel.show(document.body, sceneAborted);
+	}
+	
+	if (!sceneAborted) {
+		// Create the main image transformation scene, and ultimately
+		// invoke the start of the demo.
+		startSceneExecution();
+		
+		activeParameterControlPanel = new parameterControlPanel(activeFractalRenderingScene);
+		if (getQueryParameterValue("debug") !== null) {
+			activeParameterControlPanel.setVisible(document.body, true);
+		}
+		
+		activePerformanceHud = new performanceHud(activeFractalRenderingScene);
+		if (getQueryParameterValue("hud") !== null) {
+			activePerformanceHud.setVisible(document.body, true);
+		}
+		
+		activeKioskModeController = new kioskModeController();
+		activeKioskModeController.setTargetScene(activeFractalRenderingScene);
+		activeKioskModeController.createButtonElement(document.body);
+		if (getQueryParameterValue("kiosk") === "1") {
+			activeKioskModeController.enter();
+		}
+		
+		document.addEventListener("keydown", onKeyDownHandler);
+	}
+	else {
+		console.log("Scene execution aborted - the tree shader program is unavailable");
+	}
+}
+
+/**
+ * Creates the main tree scene, and begins execution of the scene
+ *  timeline (also employed to restart execution with a new scene
+ *  after a failure - the previous sequencer and timeline scenes are
+ *  disposed)
+ */
+startSceneExecution = function() {
+	if (validateVar(activeSceneExecutionController)) {
+		activeSceneExecutionController.stop();
+	}
+	
+	if (validateVar(activeSceneSequencer)) {
+		activeSceneSequencer.dispose(true);
+	}
+	
 	var fractalRenderingScene = new mainFractalRenderingScene();
-	sceneExecution(fractalRenderingScene);
+	loadTreePresetsFromQueryParameter(fractalRenderingScene);
+	activeFractalRenderingScene = fractalRenderingScene;
+	
+	// Components that interact with the scene are redirected to the new scene.
+	var sceneClientList = [ activeParameterControlPanel, activePerformanceHud, activeKioskModeController ];
+	for (var clientLoop = 0; clientLoop < sceneClientList.length; clientLoop++) {
+		if (validateVar(sceneClientList[clientLoop])) {
+			sceneClientList[clientLoop].setTargetScene(fractalRenderingScene);
+		}
+	}
+	
+	activeSceneSequencer = new sceneSequencer(buildSceneTimeline(fractalRenderingScene), true);
+	activeSceneExecutionController = sceneExecution(activeSceneSequencer, onSceneExecutionError);
+}
+
+/**
+ * Scene execution error handler - restarts scene execution in kiosk
+ *  mode (execution remains stopped otherwise)
+ * @param executionError {Error} The exception that stopped execution
+ * @see sceneExecutionController
+ */
+onSceneExecutionError = function(executionError) {
+	if (validateVar(activeKioskModeController) && activeKioskModeController.isActive()) {
+		console.log("Restarting scene execution in " + Constants.kioskRestartDelayMs + " ms");
+		scheduleSceneRestart();
+	}
+}
+
+/**
+ * Stops scene execution, and schedules execution to be restarted with
+ *  a new scene after the kiosk restart delay
+ */
+scheduleSceneRestart = function() {
+	if (pendingSceneRestartTimeoutId === null) {
+		if (validateVar(activeSceneExecutionController)) {
+			activeSceneExecutionController.stop();
+		}
+		
+		pendingSceneRestartTimeoutId = window.setTimeout(function() {
+			pendingSceneRestartTimeoutId = null;
+			startSceneExecution();
+		}, Constants.kioskRestartDelayMs);
+	}
+}
+
+/**
+ * Cancels any pending scene execution restart
+ */
+cancelSceneRestart = function() {
+	if (pendingSceneRestartTimeoutId !== null) {
+		window.clearTimeout(pendingSceneRestartTimeoutId);
+		pendingSceneRestartTimeoutId = null;
+	}
+}
+
+/**
+ * WebGL context loss handler - stops scene execution until the context
+ *  has been restored
+ * @param contextEvent {WebGLContextEvent} Event that describes the context loss
+ */
+onWebGlContextLost = function(contextEvent) {
+	// The context will not be restored unless the default action is
+	// prevented.
+	contextEvent.preventDefault();
+	
+	cancelSceneRestart();
+	if (validateVar(activeSceneExecutionController)) {
+		activeSceneExecutionController.stop();
+	}
+	
+	if (activeFrameExporter !== null) {
+		activeFrameExporter.cancel();
+	}
+	
+	console.log("WebGL context lost - scene execution will resume after the context has been restored");
+}
+
+/**
+ * WebGL context restoration handler - re-creates all WebGL resources,
+ *  and restarts scene execution with a new scene (if the scene had been
+ *  started before the context was lost)
+ */
+onWebGlContextRestored = function() {
+	var mainCanvasContext = globalResources.getMainCanvasContext();
+	var overlayCanvasContext = globalResources.getOverlayCanvasContext();
+	
+	initializeWebGl(mainCanvasContext);
+	var overlayTexture = validateVar(overlayCanvasContext) ?
+		createTextureFromCanvas(mainCanvasContext, overlayCanvasContext.canvas, false) : null;
+	globalResources.setOverlayTexture(validateVar(overlayTexture) ? overlayTexture : null);
+	
+	if (validateVar(activeFractalRenderingScene)) {
+		globalResources.restoreWebGlResources();
+		if (globalResources.getNamedShaderProgram(globalResources.fractalTreeFragmentShaderName) !== null) {
+			startSceneExecution();
+		}
+		else {
+			console.log("Scene execution cannot be resumed - the tree shader program is unavailable");
+		}
+	}
+}
+
+/**
+ * Builds the frame export settings (the export constants, overridden by
+ *  the "exportSeconds", "exportFps", "exportWidth" and "exportHeight"
+ *  URL query parameters)
+ * @return {object} Export settings (durationMs, frameRate, width, height)
+ * @see frameExporter
+ */
+buildFrameExportSettings = function() {
+	function getPositiveQueryParameterNumber(parameterName, defaultValue) {
+		var parameterValue = parseFloat(getQueryParameterValue(parameterName));
+		return (isFinite(parameterValue) && (parameterValue > 0)) ? parameterValue : defaultValue;
+	}
+	
+	return {
+		durationMs: getPositiveQueryParameterNumber("exportSeconds", Constants.exportDurationMs / 1000.0) * 1000.0,
+		frameRate: getPositiveQueryParameterNumber("exportFps", Constants.exportFrameRate),
+		width: Math.round(getPositiveQueryParameterNumber("exportWidth", Constants.exportWidth)),
+		height: Math.round(getPositiveQueryParameterNumber("exportHeight", Constants.exportHeight))
+	};
+}
+
+/**
+ * Renders the scene offline from the beginning (using the current random
+ *  seed), and downloads the rendered frames - live execution is paused,
+ *  and the canvases are sized to the export resolution, for the duration
+ *  of the export
+ * @param exportFormat {string} Export format (frameExporter.formatPngSequence
+ *                              or frameExporter.formatWebm)
+ * @see frameExporter
+ */
+startFrameExport = function(exportFormat) {
+	var mainCanvasContext = globalResources.getMainCanvasContext();
+	var overlayCanvasContext = globalResources.getOverlayCanvasContext();
+	
+	if ((activeFrameExporter === null) && validateVar(mainCanvasContext) && validateVar(overlayCanvasContext)) {
+		var exportSettings = buildFrameExportSettings();
+		var exportScene = new mainFractalRenderingScene();
+		loadTreePresetsFromQueryParameter(exportScene);
+		activeFrameExporter = new frameExporter(exportScene, exportSettings);
+		
+		var resumeLiveExecution = validateVar(activeSceneExecutionController) &&
+			!activeSceneExecutionController.isPaused();
+		if (resumeLiveExecution) {
+			activeSceneExecutionController.pause();
+		}
+		
+		cancelSceneRestart();
+		if (validateVar(activeCanvasLayoutController)) {
+			activeCanvasLayoutController.setLayoutSuspended(true);
+		}
+		
+		// The overlay is rendered at the export resolution (the scene
+		// positions the overlay content when the scene is initialized).
+		var exportWidth = exportSettings.width;
+		var exportHeight = exportSettings.height;
+		if (isWebGlContext(mainCanvasContext)) {
+			var maxViewportDimensions = mainCanvasContext.getParameter(mainCanvasContext.MAX_VIEWPORT_DIMS);
+			exportWidth = Math.min(exportWidth, maxViewportDimensions[0]);
+			exportHeight = Math.min(exportHeight, maxViewportDimensions[1]);
+		}
+		
+		mainCanvasContext.canvas.width = exportWidth;
+		mainCanvasContext.canvas.height = exportHeight;
+		overlayCanvasContext.canvas.width = exportWidth;
+		overlayCanvasContext.canvas.height = exportHeight;
+		if (isWebGlContext(mainCanvasContext)) {
+			mainCanvasContext.viewport(0, 0, exportWidth, exportHeight);
+			var overlayTexture = globalResources.getOverlayTexture();
+			if (overlayTexture !== null) {
+				updateDynamicTextureWithCanvas(mainCanvasContext, overlayTexture, overlayCanvasContext.canvas);
+			}
+		}
+		
+		var progressBarElementController = new progressElementController();
+		progressBarElementController.createProgressElement(mainDiv, Constants.progressElementWidth);
+		activeFrameExporter.setProgressFunction(function(progressFraction) {
+			progressBarElementController.updateProgressElement(progressFraction);
+		});
+		
+		console.log("Exporting " + activeFrameExporter.getFrameCount() + " frames (" + exportWidth + "x" +
+			exportHeight + ") - press Escape to cancel");
+		activeFrameExporter.exportFrames(exportFormat).then(function(exportData) {
+			var exportFileName = "HappyHolidays2017-" + exportScene.getRandomSeed() +
+				((exportFormat === frameExporter.formatWebm) ? ".webm" : "-frames.zip");
+			downloadDataAsFile(exportData, exportFileName, exportData.type);
+		}, function(exportError) {
+			console.log("Frame export failed: " + exportError.message);
+		}).then(function() {
+			progressBarElementController.removeProgressElementFromDom();
+			activeFrameExporter = null;
+			exportScene.dispose();
+			
+			// Restore the window-sized canvases, and the live scene.
+			if (validateVar(activeCanvasLayoutController)) {
+				activeCanvasLayoutController.setLayoutSuspended(false);
+			}
+			
+			if (resumeLiveExecution) {
+				activeSceneExecutionController.resume();
+			}
+		});
+	}
+}
+
+/**
+ * Renders the current state of the live scene as a high-resolution
+ *  postcard (the resolution is specified by the postcard constants,
+ *  overridden by the "postcardWidth" and "postcardHeight" URL query
+ *  parameters), and downloads the postcard as a PNG image
+ * @see postcardComposer
+ */
+savePostcard = function() {
+	if ((activeFrameExporter === null) && validateVar(activeFractalRenderingScene)) {
+		var postcardWidth = parseInt(getQueryParameterValue("postcardWidth"), 10);
+		var postcardHeight = parseInt(getQueryParameterValue("postcardHeight"), 10);
+		postcardWidth = (isFinite(postcardWidth) && (postcardWidth > 0)) ? postcardWidth : Constants.postcardWidth;
+		postcardHeight = (isFinite(postcardHeight) && (postcardHeight > 0)) ? postcardHeight : Constants.postcardHeight;
+		
+		var postcardCanvas = null;
+		try {
+			postcardCanvas = new postcardComposer(activeFractalRenderingScene).composePostcard(postcardWidth,
+				postcardHeight);
+		}
+		catch (postcardError) {
+			console.log("Unable to render the postcard: " + postcardError.message);
+		}
+		
+		// Tiled rendering resizes (and erases) the main canvas.
+		onCanvasLayoutChanged();
+		
+		if (postcardCanvas !== null) {
+			var postcardFileName = "HappyHolidays2017-Postcard-" + activeFractalRenderingScene.getRandomSeed() + ".png";
+			postcardCanvas.toBlob(function(postcardBlob) {
+				if (validateVar(postcardBlob)) {
+					downloadDataAsFile(postcardBlob, postcardFileName, "image/png");
+				}
+				else {
+					console.log("Unable to encode the postcard image (the postcard resolution may be too large)");
+				}
+			}, "image/png");
+		}
+	}
+}
+
+/**
+ * Loads tree presets into a scene from a preset file, if a preset
+ *  file has been specified using the "presets" URL query parameter
+ * @param fractalRenderingScene {mainFractalRenderingScene} Scene into which
+ *                                                          the presets will
+ *                                                          be loaded
+ */
+loadTreePresetsFromQueryParameter = function(fractalRenderingScene) {
+	var presetFileSpecification = getQueryParameterValue("presets");
+	if (validateVar(presetFileSpecification) && (presetFileSpecification.length > 0)) {
+		// The preset file is loaded during initialization (tree variants will be
+		// randomly generated if the presets cannot be loaded).
+		var presetFileData = globalResources.getLoadedResource(presetFileSpecification);
+		if (presetFileData !== null) {
+			try {
+				fractalRenderingScene.loadTreePresets(presetFileData);
+			}
+			catch (presetError) {
+				console.log("Unable to load tree presets from " + presetFileSpecification + ": " +
+					presetError.message);
+			}
+		}
+		else {
+			console.log("Unable to load tree presets from " + presetFileSpecification);
+		}
+	}
+}
+
+/**
+ * Keyboard handler - "S" saves the current tree variant as a tree
+ *  preset file, "D" toggles the display of the parameter control
+ *  panel, "H" toggles the display of the frame rate/quality level,
+ *  "F" toggles the full-screen presentation (kiosk) mode, "P"
+ *  pauses/resumes scene execution, "." advances a paused scene by
+ *  a single frame, "E" exports the scene as a PNG sequence (ZIP
+ *  archive), "V" exports the scene as a WebM video, "C" saves a
+ *  postcard image (only Escape, which cancels the export, is
+ *  processed during an export)
+ * @param keyboardEvent {KeyboardEvent} Event that describes the key press
+ */
+onKeyDownHandler = function(keyboardEvent) {
+	if (validateVar(activeFractalRenderingScene) && !keyboardEvent.ctrlKey &&
+		!keyboardEvent.altKey && !keyboardEvent.metaKey) {
+			
+		var pressedKey = keyboardEvent.key.toUpperCase();
+		if (activeFrameExporter !== null) {
+			// The live scene is not modified during an export.
+			if (pressedKey === "ESCAPE") {
+				activeFrameExporter.cancel();
+			}
+		}
+		else if (pressedKey === "S") {
+			downloadDataAsFile(activeFractalRenderingScene.exportCurrentTreePresetJson(),
+				"TreePreset-" + activeFractalRenderingScene.getRandomSeed() + ".json",
+				"application/json");
+		}
+		else if ((pressedKey === "D") && validateVar(activeParameterControlPanel)) {
+			activeParameterControlPanel.toggleVisibility(document.body);
+		}
+		else if ((pressedKey === "H") && validateVar(activePerformanceHud)) {
+			activePerformanceHud.toggleVisibility(document.body);
+		}
+		else if ((pressedKey === "F") && validateVar(activeKioskModeController)) {
+			activeKioskModeController.toggle();
+		}
+		else if ((pressedKey === "P") && validateVar(activeSceneExecutionController)) {
+			if (activeSceneExecutionController.isPaused()) {
+				activeSceneExecutionController.resume();
+			}
+			else {
+				activeSceneExecutionController.pause();
+			}
+		}
+		else if ((pressedKey === ".") && validateVar(activeSceneExecutionController) &&
+			activeSceneExecutionController.isPaused()) {
+			
+			activeSceneExecutionController.step(activeSceneExecutionController.constDefaultTimeQuantumMs);
+		}
+		else if (pressedKey === "E") {
+			startFrameExport(frameExporter.formatPngSequence);
+		}
+		else if (pressedKey === "V") {
+			if (frameExporter.isWebmExportSupported()) {
+				startFrameExport(frameExporter.formatWebm);
+			}
+			else {
+				console.log("WebM export is not supported by this browser");
+			}
+		}
+		else if (pressedKey === "C") {
+			savePostcard();
+		}
+	}
 }
 
 /**
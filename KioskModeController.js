@@ -0,0 +1,289 @@
+// KioskModeController.js - Unattended presentation ("kiosk") mode - displays
+//                          the scene full-screen, hides the idle cursor,
+//                          cycles tree variants indefinitely and shifts the
+//                          tree position periodically (prevents burn-in)
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//  -MainFractalRenderingScene.js
+//
+// Browsers only permit full-screen display in response to a user gesture -
+// if kiosk mode is entered without a gesture (e.g., via a URL query
+// parameter), full-screen display is requested again upon the next click.
+// Leaving full-screen display (e.g., via the Escape key) after full-screen
+// display has been established also ends kiosk mode.
+
+function kioskModeController() {
+	// Scene presented in kiosk mode.
+	this.targetScene = null;
+	
+	this.kioskModeActive = false;
+	
+	// Indicates that full-screen display was established during the current
+	// kiosk mode session.
+	this.fullscreenEstablished = false;
+	
+	// Button used to enter kiosk mode (hidden while kiosk mode is active).
+	this.buttonElement = null;
+	
+	this.cursorHideTimeoutId = null;
+	this.burnInShiftIntervalId = null;
+	
+	var kioskController = this;
+	this.mouseMoveHandler = function() {
+		kioskController.onMouseMove();
+	};
+	this.clickHandler = function() {
+		kioskController.onClick();
+	};
+	this.fullscreenChangeHandler = function() {
+		kioskController.onFullscreenChange();
+	};
+	
+	document.addEventListener("fullscreenchange", this.fullscreenChangeHandler);
+	document.addEventListener("webkitfullscreenchange", this.fullscreenChangeHandler);
+}
+
+/**
+ * Sets the scene presented in kiosk mode (kiosk settings are applied
+ *  immediately if kiosk mode is active)
+ * @param targetScene {mainFractalRenderingScene} The scene
+ */
+kioskModeController.prototype.setTargetScene = function(targetScene) {
+	this.targetScene = targetScene;
+	
+	if (this.kioskModeActive) {
+		this.applySceneSettings();
+	}
+}
+
+/**
+ * Creates the button that is used to enter kiosk mode, and inserts the
+ *  button into the DOM
+ * @param parentElement {HTMLElement} The element that will contain the button
+ */
+kioskModeController.prototype.createButtonElement = function(parentElement) {
+	if (validateVar(parentElement) && !validateVar(this.buttonElement)) {
+		this.buttonElement = document.createElement("button");
+		this.buttonElement.textContent = "Presentation mode";
+		this.buttonElement.setAttribute("style", "position: fixed; bottom: 10px; right: 10px; padding: 4px 8px; " +
+			"background-color: rgba(0, 0, 0, 0.5); color: #c0c0c0; font: 12px Arial; " +
+			"border: 1px solid #606060; z-index: 10");
+		
+		var kioskController = this;
+		this.buttonElement.addEventListener("click", function(clickEvent) {
+			// The click must not be interpreted as a full-screen retry request.
+			clickEvent.stopPropagation();
+			kioskController.enter();
+		});
+		
+		this.buttonElement.style.display = this.kioskModeActive ? "none" : "block";
+		parentElement.appendChild(this.buttonElement);
+	}
+}
+
+/**
+ * Determines whether or not kiosk mode is active
+ * @return {boolean} True if kiosk mode is active
+ */
+kioskModeController.prototype.isActive = function() {
+	return this.kioskModeActive;
+}
+
+/**
+ * Enters kiosk mode
+ */
+kioskModeController.prototype.enter = function() {
+	if (!this.kioskModeActive) {
+		this.kioskModeActive = true;
+		this.fullscreenEstablished = this.isFullscreen();
+		
+		if (validateVar(this.buttonElement)) {
+			this.buttonElement.style.display = "none";
+		}
+		
+		document.addEventListener("mousemove", this.mouseMoveHandler);
+		document.addEventListener("click", this.clickHandler);
+		this.scheduleCursorHide();
+		
+		var kioskController = this;
+		this.burnInShiftIntervalId = window.setInterval(function() {
+			kioskController.shiftTreePosition();
+		}, Constants.kioskBurnInShiftIntervalMs);
+		
+		this.applySceneSettings();
+		this.requestFullscreen();
+	}
+}
+
+/**
+ * Leaves kiosk mode
+ */
+kioskModeController.prototype.exit = function() {
+	if (this.kioskModeActive) {
+		this.kioskModeActive = false;
+		
+		if (validateVar(this.buttonElement)) {
+			this.buttonElement.style.display = "block";
+		}
+		
+		document.removeEventListener("mousemove", this.mouseMoveHandler);
+		document.removeEventListener("click", this.clickHandler);
+		this.showCursor();
+		
+		if (this.burnInShiftIntervalId !== null) {
+			window.clearInterval(this.burnInShiftIntervalId);
+			this.burnInShiftIntervalId = null;
+		}
+		
+		if (validateVar(this.targetScene)) {
+			this.targetScene.setTreeDisplayOffset(0.0, 0.0);
+		}
+		
+		if (this.isFullscreen()) {
+			this.exitFullscreen();
+		}
+	}
+}
+
+/**
+ * Toggles kiosk mode
+ */
+kioskModeController.prototype.toggle = function() {
+	if (this.kioskModeActive) {
+		this.exit();
+	}
+	else {
+		this.enter();
+	}
+}
+
+/**
+ * Applies the kiosk mode settings to the scene (tree variants and palettes
+ *  are cycled indefinitely)
+ */
+kioskModeController.prototype.applySceneSettings = function() {
+	if (validateVar(this.targetScene)) {
+		this.targetScene.setVariantCyclingFrozen(false);
+		this.targetScene.setPaletteCyclingEnabled(true);
+	}
+}
+
+/**
+ * Moves the tree to a new, randomly-selected position near the default
+ *  position
+ */
+kioskModeController.prototype.shiftTreePosition = function() {
+	if (validateVar(this.targetScene)) {
+		this.targetScene.setTreeDisplayOffset(
+			getRangedRandomValue(-Constants.kioskBurnInMaxOffset, Constants.kioskBurnInMaxOffset),
+			getRangedRandomValue(-Constants.kioskBurnInMaxOffset, Constants.kioskBurnInMaxOffset));
+	}
+}
+
+/**
+ * Determines whether or not the document is being displayed full-screen
+ * @return {boolean} True if the document is being displayed full-screen
+ */
+kioskModeController.prototype.isFullscreen = function() {
+	return validateVar(document.fullscreenElement) || validateVar(document.webkitFullscreenElement);
+}
+
+/**
+ * Requests full-screen display of the document (the request is ignored by
+ *  the browser unless the request is made in response to a user gesture)
+ */
+kioskModeController.prototype.requestFullscreen = function() {
+	var documentElement = document.documentElement;
+	var requestResult = null;
+	
+	if (typeof(documentElement.requestFullscreen) === "function") {
+		requestResult = documentElement.requestFullscreen();
+	}
+	else if (typeof(documentElement.webkitRequestFullscreen) === "function") {
+		documentElement.webkitRequestFullscreen();
+	}
+	
+	// Refused requests are re-attempted upon the next click.
+	if (validateVar(requestResult) && (typeof(requestResult.catch) === "function")) {
+		requestResult.catch(function(fullscreenError) {
+			console.log("Full-screen display is unavailable (click to retry): " + fullscreenError.message);
+		});
+	}
+}
+
+/**
+ * Ends full-screen display of the document
+ */
+kioskModeController.prototype.exitFullscreen = function() {
+	var exitResult = null;
+	
+	if (typeof(document.exitFullscreen) === "function") {
+		exitResult = document.exitFullscreen();
+	}
+	else if (typeof(document.webkitExitFullscreen) === "function") {
+		document.webkitExitFullscreen();
+	}
+	
+	if (validateVar(exitResult) && (typeof(exitResult.catch) === "function")) {
+		exitResult.catch(function() {});
+	}
+}
+
+/**
+ * Full-screen change handler - ends kiosk mode when full-screen display
+ *  has been ended by the user
+ */
+kioskModeController.prototype.onFullscreenChange = function() {
+	if (this.isFullscreen()) {
+		this.fullscreenEstablished = this.kioskModeActive;
+	}
+	else if (this.kioskModeActive && this.fullscreenEstablished) {
+		this.exit();
+	}
+}
+
+/**
+ * Click handler - re-attempts full-screen display, if full-screen display
+ *  has not been established
+ */
+kioskModeController.prototype.onClick = function() {
+	if (this.kioskModeActive && !this.isFullscreen()) {
+		this.requestFullscreen();
+	}
+}
+
+/**
+ * Mouse movement handler - displays the cursor until the mouse has been
+ *  idle for the cursor hide delay
+ */
+kioskModeController.prototype.onMouseMove = function() {
+	this.showCursor();
+	this.scheduleCursorHide();
+}
+
+/**
+ * Schedules the cursor to be hidden after the cursor hide delay
+ */
+kioskModeController.prototype.scheduleCursorHide = function() {
+	if (this.cursorHideTimeoutId !== null) {
+		window.clearTimeout(this.cursorHideTimeoutId);
+	}
+	
+	this.cursorHideTimeoutId = window.setTimeout(function() {
+		document.body.style.cursor = "none";
+	}, Constants.kioskCursorHideDelayMs);
+}
+
+/**
+ * Displays the cursor, cancelling any scheduled hiding of the cursor
+ */
+kioskModeController.prototype.showCursor = function() {
+	if (this.cursorHideTimeoutId !== null) {
+		window.clearTimeout(this.cursorHideTimeoutId);
+		this.cursorHideTimeoutId = null;
+	}
+	
+	document.body.style.cursor = "";
+}
@@ -7,12 +7,70 @@
 //  -GlobalResources.js
 //  -InternalConstants.js
 //  -TextScroller.js
+//  -SeededRandomNumberGenerator.js
+//  -TreePreset.js
+//  -WindImpulseController.js
+//  -TreeGeometry.js
+//  -TreeDecorations.js
+//  -PointSpriteRenderer.js
+//  -Canvas2dTreeRenderer.js
+//  -Snowfall.js
+//  -TreeTopper.js
+//  -TreeForest.js
+//  -ColorPalette.js
+//  -AdaptiveQualityController.js
 
 function mainFractalRenderingScene() {
+	// Branching configuration compiled into the fractal shader - the tree
+	// geometry (Canvas 2D rendering, decoration placement) must employ the
+	// same configuration.
+	var branchingConfiguration = globalResources.getFractalTreeBranchingConfiguration();
+	treeGeometry.setBranchingConfiguration(branchingConfiguration.subBranchesPerHostBranch,
+		branchingConfiguration.maxRecursionDepth);
 	
+	// Tree depth limits imposed by the fractal shader (tree presets
+	// are validated against these limits).
+	this.constMinSupportedTreeDepth = 1;
+	this.constMaxSupportedTreeDepth = branchingConfiguration.maxRecursionDepth;
+	
+	// Presets that will be cycled in order to produce tree variants
+	// (tree variants are randomly generated if no presets have been
+	// loaded).
+	this.treePresetList = [];
+	this.currentTreePresetIndex = 0;
+	
+	// When set, the current tree variant is displayed indefinitely
+	// (new variants are not generated).
+	this.variantCyclingFrozen = false;
+	
+	// When set, each new tree variant blends to the next palette theme
+	// (retained across scene initialization).
+	this.paletteCyclingEnabled = Constants.paletteCyclingEnabled;
+	
+	// Displacement of the scene within the tree coordinate space - the
+	// displacement gradually approaches the target displacement.
+	this.treeDisplayOffset = [ 0.0, 0.0 ];
+	this.targetTreeDisplayOffset = [ 0.0, 0.0 ];
+	this.constTreeDisplayOffsetRatePerMs = 0.00001;
+	
+	// Frame time monitor that adjusts the rendering quality (tree render
+	// resolution, scroller update rate and maximum tree depth).
+	this.qualityController = new adaptiveQualityController();
 }
 
-mainFractalRenderingScene.prototype.initialize = function () {
+/**
+ * Initializes the scene (prepares the scene for execution)
+ * @param gestureInputDisabled {boolean} Optional - when set to true, mouse
+ *                                       drag/touch swipe gestures over the
+ *                                       main canvas do not affect the scene
+ *                                       (e.g., for offline rendering, which
+ *                                       must be reproducible)
+ */
+mainFractalRenderingScene.prototype.initialize = function (gestureInputDisabled) {
+	// Resources retained from a previous initialization are released
+	// (re-initialization must not accumulate event handlers or WebGL
+	// resources).
+	this.dispose();
 	
 	this.totalElapsedSceneTimeMs = 0.0;
 	this.currentSceneRunningTimeMs = 0.0;
@@ -53,6 +111,10 @@ mainFractalRenderingScene.prototype.initialize = function () {
 		1.0, 1.0
 	];
 	
+	// Tile transform used when the complete image is rendered in a
+	// single pass (see renderStillImage(...)).
+	this.constFullImageTileTransform = [ 0.0, 0.0, 1.0, 1.0 ];
+	
 	this.vertexSize = 3;
 	this.textureCoordinateSize = 2;
 	this.imageQuadVertexCount = 4;
@@ -61,19 +123,30 @@ mainFractalRenderingScene.prototype.initialize = function () {
 	this.imageVertexTextureCoordinateBuffer = null;
 
 	var webGlCanvasContext = globalResources.getMainCanvasContext();
-	webGlCanvasContext.clearColor(0.0, 0.0, 0.0, 1.0);
 	
-	// Create the WebGL buffer for the image display geometry
-	// (vertices).
-	this.imageQuadVertexBuffer = webGlCanvasContext.createBuffer();
-	webGlCanvasContext.bindBuffer(webGlCanvasContext.ARRAY_BUFFER, this.imageQuadVertexBuffer);
-	webGlCanvasContext.bufferData(webGlCanvasContext.ARRAY_BUFFER, new Float32Array(this.imageQuadVertices), webGlCanvasContext.STATIC_DRAW);
+	// The scene is rendered using a Canvas 2D context when WebGL is
+	// unavailable.
+	this.canvas2dRenderer = isWebGlContext(webGlCanvasContext) ? null : new canvas2dTreeRenderer();
+	
+	// Renderer used to draw sprites onto still images (created upon first
+	// use - see renderStillImage(...)).
+	this.stillImageSpriteRenderer = null;
 	
-	// Create the WebGL buffer for the per-vertex texture
-	// coordinates.
-	this.imageVertexTextureCoordinateBuffer = webGlCanvasContext.createBuffer();
-	webGlCanvasContext.bindBuffer(webGlCanvasContext.ARRAY_BUFFER, this.imageVertexTextureCoordinateBuffer);
-	webGlCanvasContext.bufferData(webGlCanvasContext.ARRAY_BUFFER, new Float32Array(this.imageVertexTextureCoordinates), webGlCanvasContext.STATIC_DRAW);
+	if (this.canvas2dRenderer === null) {
+		webGlCanvasContext.clearColor(0.0, 0.0, 0.0, 1.0);
+		
+		// Create the WebGL buffer for the image display geometry
+		// (vertices).
+		this.imageQuadVertexBuffer = webGlCanvasContext.createBuffer();
+		webGlCanvasContext.bindBuffer(webGlCanvasContext.ARRAY_BUFFER, this.imageQuadVertexBuffer);
+		webGlCanvasContext.bufferData(webGlCanvasContext.ARRAY_BUFFER, new Float32Array(this.imageQuadVertices), webGlCanvasContext.STATIC_DRAW);
+		
+		// Create the WebGL buffer for the per-vertex texture
+		// coordinates.
+		this.imageVertexTextureCoordinateBuffer = webGlCanvasContext.createBuffer();
+		webGlCanvasContext.bindBuffer(webGlCanvasContext.ARRAY_BUFFER, this.imageVertexTextureCoordinateBuffer);
+		webGlCanvasContext.bufferData(webGlCanvasContext.ARRAY_BUFFER, new Float32Array(this.imageVertexTextureCoordinates), webGlCanvasContext.STATIC_DRAW);
+	}
 	
 	// Current value that is used to alter the length of the tree
 	// trunk.
@@ -94,6 +167,11 @@ mainFractalRenderingScene.prototype.initialize = function () {
 	// Duration of the branch growth phase (milliseconds)
 	this.constBranchGrowthPhaseDuration = 3000.0;
 	
+	// Growth phase durations for the current tree variant
+	// (milliseconds)
+	this.currentTrunkGrowthPhaseDuration = this.constTrunkGrowthPhaseDuration;
+	this.currentBranchGrowthPhaseDuration = this.constBranchGrowthPhaseDuration;
+	
 	// Inter-depth scaling factor - branches are
 	// scaled by a random value within this range
 	// during each depth iteration in order to reduce
@@ -148,10 +226,113 @@ mainFractalRenderingScene.prototype.initialize = function () {
 	
 	this.secondSinePhaseShift = 0.0;
 	
-	this.constMinTreeDepth = 2;
-	this.constMaxTreeDepth = 3;
+	// Mouse drag/touch swipe gestures over the canvas "blow" on the
+	// tree - the resulting impulse is combined with the ambient wind.
+	this.windImpulseController = new windImpulseController((gestureInputDisabled === true) ? null :
+		webGlCanvasContext.canvas);
+	
+	// Ornaments and lights, attached to the branch tips.
+	this.treeDecorations = new treeDecorations();
+	this.decorationsEnabled = Constants.decorationsEnabled;
+	
+	// Topper attached to the apex of the trunk.
+	this.treeTopper = new treeTopper();
+	
+	this.pointSpriteRenderer = new pointSpriteRenderer();
+	if (this.canvas2dRenderer === null) {
+		this.pointSpriteRenderer.initialize(webGlCanvasContext);
+	}
+	
+	// Range of randomly-generated tree depths (derived from the maximum
+	// depth supported by the fractal shader).
+	this.constMaxTreeDepth = this.constMaxSupportedTreeDepth;
+	this.constMinTreeDepth = Math.max(this.constMinSupportedTreeDepth, this.constMaxTreeDepth - 1);
 	this.currentTreeDepth = this.constMinTreeDepth;
 	
+	// Name of the URL query parameter that can be used to specify
+	// the random seed.
+	this.constSeedQueryParameterName = "seed";
+	
+	// All random tree/wind variant properties are generated using
+	// a seeded generator, such that a specific sequence of trees
+	// can be reproduced using the seed.
+	this.randomNumberGenerator = new seededRandomNumberGenerator(this.determineInitialRandomSeed());
+	
+	// Decoration layouts are generated using a separate generator (derived
+	// from the same seed), such that decorations do not alter the sequence
+	// of tree variants.
+	this.constDecorationSeedMask = 0x9E3779B9;
+	this.decorationRandomNumberGenerator = new seededRandomNumberGenerator(
+		(this.getRandomSeed() ^ this.constDecorationSeedMask) >>> 0);
+	
+	// Falling snow, which drifts with the wind (the snowfall also employs
+	// a separate generator).
+	this.constSnowfallSeedMask = 0x85EBCA6B;
+	this.snowfall = new snowfall(new seededRandomNumberGenerator(
+		(this.getRandomSeed() ^ this.constSnowfallSeedMask) >>> 0));
+	this.snowfallSpriteList = [];
+	
+	// Forest trees rendered behind the foreground tree (forest layouts
+	// also employ a separate generator).
+	this.constForestQueryParameterName = "forest";
+	this.constForestSeedMask = 0xC2B2AE35;
+	this.forestRandomNumberGenerator = new seededRandomNumberGenerator(
+		(this.getRandomSeed() ^ this.constForestSeedMask) >>> 0);
+	this.treeForest = new treeForest(this.determineForestTreeCount(), Constants.forestLayout);
+	
+	// Palette used to color the trunk, branches and background - palette
+	// changes are blended over the lifetime of a tree variant.
+	this.constPaletteQueryParameterName = "palette";
+	this.currentPalette = colorPalette.themeList[0];
+	this.paletteAnimationSource = this.currentPalette;
+	this.paletteAnimationTarget = this.currentPalette;
+	this.paletteAnimationElapsedTimeMs = 0.0;
+	this.paletteAnimationDurationMs = 0.0;
+	this.setPalette(this.determineInitialPaletteName(), false);
+	
+	// Position/dimensions of the random seed indicator (the seed is
+	// displayed in order to permit a specific tree sequence to be
+	// shared).
+	this.constSeedIndicatorCoordX = 10;
+	this.constSeedIndicatorCoordY = 10;
+	this.constSeedIndicatorWidth = 240;
+	this.constSeedIndicatorUnitAlpha = 0.5;
+	this.seedIndicatorTextColor = new rgbColor(1.0, 1.0, 1.0, 1.0);
+	
+	// Tree variant transition styles - when a new tree variant is
+	// generated, the previous tree is captured into a texture, and is
+	// faded out, shrunk back towards the trunk base, or wiped away
+	// while the new tree variant grows (these values are interpreted
+	// by the fractal shader).
+	this.constVariantTransitionStyleNone = 0;
+	this.constVariantTransitionStyleFade = 1;
+	this.constVariantTransitionStyleShrink = 2;
+	this.constVariantTransitionStyleWipe = 3;
+	
+	this.variantTransitionStyle = this.constVariantTransitionStyleNone;
+	this.variantTransitionDurationMs = 0.0;
+	this.setVariantTransition(Constants.variantTransitionStyle, Constants.variantTransitionDurationMs);
+	
+	// Time elapsed since the start of the current variant transition
+	// (milliseconds).
+	this.variantTransitionElapsedTimeMs = 0.0;
+	
+	// Render target that receives the final image of the previous tree
+	// variant (a canvas receives the image when the scene is rendered
+	// using a Canvas 2D context).
+	this.previousVariantRenderTarget = null;
+	this.previousVariantCanvas = null;
+	this.previousVariantCaptured = false;
+	
+	// Texture unit used to sample the previous tree variant image.
+	this.constPreviousVariantTextureUnitIndex = 4;
+	
+	// Render target that receives the tree at a reduced resolution (as
+	// determined by the quality controller) - the render target is
+	// upscaled to the canvas resolution.
+	this.reducedResolutionRenderTarget = null;
+	this.constUpscaleTextureUnitIndex = 5;
+	
 	// Background color for the scroller section.
 	this.scrollerBackgroundColor = new rgbColor(
 		Constants.scrollerBackgroundUnitIntensity,
@@ -159,14 +340,15 @@ mainFractalRenderingScene.prototype.initialize = function () {
 		Constants.scrollerBackgroundUnitIntensity,		
 		Constants.scrollerBackgroundUnitAlpha);
 		
-	// Position at which the scroller should be displayed.
+	// Position at which the scroller should be displayed (the vertical
+	// position depends upon the overlay canvas height).
 	this.constScrollerOffsetFromBottom = 100;
 	this.scrollerCoordX = 0;
-	this.scrollerCoordY = Constants.overlayTextureHeight - this.constScrollerOffsetFromBottom;
+	this.scrollerCoordY = 0;
 	
 	// Initialize the message scroller instance
 	this.messageScroller = new textScroller(Constants.scrollerFontSizePx, Constants.scrollerFont, Constants.scrollerFontStyle);
-	this.messageScroller.setSourceString(Constants.messageText);
+	this.messageScroller.setSourceString(globalResources.getMessageText());
 	
 	// Scroller states - lead-in in is the delay before any of the scroller is displayed,
 	// fade in is the period where the background fades-in in, and the text display
@@ -188,12 +370,67 @@ mainFractalRenderingScene.prototype.initialize = function () {
 	this.constScrollerStateFadeInTime = 3000;
 	
 	// Display update interval at which the scroller will be
-	// updated
-	this.constTextScrollerUpdateInterval = 2;
+	// updated (adjusted by the quality controller)
+	this.textScrollerUpdateInterval = this.qualityController.getQualityLevel().scrollerUpdateInterval;
 	
 	// Current scroller update interval count (updating the scroller on each frame
 	// can degrade performance).
 	this.textScrollerIntervalCount = 0;
+	
+	this.updateOverlayLayout(globalResources.getOverlayCanvasContext());
+}
+
+/**
+ * Releases the resources held by the scene (gesture event handlers
+ *  registered with the main canvas, WebGL buffers and render targets) -
+ *  the scene must be initialized again before it is executed
+ */
+mainFractalRenderingScene.prototype.dispose = function() {
+	var webGlCanvasContext = globalResources.getMainCanvasContext();
+	
+	if (validateVar(this.windImpulseController)) {
+		this.windImpulseController.detach();
+	}
+	
+	if (isWebGlContext(webGlCanvasContext)) {
+		if (validateVar(this.imageQuadVertexBuffer)) {
+			webGlCanvasContext.deleteBuffer(this.imageQuadVertexBuffer);
+		}
+		
+		if (validateVar(this.imageVertexTextureCoordinateBuffer)) {
+			webGlCanvasContext.deleteBuffer(this.imageVertexTextureCoordinateBuffer);
+		}
+		
+		if (validateVar(this.pointSpriteRenderer)) {
+			this.pointSpriteRenderer.dispose(webGlCanvasContext);
+		}
+		
+		deleteRenderTarget(webGlCanvasContext, this.previousVariantRenderTarget);
+		deleteRenderTarget(webGlCanvasContext, this.reducedResolutionRenderTarget);
+	}
+	
+	this.imageQuadVertexBuffer = null;
+	this.imageVertexTextureCoordinateBuffer = null;
+	this.previousVariantRenderTarget = null;
+	this.previousVariantCaptured = false;
+	this.reducedResolutionRenderTarget = null;
+}
+
+/**
+ * Positions the overlay content (scroller, etc.) within the overlay
+ *  canvas - must be invoked after the overlay canvas has been resized
+ * @param overlayCanvasContext {CanvasRenderingContext2D} Context of the
+ *                                                        overlay canvas
+ */
+mainFractalRenderingScene.prototype.updateOverlayLayout = function(overlayCanvasContext) {
+	if (validateVar(overlayCanvasContext)) {
+		this.scrollerCoordY = Math.max(overlayCanvasContext.canvas.height - this.constScrollerOffsetFromBottom, 0);
+		this.messageScroller.updateLayout(overlayCanvasContext);
+		
+		// Resizing erases the overlay canvas - redraw the overlay during the
+		// next step.
+		this.textScrollerIntervalCount = this.textScrollerUpdateInterval;
+	}
 }
 
 /**
@@ -206,26 +443,131 @@ mainFractalRenderingScene.prototype.initialize = function () {
  */
 mainFractalRenderingScene.prototype.updateScenePropertiesAsNecessary = function(timeQuantum, targetCanvasContext) {
 	// Determine if the current image/transformation should be switched.
-	if ((this.currentSceneRunningTimeMs > this.constMaxSceneRunningTimeMs) || !this.firstIterationExecuted) {
+	if ((!this.variantCyclingFrozen && (this.currentSceneRunningTimeMs > this.constMaxSceneRunningTimeMs)) ||
+		!this.firstIterationExecuted) {
+		// Retain the image of the outgoing tree variant (if a variant has
+		// been displayed), in order to transition to the new variant.
+		this.previousVariantCaptured = (this.totalElapsedSceneTimeMs > 0.0) ?
+			this.capturePreviousVariant(targetCanvasContext) : false;
+		this.variantTransitionElapsedTimeMs = 0.0;
+		
 		this.currentSceneRunningTimeMs = 0.0;
 		this.currentGrowthPhase = this.constGrowthPhaseTrunk;
 		this.currentGrowthPhaseStateTime = 0.0;
 		this.currentTrunkLengthMultiplier = 0.0;
 		this.currentBranchLengthMultiplier = this.constMinBranchLengthMultiplier;
 		
-		this.generateNewTreeLengthFactors();
-		this.computeNewWindSineFactors();
-		this.generateRandomTreeDepth();
+		if (this.treePresetList.length > 0) {
+			this.applyTreePreset(this.treePresetList[this.currentTreePresetIndex]);
+			this.currentTreePresetIndex = (this.currentTreePresetIndex + 1) % this.treePresetList.length;
+		}
+		else {
+			this.generateNewTreeLengthFactors();
+			this.computeNewWindSineFactors();
+			this.generateRandomTreeDepth();
+			this.currentTrunkGrowthPhaseDuration = this.constTrunkGrowthPhaseDuration;
+			this.currentBranchGrowthPhaseDuration = this.constBranchGrowthPhaseDuration;
+			this.treeTopper.setStyle(Constants.topperStyle);
+			this.treeTopper.setColor(Constants.topperColor);
+		}
+		
+		// The decoration layout is generated for the variant depth (the
+		// maximum depth imposed by the quality controller is applied when
+		// the tree is rendered), such that the layout is determined by the
+		// random seed alone.
+		this.treeTopper.reset();
+		this.treeDecorations.generateLayout(this.decorationRandomNumberGenerator,
+			treeGeometry.getBranchTipCount(this.currentTreeDepth));
+		this.treeForest.generateLayout(this.forestRandomNumberGenerator, this.getTreeShapeLimits());
+		
+		if (this.paletteCyclingEnabled && (this.totalElapsedSceneTimeMs > 0.0)) {
+			this.setPalette(colorPalette.getNextTheme(this.paletteAnimationTarget.paletteName).paletteName, true);
+		}
 	}
 	
 	this.updateGrowthPhaseState(timeQuantum);
+	this.windImpulseController.updateImpulse(timeQuantum);
+	this.treeDecorations.update(timeQuantum);
+	this.treeTopper.update(timeQuantum, (this.currentGrowthPhase === this.constGrowthPhaseIdle));
+	this.snowfall.update(timeQuantum, this.computeWindFactor());
+	this.updateForest(timeQuantum);
+	this.updatePaletteAnimation(timeQuantum);
+	this.updateTreeDisplayOffset(timeQuantum);
 	
 	this.textScrollerIntervalCount++;
-	if (this.textScrollerIntervalCount > this.constTextScrollerUpdateInterval) {
+	if (this.textScrollerIntervalCount > this.textScrollerUpdateInterval) {
 		this.textScrollerIntervalCount = 0;
 	}
 }
 
+/**
+ * Records the time spent executing a scene step (invoked during continuous
+ *  execution only), and applies the quality level determined by the
+ *  quality controller
+ * @param stepDurationMs {number} Time spent executing the step (milliseconds)
+ * @param timeQuantum {number} Time delta with respect to the previously-executed
+ *                             animation step (milliseconds)
+ * @see adaptiveQualityController
+ * @see sceneExecutionController
+ */
+mainFractalRenderingScene.prototype.recordStepDuration = function(stepDurationMs, timeQuantum) {
+	this.qualityController.recordFrameTime(stepDurationMs, timeQuantum);
+	this.textScrollerUpdateInterval = this.qualityController.getQualityLevel().scrollerUpdateInterval;
+}
+
+/**
+ * Retrieves the maximum tree depth permitted by the current quality
+ *  level
+ * @return {number} The maximum tree depth
+ */
+mainFractalRenderingScene.prototype.getQualityTreeDepthLimit = function() {
+	return Math.max(this.constMinSupportedTreeDepth, this.constMaxSupportedTreeDepth -
+		this.qualityController.getQualityLevel().treeDepthReduction);
+}
+
+/**
+ * Retrieves the depth at which the current tree variant is rendered (the
+ *  variant depth, limited by the current quality level)
+ * @return {number} The rendered tree depth
+ */
+mainFractalRenderingScene.prototype.getRenderedTreeDepth = function() {
+	return Math.min(this.currentTreeDepth, this.getQualityTreeDepthLimit());
+}
+
+/**
+ * Retrieves the controller that adjusts the rendering quality
+ * @return {adaptiveQualityController} The quality controller
+ */
+mainFractalRenderingScene.prototype.getQualityController = function() {
+	return this.qualityController;
+}
+
+/**
+ * Sets the displacement of the scene within the tree coordinate space
+ *  (the scene gradually moves to the new position)
+ * @param offsetX {number} Horizontal displacement
+ * @param offsetY {number} Vertical displacement
+ */
+mainFractalRenderingScene.prototype.setTreeDisplayOffset = function(offsetX, offsetY) {
+	this.targetTreeDisplayOffset[0] = returnValidNumOrZero(offsetX);
+	this.targetTreeDisplayOffset[1] = returnValidNumOrZero(offsetY);
+}
+
+/**
+ * Moves the scene displacement towards the target displacement
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ */
+mainFractalRenderingScene.prototype.updateTreeDisplayOffset = function(timeQuantum) {
+	var maxOffsetChange = this.constTreeDisplayOffsetRatePerMs * timeQuantum;
+	
+	for (var axisLoop = 0; axisLoop < this.treeDisplayOffset.length; axisLoop++) {
+		var offsetDelta = this.targetTreeDisplayOffset[axisLoop] - this.treeDisplayOffset[axisLoop];
+		this.treeDisplayOffset[axisLoop] += Math.max(-maxOffsetChange, Math.min(offsetDelta, maxOffsetChange));
+	}
+}
+
 /**
  * Updates/generates new values for the factors used to determine
  *  the time-parameterized tree sway "wind" value
@@ -241,6 +583,154 @@ mainFractalRenderingScene.prototype.computeNewWindSineFactors = function() {
 	this.secondSinePhaseShift = this.generateRandomValueInRange(this.constMaxSinePeriodPhaseShift, 0.0);
 }
 
+/**
+ * Determines the seed to be used for the random variant sequence - the
+ *  seed is retrieved from the page URL if it has been specified;
+ *  otherwise (including when the seed parameter is empty), a new seed is
+ *  generated and written to the page URL
+ * @return {number} The random seed value
+ */
+mainFractalRenderingScene.prototype.determineInitialRandomSeed = function() {
+	var seedSpecification = getQueryParameterValue(this.constSeedQueryParameterName);
+	var seedSpecified = validateVar(seedSpecification) && (seedSpecification.length > 0);
+	var seedValue = seedSpecified ?
+		seededRandomNumberGenerator.seedFromSpecification(seedSpecification) :
+		seededRandomNumberGenerator.generateArbitrarySeed();
+		
+	if (!seedSpecified) {
+		setQueryParameterValue(this.constSeedQueryParameterName, seedValue);
+	}
+	
+	return seedValue;
+}
+
+/**
+ * Determines the number of forest trees - the tree count is retrieved from
+ *  the page URL if it has been specified; otherwise, the configured tree
+ *  count is used
+ * @return {number} The number of forest trees
+ */
+mainFractalRenderingScene.prototype.determineForestTreeCount = function() {
+	var treeCountSpecification = getQueryParameterValue(this.constForestQueryParameterName);
+	var treeCount = validateVar(treeCountSpecification) && (treeCountSpecification.length > 0) ?
+		parseInt(treeCountSpecification, 10) : Constants.forestTreeCount;
+	
+	return isNaN(treeCount) ? Constants.forestTreeCount : treeCount;
+}
+
+/**
+ * Sets the number of forest trees rendered behind the foreground tree
+ *  (the forest is regenerated along with the next tree variant)
+ * @param treeCount {number} Number of forest trees (zero disables forest mode)
+ */
+mainFractalRenderingScene.prototype.setForestTreeCount = function(treeCount) {
+	this.treeForest.setTreeCount(treeCount);
+}
+
+/**
+ * Determines the initial palette theme - the theme is retrieved from the
+ *  page URL if it has been specified; otherwise, the configured theme is
+ *  used
+ * @return {string} The palette theme name
+ */
+mainFractalRenderingScene.prototype.determineInitialPaletteName = function() {
+	var paletteSpecification = getQueryParameterValue(this.constPaletteQueryParameterName);
+	
+	return (validateVar(paletteSpecification) && (colorPalette.getTheme(paletteSpecification) !== null)) ?
+		paletteSpecification : Constants.paletteName;
+}
+
+/**
+ * Switches to a named palette theme
+ * @param paletteName {string} Name of the palette theme
+ * @param animatePalette {boolean} When set to true, the current colors are
+ *                                 blended to the palette over the lifetime of
+ *                                 a tree variant; otherwise, the palette is
+ *                                 applied immediately
+ * @return {boolean} True if the palette theme exists
+ * @see colorPalette.themeList
+ */
+mainFractalRenderingScene.prototype.setPalette = function(paletteName, animatePalette) {
+	var targetPalette = colorPalette.getTheme(paletteName);
+	
+	if (targetPalette !== null) {
+		this.paletteAnimationSource = animatePalette ? this.currentPalette : targetPalette;
+		this.paletteAnimationTarget = targetPalette;
+		this.paletteAnimationElapsedTimeMs = 0.0;
+		this.paletteAnimationDurationMs = animatePalette ? this.constMaxSceneRunningTimeMs : 0.0;
+		this.currentPalette = this.paletteAnimationSource;
+	}
+	else {
+		console.log("Unknown palette theme: " + paletteName);
+	}
+	
+	return (targetPalette !== null);
+}
+
+/**
+ * Retrieves the name of the current palette theme (the theme towards
+ *  which the colors are blended, if a palette animation is in progress)
+ * @return {string} The palette theme name
+ */
+mainFractalRenderingScene.prototype.getPaletteName = function() {
+	return this.paletteAnimationTarget.paletteName;
+}
+
+/**
+ * Enables/disables palette theme cycling
+ * @param cyclingEnabled {boolean} When set to true, each new tree variant
+ *                                 blends to the next palette theme
+ */
+mainFractalRenderingScene.prototype.setPaletteCyclingEnabled = function(cyclingEnabled) {
+	this.paletteCyclingEnabled = (cyclingEnabled === true);
+}
+
+/**
+ * Advances the blend between palettes
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ */
+mainFractalRenderingScene.prototype.updatePaletteAnimation = function(timeQuantum) {
+	if (this.currentPalette !== this.paletteAnimationTarget) {
+		this.paletteAnimationElapsedTimeMs += timeQuantum;
+		
+		var blendFraction = (this.paletteAnimationDurationMs > 0.0) ?
+			Math.min(this.paletteAnimationElapsedTimeMs / this.paletteAnimationDurationMs, 1.0) : 1.0;
+		this.currentPalette = (blendFraction < 1.0) ?
+			this.paletteAnimationSource.blendWithPalette(this.paletteAnimationTarget, blendFraction) :
+			this.paletteAnimationTarget;
+	}
+}
+
+/**
+ * Restarts the random variant sequence using a specific seed (the
+ *  page URL is updated to reflect the seed)
+ * @param seedSpecification {string/number} The seed (or seed specification)
+ *                                           from which the sequence will
+ *                                           be generated
+ */
+mainFractalRenderingScene.prototype.setRandomSeed = function(seedSpecification) {
+	if (validateVar(seedSpecification)) {
+		this.randomNumberGenerator.setSeed(seedSpecification);
+		this.decorationRandomNumberGenerator.setSeed((this.getRandomSeed() ^ this.constDecorationSeedMask) >>> 0);
+		this.forestRandomNumberGenerator.setSeed((this.getRandomSeed() ^ this.constForestSeedMask) >>> 0);
+		this.snowfall.restart((this.getRandomSeed() ^ this.constSnowfallSeedMask) >>> 0);
+		setQueryParameterValue(this.constSeedQueryParameterName, seedSpecification);
+
+		// Force generation of a new tree variant.
+		this.firstIterationExecuted = false;
+	}
+}
+
+/**
+ * Retrieves the seed of the current random variant sequence
+ * @return {number} The random seed value
+ */
+mainFractalRenderingScene.prototype.getRandomSeed = function() {
+	return this.randomNumberGenerator.getSeed();
+}
+
 /**
  * Generates a random value that is situated in the specified
  *  numeric range.
@@ -255,7 +745,7 @@ mainFractalRenderingScene.prototype.generateRandomValueInRange = function(maxRan
 	var randomValueInRange = 0.0;
 	
 	if (validateVar(minRangeValue) && validateVar(maxRangeValue)) {
-		randomValueInRange = ((maxRangeValue - minRangeValue) * Math.random()) + minRangeValue;		
+		randomValueInRange = ((maxRangeValue - minRangeValue) * this.randomNumberGenerator.getNextUnitValue()) + minRangeValue;		
 	}
 	
 	return randomValueInRange;
@@ -271,6 +761,47 @@ mainFractalRenderingScene.prototype.generateNewTreeLengthFactors = function() {
 	this.currentMaxTreeLengthFraction = this.generateRandomValueInRange(this.constMaxTreeLevelHighLengthFraction, this.constMinTreeLevelHighLengthFraction);
 }
 
+/**
+ * Retrieves the limits used to generate random tree shapes (forest trees
+ *  are generated within the same limits as the foreground tree)
+ * @return {object} Tree shape limits
+ * @see treeForest.generateLayout
+ */
+mainFractalRenderingScene.prototype.getTreeShapeLimits = function() {
+	return {
+		minInterLevelScaleDownFactor: this.constMinInterLevelScaleDownFactor,
+		maxInterLevelScaleDownFactor: this.constMaxInterLevelScaleDownFactor,
+		minLowLengthFraction: this.constMinTreeLevelLowLengthFraction,
+		maxLowLengthFraction: this.constMaxTreeLevelLowLengthFraction,
+		minHighLengthFraction: this.constMinTreeLevelHighLengthFraction,
+		maxHighLengthFraction: this.constMaxTreeLevelHighLengthFraction,
+		minTreeDepth: this.constMinTreeDepth,
+		maxTreeDepth: this.constMaxTreeDepth
+	};
+}
+
+/**
+ * Advances the growth, wind sway and parallax displacement of the
+ *  forest trees (forest trees grow using the growth phase timing of
+ *  the foreground tree, and sway in the same wind with a per-tree
+ *  phase offset)
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ */
+mainFractalRenderingScene.prototype.updateForest = function(timeQuantum) {
+	var scene = this;
+	
+	this.treeForest.update(timeQuantum, this.currentSceneRunningTimeMs, {
+			trunkGrowthPhaseDurationMs: this.currentTrunkGrowthPhaseDuration,
+			branchGrowthPhaseDurationMs: this.currentBranchGrowthPhaseDuration,
+			minBranchLengthMultiplier: this.constMinBranchLengthMultiplier
+		},
+		function(timeOffsetMs) {
+			return scene.computeWindFactor(timeOffsetMs);
+		});
+}
+
 /**
  * Updates the scaling factor for the trunk/branches of the tree, in addition
  *  to tracking/updating whether or not the trunk or the branch scaling
@@ -286,8 +817,8 @@ mainFractalRenderingScene.prototype.updateGrowthPhaseState = function (timeQuant
 	
 	if (this.currentGrowthPhase == this.constGrowthPhaseTrunk) {
 		// Update the scaling factor for the trunk of the tree.
-		this.currentTrunkLengthMultiplier = Math.min(this.constMaxMultiplierValue, (this.currentGrowthPhaseStateTime / this.constTrunkGrowthPhaseDuration));
-		if (this.currentGrowthPhaseStateTime >= this.constTrunkGrowthPhaseDuration) {
+		this.currentTrunkLengthMultiplier = Math.min(this.constMaxMultiplierValue, (this.currentGrowthPhaseStateTime / this.currentTrunkGrowthPhaseDuration));
+		if (this.currentGrowthPhaseStateTime >= this.currentTrunkGrowthPhaseDuration) {
 			this.currentGrowthPhase = this.constGrowthPhaseBranches;
 			this.currentBranchLengthMultiplier = this.constMinBranchLengthMultiplier;
 			this.currentGrowthPhaseStateTime = 0.0;
@@ -296,16 +827,280 @@ mainFractalRenderingScene.prototype.updateGrowthPhaseState = function (timeQuant
 	else if (this.currentGrowthPhase == this.constGrowthPhaseBranches) {
 		// Update the scaling factor for all tree branches.
 		var branchLengthMultiplierRangeDifference = (this.constMaxMultiplierValue - this.constMinBranchLengthMultiplier);
-		var multiplierFractionInRange = (this.currentGrowthPhaseStateTime / this.constBranchGrowthPhaseDuration);
+		var multiplierFractionInRange = (this.currentGrowthPhaseStateTime / this.currentBranchGrowthPhaseDuration);
 		this.currentBranchLengthMultiplier = Math.min(this.constMaxMultiplierValue,
 			Math.max(this.constMinBranchLengthMultiplier, (branchLengthMultiplierRangeDifference * multiplierFractionInRange + this.constMinBranchLengthMultiplier)));
-		if (this.currentGrowthPhaseStateTime >= this.constBranchGrowthPhaseDuration) {
+		if (this.currentGrowthPhaseStateTime >= this.currentBranchGrowthPhaseDuration) {
 			this.currentGrowthPhase = this.constGrowthPhaseIdle;
 			this.currentGrowthPhaseStateTime = 0.0;
 		}
 	}
 }
 
+/**
+ * Loads one or more tree presets - the presets will be cycled
+ *  (in order) in place of randomly-generated tree variants,
+ *  starting with the next tree variant
+ * @param presetSource {string/object/Array} A JSON string, a preset object,
+ *                                           a list of preset objects, or an
+ *                                           object with a "presets" list
+ * @throws {Error} If the preset data is invalid (no presets will be loaded)
+ * @see treePreset
+ */
+mainFractalRenderingScene.prototype.loadTreePresets = function(presetSource) {
+	this.treePresetList = treePreset.parseList(presetSource, this.constMinSupportedTreeDepth,
+		this.constMaxSupportedTreeDepth);
+	this.currentTreePresetIndex = 0;
+
+	// Force generation of a new tree variant.
+	this.firstIterationExecuted = false;
+}
+
+/**
+ * Removes all loaded tree presets - tree variants will be randomly
+ *  generated, starting with the next tree variant
+ */
+mainFractalRenderingScene.prototype.clearTreePresets = function() {
+	this.treePresetList = [];
+	this.currentTreePresetIndex = 0;
+}
+
+/**
+ * Applies the values stored within a (validated) tree preset to the
+ *  current tree variant
+ * @param preset {object} The tree preset to be applied
+ * @see treePreset
+ */
+mainFractalRenderingScene.prototype.applyTreePreset = function(preset) {
+	this.currentInterLevelScaleDownFactor = preset.tree.interLevelScaleDownFactor;
+	this.currentMinTreeLengthFraction = preset.tree.minTreeLengthFraction;
+	this.currentMaxTreeLengthFraction = preset.tree.maxTreeLengthFraction;
+	this.currentTreeDepth = preset.tree.treeDepth;
+	
+	this.firstSineAmplitude = preset.wind.firstSineAmplitude;
+	this.firstSinePeriodMultiplier = preset.wind.firstSinePeriodMultiplier;
+	this.secondSineAmplitude = preset.wind.secondSineAmplitude;
+	this.secondSinePeriodMultiplier = preset.wind.secondSinePeriodMultiplier;
+	this.secondSinePhaseShift = preset.wind.secondSinePhaseShift;
+	
+	this.currentTrunkGrowthPhaseDuration = preset.growth.trunkGrowthPhaseDurationMs;
+	this.currentBranchGrowthPhaseDuration = preset.growth.branchGrowthPhaseDurationMs;
+	
+	this.treeTopper.setStyle(preset.topper.style);
+	this.treeTopper.setColor(preset.topper.color);
+}
+
+/**
+ * Exports the parameters of the current tree variant as a tree preset
+ * @param presetName {string} Optional name to be stored within the preset
+ * @return {object} A tree preset object
+ * @see treePreset
+ */
+mainFractalRenderingScene.prototype.exportCurrentTreePreset = function(presetName) {
+	return treePreset.create({
+		interLevelScaleDownFactor: this.currentInterLevelScaleDownFactor,
+		minTreeLengthFraction: this.currentMinTreeLengthFraction,
+		maxTreeLengthFraction: this.currentMaxTreeLengthFraction,
+		treeDepth: this.currentTreeDepth,
+		firstSineAmplitude: this.firstSineAmplitude,
+		firstSinePeriodMultiplier: this.firstSinePeriodMultiplier,
+		secondSineAmplitude: this.secondSineAmplitude,
+		secondSinePeriodMultiplier: this.secondSinePeriodMultiplier,
+		secondSinePhaseShift: this.secondSinePhaseShift,
+		trunkGrowthPhaseDurationMs: this.currentTrunkGrowthPhaseDuration,
+		branchGrowthPhaseDurationMs: this.currentBranchGrowthPhaseDuration,
+		topperStyle: this.treeTopper.getStyle(),
+		topperColor: this.treeTopper.getColorComponents()
+	}, presetName);
+}
+
+/**
+ * Exports the parameters of the current tree variant as a tree preset
+ *  JSON string
+ * @param presetName {string} Optional name to be stored within the preset
+ * @return {string} A tree preset JSON string
+ * @see treePreset
+ */
+mainFractalRenderingScene.prototype.exportCurrentTreePresetJson = function(presetName) {
+	return treePreset.toJson(this.exportCurrentTreePreset(presetName));
+}
+
+/**
+ * Sets the style and duration of the transition that is displayed
+ *  between successive tree variants
+ * @param transitionStyleName {string} Transition style ("none", "fade",
+ *                                     "shrink" or "wipe")
+ * @param transitionDurationMs {number} Transition duration (milliseconds)
+ */
+mainFractalRenderingScene.prototype.setVariantTransition = function(transitionStyleName, transitionDurationMs) {
+	var transitionStylesByName = {
+		"none": this.constVariantTransitionStyleNone,
+		"fade": this.constVariantTransitionStyleFade,
+		"shrink": this.constVariantTransitionStyleShrink,
+		"wipe": this.constVariantTransitionStyleWipe
+	};
+	
+	if (transitionStylesByName.hasOwnProperty(transitionStyleName)) {
+		this.variantTransitionStyle = transitionStylesByName[transitionStyleName];
+	}
+	else {
+		console.log("Unknown tree variant transition style: " + transitionStyleName);
+	}
+	
+	if ((typeof(transitionDurationMs) === "number") && (transitionDurationMs >= 0.0)) {
+		this.variantTransitionDurationMs = transitionDurationMs;
+	}
+}
+
+/**
+ * Renders the current tree variant (without the overlay) into the
+ *  previous variant render target, in order to permit the variant
+ *  to be displayed during a transition to a new variant
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context associated with the
+ *                                                      data being rendered
+ * @return {boolean} True if the tree variant was captured
+ */
+mainFractalRenderingScene.prototype.capturePreviousVariant = function(targetCanvasContext) {
+	var variantCaptured = false;
+	
+	if ((this.variantTransitionStyle !== this.constVariantTransitionStyleNone) &&
+		(this.variantTransitionDurationMs > 0.0) && (this.canvas2dRenderer !== null)) {
+		
+		if (!validateVar(this.previousVariantCanvas)) {
+			this.previousVariantCanvas = document.createElement("canvas");
+		}
+		
+		this.previousVariantCanvas.width = targetCanvasContext.canvas.width;
+		this.previousVariantCanvas.height = targetCanvasContext.canvas.height;
+		var previousVariantCanvasContext = this.previousVariantCanvas.getContext("2d");
+		if (validateVar(previousVariantCanvasContext)) {
+			this.renderScene(0.0, previousVariantCanvasContext, true);
+			variantCaptured = true;
+		}
+	}
+	else if ((this.variantTransitionStyle !== this.constVariantTransitionStyleNone) &&
+		(this.variantTransitionDurationMs > 0.0)) {
+		
+		// The scene may be rendered to a render target (e.g. during a
+		// scene transition) - the active framebuffer is retrieved before
+		// the capture render target is allocated, and restored afterwards.
+		var activeFramebuffer = targetCanvasContext.getParameter(targetCanvasContext.FRAMEBUFFER_BINDING);
+		this.previousVariantRenderTarget = ensureRenderTargetDimensions(targetCanvasContext,
+			this.previousVariantRenderTarget, targetCanvasContext.canvas.width,
+			targetCanvasContext.canvas.height);
+			
+		if (validateVar(this.previousVariantRenderTarget)) {
+			targetCanvasContext.bindFramebuffer(targetCanvasContext.FRAMEBUFFER, this.previousVariantRenderTarget.framebuffer);
+			this.renderScene(0.0, targetCanvasContext, true);
+			targetCanvasContext.bindFramebuffer(targetCanvasContext.FRAMEBUFFER, activeFramebuffer);
+			variantCaptured = true;
+		}
+	}
+	
+	return variantCaptured;
+}
+
+/**
+ * Freezes/resumes the automatic cycling of tree variants
+ * @param cyclingFrozen {boolean} True if the current tree variant should
+ *                                be displayed indefinitely
+ */
+mainFractalRenderingScene.prototype.setVariantCyclingFrozen = function(cyclingFrozen) {
+	this.variantCyclingFrozen = (cyclingFrozen === true);
+}
+
+/**
+ * Determines whether or not automatic tree variant cycling has been
+ *  frozen
+ * @return {boolean} True if tree variant cycling is frozen
+ */
+mainFractalRenderingScene.prototype.isVariantCyclingFrozen = function() {
+	return this.variantCyclingFrozen;
+}
+
+/**
+ * Ends all tree growth phases immediately - the trunk/branch length
+ *  multipliers will no longer be adjusted for the current tree variant
+ *  (permits the multipliers to be adjusted manually)
+ */
+mainFractalRenderingScene.prototype.completeGrowthPhases = function() {
+	this.currentGrowthPhase = this.constGrowthPhaseIdle;
+	this.currentGrowthPhaseStateTime = 0.0;
+}
+
+/**
+ * Sets the trunk length multiplier (the growth phases are completed, such
+ *  that the multiplier is retained)
+ * @param trunkLengthMultiplier {number} The multiplier (clamped to the
+ *                                       0.0 - 1.0 range)
+ */
+mainFractalRenderingScene.prototype.setTrunkLengthMultiplier = function(trunkLengthMultiplier) {
+	if ((typeof(trunkLengthMultiplier) === "number") && isFinite(trunkLengthMultiplier)) {
+		this.completeGrowthPhases();
+		this.currentTrunkLengthMultiplier = Math.max(0.0, Math.min(this.constMaxMultiplierValue, trunkLengthMultiplier));
+	}
+}
+
+/**
+ * Sets the branch length multiplier (the growth phases are completed, such
+ *  that the multiplier is retained)
+ * @param branchLengthMultiplier {number} The multiplier (clamped to the
+ *                                        0.0 - 1.0 range)
+ */
+mainFractalRenderingScene.prototype.setBranchLengthMultiplier = function(branchLengthMultiplier) {
+	if ((typeof(branchLengthMultiplier) === "number") && isFinite(branchLengthMultiplier)) {
+		this.completeGrowthPhases();
+		this.currentBranchLengthMultiplier = Math.max(0.0, Math.min(this.constMaxMultiplierValue, branchLengthMultiplier));
+	}
+}
+
+/**
+ * Alters a single value of the current tree variant - the altered variant
+ *  is validated in the same manner as a tree preset (the value is not
+ *  applied if the altered variant is invalid), and the decoration layout
+ *  is regenerated if the tree depth has changed
+ * @param sectionName {string} Name of the tree preset section that contains
+ *                             the value ("tree", "wind" or "growth")
+ * @param valueName {string} Name of the value within the preset section
+ *                           (e.g., "minTreeLengthFraction")
+ * @param variantValue {number} The new value
+ * @return {Array} A list of error description strings (empty if the value
+ *                 was applied)
+ * @see treePreset.validate
+ */
+mainFractalRenderingScene.prototype.setVariantValue = function(sectionName, valueName, variantValue) {
+	var variantPreset = this.exportCurrentTreePreset();
+	var errorList = [];
+	
+	if (validateVar(variantPreset[sectionName]) && (typeof(variantPreset[sectionName]) === "object") &&
+		variantPreset[sectionName].hasOwnProperty(valueName)) {
+		
+		variantPreset[sectionName][valueName] = variantValue;
+		errorList = treePreset.validate(variantPreset, this.constMinSupportedTreeDepth,
+			this.constMaxSupportedTreeDepth);
+	}
+	else {
+		errorList.push(sectionName + "." + valueName + " is not a tree variant value");
+	}
+	
+	if (errorList.length === 0) {
+		var previousTreeDepth = this.currentTreeDepth;
+		this.applyTreePreset(variantPreset);
+		
+		// Decorations are assigned to branch tips (the number of tips depends
+		// upon the depth).
+		if (this.currentTreeDepth !== previousTreeDepth) {
+			this.treeDecorations.generateLayout(this.decorationRandomNumberGenerator,
+				treeGeometry.getBranchTipCount(this.currentTreeDepth));
+		}
+	}
+	else {
+		console.log("Tree variant value rejected: " + errorList.join("; "));
+	}
+	
+	return errorList;
+}
+
 /**
  * Applies a globally-stored shader program, based on an index within the
  *  global shader program store, as the currently-active shader
@@ -321,12 +1116,12 @@ mainFractalRenderingScene.prototype.useIndexedShader = function(shaderIndex, tar
 			var newShaderProgram = globalResources.getIndexedShaderProgram(shaderIndex);
 			if (newShaderProgram != null) {
 				// Activate the shader program...
-				targetCanvasContext.useProgram(newShaderProgram);
+				newShaderProgram.use();
 				
-				var vertexPositionAttribute = targetCanvasContext.getAttribLocation(newShaderProgram, "aVertexPosition");
+				var vertexPositionAttribute = newShaderProgram.getAttributeLocation("aVertexPosition");
 				targetCanvasContext.enableVertexAttribArray(vertexPositionAttribute);
 				
-				var textureCoordinateAttribute = targetCanvasContext.getAttribLocation(newShaderProgram, "aTextureCoord");
+				var textureCoordinateAttribute = newShaderProgram.getAttributeLocation("aTextureCoord");
 				targetCanvasContext.enableVertexAttribArray(textureCoordinateAttribute);
 				
 				// Store the shader program for future access (shader
@@ -341,21 +1136,27 @@ mainFractalRenderingScene.prototype.useIndexedShader = function(shaderIndex, tar
 
 /**
  * Updates/generates a sinusoidal wind "factor", which determines the
- *  instantaneous rotation of the tree trunk/branches
+ *  instantaneous rotation of the tree trunk/branches (positive values
+ *  sway the tree to the left) - the ambient wind is combined with any
+ *  user-generated wind impulse
+ * @param timeOffsetMs {number} Optional offset (milliseconds) applied to the
+ *                              current scene time when evaluating the ambient
+ *                              wind
  */
-mainFractalRenderingScene.prototype.computeWindFactor = function() {
+mainFractalRenderingScene.prototype.computeWindFactor = function(timeOffsetMs) {
 	
 	var baseSinePeriodDivisor = 3000.0;
+	var windTimeMs = this.currentSceneRunningTimeMs + (validateVar(timeOffsetMs) ? timeOffsetMs : 0.0);
 	
 	// Use the produce of two sine computations, each with random amplitudes,
 	// periods, and phase shifts, in order to create an apparently-irregular
 	// wind pattern.
 	var firstSineComputation = this.firstSineAmplitude *
-		Math.sin(this.firstSinePeriodMultiplier * this.currentSceneRunningTimeMs / baseSinePeriodDivisor);
+		Math.sin(this.firstSinePeriodMultiplier * windTimeMs / baseSinePeriodDivisor);
 	var secondSineComputation = this.secondSineAmplitude *
-		Math.sin(this.secondSinePeriodMultiplier * this.currentSceneRunningTimeMs / baseSinePeriodDivisor + this.secondSinePhaseShift);
+		Math.sin(this.secondSinePeriodMultiplier * windTimeMs / baseSinePeriodDivisor + this.secondSinePhaseShift);
 	
-	var windFactor = firstSineComputation * secondSineComputation;
+	var windFactor = (firstSineComputation * secondSineComputation) + this.windImpulseController.getImpulse();
 	
 	return windFactor;
 }
@@ -372,24 +1173,241 @@ mainFractalRenderingScene.prototype.generateRandomTreeDepth = function() {
 }
 
 /**
- * Renders the primary, texture-based portion of the scene
+ * Retrieves the parameters that define the current tree geometry
+ *  (equivalent to the values supplied to the fractal shader)
+ * @param windFactor {number} The instantaneous wind factor
+ * @return {object} A tree parameter object
+ * @see treeGeometry
+ */
+mainFractalRenderingScene.prototype.getCurrentTreeParameters = function(windFactor) {
+	return {
+		trunkLengthMultiplier: this.currentTrunkLengthMultiplier,
+		branchLengthMultiplier: this.currentBranchLengthMultiplier,
+		windFactor: windFactor,
+		interLevelScaleDownFactor: this.currentInterLevelScaleDownFactor,
+		minTreeLengthFraction: this.currentMinTreeLengthFraction,
+		maxTreeLengthFraction: this.currentMaxTreeLengthFraction,
+		maxTreeDepth: this.getRenderedTreeDepth()
+	};
+}
+
+/**
+ * Computes the branch growth progress, which is used to scale items
+ *  that are attached to the branches
+ * @return {number} Branch growth progress (0.0 - 1.0, inclusive)
+ */
+mainFractalRenderingScene.prototype.getBranchGrowthFraction = function() {
+	var growthFraction = (this.currentBranchLengthMultiplier - this.constMinBranchLengthMultiplier) /
+		(this.constMaxMultiplierValue - this.constMinBranchLengthMultiplier);
+		
+	return Math.max(0.0, Math.min(1.0, growthFraction));
+}
+
+/**
+ * Renders the tree decorations (ornaments and lights, attached to the
+ *  branch tips of the current tree), and the topper
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context onto which
+ *                                                      the decorations will be drawn
+ * @param windFactor {number} The instantaneous wind factor used to render the tree
+ */
+mainFractalRenderingScene.prototype.renderDecorations = function(targetCanvasContext, windFactor) {
+	this.renderSprites(targetCanvasContext, this.buildDecorationSprites(targetCanvasContext.canvas.width,
+		targetCanvasContext.canvas.height, windFactor));
+}
+
+/**
+ * Produces the sprites that represent the tree decorations and the
+ *  topper
+ * @param imageWidth {number} Width of the image onto which the sprites
+ *                            will be drawn (pixels)
+ * @param imageHeight {number} Height of the image onto which the sprites
+ *                             will be drawn (pixels)
+ * @param windFactor {number} The instantaneous wind factor used to render the tree
+ * @return {Array} List of sprite objects (texture coordinate space)
+ */
+mainFractalRenderingScene.prototype.buildDecorationSprites = function(imageWidth, imageHeight, windFactor) {
+	var treeParameters = this.getCurrentTreeParameters(windFactor);
+	var decorationSprites = [];
+	
+	if (this.decorationsEnabled) {
+		var branchTipPoints = treeGeometry.computeBranchTipPoints(treeParameters);
+		this.treeDecorations.appendSprites(branchTipPoints, this.getBranchGrowthFraction(), decorationSprites);
+	}
+	
+	// The topper rides the apex of the trunk (through the growth phases, and
+	// as the trunk sways).
+	this.treeTopper.appendSprites(treeGeometry.computeTrunkTipPoint(treeParameters),
+		this.currentTrunkLengthMultiplier, decorationSprites);
+	
+	// Decorations are positioned within the tree coordinate space (sizes are
+	// relative to the tree height).
+	var aspectScale = treeGeometry.computeAspectScale(imageWidth, imageHeight);
+	for (var spriteLoop = 0; spriteLoop < decorationSprites.length; spriteLoop++) {
+		var currentSprite = decorationSprites[spriteLoop];
+		var texturePoint = treeGeometry.treePointToTexturePoint([ currentSprite.coordX, currentSprite.coordY ],
+			aspectScale, this.treeDisplayOffset);
+		currentSprite.coordX = texturePoint[0];
+		currentSprite.coordY = texturePoint[1];
+		currentSprite.size /= aspectScale[1];
+	}
+	
+	return decorationSprites;
+}
+
+/**
+ * Renders the falling snow
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context onto which
+ *                                                      the snow will be drawn
+ */
+mainFractalRenderingScene.prototype.renderSnowfall = function(targetCanvasContext) {
+	this.snowfallSpriteList.length = 0;
+	this.snowfall.appendSprites(this.snowfallSpriteList);
+	this.renderSprites(targetCanvasContext, this.snowfallSpriteList);
+}
+
+/**
+ * Renders a list of sprites, using the renderer that is appropriate
+ *  for the target context
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context onto which
+ *                                                      the sprites will be drawn
+ * @param spriteList {Array} List of sprite objects
+ * @see pointSpriteRenderer
+ */
+mainFractalRenderingScene.prototype.renderSprites = function(targetCanvasContext, spriteList) {
+	if (this.canvas2dRenderer !== null) {
+		this.canvas2dRenderer.renderSprites(targetCanvasContext, spriteList);
+	}
+	else {
+		this.pointSpriteRenderer.renderSprites(targetCanvasContext, spriteList);
+	}
+}
+
+/**
+ * Renders the primary, texture-based portion of the scene (a Canvas 2D
+ *  context is used to render the scene when WebGL is unavailable)
  * @param timeQuantum Time delta with respect to the previously-executed
  *                    animation step (milliseconds)
+ * @param targetCanvasContext {WebGLRenderingContext2D/CanvasRenderingContext2D}
+ *                            Context onto which the scene data will be drawn
+ * @param renderTreeOnly {boolean} When set to true, only the current tree
+ *                                 variant will be rendered (the overlay and
+ *                                 any previous tree variant are omitted)
+ */
+mainFractalRenderingScene.prototype.renderScene = function(timeQuantum, targetCanvasContext, renderTreeOnly) {
+	if (this.canvas2dRenderer !== null) {
+		this.renderSceneWithCanvas2d(timeQuantum, targetCanvasContext, renderTreeOnly);
+	}
+	else {
+		this.renderSceneWithWebGl(timeQuantum, targetCanvasContext, renderTreeOnly);
+	}
+}
+
+/**
+ * Renders the scene using a Canvas 2D context (employed when WebGL is
+ *  unavailable)
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ * @param targetCanvasContext {CanvasRenderingContext2D} Context onto which
+ *                                                       the scene will be drawn
+ * @param renderTreeOnly {boolean} When set to true, only the current tree
+ *                                 variant will be rendered (the overlay and
+ *                                 any previous tree variant are omitted)
+ * @param stillImageRegion {object} Optional - when specified, a still image
+ *                                  of the scene is rendered (the overlay and
+ *                                  any previous tree variant are omitted)
+ * @see mainFractalRenderingScene.renderStillImage
+ */
+mainFractalRenderingScene.prototype.renderSceneWithCanvas2d = function(timeQuantum, targetCanvasContext, renderTreeOnly,
+																		stillImageRegion) {
+	var renderStillImage = validateVar(stillImageRegion);
+	
+	targetCanvasContext.clearRect(0, 0, targetCanvasContext.canvas.width, targetCanvasContext.canvas.height);
+	this.canvas2dRenderer.setPalette(this.currentPalette);
+	this.canvas2dRenderer.setTreeDisplayOffset(this.treeDisplayOffset[0], this.treeDisplayOffset[1]);
+	if (!renderTreeOnly) {
+		this.canvas2dRenderer.renderBackground(targetCanvasContext);
+	}
+	
+	var windFactor = this.computeWindFactor();
+	
+	if (!renderTreeOnly && !renderStillImage && this.previousVariantCaptured) {
+		this.canvas2dRenderer.renderPreviousVariant(targetCanvasContext, this.previousVariantCanvas,
+			this.variantTransitionStyle, (this.variantTransitionDurationMs > 0.0) ?
+			Math.min(this.variantTransitionElapsedTimeMs / this.variantTransitionDurationMs, 1.0) : 1.0);
+	}
+	
+	this.canvas2dRenderer.renderForest(targetCanvasContext, this.treeForest.getTreeList());
+	this.canvas2dRenderer.renderTree(targetCanvasContext, this.getCurrentTreeParameters(windFactor));
+	this.renderDecorations(targetCanvasContext, windFactor);
+	if (!renderTreeOnly) {
+		this.renderSnowfall(targetCanvasContext);
+	}
+	
+	var overlayCanvasContext = globalResources.getOverlayCanvasContext();
+	if (!renderTreeOnly && !renderStillImage && validateVar(overlayCanvasContext)) {
+		this.canvas2dRenderer.renderOverlay(targetCanvasContext, overlayCanvasContext.canvas);
+	}
+}
+
+/**
+ * Produces a four-component color uniform value
+ * @param uniformColor {rgbColor} The color
+ * @param alphaMultiplier {number} Multiplier applied to the alpha component
+ * @return {Array} The uniform value (red, green, blue and alpha components)
+ */
+mainFractalRenderingScene.prototype.colorUniformValue = function(uniformColor, alphaMultiplier) {
+	return [ uniformColor.getRedValue(), uniformColor.getGreenValue(), uniformColor.getBlueValue(),
+		uniformColor.getAlphaValue() * alphaMultiplier ];
+}
+
+/**
+ * Renders the primary, texture-based portion of the scene using WebGL
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
  * @param targetCanvasContext {WebGLRenderingContext2D} Context onto which
- *                            							the scene data will be drawn
+ *                                                      the scene will be drawn
+ * @param renderTreeOnly {boolean} When set to true, only the current tree
+ *                                 variant will be rendered (the overlay and
+ *                                 any previous tree variant are omitted)
+ * @param stillImageRegion {object} Optional - when specified, a single tile of
+ *                                  a still image is rendered (imageWidth,
+ *                                  imageHeight - still image dimensions,
+ *                                  tileTransform - portion of the image
+ *                                  occupied by the canvas); the overlay, any
+ *                                  previous tree variant and all sprites are
+ *                                  omitted
+ * @see mainFractalRenderingScene.renderStillImage
  */
-mainFractalRenderingScene.prototype.renderScene = function(timeQuantum, targetCanvasContext) {
+mainFractalRenderingScene.prototype.renderSceneWithWebGl = function(timeQuantum, targetCanvasContext, renderTreeOnly,
+																	stillImageRegion) {
+	var renderStillImage = validateVar(stillImageRegion);
+	
+	// The tree is rendered to a reduced-resolution render target when
+	// required by the quality controller (captured tree variants and
+	// still images are always rendered at full resolution). The active
+	// framebuffer (which receives the upscaled tree) is retrieved before
+	// the reduced-resolution render target is allocated.
+	var activeFramebuffer = targetCanvasContext.getParameter(targetCanvasContext.FRAMEBUFFER_BINDING);
+	var reducedResolutionTarget = (renderTreeOnly || renderStillImage) ? null :
+		this.prepareReducedResolutionTarget(targetCanvasContext);
+	if (reducedResolutionTarget !== null) {
+		targetCanvasContext.bindFramebuffer(targetCanvasContext.FRAMEBUFFER, reducedResolutionTarget.framebuffer);
+		targetCanvasContext.viewport(0, 0, reducedResolutionTarget.width, reducedResolutionTarget.height);
+	}
+	
 	targetCanvasContext.clear(targetCanvasContext.COLOR_BUFFER_BIT);
 	this.useIndexedShader(0);
 	
 	// Set the active vertex buffer...
 	targetCanvasContext.bindBuffer(targetCanvasContext.ARRAY_BUFFER, this.imageQuadVertexBuffer);
-	var vertexPositionAttribute = targetCanvasContext.getAttribLocation(this.currentShaderProgram, "aVertexPosition");
+	var vertexPositionAttribute = this.currentShaderProgram.getAttributeLocation("aVertexPosition");
 	targetCanvasContext.vertexAttribPointer(vertexPositionAttribute, this.vertexSize, targetCanvasContext.FLOAT, false, 0, 0);
 
 	// Set the active texture coordinate buffer...
 	targetCanvasContext.bindBuffer(targetCanvasContext.ARRAY_BUFFER, this.imageVertexTextureCoordinateBuffer);
-	var textureCoordinateAttribute = targetCanvasContext.getAttribLocation(this.currentShaderProgram, "aTextureCoord");
+	var textureCoordinateAttribute = this.currentShaderProgram.getAttributeLocation("aTextureCoord");
 	targetCanvasContext.vertexAttribPointer(textureCoordinateAttribute, this.textureCoordinateSize, targetCanvasContext.FLOAT, false, 0, 0);
 	
 	// Set the active texture...
@@ -399,27 +1417,203 @@ mainFractalRenderingScene.prototype.renderScene = function(timeQuantum, targetCa
 	if (overlayTexture != null) {
 		targetCanvasContext.activeTexture(targetCanvasContext.TEXTURE1);
 		targetCanvasContext.bindTexture(targetCanvasContext.TEXTURE_2D, overlayTexture);
-		targetCanvasContext.uniform1i(targetCanvasContext.getUniformLocation(this.currentShaderProgram, "uOverlaySampler"), 1);
-	}
-	
-	// Update the time quantum value within the shader program.
-	targetCanvasContext.uniform1f(targetCanvasContext.getUniformLocation(this.currentShaderProgram, "uniform_trunkLengthMultiplier"),
-		this.currentTrunkLengthMultiplier);
-	targetCanvasContext.uniform1f(targetCanvasContext.getUniformLocation(this.currentShaderProgram, "uniform_branchLengthMultiplier"),
-		this.currentBranchLengthMultiplier);
-	targetCanvasContext.uniform1f(targetCanvasContext.getUniformLocation(this.currentShaderProgram, "uniform_windFactor"),
-		this.computeWindFactor());
-	targetCanvasContext.uniform1f(targetCanvasContext.getUniformLocation(this.currentShaderProgram, "uniform_interLevelScaleDownFactor"),
-		this.currentInterLevelScaleDownFactor);
-	targetCanvasContext.uniform1f(targetCanvasContext.getUniformLocation(this.currentShaderProgram, "uniform_minTreeLengthFraction"),
-		this.currentMinTreeLengthFraction);
-	targetCanvasContext.uniform1f(targetCanvasContext.getUniformLocation(this.currentShaderProgram,	"uniform_maxTreeLengthFraction"),
-		this.currentMaxTreeLengthFraction);
-	targetCanvasContext.uniform1i(targetCanvasContext.getUniformLocation(this.currentShaderProgram, "uniform_maxTreeDepth"),
-		this.currentTreeDepth);
+		this.currentShaderProgram.set("uOverlaySampler", 1);
+	}
+	
+	var windFactor = this.computeWindFactor();
+	
+	// Set the previous tree variant texture (a texture cannot be sampled
+	// while the texture is being rendered, so the texture is unbound
+	// when only the tree is being rendered).
+	var displayPreviousVariant = !renderTreeOnly && !renderStillImage && this.previousVariantCaptured;
+	targetCanvasContext.activeTexture(targetCanvasContext.TEXTURE0 + this.constPreviousVariantTextureUnitIndex);
+	targetCanvasContext.bindTexture(targetCanvasContext.TEXTURE_2D,
+		displayPreviousVariant ? this.previousVariantRenderTarget.texture : null);
+	
+	this.treeForest.updateUniformData();
+	
+	this.currentShaderProgram.setUniforms({
+		// Tree shape/growth parameters.
+		uniform_trunkLengthMultiplier: this.currentTrunkLengthMultiplier,
+		uniform_branchLengthMultiplier: this.currentBranchLengthMultiplier,
+		uniform_windFactor: windFactor,
+		uniform_interLevelScaleDownFactor: this.currentInterLevelScaleDownFactor,
+		uniform_minTreeLengthFraction: this.currentMinTreeLengthFraction,
+		uniform_maxTreeLengthFraction: this.currentMaxTreeLengthFraction,
+		uniform_maxTreeDepth: this.getRenderedTreeDepth(),
+		
+		// Palette colors (the background is omitted when only the tree is
+		// rendered).
+		uniform_trunkColor: this.colorUniformValue(this.currentPalette.trunkColor, 1.0),
+		uniform_innerBranchColor: this.colorUniformValue(this.currentPalette.innerBranchColor, 1.0),
+		uniform_outerBranchColor: this.colorUniformValue(this.currentPalette.outerBranchColor, 1.0),
+		uniform_backgroundColor: this.colorUniformValue(this.currentPalette.backgroundColor, renderTreeOnly ? 0.0 : 1.0),
+		
+		// Forest trees (rendered behind the foreground tree).
+		uniform_forestTreeCount: this.treeForest.getTreeCount(),
+		uniform_forestTreePlacement: this.treeForest.treePlacementData,
+		uniform_forestTreeShape: this.treeForest.treeShapeData,
+		uniform_forestTreeGrowth: this.treeForest.treeGrowthData,
+		
+		// Previous tree variant transition.
+		uPreviousVariantSampler: this.constPreviousVariantTextureUnitIndex,
+		uniform_variantTransitionStyle: displayPreviousVariant ? this.variantTransitionStyle :
+			this.constVariantTransitionStyleNone,
+		uniform_variantTransitionFraction: (this.variantTransitionDurationMs > 0.0) ?
+			Math.min(this.variantTransitionElapsedTimeMs / this.variantTransitionDurationMs, 1.0) : 1.0,
+		uniform_overlayEnabled: !renderTreeOnly && !renderStillImage,
+		uniform_aspectScale: renderStillImage ?
+			treeGeometry.computeAspectScale(stillImageRegion.imageWidth, stillImageRegion.imageHeight) :
+			treeGeometry.computeAspectScale(targetCanvasContext.canvas.width, targetCanvasContext.canvas.height),
+		uniform_treeOffset: this.treeDisplayOffset,
+		uniform_tileTransform: renderStillImage ? stillImageRegion.tileTransform : this.constFullImageTileTransform
+	});
 
 	// ...Render the quad containing the scene texture.
 	targetCanvasContext.drawArrays(targetCanvasContext.TRIANGLE_STRIP, 0, this.imageQuadVertexCount);
+	
+	// Sprites are rendered at full resolution, over the upscaled tree.
+	if (reducedResolutionTarget !== null) {
+		targetCanvasContext.bindFramebuffer(targetCanvasContext.FRAMEBUFFER, activeFramebuffer);
+		targetCanvasContext.viewport(0, 0, targetCanvasContext.canvas.width, targetCanvasContext.canvas.height);
+		this.renderUpscaledTree(targetCanvasContext, reducedResolutionTarget);
+	}
+	
+	// Point sprites are discarded when the sprite center lies outside of
+	// the viewport - sprites are rendered separately for still image tiles.
+	if (!renderStillImage) {
+		this.renderDecorations(targetCanvasContext, windFactor);
+		if (!renderTreeOnly) {
+			this.renderSnowfall(targetCanvasContext);
+		}
+	}
+}
+
+/**
+ * Renders a still image of the current scene state (background, forest,
+ *  tree, decorations, snow and the snow bank - the remaining overlay
+ *  content is omitted), filling a Canvas 2D context of arbitrary
+ *  resolution. When WebGL is employed, the image is rendered in tiles
+ *  that do not exceed the maximum tile size or the maximum viewport
+ *  dimensions - the main canvas is resized to accommodate each tile, and
+ *  is restored to the original dimensions afterwards (the contents of
+ *  the main canvas are not retained).
+ * @param stillImageContext {CanvasRenderingContext2D} Context onto which the
+ *                                                     image will be drawn
+ * @param maxTileSize {number} Maximum width/height of a single tile (pixels)
+ */
+mainFractalRenderingScene.prototype.renderStillImage = function(stillImageContext, maxTileSize) {
+	var imageWidth = stillImageContext.canvas.width;
+	var imageHeight = stillImageContext.canvas.height;
+	var stillImageRegion = { imageWidth: imageWidth, imageHeight: imageHeight,
+		tileTransform: this.constFullImageTileTransform };
+	
+	if (this.canvas2dRenderer !== null) {
+		this.renderSceneWithCanvas2d(0.0, stillImageContext, false, stillImageRegion);
+	}
+	else {
+		var webGlCanvasContext = globalResources.getMainCanvasContext();
+		var mainCanvas = webGlCanvasContext.canvas;
+		var mainCanvasWidth = mainCanvas.width;
+		var mainCanvasHeight = mainCanvas.height;
+		
+		var maxViewportDimensions = webGlCanvasContext.getParameter(webGlCanvasContext.MAX_VIEWPORT_DIMS);
+		var maxTileWidth = Math.max(Math.min(maxTileSize, maxViewportDimensions[0]), 1);
+		var maxTileHeight = Math.max(Math.min(maxTileSize, maxViewportDimensions[1]), 1);
+		
+		stillImageContext.clearRect(0, 0, imageWidth, imageHeight);
+		for (var tileCoordY = 0; tileCoordY < imageHeight; tileCoordY += maxTileHeight) {
+			for (var tileCoordX = 0; tileCoordX < imageWidth; tileCoordX += maxTileWidth) {
+				var tileWidth = Math.min(maxTileWidth, imageWidth - tileCoordX);
+				var tileHeight = Math.min(maxTileHeight, imageHeight - tileCoordY);
+				
+				mainCanvas.width = tileWidth;
+				mainCanvas.height = tileHeight;
+				webGlCanvasContext.viewport(0, 0, tileWidth, tileHeight);
+				
+				stillImageRegion.tileTransform = [ tileCoordX / imageWidth, tileCoordY / imageHeight,
+					tileWidth / imageWidth, tileHeight / imageHeight ];
+				this.renderSceneWithWebGl(0.0, webGlCanvasContext, false, stillImageRegion);
+				
+				// The WebGL drawing buffer must be copied before control is
+				// returned to the browser.
+				stillImageContext.drawImage(mainCanvas, tileCoordX, tileCoordY);
+			}
+		}
+		
+		mainCanvas.width = mainCanvasWidth;
+		mainCanvas.height = mainCanvasHeight;
+		webGlCanvasContext.viewport(0, 0, mainCanvasWidth, mainCanvasHeight);
+		
+		// Sprites are rendered across the complete image.
+		if (this.stillImageSpriteRenderer === null) {
+			this.stillImageSpriteRenderer = new canvas2dTreeRenderer();
+		}
+		
+		var windFactor = this.computeWindFactor();
+		this.stillImageSpriteRenderer.renderSprites(stillImageContext,
+			this.buildDecorationSprites(imageWidth, imageHeight, windFactor));
+		this.snowfallSpriteList.length = 0;
+		this.snowfall.appendSprites(this.snowfallSpriteList);
+		this.stillImageSpriteRenderer.renderSprites(stillImageContext, this.snowfallSpriteList);
+	}
+	
+	// The snow bank is otherwise drawn onto the overlay.
+	this.snowfall.renderSnowBank(stillImageContext, false);
+}
+
+/**
+ * Ensures that the reduced-resolution render target matches the render
+ *  scale of the current quality level
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context associated with the
+ *                                                      data being rendered
+ * @return {object} The reduced-resolution render target, or null if the tree
+ *                  is to be rendered at full resolution
+ * @see createRenderTarget
+ */
+mainFractalRenderingScene.prototype.prepareReducedResolutionTarget = function(targetCanvasContext) {
+	var renderTarget = null;
+	var renderScale = this.qualityController.getQualityLevel().renderScale;
+	
+	if ((renderScale < 1.0) &&
+		(globalResources.getNamedShaderProgram(globalResources.textureUpscaleFragmentShaderName) !== null)) {
+		
+		this.reducedResolutionRenderTarget = ensureRenderTargetDimensions(targetCanvasContext,
+			this.reducedResolutionRenderTarget,
+			Math.max(1, Math.round(targetCanvasContext.canvas.width * renderScale)),
+			Math.max(1, Math.round(targetCanvasContext.canvas.height * renderScale)));
+		renderTarget = this.reducedResolutionRenderTarget;
+	}
+	
+	return renderTarget;
+}
+
+/**
+ * Renders the contents of the reduced-resolution render target across
+ *  the entire output area
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context onto which
+ *                                                      the tree will be drawn
+ * @param reducedResolutionTarget {object} Render target containing the tree
+ */
+mainFractalRenderingScene.prototype.renderUpscaledTree = function(targetCanvasContext, reducedResolutionTarget) {
+	var upscaleProgram = globalResources.getNamedShaderProgram(globalResources.textureUpscaleFragmentShaderName);
+	upscaleProgram.use();
+	
+	targetCanvasContext.bindBuffer(targetCanvasContext.ARRAY_BUFFER, this.imageQuadVertexBuffer);
+	var vertexPositionAttribute = upscaleProgram.getAttributeLocation("aVertexPosition");
+	targetCanvasContext.enableVertexAttribArray(vertexPositionAttribute);
+	targetCanvasContext.vertexAttribPointer(vertexPositionAttribute, this.vertexSize, targetCanvasContext.FLOAT, false, 0, 0);
+	
+	targetCanvasContext.bindBuffer(targetCanvasContext.ARRAY_BUFFER, this.imageVertexTextureCoordinateBuffer);
+	var textureCoordinateAttribute = upscaleProgram.getAttributeLocation("aTextureCoord");
+	targetCanvasContext.enableVertexAttribArray(textureCoordinateAttribute);
+	targetCanvasContext.vertexAttribPointer(textureCoordinateAttribute, this.textureCoordinateSize, targetCanvasContext.FLOAT, false, 0, 0);
+	
+	targetCanvasContext.activeTexture(targetCanvasContext.TEXTURE0 + this.constUpscaleTextureUnitIndex);
+	targetCanvasContext.bindTexture(targetCanvasContext.TEXTURE_2D, reducedResolutionTarget.texture);
+	upscaleProgram.set("uSourceSampler", this.constUpscaleTextureUnitIndex);
+	
+	targetCanvasContext.drawArrays(targetCanvasContext.TRIANGLE_STRIP, 0, this.imageQuadVertexCount);
 }
 
 /**
@@ -466,7 +1660,7 @@ mainFractalRenderingScene.prototype.renderScrollerSection = function(timeQuantum
 				
 	// Determine whether not to draw/update the scroller, based upon the current update interval
 	// count.
-	var drawScroller = (this.textScrollerIntervalCount >= this.constTextScrollerUpdateInterval);
+	var drawScroller = (this.textScrollerIntervalCount >= this.textScrollerUpdateInterval);
 	if (validateVar(targetCanvasContext) && (this.currentScrollerState !== this.constScrollerStateLeadIn) &&
 		drawScroller) {
 			
@@ -495,6 +1689,11 @@ mainFractalRenderingScene.prototype.renderScrollerSection = function(timeQuantum
 		}
 	}
 	
+	if (validateVar(targetCanvasContext) && drawScroller) {
+		this.renderSeedIndicator(targetCanvasContext);
+		this.snowfall.renderSnowBank(targetCanvasContext, true);
+	}
+	
 	// Write the canvas data into a texture.
 	var overlayTexture = globalResources.getOverlayTexture();
 	if ((overlayTexture != null) && drawScroller){
@@ -504,6 +1703,30 @@ mainFractalRenderingScene.prototype.renderScrollerSection = function(timeQuantum
 	this.updateScrollerState(timeQuantum);
 }
 
+/**
+ * Renders the random seed of the current variant sequence to a
+ *  specified canvas context
+ * @param targetCanvasContext {CanvasRenderingContext2D} The output canvas context
+ *                                                       to which the seed will be
+ *                                                       rendered
+ */
+mainFractalRenderingScene.prototype.renderSeedIndicator = function(targetCanvasContext) {
+	if (validateVar(targetCanvasContext)) {
+		var indicatorHeight = Constants.seedIndicatorFontSizePx * 1.5;
+		targetCanvasContext.clearRect(this.constSeedIndicatorCoordX, this.constSeedIndicatorCoordY,
+			this.constSeedIndicatorWidth, indicatorHeight);
+			
+		targetCanvasContext.save();
+		targetCanvasContext.font = Constants.seedIndicatorFontSizePx + "px " + Constants.scrollerFont;
+		targetCanvasContext.textBaseline = "top";
+		targetCanvasContext.globalAlpha = this.constSeedIndicatorUnitAlpha;
+		targetCanvasContext.fillStyle = this.seedIndicatorTextColor.getRgbIntValueAsStandardString();
+		targetCanvasContext.fillText("Seed: " + this.getRandomSeed(), this.constSeedIndicatorCoordX,
+			this.constSeedIndicatorCoordY);
+		targetCanvasContext.restore();
+	}
+}
+
 /**
  * Executes a time-parameterized single scene animation step
  * @param timeQuantum Time delta with respect to the previously-executed
@@ -523,4 +1746,5 @@ mainFractalRenderingScene.prototype.executeStep = function(timeQuantum, targetCa
 	
 	this.totalElapsedSceneTimeMs += timeQuantum;
 	this.currentSceneRunningTimeMs += timeQuantum;
+	this.variantTransitionElapsedTimeMs += timeQuantum;
 }
\ No newline at end of file
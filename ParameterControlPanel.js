@@ -0,0 +1,282 @@
+// ParameterControlPanel.js - On-page control panel that permits the tree
+//                            rendering parameters to be adjusted live
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -ColorPalette.js
+//  -MainFractalRenderingScene.js
+
+function parameterControlPanel(targetScene) {
+	// Scene whose parameters will be adjusted.
+	this.targetScene = targetScene;
+	
+	// Root element of the panel (created upon first display).
+	this.panelElement = null;
+	
+	// Slider/value display elements, keyed by scene property name.
+	this.sliderElements = {};
+	this.valueDisplayElements = {};
+	
+	this.freezeCyclingCheckbox = null;
+	this.paletteSelectElement = null;
+	
+	// Interval at which the controls are synchronized with the
+	// scene values (milliseconds) - scene values change as the
+	// tree grows, and when new tree variants are generated.
+	this.constRefreshIntervalMs = 250;
+	this.refreshIntervalId = null;
+	
+	// Parameter control definitions - each control adjusts a single
+	// scene property (displayed via propertyName). Tree variant values
+	// (presetSection/presetValueName) are applied via the scene, which
+	// validates the values in the same manner as tree preset values -
+	// the remaining values are applied via a scene setter (setterName).
+	this.constParameterDefinitions = [
+		{ label: "Trunk length multiplier", propertyName: "currentTrunkLengthMultiplier", min: 0.0, max: 1.0, step: 0.01,
+			setterName: "setTrunkLengthMultiplier" },
+		{ label: "Branch length multiplier", propertyName: "currentBranchLengthMultiplier", min: 0.0, max: 1.0, step: 0.01,
+			setterName: "setBranchLengthMultiplier" },
+		{ label: "Inter-level scale factor", propertyName: "currentInterLevelScaleDownFactor", min: 0.05, max: 1.0, step: 0.01,
+			presetSection: "tree", presetValueName: "interLevelScaleDownFactor" },
+		{ label: "Min. length fraction", propertyName: "currentMinTreeLengthFraction", min: 0.0, max: 1.0, step: 0.01,
+			presetSection: "tree", presetValueName: "minTreeLengthFraction" },
+		{ label: "Max. length fraction", propertyName: "currentMaxTreeLengthFraction", min: 0.0, max: 1.0, step: 0.01,
+			presetSection: "tree", presetValueName: "maxTreeLengthFraction" },
+		{ label: "Tree depth", propertyName: "currentTreeDepth", min: targetScene.constMinSupportedTreeDepth,
+			max: targetScene.constMaxSupportedTreeDepth, step: 1, presetSection: "tree", presetValueName: "treeDepth" },
+		{ label: "Wind amplitude (1)", propertyName: "firstSineAmplitude", min: 0.0, max: 3.0, step: 0.01,
+			presetSection: "wind", presetValueName: "firstSineAmplitude" },
+		{ label: "Wind period mult. (1)", propertyName: "firstSinePeriodMultiplier", min: 0.0, max: 20.0, step: 0.1,
+			presetSection: "wind", presetValueName: "firstSinePeriodMultiplier" },
+		{ label: "Wind amplitude (2)", propertyName: "secondSineAmplitude", min: 0.0, max: 3.0, step: 0.01,
+			presetSection: "wind", presetValueName: "secondSineAmplitude" },
+		{ label: "Wind period mult. (2)", propertyName: "secondSinePeriodMultiplier", min: 0.0, max: 20.0, step: 0.1,
+			presetSection: "wind", presetValueName: "secondSinePeriodMultiplier" },
+		{ label: "Trunk growth (ms)", propertyName: "currentTrunkGrowthPhaseDuration", min: 1, max: 10000, step: 1,
+			presetSection: "growth", presetValueName: "trunkGrowthPhaseDurationMs" },
+		{ label: "Branch growth (ms)", propertyName: "currentBranchGrowthPhaseDuration", min: 1, max: 10000, step: 1,
+			presetSection: "growth", presetValueName: "branchGrowthPhaseDurationMs" }
+	];
+}
+
+/**
+ * Sets the scene whose parameters will be adjusted (the controls are
+ *  synchronized with the scene values upon the next refresh)
+ * @param targetScene {mainFractalRenderingScene} The scene
+ */
+parameterControlPanel.prototype.setTargetScene = function(targetScene) {
+	this.targetScene = targetScene;
+}
+
+/**
+ * Creates the panel elements, and inserts the panel into the DOM
+ * @param parentElement {HTMLElement} The element that will contain the panel
+ */
+parameterControlPanel.prototype.createPanelElement = function(parentElement) {
+	if (validateVar(parentElement) && !validateVar(this.panelElement)) {
+		this.panelElement = document.createElement("div");
+		this.panelElement.setAttribute("style", "position: fixed; top: 10px; right: 10px; padding: 8px; " +
+			"background-color: rgba(0, 0, 0, 0.75); color: #e0e0e0; font: 12px Arial; text-align: left; " +
+			"border: 1px solid #606060; z-index: 10");
+		
+		for (var definitionLoop = 0; definitionLoop < this.constParameterDefinitions.length; definitionLoop++) {
+			this.panelElement.appendChild(this.createParameterControlRow(this.constParameterDefinitions[definitionLoop]));
+		}
+		
+		// Variant cycling control - the current tree variant is retained
+		// indefinitely while cycling is frozen.
+		var freezeRow = document.createElement("label");
+		freezeRow.setAttribute("style", "display: block; margin-top: 6px");
+		this.freezeCyclingCheckbox = document.createElement("input");
+		this.freezeCyclingCheckbox.type = "checkbox";
+		var controlPanel = this;
+		this.freezeCyclingCheckbox.addEventListener("change", function() {
+			controlPanel.targetScene.setVariantCyclingFrozen(controlPanel.freezeCyclingCheckbox.checked);
+		});
+		freezeRow.appendChild(this.freezeCyclingCheckbox);
+		freezeRow.appendChild(document.createTextNode(" Freeze variant cycling"));
+		this.panelElement.appendChild(freezeRow);
+		
+		this.panelElement.appendChild(this.createPaletteControlRow());
+		
+		parentElement.appendChild(this.panelElement);
+	}
+}
+
+/**
+ * Creates the palette theme selection control (palette changes are
+ *  blended over the lifetime of a tree variant)
+ * @return {HTMLElement} The element containing the palette control
+ */
+parameterControlPanel.prototype.createPaletteControlRow = function() {
+	var controlRow = document.createElement("div");
+	controlRow.setAttribute("style", "margin-top: 6px");
+	
+	var labelElement = document.createElement("span");
+	labelElement.setAttribute("style", "display: inline-block; width: 150px");
+	labelElement.textContent = "Palette";
+	
+	this.paletteSelectElement = document.createElement("select");
+	for (var themeLoop = 0; themeLoop < colorPalette.themeList.length; themeLoop++) {
+		var optionElement = document.createElement("option");
+		optionElement.value = colorPalette.themeList[themeLoop].paletteName;
+		optionElement.textContent = colorPalette.themeList[themeLoop].displayName;
+		this.paletteSelectElement.appendChild(optionElement);
+	}
+	
+	var controlPanel = this;
+	this.paletteSelectElement.addEventListener("change", function() {
+		controlPanel.targetScene.setPalette(controlPanel.paletteSelectElement.value, true);
+	});
+	
+	controlRow.appendChild(labelElement);
+	controlRow.appendChild(this.paletteSelectElement);
+	
+	return controlRow;
+}
+
+/**
+ * Creates a single labeled slider control
+ * @param parameterDefinition {object} Definition of the parameter adjusted by the
+ *                                     slider
+ * @return {HTMLElement} The element containing the slider control
+ */
+parameterControlPanel.prototype.createParameterControlRow = function(parameterDefinition) {
+	var controlRow = document.createElement("div");
+	controlRow.setAttribute("style", "margin: 2px 0px");
+	
+	var labelElement = document.createElement("span");
+	labelElement.setAttribute("style", "display: inline-block; width: 150px");
+	labelElement.textContent = parameterDefinition.label;
+	
+	var sliderElement = document.createElement("input");
+	sliderElement.type = "range";
+	sliderElement.min = parameterDefinition.min;
+	sliderElement.max = parameterDefinition.max;
+	sliderElement.step = parameterDefinition.step;
+	sliderElement.setAttribute("style", "width: 140px; vertical-align: middle");
+	
+	var valueDisplayElement = document.createElement("span");
+	valueDisplayElement.setAttribute("style", "display: inline-block; width: 50px; text-align: right");
+	
+	var controlPanel = this;
+	sliderElement.addEventListener("input", function() {
+		controlPanel.applyParameterValue(parameterDefinition, parseFloat(sliderElement.value));
+	});
+	
+	controlRow.appendChild(labelElement);
+	controlRow.appendChild(sliderElement);
+	controlRow.appendChild(valueDisplayElement);
+	
+	this.sliderElements[parameterDefinition.propertyName] = sliderElement;
+	this.valueDisplayElements[parameterDefinition.propertyName] = valueDisplayElement;
+	
+	return controlRow;
+}
+
+/**
+ * Applies a value to the scene property associated with a parameter
+ *  control (rejected values are reported via the value display, and the
+ *  control is restored to the scene value)
+ * @param parameterDefinition {object} Definition of the adjusted parameter
+ * @param parameterValue {number} The new parameter value
+ */
+parameterControlPanel.prototype.applyParameterValue = function(parameterDefinition, parameterValue) {
+	if (isFinite(parameterValue)) {
+		var errorList = [];
+		if (validateVar(parameterDefinition.presetSection)) {
+			errorList = this.targetScene.setVariantValue(parameterDefinition.presetSection,
+				parameterDefinition.presetValueName, parameterValue);
+		}
+		else {
+			this.targetScene[parameterDefinition.setterName](parameterValue);
+		}
+		
+		var sceneValue = this.targetScene[parameterDefinition.propertyName];
+		var valueDisplayElement = this.valueDisplayElements[parameterDefinition.propertyName];
+		if (errorList.length > 0) {
+			this.sliderElements[parameterDefinition.propertyName].value = sceneValue;
+		}
+		
+		valueDisplayElement.textContent = this.formatParameterValue(parameterDefinition, sceneValue);
+		valueDisplayElement.title = errorList.join("\n");
+		valueDisplayElement.style.color = (errorList.length > 0) ? "#ff8080" : "";
+	}
+}
+
+/**
+ * Formats a parameter value for display
+ * @param parameterDefinition {object} Definition of the parameter
+ * @param parameterValue {number} The parameter value
+ * @return {string} The formatted value
+ */
+parameterControlPanel.prototype.formatParameterValue = function(parameterDefinition, parameterValue) {
+	return (parameterDefinition.step >= 1) ? String(Math.round(parameterValue)) : parameterValue.toFixed(2);
+}
+
+/**
+ * Synchronizes the controls with the current scene values (controls
+ *  that are being manipulated are not updated)
+ */
+parameterControlPanel.prototype.refreshControlValues = function() {
+	for (var definitionLoop = 0; definitionLoop < this.constParameterDefinitions.length; definitionLoop++) {
+		var parameterDefinition = this.constParameterDefinitions[definitionLoop];
+		var sceneValue = this.targetScene[parameterDefinition.propertyName];
+		var sliderElement = this.sliderElements[parameterDefinition.propertyName];
+		
+		if ((typeof(sceneValue) === "number") && (document.activeElement !== sliderElement)) {
+			sliderElement.value = sceneValue;
+			this.valueDisplayElements[parameterDefinition.propertyName].textContent =
+				this.formatParameterValue(parameterDefinition, sceneValue);
+		}
+	}
+	
+	this.freezeCyclingCheckbox.checked = this.targetScene.isVariantCyclingFrozen();
+	if (document.activeElement !== this.paletteSelectElement) {
+		this.paletteSelectElement.value = this.targetScene.getPaletteName();
+	}
+}
+
+/**
+ * Determines whether or not the panel is currently displayed
+ * @return {boolean} True if the panel is displayed
+ */
+parameterControlPanel.prototype.isVisible = function() {
+	return validateVar(this.panelElement) && (this.panelElement.style.display !== "none");
+}
+
+/**
+ * Displays or hides the panel
+ * @param parentElement {HTMLElement} The element that will contain the panel
+ * @param panelVisible {boolean} True if the panel should be displayed
+ */
+parameterControlPanel.prototype.setVisible = function(parentElement, panelVisible) {
+	if (panelVisible) {
+		this.createPanelElement(parentElement);
+		this.panelElement.style.display = "block";
+		this.refreshControlValues();
+		
+		if (this.refreshIntervalId === null) {
+			var controlPanel = this;
+			this.refreshIntervalId = window.setInterval(function() {
+				controlPanel.refreshControlValues();
+			}, this.constRefreshIntervalMs);
+		}
+	}
+	else if (validateVar(this.panelElement)) {
+		this.panelElement.style.display = "none";
+		
+		if (this.refreshIntervalId !== null) {
+			window.clearInterval(this.refreshIntervalId);
+			this.refreshIntervalId = null;
+		}
+	}
+}
+
+/**
+ * Toggles the display of the panel
+ * @param parentElement {HTMLElement} The element that will contain the panel
+ */
+parameterControlPanel.prototype.toggleVisibility = function(parentElement) {
+	this.setVisible(parentElement, !this.isVisible());
+}
@@ -0,0 +1,102 @@
+// PerformanceHud.js - On-page display of the frame rate, frame time and
+//                     adaptive quality level
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -AdaptiveQualityController.js
+//  -MainFractalRenderingScene.js
+
+function performanceHud(targetScene) {
+	// Scene whose performance will be displayed.
+	this.targetScene = targetScene;
+	
+	// Root element of the display (created upon first display).
+	this.hudElement = null;
+	
+	// Interval at which the displayed values are refreshed (milliseconds).
+	this.constRefreshIntervalMs = 500;
+	this.refreshIntervalId = null;
+}
+
+/**
+ * Sets the scene whose performance will be displayed
+ * @param targetScene {mainFractalRenderingScene} The scene
+ */
+performanceHud.prototype.setTargetScene = function(targetScene) {
+	this.targetScene = targetScene;
+}
+
+/**
+ * Creates the display element, and inserts the element into the DOM
+ * @param parentElement {HTMLElement} The element that will contain the display
+ */
+performanceHud.prototype.createHudElement = function(parentElement) {
+	if (validateVar(parentElement) && !validateVar(this.hudElement)) {
+		this.hudElement = document.createElement("div");
+		this.hudElement.setAttribute("style", "position: fixed; bottom: 10px; left: 10px; padding: 4px 8px; " +
+			"background-color: rgba(0, 0, 0, 0.6); color: #a0ffa0; font: 12px monospace; text-align: left; " +
+			"z-index: 10; pointer-events: none");
+		parentElement.appendChild(this.hudElement);
+	}
+}
+
+/**
+ * Updates the displayed values, using the current scene statistics
+ */
+performanceHud.prototype.refreshDisplayedValues = function() {
+	if (validateVar(this.hudElement)) {
+		var qualityController = this.targetScene.getQualityController();
+		var frameTimeMs = qualityController.getSmoothedFrameTime();
+		var qualityLevel = qualityController.getQualityLevel();
+		
+		this.hudElement.textContent = "FPS: " + ((frameTimeMs > 0.0) ? (1000.0 / frameTimeMs).toFixed(1) : "--") +
+			"  Frame: " + frameTimeMs.toFixed(1) + " ms  Quality: " + qualityController.getQualityLevelIndex() +
+			" (scale " + qualityLevel.renderScale.toFixed(2) + ", scroller 1/" +
+			(qualityLevel.scrollerUpdateInterval + 1) + ", depth -" + qualityLevel.treeDepthReduction + ")" +
+			(qualityController.enabled ? "" : " [fixed]");
+	}
+}
+
+/**
+ * Determines whether or not the display is visible
+ * @return {boolean} True if the display is visible
+ */
+performanceHud.prototype.isVisible = function() {
+	return validateVar(this.hudElement) && (this.hudElement.style.display !== "none");
+}
+
+/**
+ * Displays or hides the display
+ * @param parentElement {HTMLElement} The element that will contain the display
+ * @param hudVisible {boolean} True if the display should be visible
+ */
+performanceHud.prototype.setVisible = function(parentElement, hudVisible) {
+	if (hudVisible) {
+		this.createHudElement(parentElement);
+		this.hudElement.style.display = "block";
+		this.refreshDisplayedValues();
+		
+		if (this.refreshIntervalId === null) {
+			var hud = this;
+			this.refreshIntervalId = window.setInterval(function() {
+				hud.refreshDisplayedValues();
+			}, this.constRefreshIntervalMs);
+		}
+	}
+	else if (validateVar(this.hudElement)) {
+		this.hudElement.style.display = "none";
+		
+		if (this.refreshIntervalId !== null) {
+			window.clearInterval(this.refreshIntervalId);
+			this.refreshIntervalId = null;
+		}
+	}
+}
+
+/**
+ * Toggles the display visibility
+ * @param parentElement {HTMLElement} The element that will contain the display
+ */
+performanceHud.prototype.toggleVisibility = function(parentElement) {
+	this.setVisible(parentElement, !this.isVisible());
+}
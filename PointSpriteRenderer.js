@@ -0,0 +1,143 @@
+// PointSpriteRenderer.js - Renders batches of point sprites (tree decorations,
+//                          etc.) using WebGL
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -GlobalResources.js
+//
+// Sprite object format:
+// {
+//   coordX: <horizontal sprite center position, in texture coordinate space>,
+//   coordY: <vertical sprite center position, in texture coordinate space
+//            (the origin is located at the upper-left corner)>,
+//   size: <sprite size, as a fraction of the target height>,
+//   spriteColor: <rgbColor - the alpha component is applied to the sprite>,
+//   shape: <one of the pointSpriteRenderer shape values>,
+//   rotation: <sprite rotation, in radians>
+// }
+
+function pointSpriteRenderer() {
+	// Number of floating-point values stored for each sprite vertex
+	// (position - 2, size - 1, color - 4, shape/rotation - 2).
+	this.constFloatsPerSprite = 9;
+	
+	this.spriteVertexBuffer = null;
+	
+	// Client-side sprite vertex data (grown as required).
+	this.spriteVertexData = new Float32Array(0);
+}
+
+/**
+ * Sprite shapes (interpreted by the point sprite fragment shader)
+ */
+pointSpriteRenderer.shapeBauble = 0;
+pointSpriteRenderer.shapeLight = 1;
+pointSpriteRenderer.shapeFlake = 2;
+pointSpriteRenderer.shapeStar = 3;
+pointSpriteRenderer.shapeStarburst = 4;
+
+/**
+ * Resource name of the fragment shader used to render point sprites
+ */
+pointSpriteRenderer.fragmentShaderName = "FragmentShaderPointSprite.shader";
+
+/**
+ * Creates the WebGL resources required for sprite rendering
+ * @param webGlCanvasContext {WebGLRenderingContext2D} Context that will be used
+ *                                                     to render sprites
+ */
+pointSpriteRenderer.prototype.initialize = function(webGlCanvasContext) {
+	if (validateVar(webGlCanvasContext)) {
+		this.spriteVertexBuffer = webGlCanvasContext.createBuffer();
+	}
+}
+
+/**
+ * Releases the WebGL resources required for sprite rendering
+ * @param webGlCanvasContext {WebGLRenderingContext2D} Context that was used
+ *                                                     to initialize the
+ *                                                     renderer
+ */
+pointSpriteRenderer.prototype.dispose = function(webGlCanvasContext) {
+	if (validateVar(webGlCanvasContext) && validateVar(this.spriteVertexBuffer)) {
+		webGlCanvasContext.deleteBuffer(this.spriteVertexBuffer);
+	}
+	
+	this.spriteVertexBuffer = null;
+}
+
+/**
+ * Renders a list of point sprites onto the currently-bound framebuffer
+ *  (sprites are alpha-blended with the existing framebuffer contents)
+ * @param webGlCanvasContext {WebGLRenderingContext2D} Context onto which the
+ *                                                     sprites will be drawn
+ * @param spriteList {Array} List of sprite objects
+ */
+pointSpriteRenderer.prototype.renderSprites = function(webGlCanvasContext, spriteList) {
+	var spriteProgram = globalResources.getNamedShaderProgram(pointSpriteRenderer.fragmentShaderName);
+	
+	if (validateVar(webGlCanvasContext) && (spriteProgram !== null) && validateVar(this.spriteVertexBuffer) &&
+		Array.isArray(spriteList) && (spriteList.length > 0)) {
+		
+		var requiredDataLength = spriteList.length * this.constFloatsPerSprite;
+		if (this.spriteVertexData.length < requiredDataLength) {
+			this.spriteVertexData = new Float32Array(requiredDataLength);
+		}
+		
+		// Sprite sizes are specified relative to the height of the target.
+		var targetHeight = webGlCanvasContext.drawingBufferHeight;
+		for (var spriteLoop = 0; spriteLoop < spriteList.length; spriteLoop++) {
+			var currentSprite = spriteList[spriteLoop];
+			var dataOffset = spriteLoop * this.constFloatsPerSprite;
+			
+			this.spriteVertexData[dataOffset] = currentSprite.coordX;
+			this.spriteVertexData[dataOffset + 1] = currentSprite.coordY;
+			this.spriteVertexData[dataOffset + 2] = currentSprite.size * targetHeight;
+			this.spriteVertexData[dataOffset + 3] = currentSprite.spriteColor.getRedValue();
+			this.spriteVertexData[dataOffset + 4] = currentSprite.spriteColor.getGreenValue();
+			this.spriteVertexData[dataOffset + 5] = currentSprite.spriteColor.getBlueValue();
+			this.spriteVertexData[dataOffset + 6] = currentSprite.spriteColor.getAlphaValue();
+			this.spriteVertexData[dataOffset + 7] = currentSprite.shape;
+			this.spriteVertexData[dataOffset + 8] = currentSprite.rotation;
+		}
+		
+		spriteProgram.use();
+		webGlCanvasContext.bindBuffer(webGlCanvasContext.ARRAY_BUFFER, this.spriteVertexBuffer);
+		webGlCanvasContext.bufferData(webGlCanvasContext.ARRAY_BUFFER,
+			this.spriteVertexData.subarray(0, requiredDataLength), webGlCanvasContext.DYNAMIC_DRAW);
+		
+		var bytesPerFloat = Float32Array.BYTES_PER_ELEMENT;
+		var vertexStride = this.constFloatsPerSprite * bytesPerFloat;
+		var attributeLayout = [
+			{ name: "aSpritePosition", size: 2, offset: 0 },
+			{ name: "aSpriteSize", size: 1, offset: 2 },
+			{ name: "aSpriteColor", size: 4, offset: 3 },
+			{ name: "aSpriteShapeRotation", size: 2, offset: 7 }
+		];
+		
+		var enabledAttributes = [];
+		for (var attributeLoop = 0; attributeLoop < attributeLayout.length; attributeLoop++) {
+			var attributeLocation = spriteProgram.getAttributeLocation(attributeLayout[attributeLoop].name);
+			if (attributeLocation >= 0) {
+				webGlCanvasContext.enableVertexAttribArray(attributeLocation);
+				webGlCanvasContext.vertexAttribPointer(attributeLocation, attributeLayout[attributeLoop].size,
+					webGlCanvasContext.FLOAT, false, vertexStride, attributeLayout[attributeLoop].offset * bytesPerFloat);
+				enabledAttributes.push(attributeLocation);
+			}
+		}
+		
+		// Blend the sprite color with the existing color, and accumulate
+		// coverage within the alpha channel.
+		webGlCanvasContext.enable(webGlCanvasContext.BLEND);
+		webGlCanvasContext.blendFuncSeparate(webGlCanvasContext.SRC_ALPHA, webGlCanvasContext.ONE_MINUS_SRC_ALPHA,
+			webGlCanvasContext.ONE, webGlCanvasContext.ONE_MINUS_SRC_ALPHA);
+		webGlCanvasContext.drawArrays(webGlCanvasContext.POINTS, 0, spriteList.length);
+		webGlCanvasContext.disable(webGlCanvasContext.BLEND);
+		
+		// Disable the sprite attributes, as other shader programs may not
+		// supply data for the attributes.
+		for (var enabledAttributeLoop = 0; enabledAttributeLoop < enabledAttributes.length; enabledAttributeLoop++) {
+			webGlCanvasContext.disableVertexAttribArray(enabledAttributes[enabledAttributeLoop]);
+		}
+	}
+}
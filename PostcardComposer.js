@@ -0,0 +1,185 @@
+// PostcardComposer.js - Composes a high-resolution still "postcard" image -
+//                       the current tree, accompanied by the greeting,
+//                       the sender names, the date and the signature
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//  -RgbColor.js
+//  -GlobalResources.js
+//  -MainFractalRenderingScene.js
+//
+// The scene occupies the upper portion of the postcard, and the text is
+// typeset within a panel along the lower edge (the greeting is wrapped,
+// and the font size is reduced as necessary, in order to fit the panel).
+
+function postcardComposer(targetScene) {
+	// Scene from which the tree image is rendered.
+	this.targetScene = targetScene;
+	
+	// Panel layout, relative to the panel height.
+	this.constPanelMarginFraction = 0.1;
+	this.constMaxMessageFontSizeFraction = 0.15;
+	this.constClosingFontSizeFraction = 0.1;
+	this.constDateFontSizeFraction = 0.07;
+	this.constSignatureHeightFraction = 0.45;
+	
+	this.constMinMessageFontSizePx = 6;
+	this.constLineHeightMultiplier = 1.3;
+	
+	this.constSignatureImageName = "images/Signature.svg";
+	
+	this.panelBackgroundColor = new rgbColor(
+		Constants.scrollerBackgroundUnitIntensity,
+		Constants.scrollerBackgroundUnitIntensity,
+		Constants.scrollerBackgroundUnitIntensity,
+		1.0);
+	this.textColor = new rgbColor(1.0, 1.0, 1.0, 1.0);
+}
+
+/**
+ * Renders the postcard
+ * @param postcardWidth {number} Width of the postcard (pixels)
+ * @param postcardHeight {number} Height of the postcard (pixels)
+ * @return {HTMLCanvasElement} Canvas that contains the postcard image upon
+ *                             success, null otherwise
+ */
+postcardComposer.prototype.composePostcard = function(postcardWidth, postcardHeight) {
+	var postcardCanvas = document.createElement("canvas");
+	postcardCanvas.width = Math.max(Math.round(postcardWidth), 1);
+	postcardCanvas.height = Math.max(Math.round(postcardHeight), 1);
+	var postcardContext = postcardCanvas.getContext("2d");
+	
+	var sceneCanvas = document.createElement("canvas");
+	var panelHeight = Math.round(postcardCanvas.height * Constants.postcardTextPanelFraction);
+	sceneCanvas.width = postcardCanvas.width;
+	sceneCanvas.height = Math.max(postcardCanvas.height - panelHeight, 1);
+	var sceneContext = sceneCanvas.getContext("2d");
+	
+	if (validateVar(postcardContext) && validateVar(sceneContext)) {
+		this.targetScene.renderStillImage(sceneContext, Constants.postcardMaxTileSize);
+		postcardContext.drawImage(sceneCanvas, 0, 0);
+		this.renderTextPanel(postcardContext, sceneCanvas.height, postcardCanvas.width,
+			postcardCanvas.height - sceneCanvas.height);
+	}
+	else {
+		postcardCanvas = null;
+	}
+	
+	return postcardCanvas;
+}
+
+/**
+ * Renders the text panel (greeting, sender names, date and signature)
+ * @param postcardContext {CanvasRenderingContext2D} Context onto which the
+ *                                                   panel will be drawn
+ * @param panelCoordY {number} Vertical position of the panel (pixels)
+ * @param panelWidth {number} Width of the panel (pixels)
+ * @param panelHeight {number} Height of the panel (pixels)
+ */
+postcardComposer.prototype.renderTextPanel = function(postcardContext, panelCoordY, panelWidth, panelHeight) {
+	var panelMargin = panelHeight * this.constPanelMarginFraction;
+	
+	postcardContext.save();
+	postcardContext.fillStyle = this.panelBackgroundColor.getRgbIntValueAsStandardString();
+	postcardContext.fillRect(0, panelCoordY, panelWidth, panelHeight);
+	
+	// The signature is placed in the lower-right corner (the text occupies
+	// the remainder of the panel).
+	var signatureWidth = 0;
+	var signatureImage = globalResources.getLoadedResource(this.constSignatureImageName);
+	if (validateVar(signatureImage) && (signatureImage.width > 0) && (signatureImage.height > 0)) {
+		var signatureHeight = panelHeight * this.constSignatureHeightFraction;
+		signatureWidth = signatureHeight * signatureImage.width / signatureImage.height;
+		postcardContext.drawImage(signatureImage, panelWidth - panelMargin - signatureWidth,
+			panelCoordY + panelHeight - panelMargin - signatureHeight, signatureWidth, signatureHeight);
+	}
+	
+	var textWidth = Math.max(panelWidth - (panelMargin * 2.0) - ((signatureWidth > 0) ? (signatureWidth + panelMargin) : 0), 1);
+	var closingFontSizePx = Math.round(panelHeight * this.constClosingFontSizeFraction);
+	var dateFontSizePx = Math.round(panelHeight * this.constDateFontSizeFraction);
+	var closingHeight = (closingFontSizePx + dateFontSizePx) * this.constLineHeightMultiplier;
+	
+	postcardContext.fillStyle = this.textColor.getRgbIntValueAsStandardString();
+	postcardContext.textBaseline = "top";
+	postcardContext.textAlign = "left";
+	
+	// Greeting - the largest font size at which the wrapped greeting fits
+	// above the closing is employed.
+	var messageHeight = panelHeight - (panelMargin * 3.0) - closingHeight;
+	var messageFontSizePx = Math.round(panelHeight * this.constMaxMessageFontSizeFraction);
+	var messageLines = [];
+	var messageFitsPanel = false;
+	while (!messageFitsPanel) {
+		postcardContext.font = this.buildFontString(Constants.postcardFontStyle, messageFontSizePx);
+		messageLines = this.wrapText(postcardContext, globalResources.getMessageText(), textWidth);
+		messageFitsPanel = ((messageLines.length * messageFontSizePx * this.constLineHeightMultiplier) <= messageHeight) ||
+			(messageFontSizePx <= this.constMinMessageFontSizePx);
+		if (!messageFitsPanel) {
+			messageFontSizePx = Math.max(Math.floor(messageFontSizePx * 0.9), this.constMinMessageFontSizePx);
+		}
+	}
+	
+	var lineCoordY = panelCoordY + panelMargin;
+	for (var lineLoop = 0; lineLoop < messageLines.length; lineLoop++) {
+		postcardContext.fillText(messageLines[lineLoop], panelMargin, lineCoordY);
+		lineCoordY += messageFontSizePx * this.constLineHeightMultiplier;
+	}
+	
+	// Closing (sender names, followed by the date).
+	lineCoordY = panelCoordY + panelHeight - panelMargin - closingHeight;
+	postcardContext.font = this.buildFontString("Bold", closingFontSizePx);
+	postcardContext.fillText("- " + Constants.postcardSenderNames, panelMargin, lineCoordY, textWidth);
+	
+	lineCoordY += closingFontSizePx * this.constLineHeightMultiplier;
+	postcardContext.font = this.buildFontString("", dateFontSizePx);
+	postcardContext.fillText(new Date().toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" }),
+		panelMargin, lineCoordY, textWidth);
+	
+	postcardContext.restore();
+}
+
+/**
+ * Produces a CSS font specification that employs the postcard font
+ * @param fontStyle {string} Font style (e.g., "Italic" - may be empty)
+ * @param fontSizePx {number} Font size (pixels)
+ * @return {string} The font specification
+ */
+postcardComposer.prototype.buildFontString = function(fontStyle, fontSizePx) {
+	return ((fontStyle.length > 0) ? (fontStyle + " ") : "") + fontSizePx + "px " + Constants.postcardFont;
+}
+
+/**
+ * Divides text into lines that do not exceed a specific width (words
+ *  that exceed the width occupy a line of their own), using the current
+ *  font of a context
+ * @param measurementContext {CanvasRenderingContext2D} Context used to measure
+ *                                                      the text
+ * @param sourceText {string} The text to be divided
+ * @param maxLineWidth {number} Maximum width of a line (pixels)
+ * @return {Array} List of lines
+ */
+postcardComposer.prototype.wrapText = function(measurementContext, sourceText, maxLineWidth) {
+	var lineList = [];
+	var wordList = sourceText.split(/\s+/);
+	var currentLine = "";
+	
+	for (var wordLoop = 0; wordLoop < wordList.length; wordLoop++) {
+		if (wordList[wordLoop].length > 0) {
+			var candidateLine = (currentLine.length > 0) ? (currentLine + " " + wordList[wordLoop]) : wordList[wordLoop];
+			if ((currentLine.length > 0) && (measurementContext.measureText(candidateLine).width > maxLineWidth)) {
+				lineList.push(currentLine);
+				currentLine = wordList[wordLoop];
+			}
+			else {
+				currentLine = candidateLine;
+			}
+		}
+	}
+	
+	if (currentLine.length > 0) {
+		lineList.push(currentLine);
+	}
+	
+	return lineList;
+}
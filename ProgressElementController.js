@@ -2,6 +2,12 @@
 function progressElementController() {
 	this.progressDomElement = null;
 	this.progressElementWidth = 0;
+	
+	// Element that lists resources that could not be loaded (created
+	// upon failure).
+	this.loadErrorDomElement = null;
+	
+	this.constProgressElementHeight = 40;
 }
 
 /**
@@ -10,23 +16,23 @@ function progressElementController() {
  * @param parentElement {HTMLElement} The element that will serve
  *                                    as the parent container for the
  *                                    progress bar
+ * @param progressElementWidth {number} Width of the progress bar
  */
 progressElementController.prototype.createProgressElement = function(parentElement, progressElementWidth) {
 	var progressElement = null;
-	var constProgressElementHeight = 40;
-	var outerRectMargin = 1;
 	
 	if (validateVar(parentElement) && (parentElement instanceof HTMLElement)) {
 		progressElement = document.createElementNS("http://www.w3.org/2000/svg", "svg");
-		progressElement.setAttribute("width", Constants.progressElementWidth);
-		var absoluteVertCenteredHorizStyle = "position: absolute; top: 70%; left: 50%; transform: translateX(-50%)"
-		progressElement.style = absoluteVertCenteredHorizStyle
+		progressElement.setAttribute("width", progressElementWidth);
+		progressElement.setAttribute("height", this.constProgressElementHeight);
+		var absoluteVertCenteredHorizStyle = "position: absolute; top: 70%; left: 50%; transform: translateX(-50%)";
+		progressElement.setAttribute("style", absoluteVertCenteredHorizStyle);
 		var innerProgressElements = this.buildInnerProgressElementsWithProgresFraction(
-			this.progressDomElement, 0.0, Constants.progressElementWidth);
+			progressElement, 0.0, progressElementWidth);
 		parentElement.appendChild(progressElement);
 	}
 	
-	this.progressElement = progressElement
+	this.progressDomElement = progressElement;
 	this.progressElementWidth = progressElementWidth;
 }
 
@@ -40,10 +46,10 @@ progressElementController.prototype.createProgressElement = function(parentEleme
  * @see globalResources.setProgressFunction
  */
 progressElementController.prototype.updateProgressElement = function(progressFraction) {
-	if ((progressFraction >= 0.0) && (progressFraction <= 1.0))
+	if (validateVar(this.progressDomElement) && (progressFraction >= 0.0) && (progressFraction <= 1.0))
 	{
 		while (this.progressDomElement.firstChild !== null) {
-			progressElement.removeChild(progressElement.firstChild);
+			this.progressDomElement.removeChild(this.progressDomElement.firstChild);
 		}
 		
 		var innerProgressElements = this.buildInnerProgressElementsWithProgresFraction(this.progressDomElement,
@@ -68,8 +74,7 @@ progressElementController.prototype.updateProgressElement = function(progressFra
 progressElementController.prototype.buildInnerProgressElementsWithProgresFraction = function(progressParentElement, progressFraction, elementWidth) {
 	var innerProgressElements = null;
 	
-	var progressElement = null;
-	var constProgressElementHeight = 40;
+	var constProgressElementHeight = this.constProgressElementHeight;
 	var outerRectMargin = 2;
 	
 	if (validateVar(progressParentElement) && validateVar(progressFraction) && (typeof progressFraction == "number")) {
@@ -84,13 +89,13 @@ progressElementController.prototype.buildInnerProgressElementsWithProgresFractio
 		svgOuterRect.setAttribute("height", constProgressElementHeight);
 		svgOuterRect.setAttribute("x", 0);
 		svgOuterRect.setAttribute("y", 0);
-		svgOuterRect.style = "fill: #606060";
+		svgOuterRect.setAttribute("style", "fill: #606060");
 		
 		svgInnerRect.setAttribute("width", innerRectMaxWidth * progressFraction);
 		svgInnerRect.setAttribute("height", innerRectHeight);
 		svgInnerRect.setAttribute("x", outerRectMargin);
 		svgInnerRect.setAttribute("y", outerRectMargin);
-		svgInnerRect.style = "fill: #8f8f8f";
+		svgInnerRect.setAttribute("style", "fill: #8f8f8f");
 		innerProgressElements = svgOuterRect;
 	}
 	
@@ -98,8 +103,63 @@ progressElementController.prototype.buildInnerProgressElementsWithProgresFractio
 }
 
 /**
- * Removes the progress indication element from the
- *  DOM
+ * Displays a list of resources that could not be loaded
+ *  (beneath the progress bar), along with a button that
+ *  re-attempts loading of the resources
+ * @param failedEntryList {Array} List of failed resources (resourceName,
+ *                                errorMessage)
+ * @param retryFunction {function} Function invoked in order to re-attempt
+ *                                 loading of the failed resources
+ * @see globalResources.setLoadErrorFunction
+ */
+progressElementController.prototype.showLoadErrors = function(failedEntryList, retryFunction) {
+	this.removeLoadErrorElementFromDom();
+	
+	if (validateVar(this.progressDomElement) && validateVar(this.progressDomElement.parentElement)) {
+		var loadErrorElement = document.createElement("div");
+		loadErrorElement.setAttribute("style", "position: absolute; top: 70%; left: 50%; " +
+			"transform: translateX(-50%); margin-top: " + (this.constProgressElementHeight + 10) + "px; " +
+			"font: 14px Arial; color: #c04040; text-align: center");
+		
+		var titleElement = document.createElement("div");
+		titleElement.textContent = "Unable to load the following resources:";
+		loadErrorElement.appendChild(titleElement);
+		
+		for (var entryLoop = 0; entryLoop < failedEntryList.length; entryLoop++) {
+			var entryElement = document.createElement("div");
+			entryElement.textContent = failedEntryList[entryLoop].resourceName + " (" +
+				failedEntryList[entryLoop].errorMessage + ")";
+			loadErrorElement.appendChild(entryElement);
+		}
+		
+		var retryButton = document.createElement("button");
+		retryButton.textContent = "Retry";
+		var progressController = this;
+		retryButton.addEventListener("click", function() {
+			progressController.removeLoadErrorElementFromDom();
+			retryFunction();
+		});
+		loadErrorElement.appendChild(retryButton);
+		
+		this.progressDomElement.parentElement.appendChild(loadErrorElement);
+		this.loadErrorDomElement = loadErrorElement;
+	}
+}
+
+/**
+ * Removes the load error element from the DOM
+ */
+progressElementController.prototype.removeLoadErrorElementFromDom = function() {
+	if (validateVar(this.loadErrorDomElement) && validateVar(this.loadErrorDomElement.parentElement)) {
+		this.loadErrorDomElement.parentElement.removeChild(this.loadErrorDomElement);
+	}
+	
+	this.loadErrorDomElement = null;
+}
+
+/**
+ * Removes the progress indication element (and any load
+ *  error element) from the DOM
  */
 progressElementController.prototype.removeProgressElementFromDom = function() {
 	if (validateVar(this.progressDomElement) && (this.progressDomElement instanceof Element) &&
@@ -108,4 +168,6 @@ progressElementController.prototype.removeProgressElementFromDom = function() {
 		var elementParent = this.progressDomElement.parentElement;
 		elementParent.removeChild(this.progressDomElement);
 	}
+	
+	this.removeLoadErrorElementFromDom();
 }
\ No newline at end of file
@@ -0,0 +1,319 @@
+// ResourceLoader.js - Asynchronously loads the resources described by a
+//                     resource manifest, reporting byte-weighted loading
+//                     progress
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//
+// Resource manifest entry format:
+//
+// {
+//     resourceName: "FragmentShaderIfsFractalTree.shader", (URL of the resource)
+//     resourceType: resourceLoader.resourceTypeText,
+//     optional: false (optional - failure to load an optional resource does
+//                      not prevent loading from being completed)
+// }
+//
+// Progress is weighted by resource size - the size of each resource is
+// estimated (by resource type) until the actual size has been reported
+// by the server. Each failed request is re-attempted (up to
+// Constants.resourceLoadAttemptCount attempts) before the resource is
+// reported as a failure.
+
+function resourceLoader() {
+	// Manifest entries, along with the loading state of each entry.
+	this.loadEntryList = [];
+	
+	// Loaded resource data (string - text, object - JSON, Image - image,
+	// object URL string - audio), keyed by resource name.
+	this.loadedResourcesByName = {};
+	
+	// Function that receives loading progress updates (receives a completion
+	// fraction, 0.0 - 1.0, inclusive).
+	this.progressFunction = null;
+}
+
+/**
+ * Resource types (determines the form in which the loaded
+ *  resource data is stored)
+ */
+resourceLoader.resourceTypeText = "text";
+resourceLoader.resourceTypeJson = "json";
+resourceLoader.resourceTypeImage = "image";
+resourceLoader.resourceTypeAudio = "audio";
+
+/**
+ * Resource loading states
+ */
+resourceLoader.loadStatePending = "pending";
+resourceLoader.loadStateLoading = "loading";
+resourceLoader.loadStateLoaded = "loaded";
+resourceLoader.loadStateFailed = "failed";
+
+/**
+ * Estimated resource sizes, in bytes (employed to weight progress until the
+ *  actual size of a resource is known), keyed by resource type
+ */
+resourceLoader.constEstimatedSizesByType = {
+	"text": 16384,
+	"json": 16384,
+	"image": 262144,
+	"audio": 4194304
+};
+
+/**
+ * Adds resources to the list of resources to be loaded
+ * @param manifestEntries {Array} List of resource manifest entries
+ */
+resourceLoader.prototype.addManifestEntries = function(manifestEntries) {
+	if (validateVar(manifestEntries)) {
+		for (var entryLoop = 0; entryLoop < manifestEntries.length; entryLoop++) {
+			var manifestEntry = manifestEntries[entryLoop];
+			var estimatedSize = resourceLoader.constEstimatedSizesByType[manifestEntry.resourceType];
+			
+			this.loadEntryList.push({
+				resourceName: manifestEntry.resourceName,
+				resourceType: manifestEntry.resourceType,
+				optional: (manifestEntry.optional === true),
+				loadState: resourceLoader.loadStatePending,
+				loadedBytes: 0,
+				totalBytes: validateVar(estimatedSize) ? estimatedSize : resourceLoader.constEstimatedSizesByType.text,
+				errorMessage: null
+			});
+		}
+	}
+}
+
+/**
+ * Sets the function that receives loading progress updates
+ * @param progressFunction {function} Function that receives a loading
+ *                                    completion fraction (0.0 - 1.0,
+ *                                    inclusive)
+ */
+resourceLoader.prototype.setProgressFunction = function(progressFunction) {
+	this.progressFunction = progressFunction;
+}
+
+/**
+ * Loads all resources that have not yet been loaded (includes resources
+ *  that previously failed to load)
+ * @return {Promise} A promise that is resolved when all resources have been
+ *                   loaded (failed optional resources are permitted), or
+ *                   rejected with a list of the failed required resources
+ *                   (resourceName, errorMessage)
+ */
+resourceLoader.prototype.loadResources = function() {
+	var loader = this;
+	var loadPromiseList = [];
+	
+	for (var entryLoop = 0; entryLoop < this.loadEntryList.length; entryLoop++) {
+		var loadEntry = this.loadEntryList[entryLoop];
+		if ((loadEntry.loadState === resourceLoader.loadStatePending) ||
+			(loadEntry.loadState === resourceLoader.loadStateFailed)) {
+			
+			loadEntry.loadState = resourceLoader.loadStatePending;
+			loadEntry.loadedBytes = 0;
+			loadEntry.errorMessage = null;
+			loadPromiseList.push(this.loadEntryWithRetry(loadEntry, 1));
+		}
+	}
+	
+	this.notifyProgress();
+	
+	// Individual failures are recorded within the entries - the combined
+	// promise is resolved after all load attempts have concluded.
+	return Promise.all(loadPromiseList).then(function() {
+		var failedEntryList = loader.getFailedEntries(false);
+		if (failedEntryList.length > 0) {
+			throw failedEntryList;
+		}
+	});
+}
+
+/**
+ * Loads a single resource, re-attempting the load upon failure
+ * @param loadEntry {object} Loading state of the resource
+ * @param attemptNumber {number} Number of the current load attempt (one-based)
+ * @return {Promise} A promise that is resolved when the resource has been
+ *                   loaded, or all load attempts have failed (the promise is
+ *                   never rejected)
+ */
+resourceLoader.prototype.loadEntryWithRetry = function(loadEntry, attemptNumber) {
+	var loader = this;
+	
+	loadEntry.loadState = resourceLoader.loadStateLoading;
+	
+	return this.requestResource(loadEntry).then(function(resourceData) {
+		loader.loadedResourcesByName[loadEntry.resourceName] = resourceData;
+		loadEntry.loadState = resourceLoader.loadStateLoaded;
+		loadEntry.loadedBytes = loadEntry.totalBytes;
+		loader.notifyProgress();
+	}, function(loadError) {
+		console.log("Unable to load " + loadEntry.resourceName + " (attempt " + attemptNumber + " of " +
+			Constants.resourceLoadAttemptCount + "): " + loadError.message);
+		
+		loadEntry.loadedBytes = 0;
+		loader.notifyProgress();
+		
+		var retryPromise = null;
+		if (attemptNumber < Constants.resourceLoadAttemptCount) {
+			retryPromise = new Promise(function(resolveFunction) {
+				window.setTimeout(resolveFunction, Constants.resourceLoadRetryDelayMs);
+			}).then(function() {
+				return loader.loadEntryWithRetry(loadEntry, attemptNumber + 1);
+			});
+		}
+		else {
+			loadEntry.loadState = resourceLoader.loadStateFailed;
+			loadEntry.errorMessage = loadError.message;
+		}
+		
+		return retryPromise;
+	});
+}
+
+/**
+ * Performs a single asynchronous request for a resource, and converts the
+ *  response to the form appropriate for the resource type
+ * @param loadEntry {object} Loading state of the resource
+ * @return {Promise} A promise that is resolved with the resource data, or
+ *                   rejected with an Error
+ */
+resourceLoader.prototype.requestResource = function(loadEntry) {
+	var loader = this;
+	
+	return new Promise(function(resolveFunction, rejectFunction) {
+		var httpRequest = new XMLHttpRequest();
+		httpRequest.open("GET", loadEntry.resourceName, true);
+		httpRequest.responseType = ((loadEntry.resourceType === resourceLoader.resourceTypeImage) ||
+			(loadEntry.resourceType === resourceLoader.resourceTypeAudio)) ? "blob" : "text";
+		
+		httpRequest.onprogress = function(progressEvent) {
+			if (progressEvent.lengthComputable && (progressEvent.total > 0)) {
+				loadEntry.totalBytes = progressEvent.total;
+			}
+			
+			loadEntry.loadedBytes = Math.min(progressEvent.loaded, loadEntry.totalBytes);
+			loader.notifyProgress();
+		};
+		
+		httpRequest.onload = function() {
+			// Local files (file:// URLs) are reported with a status of zero.
+			if (((httpRequest.status >= 200) && (httpRequest.status < 300)) ||
+				((httpRequest.status === 0) && validateVar(httpRequest.response))) {
+				
+				loader.convertResponse(loadEntry, httpRequest.response).then(resolveFunction, rejectFunction);
+			}
+			else {
+				rejectFunction(new Error("HTTP status " + httpRequest.status));
+			}
+		};
+		
+		httpRequest.onerror = function() {
+			rejectFunction(new Error("Network error"));
+		};
+		
+		httpRequest.send();
+	});
+}
+
+/**
+ * Converts a response to the form in which the resource data is stored
+ * @param loadEntry {object} Loading state of the resource
+ * @param response {string/Blob} The response data
+ * @return {Promise} A promise that is resolved with the resource data, or
+ *                   rejected with an Error if the data cannot be decoded
+ */
+resourceLoader.prototype.convertResponse = function(loadEntry, response) {
+	var conversionPromise = null;
+	
+	if (loadEntry.resourceType === resourceLoader.resourceTypeImage) {
+		conversionPromise = new Promise(function(resolveFunction, rejectFunction) {
+			var imageUrl = URL.createObjectURL(response);
+			var loadedImage = new Image();
+			loadedImage.onload = function() {
+				URL.revokeObjectURL(imageUrl);
+				resolveFunction(loadedImage);
+			};
+			loadedImage.onerror = function() {
+				URL.revokeObjectURL(imageUrl);
+				rejectFunction(new Error("Unable to decode image"));
+			};
+			loadedImage.src = imageUrl;
+		});
+	}
+	else if (loadEntry.resourceType === resourceLoader.resourceTypeAudio) {
+		// The object URL is retained for the lifetime of the page (the audio
+		// is decoded by the audio element upon playback).
+		conversionPromise = Promise.resolve(URL.createObjectURL(response));
+	}
+	else if (loadEntry.resourceType === resourceLoader.resourceTypeJson) {
+		conversionPromise = new Promise(function(resolveFunction) {
+			resolveFunction(JSON.parse(response));
+		});
+	}
+	else {
+		conversionPromise = Promise.resolve(response);
+	}
+	
+	return conversionPromise;
+}
+
+/**
+ * Computes the overall loading progress (weighted by resource size)
+ * @return {number} Loading completion fraction (0.0 - 1.0, inclusive)
+ */
+resourceLoader.prototype.computeProgressFraction = function() {
+	var loadedBytes = 0;
+	var totalBytes = 0;
+	
+	for (var entryLoop = 0; entryLoop < this.loadEntryList.length; entryLoop++) {
+		loadedBytes += this.loadEntryList[entryLoop].loadedBytes;
+		totalBytes += this.loadEntryList[entryLoop].totalBytes;
+	}
+	
+	return (totalBytes > 0) ? Math.min(loadedBytes / totalBytes, 1.0) : 1.0;
+}
+
+/**
+ * Sends the current loading progress to the progress function
+ */
+resourceLoader.prototype.notifyProgress = function() {
+	if (typeof this.progressFunction === "function") {
+		this.progressFunction(this.computeProgressFraction());
+	}
+}
+
+/**
+ * Retrieves the resources that could not be loaded
+ * @param includeOptionalEntries {boolean} Whether or not failed optional
+ *                                         resources are to be included
+ * @return {Array} A list of failed resources (resourceName, errorMessage)
+ */
+resourceLoader.prototype.getFailedEntries = function(includeOptionalEntries) {
+	var failedEntryList = [];
+	
+	for (var entryLoop = 0; entryLoop < this.loadEntryList.length; entryLoop++) {
+		var loadEntry = this.loadEntryList[entryLoop];
+		if ((loadEntry.loadState === resourceLoader.loadStateFailed) &&
+			(includeOptionalEntries || !loadEntry.optional)) {
+			
+			failedEntryList.push({ resourceName: loadEntry.resourceName, errorMessage: loadEntry.errorMessage });
+		}
+	}
+	
+	return failedEntryList;
+}
+
+/**
+ * Retrieves the data of a loaded resource
+ * @param resourceName {string} Name of the resource
+ * @return {string/object/Image} The resource data (see resourceLoader.resourceType*)
+ *                               upon success, null if the resource has not
+ *                               been loaded
+ */
+resourceLoader.prototype.getLoadedResource = function(resourceName) {
+	return this.loadedResourcesByName.hasOwnProperty(resourceName) ?
+		this.loadedResourcesByName[resourceName] : null;
+}
@@ -154,4 +154,25 @@ rgbColor.prototype.setRgbaValuesFromIntValues = function(intRedValue, intGreenVa
 		this.unitBlueValue = intBlueValue / this.constUnitRgbComponentToIntMultiplier;
 		this.unitAlphaValue = intAlphaValue / this.constUnitRgbComponentToIntMultiplier;
 	}
-}
\ No newline at end of file
+}
+
+/**
+ * Produces a color that is a linear blend of this color and another
+ *  color (all components, including alpha, are blended)
+ * @param targetColor {rgbColor} The color towards which this color will be
+ *                               blended
+ * @param blendFraction {number} Blend weight of the target color (0.0 - this
+ *                               color, 1.0 - the target color)
+ * @return {rgbColor} A new, blended color
+ */
+rgbColor.prototype.blendWithColor = function(targetColor, blendFraction) {
+	var unitBlendFraction = Math.max(this.constMinUnitComponentValue,
+		Math.min(this.constMaxUnitComponentValue, returnValidNumOrZero(blendFraction)));
+	var sourceFraction = 1.0 - unitBlendFraction;
+	
+	return new rgbColor(
+		(this.unitRedValue * sourceFraction) + (targetColor.getRedValue() * unitBlendFraction),
+		(this.unitGreenValue * sourceFraction) + (targetColor.getGreenValue() * unitBlendFraction),
+		(this.unitBlueValue * sourceFraction) + (targetColor.getBlueValue() * unitBlendFraction),
+		(this.unitAlphaValue * sourceFraction) + (targetColor.getAlphaValue() * unitBlendFraction));
+}
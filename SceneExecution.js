@@ -1,83 +1,266 @@
 // SceneExecution.js - Responsible for continuously executing a single scene animation
 // Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//  -GlobalResources.js
+//
+// Scene steps are executed once per display frame (requestAnimationFrame).
+// The time quantum supplied to each step is the measured interval between
+// frames, clamped to Constants.maxSceneStepTimeQuantumMs (prevents large
+// animation jumps after stalls). Execution is automatically paused while
+// the page is hidden. Execution is stopped if a step throws an exception
+// (the error function, if any, receives the exception).
+//
+// The time spent executing each continuously-executed step is reported to
+// the scene via recordStepDuration(stepDurationMs, timeQuantum), if the
+// scene provides the method (steps executed via step(), and the step that
+// initializes the scene, are not reported).
 
 
-function sceneExecution(targetScene) {
-    if (validateVar(targetScene)) {
-        // "Single-step" time quantum, in milliseconds
-        // (the reciprocal of this value yields the
-        // target frame rate).
-        var singleStepQuantum = 16;
-		
-		// Time, in milliseconds, since the execution of the last scene
-		// animation single-step (permits animation to accommodate for
-		// slower machines).
-		var timeSinceLastSceneStep = singleStepQuantum;	
-           
-		// Last absolute date/time (milliseconds) at which a scene
-		// step execution was invoked.
-		var lastSceneStepTimeAbs = 0;
-		   
-		// Total execution time of the scene (milliseconds).            
-		var currentDuration = 0;
-			
-		var bInitialized = false;
-		
-		/**
-		 * Executes a single scene step
-		 * @return True if the segment should continue execution,
-		 *         false otherwise
-		 */
-		function runSegmentStep() {					
-			if (!bInitialized) {
-				// Initialize the scene.
-				targetScene.initialize();
-				bInitialized = true;
-			}
+function sceneExecutionController(targetScene, errorFunction) {
+	this.targetScene = targetScene;
+	
+	// Function invoked after execution has been stopped due to an
+	// exception thrown during a scene step (receives the exception).
+	this.errorFunction = validateVar(errorFunction) ? errorFunction : null;
+	
+	// Time quantum used for the first step after execution has been started
+	// or resumed (no previous step time is available), in milliseconds.
+	this.constDefaultTimeQuantumMs = 16;
+	
+	// Identifier of the pending animation frame request (null if no request
+	// is pending).
+	this.animationFrameRequestId = null;
+	
+	// Time (performance.now()) at which the previous scene step was executed
+	// (null if the next step is the first step after execution has been
+	// started/resumed).
+	this.lastSceneStepTime = null;
+	
+	// Total execution time of the scene (milliseconds).
+	this.currentDuration = 0;
+	
+	this.sceneInitialized = false;
+	this.paused = false;
+	this.stopped = false;
+	
+	// Indicates that execution has been suspended because the page is hidden
+	// (independent of explicit pausing).
+	this.suspendedWhileHidden = false;
+	
+	var executionController = this;
+	this.visibilityChangeHandler = function() {
+		executionController.onVisibilityChange();
+	};
+}
 
-			// Use the system clock to keep track of the
-			// execution period.
-			if (lastSceneStepTimeAbs > 0)
-			{
-				var currentSceneStepTimeAbs = new Date();
-				timeSinceLastSceneStep =
-					currentSceneStepTimeAbs.getTime() -
-					lastSceneStepTimeAbs.getTime();
-				lastSceneStepTimeAbs = currentSceneStepTimeAbs;
-			}
-			
-			lastSceneStepTimeAbs = new Date();
-			var startClock = new Date();
-			
-			// Execute a scene step, using the actual time interval
-			// between scene executions as a time quantum.
-			var targetCanvasContext = globalResources.getMainCanvasContext();
-			var overlayCanvasContext = globalResources.getOverlayCanvasContext();
-			if (targetCanvasContext !== null) {
-				targetScene.executeStep(timeSinceLastSceneStep, targetCanvasContext,
-					overlayCanvasContext);
-			}
-					
-			// Update the segment duration, and repeat
-			// the scene step execution.
-			var endClock = new Date();
-			
-			if (validateVar(startClock) && validateVar(endClock)) {
-				// Current duration = immediate duration +
-				// single-step (frame) execution time +
-				// single-step (frame) interval
-				currentDuration += (endClock.getTime() -
-					startClock.getTime()) + singleStepQuantum;
-			}
-			else {
-				currentDuration += singleStepQuantum;
-			}
+/**
+ * Starts continuous execution of the scene
+ */
+sceneExecutionController.prototype.start = function() {
+	if (!this.stopped) {
+		document.addEventListener("visibilitychange", this.visibilityChangeHandler);
+		this.suspendedWhileHidden = (document.hidden === true);
+		this.requestAnimationFrame();
+	}
+}
 
-		
-			window.setTimeout(runSegmentStep, singleStepQuantum);
+/**
+ * Pauses continuous execution of the scene (the scene can still be
+ *  advanced using step())
+ */
+sceneExecutionController.prototype.pause = function() {
+	this.paused = true;
+	this.cancelAnimationFrame();
+}
+
+/**
+ * Resumes continuous execution of the scene after a pause
+ */
+sceneExecutionController.prototype.resume = function() {
+	if (this.paused) {
+		this.paused = false;
+		this.lastSceneStepTime = null;
+		this.requestAnimationFrame();
+	}
+}
+
+/**
+ * Permanently stops execution of the scene
+ */
+sceneExecutionController.prototype.stop = function() {
+	this.stopped = true;
+	this.cancelAnimationFrame();
+	document.removeEventListener("visibilitychange", this.visibilityChangeHandler);
+}
+
+/**
+ * Executes a single scene step, using a specific time quantum (the
+ *  quantum is not clamped - intended for use while execution is paused).
+ *  Exceptions thrown by the step are handled in the same manner as
+ *  exceptions thrown during continuous execution.
+ * @param timeQuantum {number} Time quantum (milliseconds)
+ */
+sceneExecutionController.prototype.step = function(timeQuantum) {
+	if (!this.stopped && validateVar(timeQuantum) && (timeQuantum >= 0)) {
+		try {
+			this.executeSceneStep(timeQuantum);
+		}
+		catch (stepError) {
+			this.handleStepError(stepError);
+		}
+	}
+}
+
+/**
+ * Determines whether or not the scene is being continuously executed
+ * @return {boolean} True if the scene is being continuously executed
+ */
+sceneExecutionController.prototype.isRunning = function() {
+	return !this.stopped && !this.paused && !this.suspendedWhileHidden;
+}
+
+/**
+ * Determines whether or not execution has been explicitly paused
+ * @return {boolean} True if execution has been paused
+ */
+sceneExecutionController.prototype.isPaused = function() {
+	return this.paused;
+}
+
+/**
+ * Retrieves the total execution time of the scene
+ * @return {number} The sum of all executed time quanta (milliseconds)
+ */
+sceneExecutionController.prototype.getCurrentDuration = function() {
+	return this.currentDuration;
+}
+
+/**
+ * Requests an animation frame, if execution is running, and no request
+ *  is pending
+ */
+sceneExecutionController.prototype.requestAnimationFrame = function() {
+	if (this.isRunning() && (this.animationFrameRequestId === null)) {
+		var executionController = this;
+		this.animationFrameRequestId = window.requestAnimationFrame(function() {
+			executionController.onAnimationFrame();
+		});
+	}
+}
+
+/**
+ * Cancels any pending animation frame request
+ */
+sceneExecutionController.prototype.cancelAnimationFrame = function() {
+	if (this.animationFrameRequestId !== null) {
+		window.cancelAnimationFrame(this.animationFrameRequestId);
+		this.animationFrameRequestId = null;
+	}
+}
+
+/**
+ * Animation frame handler - executes a scene step using the time
+ *  elapsed since the previous step, and requests the next frame
+ */
+sceneExecutionController.prototype.onAnimationFrame = function() {
+	this.animationFrameRequestId = null;
+	
+	if (this.isRunning()) {
+		var currentTime = performance.now();
+		var timeQuantum = this.constDefaultTimeQuantumMs;
+		if (this.lastSceneStepTime !== null) {
+			timeQuantum = Math.max(0, Math.min(currentTime - this.lastSceneStepTime,
+				Constants.maxSceneStepTimeQuantumMs));
 		}
 		
-		// Begin the segment execution loop.
-		runSegmentStep();
+		this.lastSceneStepTime = currentTime;
+		var sceneInitializedBeforeStep = this.sceneInitialized;
+		try {
+			this.executeSceneStep(timeQuantum);
+			if (sceneInitializedBeforeStep && (typeof(this.targetScene.recordStepDuration) === "function")) {
+				this.targetScene.recordStepDuration(performance.now() - currentTime, timeQuantum);
+			}
+			
+			this.requestAnimationFrame();
+		}
+		catch (stepError) {
+			this.handleStepError(stepError);
+		}
+	}
+}
+
+/**
+ * Executes a single scene step (initializes the scene before the first
+ *  step)
+ * @param timeQuantum {number} Time quantum (milliseconds)
+ */
+sceneExecutionController.prototype.executeSceneStep = function(timeQuantum) {
+	if (!this.sceneInitialized) {
+		this.targetScene.initialize();
+		this.sceneInitialized = true;
+	}
+	
+	var targetCanvasContext = globalResources.getMainCanvasContext();
+	var overlayCanvasContext = globalResources.getOverlayCanvasContext();
+	if (targetCanvasContext !== null) {
+		this.targetScene.executeStep(timeQuantum, targetCanvasContext, overlayCanvasContext);
+	}
+	
+	this.currentDuration += timeQuantum;
+}
+
+/**
+ * Stops execution after a scene step has thrown an exception, and
+ *  forwards the exception to the error function
+ * @param stepError {Error} The exception thrown by the scene step
+ */
+sceneExecutionController.prototype.handleStepError = function(stepError) {
+	console.log("Scene execution stopped - scene step failed: " +
+		((validateVar(stepError) && validateVar(stepError.message)) ? stepError.message : stepError));
+	this.stop();
+	
+	if (typeof(this.errorFunction) === "function") {
+		this.errorFunction(stepError);
+	}
+}
+
+/**
+ * Page visibility change handler - suspends execution while the page
+ *  is hidden
+ */
+sceneExecutionController.prototype.onVisibilityChange = function() {
+	this.suspendedWhileHidden = (document.hidden === true);
+	
+	if (this.suspendedWhileHidden) {
+		this.cancelAnimationFrame();
+	}
+	else {
+		// The hidden interval is not included in the next time quantum.
+		this.lastSceneStepTime = null;
+		this.requestAnimationFrame();
+	}
+}
+
+/**
+ * Begins continuous execution of a scene
+ * @param targetScene {object} The scene to be executed (must implement
+ *                             initialize() and executeStep(...))
+ * @param errorFunction {function} Optional function invoked if execution is
+ *                                 stopped due to an exception thrown during
+ *                                 a scene step (receives the exception)
+ * @return {sceneExecutionController} Controller used to pause, resume, stop
+ *                                    or single-step the scene execution
+ *                                    upon success, null otherwise
+ */
+function sceneExecution(targetScene, errorFunction) {
+	var executionController = null;
+	
+	if (validateVar(targetScene)) {
+		executionController = new sceneExecutionController(targetScene, errorFunction);
+		executionController.start();
 	}
+	
+	return executionController;
 }
@@ -0,0 +1,403 @@
+// SceneSequencer.js - Executes an ordered timeline of scenes, rendering
+//                     transitions between successive scenes
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -WebGlUtility.js
+//  -GlobalResources.js
+//
+// The sequencer implements the same interface as a scene (initialize/
+// executeStep), and can therefore be executed via sceneExecution(...).
+//
+// Timeline entry format:
+// {
+//   scene: <object implementing initialize() and executeStep(...)>,
+//   durationMs: <optional - scene display duration, in milliseconds>,
+//   completionFunction: <optional - function(scene, elapsedTimeMs) that
+//                        returns true when the scene has completed>,
+//   transitionStyle: <optional - style of the transition used when the
+//                     scene becomes active (crossfade, wipe or cut)>,
+//   transitionDurationMs: <optional - duration of the transition used
+//                          when the scene becomes active>
+// }
+//
+// A scene without a duration or a completion function executes
+// indefinitely. Scenes are initialized when they first become active;
+// scenes that are re-activated (timeline looping) are restarted via
+// restart(), if the scene provides the method. Measured step durations
+// are forwarded to the active scene via recordStepDuration(...), if the
+// scene provides the method.
+
+function sceneSequencer(timelineEntries, loopTimeline) {
+	this.timelineEntries = [];
+	this.loopTimeline = (loopTimeline === true);
+	
+	var entryList = Array.isArray(timelineEntries) ? timelineEntries : [];
+	for (var entryLoop = 0; entryLoop < entryList.length; entryLoop++) {
+		var sourceEntry = entryList[entryLoop];
+		if (validateVar(sourceEntry) && validateVar(sourceEntry.scene) &&
+			(typeof(sourceEntry.scene.initialize) === "function") &&
+			(typeof(sourceEntry.scene.executeStep) === "function")) {
+				
+			this.timelineEntries.push({
+				scene: sourceEntry.scene,
+				durationMs: (typeof(sourceEntry.durationMs) === "number") ? sourceEntry.durationMs : null,
+				completionFunction: (typeof(sourceEntry.completionFunction) === "function") ?
+					sourceEntry.completionFunction : null,
+				transitionStyle: validateVar(sourceEntry.transitionStyle) ? sourceEntry.transitionStyle :
+					sceneSequencer.transitionStyleCrossfade,
+				transitionDurationMs: (typeof(sourceEntry.transitionDurationMs) === "number") ?
+					sourceEntry.transitionDurationMs : sceneSequencer.defaultTransitionDurationMs,
+				sceneInitialized: false
+			});
+		}
+		else {
+			console.log("Scene timeline entry " + entryLoop + " does not contain a valid scene - entry ignored");
+		}
+	}
+	
+	// Index of the scene that is currently active (the outgoing scene
+	// during a transition).
+	this.activeEntryIndex = -1;
+	
+	// Index of the incoming scene during a transition (-1 if no
+	// transition is in progress).
+	this.incomingEntryIndex = -1;
+	
+	// Time elapsed since the active scene became active (milliseconds).
+	this.activeEntryElapsedTimeMs = 0.0;
+	
+	// Time elapsed within the current transition (milliseconds).
+	this.transitionElapsedTimeMs = 0.0;
+	
+	// Set when the final scene of a non-looping timeline has been
+	// reached (the final scene continues to execute).
+	this.timelineCompleted = false;
+	
+	// Render targets that receive the outgoing/incoming scene output
+	// during a transition.
+	this.outgoingRenderTarget = null;
+	this.incomingRenderTarget = null;
+	
+	this.transitionQuadVertexBuffer = null;
+	this.transitionTextureCoordinateBuffer = null;
+}
+
+/**
+ * Transition styles - the incoming scene fades in over the outgoing
+ *  scene (crossfade), is revealed from left to right (wipe), or
+ *  replaces the outgoing scene immediately (cut)
+ */
+sceneSequencer.transitionStyleCrossfade = "crossfade";
+sceneSequencer.transitionStyleWipe = "wipe";
+sceneSequencer.transitionStyleCut = "cut";
+
+/**
+ * Default transition duration (milliseconds)
+ */
+sceneSequencer.defaultTransitionDurationMs = 1500.0;
+
+/**
+ * Resource name of the fragment shader used to composite scenes during
+ *  a transition
+ */
+sceneSequencer.transitionFragmentShaderName = "FragmentShaderSceneTransition.shader";
+
+sceneSequencer.prototype.initialize = function() {
+	// Quad geometry used to render the transition composite
+	// (configured for drawing as triangle strips).
+	this.constTransitionQuadVertices = [
+		-1.0, 1.0, 0.0,
+		-1.0, -1.0, 0.0,
+		1.0, 1.0, 0.0,
+		1.0, -1.0, 0.0
+	];
+	
+	this.constTransitionTextureCoordinates = [
+		0.0, 0.0,
+		0.0, 1.0,
+		1.0, 0.0,
+		1.0, 1.0
+	];
+	
+	this.constVertexSize = 3;
+	this.constTextureCoordinateSize = 2;
+	this.constQuadVertexCount = 4;
+	
+	// Texture units used to sample the outgoing/incoming scene output
+	// (units that are not employed by scenes for other purposes).
+	this.constOutgoingTextureUnitIndex = 2;
+	this.constIncomingTextureUnitIndex = 3;
+	
+	// Transitions are not rendered when WebGL is unavailable (scenes are
+	// cut).
+	var webGlCanvasContext = globalResources.getMainCanvasContext();
+	if (isWebGlContext(webGlCanvasContext)) {
+		this.transitionQuadVertexBuffer = webGlCanvasContext.createBuffer();
+		webGlCanvasContext.bindBuffer(webGlCanvasContext.ARRAY_BUFFER, this.transitionQuadVertexBuffer);
+		webGlCanvasContext.bufferData(webGlCanvasContext.ARRAY_BUFFER, new Float32Array(this.constTransitionQuadVertices),
+			webGlCanvasContext.STATIC_DRAW);
+		
+		this.transitionTextureCoordinateBuffer = webGlCanvasContext.createBuffer();
+		webGlCanvasContext.bindBuffer(webGlCanvasContext.ARRAY_BUFFER, this.transitionTextureCoordinateBuffer);
+		webGlCanvasContext.bufferData(webGlCanvasContext.ARRAY_BUFFER, new Float32Array(this.constTransitionTextureCoordinates),
+			webGlCanvasContext.STATIC_DRAW);
+	}
+	
+	if (this.timelineEntries.length > 0) {
+		this.activateEntryScene(0);
+		this.activeEntryIndex = 0;
+	}
+}
+
+/**
+ * Releases the WebGL resources employed to render transitions (buffers
+ *  and render targets), and optionally the timeline scenes
+ * @param disposeScenes {boolean} True if the timeline scenes should also be
+ *                                disposed (scenes are disposed via dispose(),
+ *                                if the scene provides the method)
+ */
+sceneSequencer.prototype.dispose = function(disposeScenes) {
+	var webGlCanvasContext = globalResources.getMainCanvasContext();
+	
+	if (disposeScenes === true) {
+		for (var entryLoop = 0; entryLoop < this.timelineEntries.length; entryLoop++) {
+			var timelineEntry = this.timelineEntries[entryLoop];
+			if (typeof(timelineEntry.scene.dispose) === "function") {
+				timelineEntry.scene.dispose();
+			}
+			
+			timelineEntry.sceneInitialized = false;
+		}
+	}
+	
+	if (isWebGlContext(webGlCanvasContext)) {
+		if (validateVar(this.transitionQuadVertexBuffer)) {
+			webGlCanvasContext.deleteBuffer(this.transitionQuadVertexBuffer);
+		}
+		
+		if (validateVar(this.transitionTextureCoordinateBuffer)) {
+			webGlCanvasContext.deleteBuffer(this.transitionTextureCoordinateBuffer);
+		}
+		
+		deleteRenderTarget(webGlCanvasContext, this.outgoingRenderTarget);
+		deleteRenderTarget(webGlCanvasContext, this.incomingRenderTarget);
+	}
+	
+	this.transitionQuadVertexBuffer = null;
+	this.transitionTextureCoordinateBuffer = null;
+	this.outgoingRenderTarget = null;
+	this.incomingRenderTarget = null;
+}
+
+/**
+ * Retrieves the scene that is currently active (the outgoing scene, if a
+ *  transition is in progress)
+ * @return {object} The active scene upon success, null otherwise
+ */
+sceneSequencer.prototype.getActiveScene = function() {
+	return (this.activeEntryIndex >= 0) ? this.timelineEntries[this.activeEntryIndex].scene : null;
+}
+
+/**
+ * Determines whether or not a scene transition is in progress
+ * @return {boolean} True if a transition is in progress
+ */
+sceneSequencer.prototype.isTransitionInProgress = function() {
+	return (this.incomingEntryIndex >= 0);
+}
+
+/**
+ * Prepares the scene associated with a timeline entry for execution
+ *  (initializing the scene upon first activation, and restarting the
+ *  scene upon subsequent activations)
+ * @param entryIndex {number} Index of the timeline entry
+ */
+sceneSequencer.prototype.activateEntryScene = function(entryIndex) {
+	var timelineEntry = this.timelineEntries[entryIndex];
+	
+	if (!timelineEntry.sceneInitialized) {
+		timelineEntry.scene.initialize();
+		timelineEntry.sceneInitialized = true;
+	}
+	else if (typeof(timelineEntry.scene.restart) === "function") {
+		timelineEntry.scene.restart();
+	}
+}
+
+/**
+ * Determines whether or not the active scene has completed
+ * @return {boolean} True if the active scene has completed
+ */
+sceneSequencer.prototype.isActiveEntryComplete = function() {
+	var activeEntry = this.timelineEntries[this.activeEntryIndex];
+	var entryComplete = false;
+	
+	if ((activeEntry.durationMs !== null) && (this.activeEntryElapsedTimeMs >= activeEntry.durationMs)) {
+		entryComplete = true;
+	}
+	else if ((activeEntry.completionFunction !== null) &&
+		activeEntry.completionFunction(activeEntry.scene, this.activeEntryElapsedTimeMs)) {
+		entryComplete = true;
+	}
+	
+	return entryComplete;
+}
+
+/**
+ * Advances the timeline to the next scene, initiating a transition
+ *  if the next scene specifies a transition
+ */
+sceneSequencer.prototype.advanceTimeline = function() {
+	var nextEntryIndex = this.activeEntryIndex + 1;
+	if (nextEntryIndex >= this.timelineEntries.length) {
+		if (!this.loopTimeline) {
+			// Continue executing the final scene.
+			this.timelineCompleted = true;
+			return;
+		}
+		
+		nextEntryIndex = 0;
+	}
+	
+	this.activateEntryScene(nextEntryIndex);
+	
+	var nextEntry = this.timelineEntries[nextEntryIndex];
+	var transitionPossible = (nextEntryIndex !== this.activeEntryIndex) &&
+		(nextEntry.transitionStyle !== sceneSequencer.transitionStyleCut) &&
+		(nextEntry.transitionDurationMs > 0.0) &&
+		(globalResources.getNamedShaderProgram(sceneSequencer.transitionFragmentShaderName) !== null);
+		
+	if (transitionPossible) {
+		this.incomingEntryIndex = nextEntryIndex;
+		this.transitionElapsedTimeMs = 0.0;
+	}
+	else {
+		this.activeEntryIndex = nextEntryIndex;
+		this.activeEntryElapsedTimeMs = 0.0;
+	}
+}
+
+/**
+ * Executes a single step of a scene transition - both scenes are rendered
+ *  to offscreen render targets, which are subsequently composited
+ * @param timeQuantum Time delta with respect to the previously-executed
+ *                    animation step (milliseconds)
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context onto which
+ *                                                      the scene data will be drawn
+ * @param overlayCanvasContext {CanvasRenderingContext2D} Context onto which
+ *                             data to be superimposed on the scene will be
+ *                             drawn
+ */
+sceneSequencer.prototype.executeTransitionStep = function(timeQuantum, targetCanvasContext, overlayCanvasContext) {
+	var outgoingEntry = this.timelineEntries[this.activeEntryIndex];
+	var incomingEntry = this.timelineEntries[this.incomingEntryIndex];
+	
+	this.outgoingRenderTarget = ensureRenderTargetDimensions(targetCanvasContext, this.outgoingRenderTarget,
+		targetCanvasContext.canvas.width, targetCanvasContext.canvas.height);
+	this.incomingRenderTarget = ensureRenderTargetDimensions(targetCanvasContext, this.incomingRenderTarget,
+		targetCanvasContext.canvas.width, targetCanvasContext.canvas.height);
+	
+	this.transitionElapsedTimeMs += timeQuantum;
+	var transitionFraction = Math.min(1.0, this.transitionElapsedTimeMs / incomingEntry.transitionDurationMs);
+	
+	if (validateVar(this.outgoingRenderTarget) && validateVar(this.incomingRenderTarget) &&
+		(transitionFraction < 1.0)) {
+			
+		targetCanvasContext.bindFramebuffer(targetCanvasContext.FRAMEBUFFER, this.outgoingRenderTarget.framebuffer);
+		outgoingEntry.scene.executeStep(timeQuantum, targetCanvasContext, overlayCanvasContext);
+		targetCanvasContext.bindFramebuffer(targetCanvasContext.FRAMEBUFFER, this.incomingRenderTarget.framebuffer);
+		incomingEntry.scene.executeStep(timeQuantum, targetCanvasContext, overlayCanvasContext);
+		targetCanvasContext.bindFramebuffer(targetCanvasContext.FRAMEBUFFER, null);
+		
+		this.renderTransitionComposite(targetCanvasContext, transitionFraction, incomingEntry.transitionStyle);
+	}
+	else {
+		// Transition complete (or render targets are unavailable) - the
+		// incoming scene becomes the active scene.
+		incomingEntry.scene.executeStep(timeQuantum, targetCanvasContext, overlayCanvasContext);
+		this.activeEntryIndex = this.incomingEntryIndex;
+		this.incomingEntryIndex = -1;
+		this.activeEntryElapsedTimeMs = this.transitionElapsedTimeMs;
+	}
+}
+
+/**
+ * Renders the composite of the outgoing and incoming scene output
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context onto which
+ *                                                      the composite will be drawn
+ * @param transitionFraction {number} Transition progress (0.0 - 1.0, inclusive)
+ * @param transitionStyle {string} Transition style
+ */
+sceneSequencer.prototype.renderTransitionComposite = function(targetCanvasContext, transitionFraction, transitionStyle) {
+	var transitionProgram = globalResources.getNamedShaderProgram(sceneSequencer.transitionFragmentShaderName);
+	
+	transitionProgram.use();
+	
+	targetCanvasContext.bindBuffer(targetCanvasContext.ARRAY_BUFFER, this.transitionQuadVertexBuffer);
+	var vertexPositionAttribute = transitionProgram.getAttributeLocation("aVertexPosition");
+	targetCanvasContext.enableVertexAttribArray(vertexPositionAttribute);
+	targetCanvasContext.vertexAttribPointer(vertexPositionAttribute, this.constVertexSize, targetCanvasContext.FLOAT, false, 0, 0);
+	
+	targetCanvasContext.bindBuffer(targetCanvasContext.ARRAY_BUFFER, this.transitionTextureCoordinateBuffer);
+	var textureCoordinateAttribute = transitionProgram.getAttributeLocation("aTextureCoord");
+	targetCanvasContext.enableVertexAttribArray(textureCoordinateAttribute);
+	targetCanvasContext.vertexAttribPointer(textureCoordinateAttribute, this.constTextureCoordinateSize, targetCanvasContext.FLOAT, false, 0, 0);
+	
+	targetCanvasContext.activeTexture(targetCanvasContext.TEXTURE0 + this.constOutgoingTextureUnitIndex);
+	targetCanvasContext.bindTexture(targetCanvasContext.TEXTURE_2D, this.outgoingRenderTarget.texture);
+	transitionProgram.set("uOutgoingSceneSampler", this.constOutgoingTextureUnitIndex);
+	
+	targetCanvasContext.activeTexture(targetCanvasContext.TEXTURE0 + this.constIncomingTextureUnitIndex);
+	targetCanvasContext.bindTexture(targetCanvasContext.TEXTURE_2D, this.incomingRenderTarget.texture);
+	transitionProgram.set("uIncomingSceneSampler", this.constIncomingTextureUnitIndex);
+	
+	transitionProgram.setUniforms({
+		uniform_transitionFraction: transitionFraction,
+		uniform_transitionStyle: (transitionStyle === sceneSequencer.transitionStyleWipe) ? 1 : 0
+	});
+	
+	targetCanvasContext.drawArrays(targetCanvasContext.TRIANGLE_STRIP, 0, this.constQuadVertexCount);
+}
+
+/**
+ * Forwards the measured duration of a timeline step to the active scene
+ *  (the outgoing scene, if a transition is in progress - the duration
+ *  includes the rendering of both scenes)
+ * @param stepDurationMs {number} Time spent executing the step (milliseconds)
+ * @param timeQuantum {number} Time quantum supplied to the step (milliseconds)
+ * @see sceneExecutionController
+ */
+sceneSequencer.prototype.recordStepDuration = function(stepDurationMs, timeQuantum) {
+	var activeScene = this.getActiveScene();
+	if (validateVar(activeScene) && (typeof(activeScene.recordStepDuration) === "function")) {
+		activeScene.recordStepDuration(stepDurationMs, timeQuantum);
+	}
+}
+
+/**
+ * Executes a time-parameterized single timeline step
+ * @param timeQuantum Time delta with respect to the previously-executed
+ *                    animation step (milliseconds)
+ * @param targetCanvasContext {WebGLRenderingContext2D} Context onto which
+ *                                                      the scene data will be drawn
+ * @param overlayCanvasContext {CanvasRenderingContext2D} Context onto which
+ *                             data to be superimposed on the scene will be
+ *                             drawn
+ */
+sceneSequencer.prototype.executeStep = function(timeQuantum, targetCanvasContext, overlayCanvasContext) {
+	if (this.activeEntryIndex >= 0) {
+		if (this.isTransitionInProgress()) {
+			this.executeTransitionStep(timeQuantum, targetCanvasContext, overlayCanvasContext);
+		}
+		else {
+			this.timelineEntries[this.activeEntryIndex].scene.executeStep(timeQuantum,
+				targetCanvasContext, overlayCanvasContext);
+			this.activeEntryElapsedTimeMs += timeQuantum;
+			
+			if (!this.timelineCompleted && this.isActiveEntryComplete()) {
+				this.advanceTimeline();
+			}
+		}
+	}
+}
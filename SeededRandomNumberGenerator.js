@@ -0,0 +1,119 @@
+// SeededRandomNumberGenerator.js - Encapsulates a seedable pseudo-random number
+//                                  generator, permitting random sequences to be
+//                                  reproduced
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+
+function seededRandomNumberGenerator(seedValue) {
+	// Number of distinct values that can be represented by
+	// an unsigned 32-bit integer (used to produce unit
+	// random values from the generator state).
+	this.constUint32ValueCount = 4294967296;
+	
+	// Seed from which the current random sequence was
+	// generated.
+	this.seedValue = 0;
+	
+	// Internal generator state - advanced during each random
+	// value generation.
+	this.generatorState = 0;
+	
+	this.setSeed(seedValue);
+}
+
+/**
+ * Converts a seed specification (e.g. a value retrieved from
+ *  a URL) into an unsigned 32-bit integer seed value - numeric
+ *  specifications are used directly, while any other text is
+ *  hashed
+ * @param seedSpecification {string/number} The seed specification
+ * @return {number} An unsigned 32-bit integer seed value
+ */
+seededRandomNumberGenerator.seedFromSpecification = function(seedSpecification) {
+	var seedValue = 0;
+	
+	if (typeof(seedSpecification) === "number") {
+		seedValue = Math.floor(Math.abs(seedSpecification)) >>> 0;
+	}
+	else if (validateVar(seedSpecification)) {
+		var seedString = String(seedSpecification).trim();
+		if (/^\d+$/.test(seedString)) {
+			seedValue = parseInt(seedString, 10) >>> 0;
+		}
+		else {
+			// FNV-1a hash of the specification text.
+			seedValue = 2166136261;
+			for (var characterLoop = 0; characterLoop < seedString.length; characterLoop++) {
+				seedValue ^= seedString.charCodeAt(characterLoop);
+				seedValue = Math.imul(seedValue, 16777619) >>> 0;
+			}
+		}
+	}
+	
+	return seedValue;
+}
+
+/**
+ * Generates a new, arbitrary seed value (using the non-reproducible
+ *  system random number generator)
+ * @return {number} An unsigned 32-bit integer seed value
+ */
+seededRandomNumberGenerator.generateArbitrarySeed = function() {
+	return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Resets the generator, restarting the random sequence that is
+ *  associated with the provided seed
+ * @param seedValue {string/number} The seed (or seed specification) that
+ *                                  determines the random sequence
+ * @see seededRandomNumberGenerator.seedFromSpecification
+ */
+seededRandomNumberGenerator.prototype.setSeed = function(seedValue) {
+	this.seedValue = seededRandomNumberGenerator.seedFromSpecification(seedValue);
+	this.generatorState = this.seedValue;
+}
+
+/**
+ * Retrieves the seed that was used to initialize the current
+ *  random sequence
+ * @return {number} The unsigned 32-bit integer seed value
+ */
+seededRandomNumberGenerator.prototype.getSeed = function() {
+	return this.seedValue;
+}
+
+/**
+ * Generates the next value within the random sequence
+ * @return {number} A random value within the half-open interval [0.0, 1.0)
+ */
+seededRandomNumberGenerator.prototype.getNextUnitValue = function() {
+	// "Mulberry32" generator - small state, with a full 2^32 period,
+	// which is adequate for visual variation.
+	this.generatorState = (this.generatorState + 0x6D2B79F5) >>> 0;
+	var mixedValue = this.generatorState;
+	mixedValue = Math.imul(mixedValue ^ (mixedValue >>> 15), mixedValue | 1);
+	mixedValue ^= mixedValue + Math.imul(mixedValue ^ (mixedValue >>> 7), mixedValue | 61);
+	
+	return ((mixedValue ^ (mixedValue >>> 14)) >>> 0) / this.constUint32ValueCount;
+}
+
+/**
+ * Generates the next value within the random sequence, situated
+ *  within the closed interval specified by two provided values
+ * @param minRandomValue {number} Minimum random value that will be returned
+ * @param maxRandomValue {number} Maximum random value that will be returned
+ * @return {number} A value within the specified interval upon success,
+ *                  zero otherwise
+ */
+seededRandomNumberGenerator.prototype.getRangedRandomValue = function(minRandomValue, maxRandomValue) {
+	var rangedRandomValue = 0.0;
+	
+	if (validateVar(minRandomValue) && validateVar(maxRandomValue) &&
+		(minRandomValue <= maxRandomValue)) {
+		rangedRandomValue = (maxRandomValue - minRandomValue) * this.getNextUnitValue() + minRandomValue;
+	}
+	
+	return rangedRandomValue;
+}
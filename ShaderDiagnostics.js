@@ -0,0 +1,150 @@
+// ShaderDiagnostics.js - Parses shader compiler/linker info logs into
+//                        individual diagnostics that refer to the
+//                        original shader source files
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -ShaderPreprocessor.js
+//
+// Info log formats vary between drivers - the following line formats
+// are recognized (other non-empty lines are retained as diagnostics
+// without a line reference):
+//
+// ERROR: 0:<line>: <message>            (ANGLE, Firefox, etc.)
+// 0(<line>) : error <code>: <message>    (NVIDIA)
+// 0:<line>(<column>): error: <message>   (Mesa)
+// ERROR: <message>                      (summary lines)
+
+function shaderDiagnostic(shaderName, stage, severity, fileName, lineNumber, message) {
+	// Resource name of the shader (the fragment shader name is used for
+	// link diagnostics).
+	this.shaderName = shaderName;
+	// Stage that produced the diagnostic (shaderDiagnostic.stage*).
+	this.stage = stage;
+	// Diagnostic severity (shaderDiagnostic.severity*).
+	this.severity = severity;
+	
+	// Original file/line to which the diagnostic refers (null if the
+	// diagnostic does not refer to a specific line).
+	this.fileName = fileName;
+	this.lineNumber = lineNumber;
+	
+	this.message = message;
+}
+
+/**
+ * Shader processing stages
+ */
+shaderDiagnostic.stagePreprocess = "preprocess";
+shaderDiagnostic.stageVertex = "vertex";
+shaderDiagnostic.stageFragment = "fragment";
+shaderDiagnostic.stageLink = "link";
+
+/**
+ * Diagnostic severities
+ */
+shaderDiagnostic.severityError = "error";
+shaderDiagnostic.severityWarning = "warning";
+
+/**
+ * Info log line formats (source string index, line number, severity and
+ *  message - summary lines only specify a severity and message)
+ */
+shaderDiagnostic.constAngleLineExpression = /^\s*(ERROR|WARNING)\s*:\s*(\d+):(\d+)\s*:\s*(.*)$/i;
+shaderDiagnostic.constNvidiaLineExpression = /^\s*(\d+)\((\d+)\)\s*:\s*(error|warning)\b[^:]*:\s*(.*)$/i;
+shaderDiagnostic.constMesaLineExpression = /^\s*(\d+):(\d+)\(\d+\)\s*:\s*(error|warning)\s*:\s*(.*)$/i;
+shaderDiagnostic.constSeverityOnlyExpression = /^\s*(ERROR|WARNING)\s*:\s*(.*)$/i;
+
+/**
+ * Parses a shader compiler/linker info log
+ * @param infoLog {string} The info log
+ * @param stage {string} Stage that produced the info log (shaderDiagnostic.stage*)
+ * @param shaderName {string} Resource name of the shader
+ * @param preprocessedShader {preprocessedShaderSource} The preprocessed source
+ *                                                      that was compiled (optional -
+ *                                                      used to map line numbers
+ *                                                      to the original files)
+ * @return {Array} A list of shaderDiagnostic objects (an info log that contains
+ *                 no recognized content produces a single error diagnostic)
+ */
+shaderDiagnostic.parseInfoLog = function(infoLog, stage, shaderName, preprocessedShader) {
+	var diagnosticList = [];
+	var logLines = validateVar(infoLog) ? String(infoLog).split(/\r?\n/) : [];
+	
+	for (var lineLoop = 0; lineLoop < logLines.length; lineLoop++) {
+		// Some implementations terminate the info log with a null character.
+		var logLine = logLines[lineLoop].replace(/\u0000/g, "").trim();
+		if (logLine.length > 0) {
+			var severity = shaderDiagnostic.severityError;
+			var sourceLineNumber = null;
+			var message = logLine;
+			
+			var lineMatch = shaderDiagnostic.constAngleLineExpression.exec(logLine);
+			if (lineMatch !== null) {
+				severity = lineMatch[1].toLowerCase();
+				sourceLineNumber = parseInt(lineMatch[3], 10);
+				message = lineMatch[4];
+			}
+			else if ((lineMatch = shaderDiagnostic.constNvidiaLineExpression.exec(logLine)) !== null) {
+				severity = lineMatch[3].toLowerCase();
+				sourceLineNumber = parseInt(lineMatch[2], 10);
+				message = lineMatch[4];
+			}
+			else if ((lineMatch = shaderDiagnostic.constMesaLineExpression.exec(logLine)) !== null) {
+				severity = lineMatch[3].toLowerCase();
+				sourceLineNumber = parseInt(lineMatch[2], 10);
+				message = lineMatch[4];
+			}
+			else if ((lineMatch = shaderDiagnostic.constSeverityOnlyExpression.exec(logLine)) !== null) {
+				severity = lineMatch[1].toLowerCase();
+				message = lineMatch[2];
+			}
+			
+			// Map the line within the compiled source to the original file
+			// and line (line zero refers to the source string as a whole).
+			var fileName = shaderName;
+			var lineNumber = (sourceLineNumber > 0) ? sourceLineNumber : null;
+			if ((lineNumber !== null) && validateVar(preprocessedShader)) {
+				var lineEntry = preprocessedShader.mapLineNumber(lineNumber);
+				if (lineEntry !== null) {
+					fileName = lineEntry.fileName;
+					lineNumber = lineEntry.lineNumber;
+				}
+			}
+			
+			diagnosticList.push(new shaderDiagnostic(shaderName, stage, severity, fileName, lineNumber, message));
+		}
+	}
+	
+	if (diagnosticList.length === 0) {
+		diagnosticList.push(new shaderDiagnostic(shaderName, stage, shaderDiagnostic.severityError, shaderName, null,
+			"Shader " + (stage === shaderDiagnostic.stageLink ? "linking" : "compilation") +
+			" failed (no diagnostic information is available)"));
+	}
+	
+	return diagnosticList;
+}
+
+/**
+ * Determines whether or not any diagnostic within a list is an error
+ * @param diagnosticList {Array} A list of shaderDiagnostic objects
+ * @return {boolean} True if the list contains an error
+ */
+shaderDiagnostic.containsError = function(diagnosticList) {
+	var errorFound = false;
+	
+	for (var diagnosticLoop = 0; (diagnosticLoop < diagnosticList.length) && !errorFound; diagnosticLoop++) {
+		errorFound = (diagnosticList[diagnosticLoop].severity === shaderDiagnostic.severityError);
+	}
+	
+	return errorFound;
+}
+
+/**
+ * Produces a single-line description of the diagnostic
+ * @return {string} The diagnostic description
+ */
+shaderDiagnostic.prototype.toString = function() {
+	return this.severity.toUpperCase() + " (" + this.stage + ") " + this.fileName +
+		((this.lineNumber !== null) ? (":" + this.lineNumber) : "") + ": " + this.message;
+}
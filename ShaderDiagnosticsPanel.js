@@ -0,0 +1,160 @@
+// ShaderDiagnosticsPanel.js - On-page panel that displays shader
+//                             compilation/link diagnostics, along with
+//                             the offending shader source lines
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -GlobalResources.js
+//  -ShaderDiagnostics.js
+
+function shaderDiagnosticsPanel(diagnosticList) {
+	// Diagnostics that will be displayed (shaderDiagnostic objects).
+	this.diagnosticList = diagnosticList;
+	
+	// Root element of the panel (created upon first display).
+	this.panelElement = null;
+	
+	// Number of source lines displayed before/after each offending line.
+	this.constSourceContextLineCount = 2;
+	
+	this.constErrorLineStyle = "background-color: #802020; color: #ffffff";
+	this.constWarningLineStyle = "background-color: #806020; color: #ffffff";
+}
+
+/**
+ * Creates the panel elements, and inserts the panel into the DOM
+ * @param parentElement {HTMLElement} The element that will contain the panel
+ * @param sceneAborted {boolean} Indicates whether or not scene execution has
+ *                               been aborted due to the diagnosed errors
+ */
+shaderDiagnosticsPanel.prototype.createPanelElement = function(parentElement, sceneAborted) {
+	if (validateVar(parentElement) && !validateVar(this.panelElement)) {
+		this.panelElement = document.createElement("div");
+		this.panelElement.setAttribute("style", "position: fixed; top: 10px; left: 10px; max-width: 90%; " +
+			"max-height: 90%; overflow: auto; padding: 8px; background-color: rgba(0, 0, 0, 0.85); " +
+			"color: #e0e0e0; font: 12px Arial; text-align: left; border: 1px solid #a04040; z-index: 20");
+		
+		var titleElement = document.createElement("div");
+		titleElement.setAttribute("style", "font-weight: bold; margin-bottom: 6px");
+		titleElement.textContent = sceneAborted ? "Shader errors - the scene cannot be displayed" :
+			"Shader diagnostics";
+		this.panelElement.appendChild(titleElement);
+		
+		for (var diagnosticLoop = 0; diagnosticLoop < this.diagnosticList.length; diagnosticLoop++) {
+			this.panelElement.appendChild(this.createDiagnosticElement(this.diagnosticList[diagnosticLoop]));
+		}
+		
+		var dismissButton = document.createElement("button");
+		dismissButton.textContent = "Dismiss";
+		var diagnosticsPanel = this;
+		dismissButton.addEventListener("click", function() {
+			diagnosticsPanel.removePanelElement();
+		});
+		this.panelElement.appendChild(dismissButton);
+		
+		parentElement.appendChild(this.panelElement);
+	}
+}
+
+/**
+ * Creates the element that describes a single diagnostic (includes an
+ *  excerpt of the shader source when the diagnostic refers to a
+ *  specific line)
+ * @param diagnostic {shaderDiagnostic} The diagnostic to be described
+ * @return {HTMLElement} The element containing the diagnostic description
+ */
+shaderDiagnosticsPanel.prototype.createDiagnosticElement = function(diagnostic) {
+	var diagnosticElement = document.createElement("div");
+	diagnosticElement.setAttribute("style", "margin-bottom: 8px");
+	
+	var descriptionElement = document.createElement("div");
+	descriptionElement.textContent = diagnostic.toString();
+	diagnosticElement.appendChild(descriptionElement);
+	
+	var sourceExcerptLines = this.getSourceExcerptLines(diagnostic);
+	if (sourceExcerptLines.length > 0) {
+		var excerptElement = document.createElement("pre");
+		excerptElement.setAttribute("style", "margin: 4px 0px 0px 12px; padding: 4px; font: 12px monospace; " +
+			"background-color: #202020");
+		
+		for (var lineLoop = 0; lineLoop < sourceExcerptLines.length; lineLoop++) {
+			var excerptLine = sourceExcerptLines[lineLoop];
+			var lineElement = document.createElement("div");
+			if (excerptLine.lineNumber === diagnostic.lineNumber) {
+				lineElement.setAttribute("style", (diagnostic.severity === shaderDiagnostic.severityError) ?
+					this.constErrorLineStyle : this.constWarningLineStyle);
+			}
+			
+			lineElement.textContent = this.formatLineNumber(excerptLine.lineNumber, diagnostic.lineNumber +
+				this.constSourceContextLineCount) + "  " + excerptLine.text;
+			excerptElement.appendChild(lineElement);
+		}
+		
+		diagnosticElement.appendChild(excerptElement);
+	}
+	
+	return diagnosticElement;
+}
+
+/**
+ * Retrieves the original source lines surrounding the line to which a
+ *  diagnostic refers
+ * @param diagnostic {shaderDiagnostic} The diagnostic
+ * @return {Array} List of source lines (lineNumber, text) - empty if the
+ *                 diagnostic does not refer to an available source line
+ */
+shaderDiagnosticsPanel.prototype.getSourceExcerptLines = function(diagnostic) {
+	var excerptLines = [];
+	var preprocessedShader = globalResources.getPreprocessedShader(diagnostic.shaderName);
+	
+	if ((preprocessedShader !== null) && (diagnostic.lineNumber !== null)) {
+		var firstLineNumber = Math.max(1, diagnostic.lineNumber - this.constSourceContextLineCount);
+		var lastLineNumber = diagnostic.lineNumber + this.constSourceContextLineCount;
+		
+		for (var lineNumber = firstLineNumber; lineNumber <= lastLineNumber; lineNumber++) {
+			var sourceLine = preprocessedShader.getSourceLine(diagnostic.fileName, lineNumber);
+			if (sourceLine !== null) {
+				excerptLines.push({ lineNumber: lineNumber, text: sourceLine });
+			}
+		}
+	}
+	
+	return excerptLines;
+}
+
+/**
+ * Formats a line number for display within a source excerpt (line
+ *  numbers are right-aligned)
+ * @param lineNumber {number} The line number
+ * @param maxLineNumber {number} Largest line number within the excerpt
+ * @return {string} The formatted line number
+ */
+shaderDiagnosticsPanel.prototype.formatLineNumber = function(lineNumber, maxLineNumber) {
+	var formattedLineNumber = String(lineNumber);
+	while (formattedLineNumber.length < String(maxLineNumber).length) {
+		formattedLineNumber = " " + formattedLineNumber;
+	}
+	
+	return formattedLineNumber;
+}
+
+/**
+ * Displays the panel
+ * @param parentElement {HTMLElement} The element that will contain the panel
+ * @param sceneAborted {boolean} Indicates whether or not scene execution has
+ *                               been aborted due to the diagnosed errors
+ */
+shaderDiagnosticsPanel.prototype.show = function(parentElement, sceneAborted) {
+	this.createPanelElement(parentElement, sceneAborted);
+}
+
+/**
+ * Removes the panel from the DOM
+ */
+shaderDiagnosticsPanel.prototype.removePanelElement = function() {
+	if (validateVar(this.panelElement) && validateVar(this.panelElement.parentElement)) {
+		this.panelElement.parentElement.removeChild(this.panelElement);
+	}
+	
+	this.panelElement = null;
+}
@@ -0,0 +1,122 @@
+// ShaderGeometryFunctions.shader - Geometric/distance functions shared
+//  by multiple fragment shaders (included via #include "...", which is
+//  resolved by shaderPreprocessor).
+//
+// LINE_SEGMENT_END_POINT_RADIUS may be defined before this file is
+// included in order to specify the radius of the rounded line segment
+// ends evaluated by distanceToLineSegment(...).
+//
+// Author: Ayodeji Oshinnaiye
+
+#ifndef LINE_SEGMENT_END_POINT_RADIUS
+#define LINE_SEGMENT_END_POINT_RADIUS 0.01
+#endif
+
+const vec2 GEOMETRY_VECTOR_UP = vec2(0.0, 1.0);
+
+/**
+ * Rotates a point around a provided point, using the specified rotation
+ *  angle
+ *  
+ * @param targetPoint The point that is to be rotated
+ * @param rotationOrigin The center/origin of the rotation operation
+ * @param rotationAngle The angle for the target point to be rotated, in radians
+ *
+ * @return The rotated point
+ */    
+vec2 rotatePoint( vec2 targetPoint, vec2 rotationOrigin, float rotationAngle )
+{
+    // 2D Rotation
+    // https://www.siggraph.org/education/materials/HyperGraph/modeling/mod_tran/2drota.htm
+    // x' = x cos Θ - y sin Θ
+	// y' = x sin Θ + y cos Θ
+    
+    mat2 rotationMatrix = mat2(cos(rotationAngle), sin(rotationAngle), -sin(rotationAngle), cos(rotationAngle));
+    vec2 rotatedPoint = (targetPoint - rotationOrigin) * rotationMatrix;
+    
+    rotatedPoint += rotationOrigin;
+
+    return rotatedPoint;
+}
+
+/**
+ * Returns the signed distance to a cylinder (centered at the origin) with
+ *  flat ends
+ *  
+ * @param queryPoint The point for which the distance to a cylinder
+ *                   should be determined
+ * @param cylinderDimensions Dimensions of the cylinder (x component defines
+ *                           the cylinder width, y component defines the cylinder
+ *                           height)
+ *
+ * @return The distance to the defined cylinder
+ */    
+float signedDistanceToCappedCylinder(const vec2 queryPoint, const vec2 cylinderDimensions)
+{
+    vec2 queryPoint2 = queryPoint - vec2(0.0, cylinderDimensions.y);
+	// Adapted from signed distance function for a capped cylinder
+	// "Modeling with Distance Functions"
+	// http://www.iquilezles.org/www/articles/distfunctions/distfunctions.htm
+	vec2 distance = abs(vec2(length(queryPoint2.x), queryPoint2.y)) - cylinderDimensions;
+	return min(max(distance.x, distance.y), 0.0) + length(max(distance, 0.0));	
+}
+
+/**
+ * Returns the signed distance to a cylinder with rounded
+ *  ends
+ *  
+ * @param queryPoint The point for which the distance to a capsule
+ *                   should be determined
+ * @param capStartPoint Start of the capsule for which
+ *                      the distance should be determined
+ * @param capEndPoint End of the capsule for which the distance
+ *                    should be determined
+ * @param endRadius Radius for the terminal points of the capsule
+ *
+ * @return The distance to the defined line segment
+ */
+float signedDistanceToCapsule( vec2 queryPoint, vec2 capStartPoint, vec2 capEndPoint, float endRadius )
+{
+	// Adapted from signed distance function for a capsule/line
+	// "Modeling with Distance Functions"
+	// http://www.iquilezles.org/www/articles/distfunctions/distfunctions.htm
+    vec2 pa = queryPoint - capStartPoint, ba = capEndPoint - capStartPoint;
+    float h = clamp( dot(pa,ba)/dot(ba,ba), 0.0, 1.0 );
+    return length( pa - ba*h ) - endRadius;
+}
+
+
+/**
+ * Returns the signed distance to a specified line segment
+ *  
+ * @param queryPoint The point for which the distance to a line
+ *                   segment should be determined
+ * @param segmentStartPoint Start of the line segment for which
+ *                          the distance should be determined
+ * @param segmentWidth Width of the line segment
+ * @param segmentVector Vector that defines the direction/length
+ *                      of the line segment
+ *
+ * @return The distance to the defined line segment
+ */
+float distanceToLineSegment(const vec2 queryPoint, const vec2 segmentStartPoint, const float segmentWidth, const vec2 segmentVector)
+{
+    float distanceToSegment = 0.0;
+        
+	float segmentVectorLength = length(segmentVector);
+    vec2 translatedQueryPoint = queryPoint - segmentStartPoint;
+    vec3 crossProduct = cross(vec3(segmentVector, 0.0), vec3(GEOMETRY_VECTOR_UP, 0.0));
+    // Inverse cosine of the dot product will only yield angles between 0.0 and PI.
+    // Use the cross product in order to determine the proper size on with the vector
+    // lies with respect to the up vector.
+    float angleSideMultiplier = (2.0 * step(0.0, crossProduct.z)) - 1.0;
+    float rotationAngle = -angleSideMultiplier * acos(dot(segmentVector, GEOMETRY_VECTOR_UP) / (segmentVectorLength * length(GEOMETRY_VECTOR_UP)));
+    vec2 rotTransQueryPoint = rotatePoint(translatedQueryPoint, vec2(0, 0), rotationAngle);
+    //vec2 cylinderDimensions = vec2(segmentWidth, segmentVectorLength * 0.5);
+    //distanceToSegment = signedDistanceToCappedCylinder(rotTransQueryPoint, cylinderDimensions);
+	
+	const float kEndPointRadius = LINE_SEGMENT_END_POINT_RADIUS;
+	distanceToSegment = signedDistanceToCapsule(rotTransQueryPoint, vec2(0.0, 0.0), vec2(0, segmentVectorLength), kEndPointRadius);
+
+	return distanceToSegment;
+}
@@ -0,0 +1,240 @@
+// ShaderPreprocessor.js - Prepares shader source for compilation (resolves
+//                         #include directives and injects #define
+//                         directives)
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//
+// Include directive format (the file name is resolved relative to the
+// including file):
+//
+// #include "ShaderFile.shader"
+//
+// Each file is included at most once within a shader (additional
+// inclusions are ignored - include guards are not required within
+// included files). Include directives are resolved regardless of any
+// enclosing conditional directives (#if/#ifdef, etc.). Inclusion cycles
+// are reported as preprocessing errors.
+//
+// The preprocessed source is accompanied by a line map, which permits
+// line numbers reported by the shader compiler to be mapped to the
+// original file and line.
+
+function shaderPreprocessor(resourceLoadFunction) {
+	// Function used to load shader source files (receives a resource
+	// name, and returns the resource data, or null upon failure).
+	this.resourceLoadFunction = resourceLoadFunction;
+	
+	// Source files that have been loaded, keyed by resource name (included
+	// files are commonly shared between multiple shaders).
+	this.sourceFileCache = {};
+	
+	this.constIncludeDirectiveExpression = /^\s*#\s*include\s+"([^"]+)"\s*$/;
+	this.constVersionDirectiveExpression = /^\s*#\s*version\b/;
+	
+	// Name reported as the file name for injected #define directives.
+	this.constInjectedDefinesFileName = "<defines>";
+	
+	// Description of the most recent preprocessing failure.
+	this.lastErrorMessage = null;
+}
+
+/**
+ * Preprocesses a shader (injects #define directives, and resolves
+ *  all #include directives)
+ * @param shaderName {string} Resource name of the shader
+ * @param shaderDefines {object} The #define directive values, keyed by name
+ *                               (optional)
+ * @return {preprocessedShaderSource} The preprocessed shader upon success,
+ *                                    null otherwise (a diagnostic message
+ *                                    will be logged to the console, and
+ *                                    retained within lastErrorMessage upon
+ *                                    failure)
+ */
+shaderPreprocessor.prototype.preprocessShader = function(shaderName, shaderDefines) {
+	var preprocessedShader = null;
+	
+	var outputLines = [];
+	var lineMap = [];
+	var sourceFileLines = {};
+	
+	try {
+		var shaderLines = this.loadSourceLines(shaderName);
+		
+		// A #version directive must precede all other tokens - the #define
+		// directives are injected after the directive, if present.
+		var firstLineIndex = 0;
+		if ((shaderLines.length > 0) && this.constVersionDirectiveExpression.test(shaderLines[0])) {
+			outputLines.push(shaderLines[0]);
+			lineMap.push({ fileName: shaderName, lineNumber: 1 });
+			firstLineIndex = 1;
+		}
+		
+		this.appendDefineDirectives(shaderDefines, outputLines, lineMap);
+		this.appendSourceLines(shaderName, shaderLines, firstLineIndex, [ shaderName ], {}, outputLines, lineMap);
+		
+		// Retain the original lines of each constituent file (permits
+		// diagnostics to display the original source).
+		for (var lineLoop = 0; lineLoop < lineMap.length; lineLoop++) {
+			var lineFileName = lineMap[lineLoop].fileName;
+			if (!sourceFileLines.hasOwnProperty(lineFileName)) {
+				sourceFileLines[lineFileName] = (lineFileName === this.constInjectedDefinesFileName) ?
+					[] : this.sourceFileCache[lineFileName];
+			}
+			
+			if (lineFileName === this.constInjectedDefinesFileName) {
+				sourceFileLines[lineFileName].push(outputLines[lineLoop]);
+			}
+		}
+		
+		preprocessedShader = new preprocessedShaderSource(shaderName, outputLines.join("\n"), lineMap,
+			sourceFileLines);
+	}
+	catch (preprocessingError) {
+		this.lastErrorMessage = preprocessingError.message;
+		console.log("Shader preprocessing failed: " + preprocessingError.message);
+	}
+	
+	return preprocessedShader;
+}
+
+/**
+ * Appends #define directives to the preprocessed output
+ * @param shaderDefines {object} The #define directive values, keyed by name
+ * @param outputLines {Array} Preprocessed output lines
+ * @param lineMap {Array} Original file/line associated with each output line
+ */
+shaderPreprocessor.prototype.appendDefineDirectives = function(shaderDefines, outputLines, lineMap) {
+	if (validateVar(shaderDefines)) {
+		var defineCount = 0;
+		for (var defineName in shaderDefines) {
+			if (shaderDefines.hasOwnProperty(defineName)) {
+				outputLines.push("#define " + defineName + " " + shaderDefines[defineName]);
+				defineCount++;
+				lineMap.push({ fileName: this.constInjectedDefinesFileName, lineNumber: defineCount });
+			}
+		}
+	}
+}
+
+/**
+ * Appends the lines of a source file to the preprocessed output, resolving
+ *  #include directives recursively
+ * @param fileName {string} Resource name of the source file
+ * @param sourceLines {Array} Lines of the source file
+ * @param firstLineIndex {number} Index of the first line to be appended
+ * @param includeStack {Array} Resource names of the files that are currently
+ *                             being processed (outermost file first)
+ * @param includedFiles {object} Set of files that have been included within
+ *                               the shader, keyed by resource name
+ * @param outputLines {Array} Preprocessed output lines
+ * @param lineMap {Array} Original file/line associated with each output line
+ */
+shaderPreprocessor.prototype.appendSourceLines = function(fileName, sourceLines, firstLineIndex, includeStack,
+	includedFiles, outputLines, lineMap) {
+	
+	for (var lineLoop = firstLineIndex; lineLoop < sourceLines.length; lineLoop++) {
+		var includeMatch = this.constIncludeDirectiveExpression.exec(sourceLines[lineLoop]);
+		if (includeMatch !== null) {
+			var includeFileName = this.resolveIncludeFileName(fileName, includeMatch[1]);
+			if (includeStack.indexOf(includeFileName) >= 0) {
+				throw new Error("Include cycle detected (" + fileName + ":" + (lineLoop + 1) + "): " +
+					includeStack.concat(includeFileName).join(" -> "));
+			}
+			
+			if (!includedFiles.hasOwnProperty(includeFileName)) {
+				includedFiles[includeFileName] = true;
+				
+				var includeLines = this.loadSourceLines(includeFileName, fileName, lineLoop + 1);
+				this.appendSourceLines(includeFileName, includeLines, 0, includeStack.concat(includeFileName),
+					includedFiles, outputLines, lineMap);
+			}
+		}
+		else {
+			outputLines.push(sourceLines[lineLoop]);
+			lineMap.push({ fileName: fileName, lineNumber: lineLoop + 1 });
+		}
+	}
+}
+
+/**
+ * Resolves the resource name of an included file (names are relative to
+ *  the location of the including file)
+ * @param includingFileName {string} Resource name of the including file
+ * @param includeFileName {string} File name specified by the #include directive
+ * @return {string} Resource name of the included file
+ */
+shaderPreprocessor.prototype.resolveIncludeFileName = function(includingFileName, includeFileName) {
+	var pathSeparatorIndex = includingFileName.lastIndexOf("/");
+	
+	return (pathSeparatorIndex >= 0) ? (includingFileName.substring(0, pathSeparatorIndex + 1) + includeFileName) :
+		includeFileName;
+}
+
+/**
+ * Loads a source file, and splits the source into lines
+ * @param fileName {string} Resource name of the source file
+ * @param includingFileName {string} Resource name of the including file
+ *                                   (optional - used for error reporting)
+ * @param includingLineNumber {number} Line number of the #include directive
+ *                                     (optional - used for error reporting)
+ * @return {Array} Lines of the source file
+ */
+shaderPreprocessor.prototype.loadSourceLines = function(fileName, includingFileName, includingLineNumber) {
+	if (!this.sourceFileCache.hasOwnProperty(fileName)) {
+		var sourceData = this.resourceLoadFunction(fileName);
+		if (!validateVar(sourceData) || (typeof(sourceData) !== "string")) {
+			throw new Error("Unable to load " + fileName + (validateVar(includingFileName) ?
+				(" (included from " + includingFileName + ":" + includingLineNumber + ")") : ""));
+		}
+		
+		this.sourceFileCache[fileName] = sourceData.split(/\r?\n/);
+	}
+	
+	return this.sourceFileCache[fileName];
+}
+
+/**
+ * Preprocessed shader source, with a map that relates each source
+ *  line to the line of the file from which the line originated
+ * @param shaderName {string} Resource name of the shader
+ * @param source {string} The preprocessed shader source
+ * @param lineMap {Array} Original file name/line number (fileName,
+ *                        lineNumber) of each preprocessed line
+ * @param sourceFileLines {object} Lines of each original file (including the
+ *                                injected #define directives), keyed by file
+ *                                name
+ */
+function preprocessedShaderSource(shaderName, source, lineMap, sourceFileLines) {
+	this.shaderName = shaderName;
+	this.source = source;
+	this.lineMap = lineMap;
+	this.sourceFileLines = sourceFileLines;
+}
+
+/**
+ * Determines the original file and line of a preprocessed source line
+ * @param lineNumber {number} Line number within the preprocessed source
+ *                            (one-based)
+ * @return {object} The original file name/line number (fileName, lineNumber),
+ *                  or null if the line number is out of range
+ */
+preprocessedShaderSource.prototype.mapLineNumber = function(lineNumber) {
+	var lineEntry = this.lineMap[lineNumber - 1];
+	
+	return validateVar(lineEntry) ? lineEntry : null;
+}
+
+/**
+ * Retrieves a line from one of the original files that constitute the
+ *  preprocessed shader
+ * @param fileName {string} Name of the original file
+ * @param lineNumber {number} Line number within the file (one-based)
+ * @return {string} The source line, or null if the line does not exist
+ */
+preprocessedShaderSource.prototype.getSourceLine = function(fileName, lineNumber) {
+	var fileLines = this.sourceFileLines.hasOwnProperty(fileName) ? this.sourceFileLines[fileName] : null;
+	
+	return (validateVar(fileLines) && (lineNumber >= 1) && (lineNumber <= fileLines.length)) ?
+		fileLines[lineNumber - 1] : null;
+}
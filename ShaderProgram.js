@@ -0,0 +1,277 @@
+// ShaderProgram.js - Encapsulates a linked WebGL shader program, providing
+//                    cached uniform/attribute locations and typed uniform
+//                    setters
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//
+// Active uniforms and attributes are reflected once, after the program
+// has been linked. Array uniforms are referenced by the array name (e.g.,
+// "uniform_forestTreePlacement" rather than
+// "uniform_forestTreePlacement[0]"), and are assigned using arrays that
+// contain the values of one or more array elements.
+//
+// Uniform values:
+//  float/int/sampler - number
+//  bool - boolean or number
+//  vector/matrix types (and arrays of any type) - Array or typed array
+//
+// Assignments to unknown uniforms (including uniforms that have been
+// removed by the shader compiler, as they do not contribute to the
+// output) and assignments of values that do not match the uniform type
+// produce a warning (reported once per uniform) - the uniform is not
+// modified.
+
+function shaderProgram(webGlCanvasContext, webGlProgram, programName) {
+	this.webGlCanvasContext = webGlCanvasContext;
+	this.webGlProgram = webGlProgram;
+	// Name used to identify the program within warnings.
+	this.programName = validateVar(programName) ? programName : "(unnamed)";
+	
+	// Active uniforms (location, type and array size) and attributes
+	// (location, type), keyed by name.
+	this.uniformInfoByName = {};
+	this.attributeInfoByName = {};
+	
+	// Uniforms for which a warning has been reported, keyed by name.
+	this.reportedWarnings = {};
+	
+	this.uniformTypeDescriptors = shaderProgram.buildUniformTypeDescriptors(webGlCanvasContext);
+	
+	this.reflectActiveVariables();
+}
+
+/**
+ * Builds a table that describes the supported uniform types
+ * @param webGlCanvasContext {WebGLRenderingContext2D} Context that supplies the
+ *                                                     uniform type constants
+ * @return {object} Uniform type descriptors (componentCount, setterName,
+ *                  valueType - "float", "int" or "bool", matrix), keyed by
+ *                  uniform type
+ */
+shaderProgram.buildUniformTypeDescriptors = function(webGlCanvasContext) {
+	var typeDescriptors = {};
+	
+	function addTypeDescriptor(uniformType, componentCount, setterName, valueType, matrix) {
+		if (validateVar(uniformType)) {
+			typeDescriptors[uniformType] = { componentCount: componentCount, setterName: setterName,
+				valueType: valueType, matrix: matrix };
+		}
+	}
+	
+	addTypeDescriptor(webGlCanvasContext.FLOAT, 1, "uniform1fv", "float", false);
+	addTypeDescriptor(webGlCanvasContext.FLOAT_VEC2, 2, "uniform2fv", "float", false);
+	addTypeDescriptor(webGlCanvasContext.FLOAT_VEC3, 3, "uniform3fv", "float", false);
+	addTypeDescriptor(webGlCanvasContext.FLOAT_VEC4, 4, "uniform4fv", "float", false);
+	addTypeDescriptor(webGlCanvasContext.INT, 1, "uniform1iv", "int", false);
+	addTypeDescriptor(webGlCanvasContext.INT_VEC2, 2, "uniform2iv", "int", false);
+	addTypeDescriptor(webGlCanvasContext.INT_VEC3, 3, "uniform3iv", "int", false);
+	addTypeDescriptor(webGlCanvasContext.INT_VEC4, 4, "uniform4iv", "int", false);
+	addTypeDescriptor(webGlCanvasContext.BOOL, 1, "uniform1iv", "bool", false);
+	addTypeDescriptor(webGlCanvasContext.BOOL_VEC2, 2, "uniform2iv", "bool", false);
+	addTypeDescriptor(webGlCanvasContext.BOOL_VEC3, 3, "uniform3iv", "bool", false);
+	addTypeDescriptor(webGlCanvasContext.BOOL_VEC4, 4, "uniform4iv", "bool", false);
+	addTypeDescriptor(webGlCanvasContext.SAMPLER_2D, 1, "uniform1iv", "int", false);
+	addTypeDescriptor(webGlCanvasContext.SAMPLER_CUBE, 1, "uniform1iv", "int", false);
+	addTypeDescriptor(webGlCanvasContext.FLOAT_MAT2, 4, "uniformMatrix2fv", "float", true);
+	addTypeDescriptor(webGlCanvasContext.FLOAT_MAT3, 9, "uniformMatrix3fv", "float", true);
+	addTypeDescriptor(webGlCanvasContext.FLOAT_MAT4, 16, "uniformMatrix4fv", "float", true);
+	
+	return typeDescriptors;
+}
+
+/**
+ * Retrieves the active uniforms/attributes of the linked program, and
+ *  caches their locations
+ */
+shaderProgram.prototype.reflectActiveVariables = function() {
+	var context = this.webGlCanvasContext;
+	
+	var uniformCount = context.getProgramParameter(this.webGlProgram, context.ACTIVE_UNIFORMS);
+	for (var uniformLoop = 0; uniformLoop < uniformCount; uniformLoop++) {
+		var activeUniform = context.getActiveUniform(this.webGlProgram, uniformLoop);
+		if (validateVar(activeUniform)) {
+			// Array uniforms are reported using the name of the first element.
+			var uniformName = activeUniform.name.replace(/\[0\]$/, "");
+			this.uniformInfoByName[uniformName] = {
+				location: context.getUniformLocation(this.webGlProgram, activeUniform.name),
+				type: activeUniform.type,
+				size: activeUniform.size
+			};
+		}
+	}
+	
+	var attributeCount = context.getProgramParameter(this.webGlProgram, context.ACTIVE_ATTRIBUTES);
+	for (var attributeLoop = 0; attributeLoop < attributeCount; attributeLoop++) {
+		var activeAttribute = context.getActiveAttrib(this.webGlProgram, attributeLoop);
+		if (validateVar(activeAttribute)) {
+			this.attributeInfoByName[activeAttribute.name] = {
+				location: context.getAttribLocation(this.webGlProgram, activeAttribute.name),
+				type: activeAttribute.type
+			};
+		}
+	}
+}
+
+/**
+ * Activates the program (uniforms can only be assigned while the program
+ *  is active)
+ */
+shaderProgram.prototype.use = function() {
+	this.webGlCanvasContext.useProgram(this.webGlProgram);
+}
+
+/**
+ * Determines whether or not the program contains an active uniform
+ * @param uniformName {string} Name of the uniform
+ * @return {boolean} True if the uniform is active
+ */
+shaderProgram.prototype.hasUniform = function(uniformName) {
+	return this.uniformInfoByName.hasOwnProperty(uniformName);
+}
+
+/**
+ * Retrieves the cached location of a uniform
+ * @param uniformName {string} Name of the uniform
+ * @return {WebGLUniformLocation} The uniform location, or null if the uniform
+ *                                is not active
+ */
+shaderProgram.prototype.getUniformLocation = function(uniformName) {
+	return this.hasUniform(uniformName) ? this.uniformInfoByName[uniformName].location : null;
+}
+
+/**
+ * Retrieves the cached location of a vertex attribute
+ * @param attributeName {string} Name of the attribute
+ * @return {number} The attribute location, or -1 if the attribute is not
+ *                  active
+ */
+shaderProgram.prototype.getAttributeLocation = function(attributeName) {
+	return this.attributeInfoByName.hasOwnProperty(attributeName) ?
+		this.attributeInfoByName[attributeName].location : -1;
+}
+
+/**
+ * Assigns a value to a uniform (the program must be active)
+ * @param uniformName {string} Name of the uniform
+ * @param uniformValue {number/boolean/Array/Float32Array/Int32Array} The value
+ *                     (vector, matrix and array uniforms require an array
+ *                     that contains all components)
+ * @return {boolean} True if the value was assigned
+ */
+shaderProgram.prototype.set = function(uniformName, uniformValue) {
+	var valueAssigned = false;
+	
+	if (this.hasUniform(uniformName)) {
+		var uniformInfo = this.uniformInfoByName[uniformName];
+		var typeDescriptor = this.uniformTypeDescriptors[uniformInfo.type];
+		var uniformData = validateVar(typeDescriptor) ? this.convertUniformValue(uniformValue, typeDescriptor,
+			uniformInfo.size) : null;
+		
+		if (uniformData !== null) {
+			if (typeDescriptor.matrix) {
+				this.webGlCanvasContext[typeDescriptor.setterName](uniformInfo.location, false, uniformData);
+			}
+			else {
+				this.webGlCanvasContext[typeDescriptor.setterName](uniformInfo.location, uniformData);
+			}
+			
+			valueAssigned = true;
+		}
+		else {
+			this.reportWarning(uniformName, "value does not match the uniform type (" +
+				(validateVar(typeDescriptor) ? (typeDescriptor.valueType + " x " + typeDescriptor.componentCount) :
+				"unsupported type") + ((uniformInfo.size > 1) ? (", array of " + uniformInfo.size) : "") + ")");
+		}
+	}
+	else {
+		this.reportWarning(uniformName, "unknown uniform (the uniform is not declared, or is unused)");
+	}
+	
+	return valueAssigned;
+}
+
+/**
+ * Assigns values to multiple uniforms (the program must be active)
+ * @param uniformValues {object} Uniform values, keyed by uniform name
+ * @return {boolean} True if all values were assigned
+ * @see shaderProgram.set
+ */
+shaderProgram.prototype.setUniforms = function(uniformValues) {
+	var allValuesAssigned = true;
+	
+	for (var uniformName in uniformValues) {
+		if (uniformValues.hasOwnProperty(uniformName)) {
+			allValuesAssigned = this.set(uniformName, uniformValues[uniformName]) && allValuesAssigned;
+		}
+	}
+	
+	return allValuesAssigned;
+}
+
+/**
+ * Converts a uniform value to the array form expected by the WebGL
+ *  uniform setters
+ * @param uniformValue {number/boolean/Array/Float32Array/Int32Array} The value
+ * @param typeDescriptor {object} Descriptor of the uniform type
+ * @param arraySize {number} Number of uniform array elements (1 for non-array
+ *                           uniforms)
+ * @return {Float32Array/Int32Array} The converted value, or null if the value
+ *                                   does not match the uniform type
+ */
+shaderProgram.prototype.convertUniformValue = function(uniformValue, typeDescriptor, arraySize) {
+	var uniformData = null;
+	
+	var valueList = null;
+	if ((typeof(uniformValue) === "number") || (typeof(uniformValue) === "boolean")) {
+		valueList = [ uniformValue ];
+	}
+	else if (Array.isArray(uniformValue) || (uniformValue instanceof Float32Array) ||
+		(uniformValue instanceof Int32Array)) {
+		
+		valueList = uniformValue;
+	}
+	
+	// A partial array (fewer elements than the uniform array size) is
+	// permitted - the remaining elements are not modified.
+	if ((valueList !== null) && (valueList.length > 0) &&
+		((valueList.length % typeDescriptor.componentCount) === 0) &&
+		(valueList.length <= (typeDescriptor.componentCount * arraySize))) {
+		
+		var valuesValid = true;
+		for (var valueLoop = 0; (valueLoop < valueList.length) && valuesValid; valueLoop++) {
+			var currentValue = valueList[valueLoop];
+			valuesValid = (typeDescriptor.valueType === "bool") ?
+				((typeof(currentValue) === "boolean") || (typeof(currentValue) === "number")) :
+				((typeof(currentValue) === "number") && isFinite(currentValue));
+		}
+		
+		if (valuesValid) {
+			if (typeDescriptor.valueType === "float") {
+				uniformData = (valueList instanceof Float32Array) ? valueList : new Float32Array(valueList);
+			}
+			else {
+				uniformData = new Int32Array(valueList.length);
+				for (var componentLoop = 0; componentLoop < valueList.length; componentLoop++) {
+					uniformData[componentLoop] = (typeDescriptor.valueType === "bool") ?
+						(valueList[componentLoop] ? 1 : 0) : Math.round(valueList[componentLoop]);
+				}
+			}
+		}
+	}
+	
+	return uniformData;
+}
+
+/**
+ * Reports a warning related to a uniform (warnings are only reported once
+ *  for each uniform)
+ * @param uniformName {string} Name of the uniform
+ * @param warningMessage {string} Description of the problem
+ */
+shaderProgram.prototype.reportWarning = function(uniformName, warningMessage) {
+	if (!this.reportedWarnings.hasOwnProperty(uniformName)) {
+		this.reportedWarnings[uniformName] = true;
+		console.log("Shader program " + this.programName + " - " + uniformName + ": " + warningMessage);
+	}
+}
@@ -0,0 +1,289 @@
+// Snowfall.js - Simulates falling snow (rendered as point sprites), which
+//               drifts with the wind and optionally accumulates as a snow
+//               bank along the bottom of the canvas
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -RgbColor.js
+//  -InternalConstants.js
+//  -SeededRandomNumberGenerator.js
+//  -PointSpriteRenderer.js
+//
+// Snowflake positions are expressed within the texture coordinate space
+// employed by the fractal shader (the origin is located at the upper-left
+// corner of the canvas).
+
+function snowfall(randomNumberGenerator) {
+	this.randomNumberGenerator = randomNumberGenerator;
+	
+	this.snowfallEnabled = Constants.snowfallEnabled;
+	this.snowBankEnabled = Constants.snowBankEnabled;
+	
+	// Snowflake size range, as a fraction of the canvas height (flake
+	// sizes also depend upon the flake depth).
+	this.constMinFlakeSize = 0.003;
+	this.constMaxFlakeSize = 0.014;
+	
+	// Fall rate range (texture coordinate units per second) - distant
+	// flakes fall more slowly than near flakes.
+	this.constMinFallRate = 0.04;
+	this.constMaxFallRate = 0.16;
+	
+	// Horizontal drift (texture coordinate units per second) per unit of
+	// wind factor - positive wind factors sway the tree to the left,
+	// and therefore carry the flakes to the left.
+	this.constWindDriftRate = 0.03;
+	
+	// Flutter (side-to-side oscillation) of each flake.
+	this.constFlutterAmplitude = 0.006;
+	this.constMinFlutterPeriodMs = 1500.0;
+	this.constMaxFlutterPeriodMs = 4000.0;
+	
+	// Flake opacity range (distant flakes are less opaque).
+	this.constMinFlakeAlpha = 0.35;
+	this.constMaxFlakeAlpha = 0.95;
+	
+	// Snow bank parameters - only flakes that are sufficiently near
+	// contribute to the bank.
+	this.constSnowBankColumnCount = 160;
+	this.constSnowBankMaxHeight = Constants.snowBankMaxHeightFraction;
+	this.constSnowBankHeightPerFlake = 0.0003;
+	this.constSnowBankMinAccumulationDepth = 0.5;
+	this.snowBankColumnHeights = [];
+	this.snowBankTopColor = new rgbColor(1.0, 1.0, 1.0, 1.0);
+	this.snowBankBaseColor = new rgbColor(0.75, 0.8, 0.9, 1.0);
+	
+	this.flakeList = [];
+	this.setDensity(Constants.snowfallDensity);
+	this.resetSnowBank();
+}
+
+/**
+ * Sets the snowfall density, regenerating all snowflakes
+ * @param flakeCount {number} Number of snowflakes
+ */
+snowfall.prototype.setDensity = function(flakeCount) {
+	this.flakeList = [];
+	
+	var targetFlakeCount = (typeof(flakeCount) === "number") ? Math.max(0, Math.round(flakeCount)) : 0;
+	for (var flakeLoop = 0; flakeLoop < targetFlakeCount; flakeLoop++) {
+		var newFlake = this.createFlake();
+		// Distribute the initial flakes over the entire canvas.
+		newFlake.coordY = this.randomNumberGenerator.getRangedRandomValue(0.0, 1.0);
+		this.flakeList.push(newFlake);
+	}
+}
+
+/**
+ * Restarts the snowfall using a new random seed - the snowflakes are
+ *  regenerated (retaining the current density), and the snow bank is
+ *  removed, such that the snowfall matches a snowfall that was created
+ *  using the seed
+ * @param seedValue {number} Seed value for the snowfall random number
+ *                           generator
+ */
+snowfall.prototype.restart = function(seedValue) {
+	this.randomNumberGenerator.setSeed(seedValue);
+	this.setDensity(this.flakeList.length);
+	this.resetSnowBank();
+}
+
+/**
+ * Enables/disables the snowfall
+ * @param snowfallEnabled {boolean} True if snow should be displayed
+ */
+snowfall.prototype.setEnabled = function(snowfallEnabled) {
+	this.snowfallEnabled = (snowfallEnabled === true);
+}
+
+/**
+ * Enables/disables snow accumulation (the existing snow bank is removed
+ *  when accumulation is disabled)
+ * @param snowBankEnabled {boolean} True if flakes should accumulate as a
+ *                                  snow bank
+ */
+snowfall.prototype.setSnowBankEnabled = function(snowBankEnabled) {
+	this.snowBankEnabled = (snowBankEnabled === true);
+	if (!this.snowBankEnabled) {
+		this.resetSnowBank();
+	}
+}
+
+/**
+ * Removes all accumulated snow
+ */
+snowfall.prototype.resetSnowBank = function() {
+	this.snowBankColumnHeights = [];
+	for (var columnLoop = 0; columnLoop < this.constSnowBankColumnCount; columnLoop++) {
+		this.snowBankColumnHeights.push(0.0);
+	}
+}
+
+/**
+ * Creates a snowflake, positioned immediately above the top of the
+ *  canvas
+ * @return {object} A new snowflake
+ */
+snowfall.prototype.createFlake = function() {
+	var flakeDepth = this.randomNumberGenerator.getNextUnitValue();
+	var flakeAlpha = this.constMinFlakeAlpha + ((this.constMaxFlakeAlpha - this.constMinFlakeAlpha) * flakeDepth);
+	var flakeSize = this.constMinFlakeSize + ((this.constMaxFlakeSize - this.constMinFlakeSize) * flakeDepth *
+		this.randomNumberGenerator.getRangedRandomValue(0.6, 1.0));
+	
+	return {
+		coordX: this.randomNumberGenerator.getNextUnitValue(),
+		coordY: -flakeSize,
+		// Depth of the flake (0.0 - most distant, 1.0 - nearest).
+		depth: flakeDepth,
+		fallRate: this.constMinFallRate + ((this.constMaxFallRate - this.constMinFallRate) * flakeDepth),
+		flutterPhase: this.randomNumberGenerator.getRangedRandomValue(0.0, 2.0 * Math.PI),
+		flutterPeriodMs: this.randomNumberGenerator.getRangedRandomValue(this.constMinFlutterPeriodMs,
+			this.constMaxFlutterPeriodMs),
+		flutterTimeMs: 0.0,
+		// Sprite used to render the flake (retained in order to avoid
+		// per-frame allocations).
+		sprite: {
+			coordX: 0.0,
+			coordY: 0.0,
+			size: flakeSize,
+			spriteColor: new rgbColor(1.0, 1.0, 1.0, flakeAlpha),
+			shape: pointSpriteRenderer.shapeFlake,
+			rotation: 0.0
+		}
+	};
+}
+
+/**
+ * Moves a snowflake back to the top of the canvas, at a new random
+ *  horizontal position
+ * @param flake {object} The snowflake
+ */
+snowfall.prototype.respawnFlake = function(flake) {
+	flake.coordX = this.randomNumberGenerator.getNextUnitValue();
+	flake.coordY = -flake.sprite.size;
+}
+
+/**
+ * Retrieves the snow bank column index that corresponds to a horizontal
+ *  position
+ * @param coordX {number} Horizontal position (texture coordinate space)
+ * @return {number} The snow bank column index
+ */
+snowfall.prototype.getSnowBankColumnIndex = function(coordX) {
+	return Math.max(0, Math.min(this.constSnowBankColumnCount - 1,
+		Math.floor(coordX * this.constSnowBankColumnCount)));
+}
+
+/**
+ * Adds a landed snowflake to the snow bank (snow is distributed between
+ *  adjacent columns, in order to produce a smooth bank surface)
+ * @param coordX {number} Horizontal landing position (texture coordinate space)
+ */
+snowfall.prototype.accumulateFlake = function(coordX) {
+	var columnIndex = this.getSnowBankColumnIndex(coordX);
+	var distributionWeights = [ 0.25, 0.5, 0.25 ];
+	
+	for (var weightLoop = 0; weightLoop < distributionWeights.length; weightLoop++) {
+		var targetColumnIndex = columnIndex + weightLoop - 1;
+		if ((targetColumnIndex >= 0) && (targetColumnIndex < this.constSnowBankColumnCount)) {
+			this.snowBankColumnHeights[targetColumnIndex] = Math.min(this.constSnowBankMaxHeight,
+				this.snowBankColumnHeights[targetColumnIndex] +
+				(this.constSnowBankHeightPerFlake * distributionWeights[weightLoop]));
+		}
+	}
+}
+
+/**
+ * Advances the snowfall simulation
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ * @param windFactor {number} The instantaneous wind factor applied to the tree
+ */
+snowfall.prototype.update = function(timeQuantum, windFactor) {
+	if (this.snowfallEnabled) {
+		var timeQuantumSeconds = timeQuantum / 1000.0;
+		
+		for (var flakeLoop = 0; flakeLoop < this.flakeList.length; flakeLoop++) {
+			var currentFlake = this.flakeList[flakeLoop];
+			var depthScale = 0.5 + (0.5 * currentFlake.depth);
+			
+			currentFlake.flutterTimeMs += timeQuantum;
+			currentFlake.coordY += currentFlake.fallRate * timeQuantumSeconds;
+			currentFlake.coordX -= windFactor * this.constWindDriftRate * depthScale * timeQuantumSeconds;
+			currentFlake.coordX -= Math.floor(currentFlake.coordX);
+			
+			var flakeSurfaceCoordY = 1.0 - (this.snowBankEnabled ?
+				this.snowBankColumnHeights[this.getSnowBankColumnIndex(currentFlake.coordX)] : 0.0);
+			if (currentFlake.coordY >= flakeSurfaceCoordY) {
+				if (this.snowBankEnabled && (currentFlake.depth >= this.constSnowBankMinAccumulationDepth)) {
+					this.accumulateFlake(currentFlake.coordX);
+				}
+				
+				this.respawnFlake(currentFlake);
+			}
+		}
+	}
+}
+
+/**
+ * Appends point sprites that represent the snowflakes to a sprite list
+ * @param spriteList {Array} List to which the snowflake sprites will be appended
+ * @see pointSpriteRenderer
+ */
+snowfall.prototype.appendSprites = function(spriteList) {
+	if (this.snowfallEnabled) {
+		for (var flakeLoop = 0; flakeLoop < this.flakeList.length; flakeLoop++) {
+			var currentFlake = this.flakeList[flakeLoop];
+			var flutterOffset = this.constFlutterAmplitude * Math.sin((2.0 * Math.PI * currentFlake.flutterTimeMs /
+				currentFlake.flutterPeriodMs) + currentFlake.flutterPhase);
+			
+			currentFlake.sprite.coordX = currentFlake.coordX + flutterOffset;
+			currentFlake.sprite.coordY = currentFlake.coordY;
+			spriteList.push(currentFlake.sprite);
+		}
+	}
+}
+
+/**
+ * Renders the snow bank along the bottom of a canvas
+ * @param targetCanvasContext {CanvasRenderingContext2D} Context onto which the
+ *                                                       snow bank will be drawn
+ * @param eraseBankArea {boolean} When set to true, the area that can be
+ *                                occupied by the snow bank is erased before
+ *                                the bank is drawn (required when the bank is
+ *                                drawn repeatedly onto the same canvas - the
+ *                                bank can be reset or disabled)
+ */
+snowfall.prototype.renderSnowBank = function(targetCanvasContext, eraseBankArea) {
+	if (validateVar(targetCanvasContext)) {
+		var canvasWidth = targetCanvasContext.canvas.width;
+		var canvasHeight = targetCanvasContext.canvas.height;
+		var columnWidth = canvasWidth / this.constSnowBankColumnCount;
+		
+		if (eraseBankArea === true) {
+			var bankAreaHeight = Math.ceil(canvasHeight * this.constSnowBankMaxHeight);
+			targetCanvasContext.clearRect(0, canvasHeight - bankAreaHeight, canvasWidth, bankAreaHeight);
+		}
+		
+		if (this.snowfallEnabled && this.snowBankEnabled) {
+			var bankGradient = targetCanvasContext.createLinearGradient(0, canvasHeight * (1.0 - this.constSnowBankMaxHeight),
+				0, canvasHeight);
+			bankGradient.addColorStop(0.0, this.snowBankTopColor.getRgbIntValueAsStandardString());
+			bankGradient.addColorStop(1.0, this.snowBankBaseColor.getRgbIntValueAsStandardString());
+			
+			targetCanvasContext.save();
+			targetCanvasContext.fillStyle = bankGradient;
+			targetCanvasContext.beginPath();
+			targetCanvasContext.moveTo(0, canvasHeight);
+			for (var columnLoop = 0; columnLoop < this.constSnowBankColumnCount; columnLoop++) {
+				targetCanvasContext.lineTo((columnLoop + 0.5) * columnWidth,
+					canvasHeight * (1.0 - this.snowBankColumnHeights[columnLoop]));
+			}
+			targetCanvasContext.lineTo(canvasWidth, canvasHeight);
+			targetCanvasContext.closePath();
+			targetCanvasContext.fill();
+			targetCanvasContext.restore();
+		}
+	}
+}
@@ -78,6 +78,52 @@ textScroller.prototype.initializeAfterStringAssignment = function(referenceCanva
 	}
 }
 
+/**
+ * Re-segments the scroller text after the reference canvas has been
+ *  resized (a single text segment must span the width of the canvas),
+ *  retaining the current scroll position
+ * @param referenceCanvasContext {CanvasRenderingContext2D} The canvas that will
+ *                                                          be used as reference
+ *                                                          canvas when determining
+ *                                                          text metrics
+ */
+textScroller.prototype.updateLayout = function(referenceCanvasContext) {
+	if (this.isInitialized() && validateVar(referenceCanvasContext) &&
+		(referenceCanvasContext.canvas.width > 0)) {
+		
+		// Determine the scroll position relative to the start of the text.
+		var textPosition = this.currentPositionInCurrentSegment;
+		for (var segmentLoop = 0; segmentLoop < this.currentSegmentIndex; segmentLoop++) {
+			textPosition += this.scrollerTextSegmentRenderedLengths[segmentLoop];
+		}
+		
+		this.initializeAfterStringAssignment(referenceCanvasContext);
+		
+		// Locate the segment that contains the scroll position.
+		var segmentIndex = 0;
+		while (((segmentIndex + 1) < this.scrollerTextSegments.length) &&
+			(textPosition > this.scrollerTextSegmentRenderedLengths[segmentIndex])) {
+			
+			textPosition -= this.scrollerTextSegmentRenderedLengths[segmentIndex];
+			segmentIndex++;
+		}
+		
+		if (segmentIndex > 0) {
+			this.currentSegmentIndex = segmentIndex;
+			this.renderTextToInternalCanvas(this.leadTextCanvas, this.scrollerTextSegments[segmentIndex],
+				this.scrollerTextSegmentRenderedLengths[segmentIndex]);
+			
+			this.trailingTextCanvas = document.createElement("canvas");
+			if ((segmentIndex + 1) < this.scrollerTextSegments.length) {
+				this.renderTextToInternalCanvas(this.trailingTextCanvas, this.scrollerTextSegments[segmentIndex + 1],
+					this.scrollerTextSegmentRenderedLengths[segmentIndex + 1]);
+			}
+		}
+		
+		this.currentPositionInCurrentSegment = textPosition;
+	}
+}
+
 /**
  * Performs the initial set-up that is required before the first rendering
  *  of the scroller text
@@ -0,0 +1,205 @@
+// TreeDecorations.js - Manages the ornaments (baubles) and twinkling lights
+//                      that are attached to the tree branch tips
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -RgbColor.js
+//  -TreeGeometry.js
+//  -PointSpriteRenderer.js
+
+function treeDecorations() {
+	// Fraction of the branch tips that receive a decoration (0.0 - 1.0).
+	this.decorationDensity = Constants.decorationDensity;
+	
+	// Fraction of the decorations that are baubles (the remaining
+	// decorations are lights).
+	this.baubleFraction = Constants.decorationBaubleFraction;
+	
+	// Palette from which decoration colors are selected.
+	this.decorationPalette = [];
+	this.setPalette(Constants.decorationPalette);
+	
+	// Light twinkle pattern ("steady", "random", "chase" or "alternate").
+	this.twinklePattern = Constants.decorationTwinklePattern;
+	
+	// Decoration sizes, as a fraction of the canvas height.
+	this.constBaubleSize = 0.022;
+	this.constLightSize = 0.02;
+	
+	// Twinkle timing (milliseconds).
+	this.constRandomTwinkleMinPeriodMs = 700.0;
+	this.constRandomTwinkleMaxPeriodMs = 2500.0;
+	this.constChasePeriodMs = 3000.0;
+	this.constAlternatePeriodMs = 1000.0;
+	
+	// Minimum light intensity while twinkling.
+	this.constMinLightIntensity = 0.15;
+	
+	// Decorations for the current tree variant - each decoration is
+	// attached to a branch tip (identified by lineage order).
+	this.decorationList = [];
+	
+	// Number of branch tips for which the decoration layout was generated.
+	this.layoutBranchTipCount = 0;
+	
+	// Time used to drive the twinkle animation (milliseconds).
+	this.twinkleTimeMs = 0.0;
+}
+
+/**
+ * Sets the palette from which decoration colors are selected (takes
+ *  effect when the decoration layout is next generated)
+ * @param paletteColors {Array} A list of colors, each specified as an
+ *                              rgbColor, or as a list of unit RGB
+ *                              component values
+ */
+treeDecorations.prototype.setPalette = function(paletteColors) {
+	this.decorationPalette = [];
+	
+	if (Array.isArray(paletteColors)) {
+		for (var colorLoop = 0; colorLoop < paletteColors.length; colorLoop++) {
+			var paletteColor = paletteColors[colorLoop];
+			this.decorationPalette.push((paletteColor instanceof rgbColor) ? paletteColor :
+				new rgbColor(paletteColor[0], paletteColor[1], paletteColor[2], 1.0));
+		}
+	}
+	
+	if (this.decorationPalette.length === 0) {
+		this.decorationPalette.push(new rgbColor(1.0, 1.0, 1.0, 1.0));
+	}
+}
+
+/**
+ * Sets the decoration density (takes effect when the decoration layout
+ *  is next generated)
+ * @param decorationDensity {number} Fraction of the branch tips that receive
+ *                                   a decoration (0.0 - 1.0, inclusive)
+ */
+treeDecorations.prototype.setDensity = function(decorationDensity) {
+	if (typeof(decorationDensity) === "number") {
+		this.decorationDensity = Math.max(0.0, Math.min(1.0, decorationDensity));
+	}
+}
+
+/**
+ * Sets the light twinkle pattern
+ * @param twinklePattern {string} Twinkle pattern ("steady", "random", "chase"
+ *                                or "alternate")
+ */
+treeDecorations.prototype.setTwinklePattern = function(twinklePattern) {
+	this.twinklePattern = twinklePattern;
+}
+
+/**
+ * Generates a new decoration layout - decorations are assigned to randomly-
+ *  selected branch tips
+ * @param randomNumberGenerator {seededRandomNumberGenerator} Generator used to
+ *                                                            select the decorated
+ *                                                            branch tips/decoration
+ *                                                            properties
+ * @param branchTipCount {number} Number of branch tips on the tree
+ */
+treeDecorations.prototype.generateLayout = function(randomNumberGenerator, branchTipCount) {
+	this.decorationList = [];
+	this.layoutBranchTipCount = branchTipCount;
+	
+	for (var tipLoop = 0; tipLoop < branchTipCount; tipLoop++) {
+		if (randomNumberGenerator.getNextUnitValue() < this.decorationDensity) {
+			var isBauble = randomNumberGenerator.getNextUnitValue() < this.baubleFraction;
+			var paletteIndex = Math.min(this.decorationPalette.length - 1,
+				Math.floor(randomNumberGenerator.getNextUnitValue() * this.decorationPalette.length));
+			
+			this.decorationList.push({
+				branchTipIndex: tipLoop,
+				isBauble: isBauble,
+				decorationColor: this.decorationPalette[paletteIndex],
+				// Normalized position along the tree (used for "chase" twinkling).
+				sequencePosition: tipLoop / branchTipCount,
+				twinklePhase: randomNumberGenerator.getRangedRandomValue(0.0, 2.0 * Math.PI),
+				twinklePeriodMs: randomNumberGenerator.getRangedRandomValue(this.constRandomTwinkleMinPeriodMs,
+					this.constRandomTwinkleMaxPeriodMs),
+				alternateGroup: (this.decorationList.length % 2)
+			});
+		}
+	}
+}
+
+/**
+ * Advances the twinkle animation
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ */
+treeDecorations.prototype.update = function(timeQuantum) {
+	this.twinkleTimeMs += timeQuantum;
+}
+
+/**
+ * Computes the instantaneous intensity of a light, using the twinkle
+ *  pattern
+ * @param decoration {object} The light decoration
+ * @return {number} The light intensity (0.0 - 1.0, inclusive)
+ */
+treeDecorations.prototype.computeLightIntensity = function(decoration) {
+	var lightIntensity = 1.0;
+	
+	if (this.twinklePattern === "random") {
+		var sineValue = Math.sin((2.0 * Math.PI * this.twinkleTimeMs / decoration.twinklePeriodMs) +
+			decoration.twinklePhase);
+		lightIntensity = Math.pow(0.5 + (0.5 * sineValue), 2.0);
+	}
+	else if (this.twinklePattern === "chase") {
+		// A band of illumination travels along the lights.
+		var chasePosition = (this.twinkleTimeMs / this.constChasePeriodMs) % 1.0;
+		var positionDelta = Math.abs(decoration.sequencePosition - chasePosition);
+		positionDelta = Math.min(positionDelta, 1.0 - positionDelta);
+		lightIntensity = Math.max(0.0, 1.0 - (positionDelta * 6.0));
+	}
+	else if (this.twinklePattern === "alternate") {
+		var activeGroup = Math.floor(this.twinkleTimeMs / this.constAlternatePeriodMs) % 2;
+		lightIntensity = (decoration.alternateGroup === activeGroup) ? 1.0 : 0.0;
+	}
+	
+	return this.constMinLightIntensity + ((1.0 - this.constMinLightIntensity) * lightIntensity);
+}
+
+/**
+ * Appends point sprites that represent the decorations to a sprite list -
+ *  if the tree is rendered with fewer branch tips than the layout (reduced
+ *  tree depth), decorations are attached to the corresponding ancestor
+ *  branch tips
+ * @param branchTipPoints {Array} The current branch tip points, in lineage order
+ * @param growthFraction {number} Growth progress of the branches (0.0 - 1.0,
+ *                                inclusive) - decorations grow with the branches
+ * @param spriteList {Array} List to which the decoration sprites will be appended
+ * @see treeGeometry.computeBranchTipPoints
+ * @see pointSpriteRenderer
+ */
+treeDecorations.prototype.appendSprites = function(branchTipPoints, growthFraction, spriteList) {
+	if (growthFraction > 0.0) {
+		for (var decorationLoop = 0; decorationLoop < this.decorationList.length; decorationLoop++) {
+			var decoration = this.decorationList[decorationLoop];
+			var branchTipIndex = (branchTipPoints.length < this.layoutBranchTipCount) ?
+				Math.floor(decoration.branchTipIndex * branchTipPoints.length / this.layoutBranchTipCount) :
+				decoration.branchTipIndex;
+			var branchTipPoint = branchTipPoints[branchTipIndex];
+			
+			if (validateVar(branchTipPoint)) {
+				var spriteColor = decoration.decorationColor;
+				if (!decoration.isBauble) {
+					spriteColor = new rgbColor(spriteColor.getRedValue(), spriteColor.getGreenValue(),
+						spriteColor.getBlueValue(), this.computeLightIntensity(decoration));
+				}
+				
+				spriteList.push({
+					coordX: branchTipPoint[0],
+					coordY: branchTipPoint[1],
+					size: (decoration.isBauble ? this.constBaubleSize : this.constLightSize) * growthFraction,
+					spriteColor: spriteColor,
+					shape: decoration.isBauble ? pointSpriteRenderer.shapeBauble : pointSpriteRenderer.shapeLight,
+					rotation: 0.0
+				});
+			}
+		}
+	}
+}
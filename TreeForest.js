@@ -0,0 +1,212 @@
+// TreeForest.js - Manages the layout and animation of the additional
+//                 (background) trees that are displayed in forest mode
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -SeededRandomNumberGenerator.js
+//
+// Each forest tree is placed at a depth (0.0 - nearest, 1.0 - most
+// distant) - the depth determines the tree scale, the base position,
+// the parallax displacement and the atmospheric fading. Trees are
+// ordered from nearest to most distant.
+//
+// Forest layout format (Constants.forestLayout) - null (trees are
+// scattered randomly for each tree variant), or a list of placements:
+// [
+//   { positionX: <horizontal trunk base position (0.0 - 1.0)>,
+//     depth: <tree depth (0.0 - 1.0)> },
+//   ...
+// ]
+
+function treeForest(treeCount, forestLayout) {
+	// Maximum number of forest trees (must correspond to
+	// MAX_FOREST_TREES within the fractal shader).
+	this.constMaxTreeCount = 6;
+	
+	this.treeCount = 0;
+	this.setTreeCount(treeCount);
+	this.forestLayout = Array.isArray(forestLayout) ? forestLayout : null;
+	
+	// Scale of trees at the nearest/most distant depths (relative to the
+	// foreground tree).
+	this.constNearTreeScale = 0.8;
+	this.constDistantTreeScale = 0.3;
+	
+	// Vertical trunk base positions at the nearest/most distant depths
+	// (more distant trees are placed closer to the horizon).
+	this.constNearTreeBaseCoordY = 0.82;
+	this.constDistantTreeBaseCoordY = 0.62;
+	
+	// Depth range used when trees are scattered randomly.
+	this.constMinScatteredDepth = 0.15;
+	this.constMaxScatteredDepth = 1.0;
+	
+	// Trees beyond this depth are rendered with a reduced recursion depth
+	// (the detail is not discernible at a distance).
+	this.constReducedDetailDepth = 0.5;
+	this.constReducedDetailTreeDepth = 2;
+	
+	// Atmospheric fading applied to the most distant trees (0.0 - 1.0).
+	this.constMaxAtmosphericFade = 0.75;
+	
+	// Ranges for the per-tree growth delay and wind phase offset
+	// (milliseconds).
+	this.constMaxGrowthDelayMs = 2500.0;
+	this.constMaxWindPhaseOffsetMs = 8000.0;
+	
+	// Parallax - the view slowly orbits the foreground tree, displacing
+	// more distant trees to a greater extent.
+	this.constParallaxAmplitude = 0.06;
+	this.constParallaxPeriodMs = 40000.0;
+	this.parallaxTimeMs = 0.0;
+	
+	this.treeList = [];
+	
+	// Uniform data supplied to the fractal shader.
+	this.treePlacementData = new Float32Array(this.constMaxTreeCount * 4);
+	this.treeShapeData = new Float32Array(this.constMaxTreeCount * 4);
+	this.treeGrowthData = new Float32Array(this.constMaxTreeCount * 3);
+}
+
+/**
+ * Sets the number of forest trees (takes effect when the forest layout
+ *  is next generated)
+ * @param treeCount {number} Number of forest trees (zero disables forest mode)
+ */
+treeForest.prototype.setTreeCount = function(treeCount) {
+	this.treeCount = ((typeof(treeCount) === "number") && isFinite(treeCount)) ?
+		Math.max(0, Math.min(this.constMaxTreeCount, Math.round(treeCount))) : 0;
+}
+
+/**
+ * Retrieves the number of trees within the current forest layout
+ * @return {number} The number of forest trees
+ */
+treeForest.prototype.getTreeCount = function() {
+	return this.treeList.length;
+}
+
+/**
+ * Generates a new forest layout, with randomly-generated tree shapes
+ * @param randomNumberGenerator {seededRandomNumberGenerator} Generator used to
+ *                                                            produce the tree
+ *                                                            properties
+ * @param shapeLimits {object} Limits for the generated tree shape values
+ *                             (minInterLevelScaleDownFactor,
+ *                             maxInterLevelScaleDownFactor, minLowLengthFraction,
+ *                             maxLowLengthFraction, minHighLengthFraction,
+ *                             maxHighLengthFraction, minTreeDepth, maxTreeDepth)
+ */
+treeForest.prototype.generateLayout = function(randomNumberGenerator, shapeLimits) {
+	this.treeList = [];
+	
+	for (var treeLoop = 0; treeLoop < this.treeCount; treeLoop++) {
+		var layoutEntry = (validateVar(this.forestLayout) && validateVar(this.forestLayout[treeLoop])) ?
+			this.forestLayout[treeLoop] : null;
+		var treeDepth = validateVar(layoutEntry) ? Math.max(0.0, Math.min(1.0, layoutEntry.depth)) :
+			randomNumberGenerator.getRangedRandomValue(this.constMinScatteredDepth, this.constMaxScatteredDepth);
+		
+		// Scattered trees are distributed across the canvas, in order to
+		// avoid clustering.
+		var positionX = validateVar(layoutEntry) ? layoutEntry.positionX :
+			(treeLoop + randomNumberGenerator.getNextUnitValue()) / this.treeCount;
+		
+		var recursionDepth = Math.round(randomNumberGenerator.getRangedRandomValue(shapeLimits.minTreeDepth,
+			shapeLimits.maxTreeDepth));
+		if (treeDepth > this.constReducedDetailDepth) {
+			recursionDepth = Math.min(recursionDepth, this.constReducedDetailTreeDepth);
+		}
+		
+		this.treeList.push({
+			depth: treeDepth,
+			positionX: positionX,
+			baseCoordY: this.constNearTreeBaseCoordY +
+				((this.constDistantTreeBaseCoordY - this.constNearTreeBaseCoordY) * treeDepth),
+			scale: this.constNearTreeScale + ((this.constDistantTreeScale - this.constNearTreeScale) * treeDepth),
+			atmosphericFade: this.constMaxAtmosphericFade * treeDepth,
+			interLevelScaleDownFactor: randomNumberGenerator.getRangedRandomValue(
+				shapeLimits.minInterLevelScaleDownFactor, shapeLimits.maxInterLevelScaleDownFactor),
+			minTreeLengthFraction: randomNumberGenerator.getRangedRandomValue(
+				shapeLimits.minLowLengthFraction, shapeLimits.maxLowLengthFraction),
+			maxTreeLengthFraction: randomNumberGenerator.getRangedRandomValue(
+				shapeLimits.minHighLengthFraction, shapeLimits.maxHighLengthFraction),
+			maxTreeDepth: recursionDepth,
+			growthDelayMs: randomNumberGenerator.getRangedRandomValue(0.0, this.constMaxGrowthDelayMs),
+			windPhaseOffsetMs: randomNumberGenerator.getRangedRandomValue(0.0, this.constMaxWindPhaseOffsetMs),
+			// Values updated during each animation step.
+			baseCoordX: positionX,
+			trunkLengthMultiplier: 0.0,
+			branchLengthMultiplier: 0.0,
+			windFactor: 0.0
+		});
+	}
+	
+	this.treeList.sort(function(firstTree, secondTree) {
+		return firstTree.depth - secondTree.depth;
+	});
+}
+
+/**
+ * Updates the growth, wind sway and parallax displacement of all
+ *  forest trees
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ * @param variantRunningTimeMs {number} Time elapsed since the current tree
+ *                                      variant was generated (milliseconds)
+ * @param growthTimings {object} Growth phase timing of the foreground tree
+ *                               (trunkGrowthPhaseDurationMs,
+ *                               branchGrowthPhaseDurationMs,
+ *                               minBranchLengthMultiplier)
+ * @param windFunction {function} Function that computes the wind factor at
+ *                                a time offset (milliseconds) relative to the
+ *                                current time
+ */
+treeForest.prototype.update = function(timeQuantum, variantRunningTimeMs, growthTimings, windFunction) {
+	this.parallaxTimeMs += timeQuantum;
+	var parallaxOffset = this.constParallaxAmplitude * Math.sin(2.0 * Math.PI * this.parallaxTimeMs /
+		this.constParallaxPeriodMs);
+	
+	for (var treeLoop = 0; treeLoop < this.treeList.length; treeLoop++) {
+		var forestTree = this.treeList[treeLoop];
+		var treeGrowthTimeMs = Math.max(0.0, variantRunningTimeMs - forestTree.growthDelayMs);
+		var branchGrowthFraction = Math.max(0.0, Math.min(1.0, (treeGrowthTimeMs -
+			growthTimings.trunkGrowthPhaseDurationMs) / growthTimings.branchGrowthPhaseDurationMs));
+		
+		forestTree.trunkLengthMultiplier = Math.min(1.0, treeGrowthTimeMs / growthTimings.trunkGrowthPhaseDurationMs);
+		forestTree.branchLengthMultiplier = growthTimings.minBranchLengthMultiplier +
+			((1.0 - growthTimings.minBranchLengthMultiplier) * branchGrowthFraction);
+		forestTree.windFactor = windFunction(forestTree.windPhaseOffsetMs);
+		forestTree.baseCoordX = forestTree.positionX + (parallaxOffset * forestTree.depth);
+	}
+}
+
+/**
+ * Retrieves the forest trees (ordered from nearest to most distant) - each
+ *  tree is also a tree parameter object
+ * @return {Array} The list of forest trees
+ * @see treeGeometry
+ */
+treeForest.prototype.getTreeList = function() {
+	return this.treeList;
+}
+
+/**
+ * Updates the uniform data supplied to the fractal shader
+ *  (placement - trunk base point, scale and atmospheric fade;
+ *  shape - inter-level scale down factor, minimum/maximum length
+ *  fractions and recursion depth; growth - trunk/branch length
+ *  multipliers and wind factor)
+ */
+treeForest.prototype.updateUniformData = function() {
+	for (var treeLoop = 0; treeLoop < this.treeList.length; treeLoop++) {
+		var forestTree = this.treeList[treeLoop];
+		
+		this.treePlacementData.set([ forestTree.baseCoordX, forestTree.baseCoordY, forestTree.scale,
+			forestTree.atmosphericFade ], treeLoop * 4);
+		this.treeShapeData.set([ forestTree.interLevelScaleDownFactor, forestTree.minTreeLengthFraction,
+			forestTree.maxTreeLengthFraction, forestTree.maxTreeDepth ], treeLoop * 4);
+		this.treeGrowthData.set([ forestTree.trunkLengthMultiplier, forestTree.branchLengthMultiplier,
+			forestTree.windFactor ], treeLoop * 3);
+	}
+}
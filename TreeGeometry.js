@@ -0,0 +1,268 @@
+// TreeGeometry.js - JavaScript mirror of the numeric L-system tree
+//                   geometry computed within the IFS fractal tree shader
+//                   (FragmentShaderIfsFractalTree.shader)
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//
+// Points/vectors are represented as two-element arrays ([x, y]), within
+// the tree coordinate space employed by the fractal shader (the origin
+// is located at the upper-left corner of the canvas). The tree coordinate
+// space coincides with the texture coordinate space when the canvas has
+// the reference aspect ratio - otherwise, the tree coordinate space is
+// expanded about the canvas center along one axis, in order to preserve
+// the proportions of the tree (see treeGeometry.computeAspectScale).
+//
+// Tree parameter object format (values correspond to the fractal shader
+// uniforms):
+// {
+//   trunkLengthMultiplier: <uniform_trunkLengthMultiplier>,
+//   branchLengthMultiplier: <uniform_branchLengthMultiplier>,
+//   windFactor: <uniform_windFactor>,
+//   interLevelScaleDownFactor: <uniform_interLevelScaleDownFactor>,
+//   minTreeLengthFraction: <uniform_minTreeLengthFraction>,
+//   maxTreeLengthFraction: <uniform_maxTreeLengthFraction>,
+//   maxTreeDepth: <uniform_maxTreeDepth>
+// }
+
+function treeGeometry() {
+}
+
+/**
+ * Branching configuration, which mirrors the values compiled into the
+ *  fractal shader
+ * @see treeGeometry.setBranchingConfiguration
+ */
+treeGeometry.subBranchesPerHostBranch = 8;
+treeGeometry.maxRecursionDepth = 3;
+
+/**
+ * Constants that mirror the fractal shader constants
+ */
+treeGeometry.constBranchWidth = 0.020;
+treeGeometry.constBranchRotationAngle = (Math.PI * 3.2 / 4.0);
+treeGeometry.constWindMaxRotationAngle = (Math.PI / 20.0);
+treeGeometry.constTrunkMaxSwayAngleAmplitude = (Math.PI / 60.0);
+treeGeometry.constInitialTrunkVector = [ 0.0, -0.6 ];
+treeGeometry.constInitialTrunkBasePoint = [ 0.5, 0.8 ];
+
+/**
+ * Sets the branching configuration (must correspond to the configuration
+ *  compiled into the fractal shader)
+ * @param subBranchesPerHostBranch {number} Number of sub-branches attached to
+ *                                          each host branch
+ * @param maxRecursionDepth {number} Maximum tree recursion depth
+ * @see globalResources.getFractalTreeBranchingConfiguration
+ */
+treeGeometry.setBranchingConfiguration = function(subBranchesPerHostBranch, maxRecursionDepth) {
+	treeGeometry.subBranchesPerHostBranch = subBranchesPerHostBranch;
+	treeGeometry.maxRecursionDepth = maxRecursionDepth;
+}
+
+/**
+ * Rotates a point around a provided point, using the specified rotation
+ *  angle (mirrors rotatePoint(...) within the fractal shader)
+ * @param targetPoint {Array} The point that is to be rotated
+ * @param rotationOrigin {Array} The center/origin of the rotation operation
+ * @param rotationAngle {number} The angle for the target point to be rotated,
+ *                               in radians
+ * @return {Array} The rotated point
+ */
+treeGeometry.rotatePoint = function(targetPoint, rotationOrigin, rotationAngle) {
+	var cosineAngle = Math.cos(rotationAngle);
+	var sineAngle = Math.sin(rotationAngle);
+	var translatedX = targetPoint[0] - rotationOrigin[0];
+	var translatedY = targetPoint[1] - rotationOrigin[1];
+	
+	// Row vector-matrix product, equivalent to (point * mat2(...)) in GLSL.
+	return [
+		(translatedX * cosineAngle) + (translatedY * sineAngle) + rotationOrigin[0],
+		(-translatedX * sineAngle) + (translatedY * cosineAngle) + rotationOrigin[1]
+	];
+}
+
+/**
+ * Computes the trunk vector, incorporating the trunk length multiplier
+ *  and the wind sway rotation
+ * @param treeParameters {object} Tree parameter object
+ * @return {Array} The trunk vector (originating at the trunk base point)
+ */
+treeGeometry.computeTrunkVector = function(treeParameters) {
+	var scaledTrunkVector = [
+		treeGeometry.constInitialTrunkVector[0] * treeParameters.trunkLengthMultiplier,
+		treeGeometry.constInitialTrunkVector[1] * treeParameters.trunkLengthMultiplier
+	];
+	
+	return treeGeometry.rotatePoint(scaledTrunkVector, [ 0.0, 0.0 ],
+		treeGeometry.constTrunkMaxSwayAngleAmplitude * treeParameters.windFactor);
+}
+
+/**
+ * Computes the apex (tip) of the trunk
+ * @param treeParameters {object} Tree parameter object
+ * @return {Array} The trunk apex point
+ */
+treeGeometry.computeTrunkTipPoint = function(treeParameters) {
+	var trunkVector = treeGeometry.computeTrunkVector(treeParameters);
+	
+	return [
+		treeGeometry.constInitialTrunkBasePoint[0] + trunkVector[0],
+		treeGeometry.constInitialTrunkBasePoint[1] + trunkVector[1]
+	];
+}
+
+/**
+ * Computes a single sub-branch of a host branch (mirrors a single depth
+ *  iteration of the lineage loop within treeSceneFragColor(...))
+ * @param hostStartPoint {Array} Start point of the host branch
+ * @param hostVector {Array} Vector that defines the host branch
+ * @param branchLevel {number} Index of the sub-branch along the host branch
+ *                             (0 - (sub-branches per host branch - 1))
+ * @param currentDepth {number} Depth of the sub-branch (maximum tree depth
+ *                              for branches attached to the trunk, one for
+ *                              the outermost branches)
+ * @param treeParameters {object} Tree parameter object
+ * @return {object} Object containing the sub-branch start point ("startPoint"),
+ *                  end point ("endPoint") and vector ("branchVector")
+ */
+treeGeometry.computeSubBranch = function(hostStartPoint, hostVector, branchLevel, currentDepth, treeParameters) {
+	var branchesPerSide = treeGeometry.subBranchesPerHostBranch / 2.0;
+	var halfBranchLevel = Math.floor(branchLevel / 2);
+	
+	// The branches will start a short distance away from the base of the
+	// host branch/trunk.
+	var displacementFraction = (halfBranchLevel + 1.0) / branchesPerSide;
+	var branchStartPoint = [
+		(hostVector[0] * displacementFraction) + hostStartPoint[0],
+		(hostVector[1] * displacementFraction) + hostStartPoint[1]
+	];
+	
+	// Reduce the length of the branches that are further along the tree,
+	// in order to simulate a conifer tree profile.
+	var lengthInterpolationFraction = halfBranchLevel / Math.floor(treeGeometry.subBranchesPerHostBranch / 2);
+	var branchLength = ((treeParameters.maxTreeLengthFraction * (1.0 - lengthInterpolationFraction)) +
+		(treeParameters.minTreeLengthFraction * lengthInterpolationFraction)) * treeParameters.branchLengthMultiplier;
+	
+	// Divide the branches into left and right sides along the host branch,
+	// applying a "wind" factor for branch rotation.
+	var rotationDirectionBias = ((branchLevel % 2) * 2) - 1;
+	var windRotationAngle = treeGeometry.constWindMaxRotationAngle * currentDepth / treeParameters.maxTreeDepth *
+		treeParameters.windFactor;
+	var branchEndPoint = treeGeometry.rotatePoint([
+			(hostVector[0] * branchLength * treeParameters.interLevelScaleDownFactor) + branchStartPoint[0],
+			(hostVector[1] * branchLength * treeParameters.interLevelScaleDownFactor) + branchStartPoint[1]
+		], branchStartPoint,
+		(treeGeometry.constBranchRotationAngle * rotationDirectionBias) + windRotationAngle);
+	
+	return {
+		startPoint: branchStartPoint,
+		endPoint: branchEndPoint,
+		branchVector: [ branchEndPoint[0] - branchStartPoint[0], branchEndPoint[1] - branchStartPoint[1] ]
+	};
+}
+
+/**
+ * Enumerates all branches of the tree (depth-first, in lineage code order),
+ *  invoking a function for each branch
+ * @param treeParameters {object} Tree parameter object
+ * @param branchFunction {function} Function invoked for each branch - receives
+ *                                  the branch start point, end point, depth
+ *                                  (maximum tree depth for branches attached to
+ *                                  the trunk, one for the outermost branches),
+ *                                  and the lineage index of the branch among
+ *                                  branches of the same depth
+ */
+treeGeometry.enumerateBranches = function(treeParameters, branchFunction) {
+	var subBranchCount = treeGeometry.subBranchesPerHostBranch;
+	var lineageIndicesByDepth = [];
+	
+	function enumerateSubBranches(hostStartPoint, hostVector, currentDepth) {
+		if (currentDepth < 1) {
+			return;
+		}
+		
+		for (var branchLevel = 0; branchLevel < subBranchCount; branchLevel++) {
+			var subBranch = treeGeometry.computeSubBranch(hostStartPoint, hostVector, branchLevel,
+				currentDepth, treeParameters);
+			var lineageIndex = validateVar(lineageIndicesByDepth[currentDepth]) ?
+				lineageIndicesByDepth[currentDepth] : 0;
+			lineageIndicesByDepth[currentDepth] = lineageIndex + 1;
+			
+			branchFunction(subBranch.startPoint, subBranch.endPoint, currentDepth, lineageIndex);
+			enumerateSubBranches(subBranch.startPoint, subBranch.branchVector, currentDepth - 1);
+		}
+	}
+	
+	enumerateSubBranches(treeGeometry.constInitialTrunkBasePoint, treeGeometry.computeTrunkVector(treeParameters),
+		treeParameters.maxTreeDepth);
+}
+
+/**
+ * Returns the number of outermost branch tips for a specific tree depth
+ * @param maxTreeDepth {number} Maximum tree depth
+ * @return {number} The number of branch tips
+ */
+treeGeometry.getBranchTipCount = function(maxTreeDepth) {
+	return Math.pow(treeGeometry.subBranchesPerHostBranch, maxTreeDepth);
+}
+
+/**
+ * Computes the end points of the outermost branches (branch tips), in
+ *  lineage code order
+ * @param treeParameters {object} Tree parameter object
+ * @return {Array} A list of branch tip points
+ */
+treeGeometry.computeBranchTipPoints = function(treeParameters) {
+	var branchTipPoints = [];
+	
+	treeGeometry.enumerateBranches(treeParameters, function(startPoint, endPoint, branchDepth) {
+		if (branchDepth === 1) {
+			branchTipPoints.push(endPoint);
+		}
+	});
+	
+	return branchTipPoints;
+}
+
+/**
+ * Computes the scale factors that map texture coordinates to tree
+ *  coordinates (about the center of the canvas) for a specific canvas
+ *  size (mirrors uniform_aspectScale within the fractal shader)
+ * @param targetWidth {number} Width of the canvas
+ * @param targetHeight {number} Height of the canvas
+ * @return {Array} Horizontal/vertical scale factors (at least one factor
+ *                 is always 1.0 - the tree is never clipped by a narrow
+ *                 or short canvas)
+ * @see Constants.defaultCanvasWidth
+ */
+treeGeometry.computeAspectScale = function(targetWidth, targetHeight) {
+	var referenceAspectRatio = Constants.defaultCanvasWidth / Constants.defaultCanvasHeight;
+	var aspectRatio = ((targetWidth > 0) && (targetHeight > 0)) ? (targetWidth / targetHeight) :
+		referenceAspectRatio;
+	
+	return [
+		Math.max(aspectRatio / referenceAspectRatio, 1.0),
+		Math.max(referenceAspectRatio / aspectRatio, 1.0)
+	];
+}
+
+/**
+ * Converts a point within the tree coordinate space to the texture
+ *  coordinate space
+ * @param treePoint {Array} Point within the tree coordinate space
+ * @param aspectScale {Array} Scale factors produced by
+ *                            treeGeometry.computeAspectScale
+ * @param displayOffset {Array} Optional displacement of the tree within
+ *                              the tree coordinate space
+ * @return {Array} The point within the texture coordinate space
+ */
+treeGeometry.treePointToTexturePoint = function(treePoint, aspectScale, displayOffset) {
+	var offsetX = validateVar(displayOffset) ? displayOffset[0] : 0.0;
+	var offsetY = validateVar(displayOffset) ? displayOffset[1] : 0.0;
+	
+	return [
+		0.5 + ((treePoint[0] + offsetX - 0.5) / aspectScale[0]),
+		0.5 + ((treePoint[1] + offsetY - 0.5) / aspectScale[1])
+	];
+}
@@ -0,0 +1,318 @@
+// TreePreset.js - Defines a versioned JSON format used to store the
+//                 parameters that describe a single tree variant
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -InternalConstants.js
+//  -TreeTopper.js
+//
+// Preset format (version 2):
+// {
+//   "format": "HappyHolidays2017TreePreset",
+//   "version": 2,
+//   "name": "Optional descriptive name",
+//   "tree": {
+//     "interLevelScaleDownFactor": 0.45,
+//     "minTreeLengthFraction": 0.3,
+//     "maxTreeLengthFraction": 0.8,
+//     "treeDepth": 3
+//   },
+//   "wind": {
+//     "firstSineAmplitude": 1.0,
+//     "firstSinePeriodMultiplier": 5.0,
+//     "secondSineAmplitude": 1.0,
+//     "secondSinePeriodMultiplier": 5.0,
+//     "secondSinePhaseShift": 0.5
+//   },
+//   "growth": {
+//     "trunkGrowthPhaseDurationMs": 3000,
+//     "branchGrowthPhaseDurationMs": 3000
+//   },
+//   "topper": {
+//     "style": "star",
+//     "color": [ 1.0, 0.85, 0.3 ]
+//   }
+// }
+//
+// Version 1 presets do not contain the "topper" section - the default
+// topper (see Constants.topperStyle/Constants.topperColor) is applied
+// when a version 1 preset is loaded.
+
+function treePreset() {
+}
+
+/**
+ * Format identifier stored within each preset
+ */
+treePreset.formatIdentifier = "HappyHolidays2017TreePreset";
+
+/**
+ * Current preset format version (presets with a greater version
+ *  cannot be loaded)
+ */
+treePreset.formatVersion = 2;
+
+/**
+ * Permitted value ranges for each numeric preset value, keyed by
+ *  preset section and value name (tree depth limits are supplied
+ *  separately, as they are determined by the tree renderer)
+ */
+treePreset.valueLimits = {
+	tree: {
+		interLevelScaleDownFactor: { min: 0.05, max: 1.0 },
+		minTreeLengthFraction: { min: 0.0, max: 1.0 },
+		maxTreeLengthFraction: { min: 0.0, max: 1.0 }
+	},
+	wind: {
+		firstSineAmplitude: { min: 0.0, max: 3.0 },
+		firstSinePeriodMultiplier: { min: 0.0, max: 20.0 },
+		secondSineAmplitude: { min: 0.0, max: 3.0 },
+		secondSinePeriodMultiplier: { min: 0.0, max: 20.0 },
+		secondSinePhaseShift: { min: 0.0, max: 2.0 * Math.PI }
+	},
+	growth: {
+		trunkGrowthPhaseDurationMs: { min: 1.0, max: 60000.0 },
+		branchGrowthPhaseDurationMs: { min: 1.0, max: 60000.0 }
+	}
+};
+
+/**
+ * Creates a preset object from a set of tree variant values
+ * @param variantValues {object} Object containing the tree variant values
+ *                               (interLevelScaleDownFactor, minTreeLengthFraction,
+ *                               maxTreeLengthFraction, treeDepth, firstSineAmplitude,
+ *                               firstSinePeriodMultiplier, secondSineAmplitude,
+ *                               secondSinePeriodMultiplier, secondSinePhaseShift,
+ *                               trunkGrowthPhaseDurationMs, branchGrowthPhaseDurationMs,
+ *                               topperStyle, topperColor)
+ * @param presetName {string} Optional preset name
+ * @return {object} A preset object, suitable for JSON serialization
+ */
+treePreset.create = function(variantValues, presetName) {
+	var preset = {
+		format: treePreset.formatIdentifier,
+		version: treePreset.formatVersion
+	};
+	
+	if (validateVar(presetName)) {
+		preset.name = String(presetName);
+	}
+	
+	preset.tree = {
+		interLevelScaleDownFactor: variantValues.interLevelScaleDownFactor,
+		minTreeLengthFraction: variantValues.minTreeLengthFraction,
+		maxTreeLengthFraction: variantValues.maxTreeLengthFraction,
+		treeDepth: variantValues.treeDepth
+	};
+	
+	preset.wind = {
+		firstSineAmplitude: variantValues.firstSineAmplitude,
+		firstSinePeriodMultiplier: variantValues.firstSinePeriodMultiplier,
+		secondSineAmplitude: variantValues.secondSineAmplitude,
+		secondSinePeriodMultiplier: variantValues.secondSinePeriodMultiplier,
+		secondSinePhaseShift: variantValues.secondSinePhaseShift
+	};
+	
+	preset.growth = {
+		trunkGrowthPhaseDurationMs: variantValues.trunkGrowthPhaseDurationMs,
+		branchGrowthPhaseDurationMs: variantValues.branchGrowthPhaseDurationMs
+	};
+	
+	preset.topper = {
+		style: variantValues.topperStyle,
+		color: variantValues.topperColor
+	};
+	
+	return preset;
+}
+
+/**
+ * Validates a preset object, producing a description of each
+ *  problem that was encountered
+ * @param preset {object} The preset object to be validated
+ * @param minTreeDepth {number} Minimum permitted tree depth
+ * @param maxTreeDepth {number} Maximum permitted tree depth
+ * @return {Array} A list of error description strings (empty if the
+ *                 preset is valid)
+ */
+treePreset.validate = function(preset, minTreeDepth, maxTreeDepth) {
+	var errorList = [];
+	
+	if (!validateVar(preset) || (typeof(preset) !== "object") || Array.isArray(preset)) {
+		errorList.push("preset must be an object");
+		return errorList;
+	}
+	
+	if (preset.format !== treePreset.formatIdentifier) {
+		errorList.push("format must be \"" + treePreset.formatIdentifier + "\" (found " +
+			JSON.stringify(preset.format) + ")");
+	}
+	
+	if ((typeof(preset.version) !== "number") || (Math.floor(preset.version) !== preset.version) ||
+		(preset.version < 1) || (preset.version > treePreset.formatVersion)) {
+		errorList.push("version " + JSON.stringify(preset.version) + " is not supported (supported versions: 1 - " +
+			treePreset.formatVersion + ")");
+	}
+	
+	for (var sectionName in treePreset.valueLimits) {
+		var presetSection = preset[sectionName];
+		if (!validateVar(presetSection) || (typeof(presetSection) !== "object")) {
+			errorList.push("section \"" + sectionName + "\" is missing");
+			continue;
+		}
+		
+		var sectionLimits = treePreset.valueLimits[sectionName];
+		for (var valueName in sectionLimits) {
+			var presetValue = presetSection[valueName];
+			var valueLimit = sectionLimits[valueName];
+			if ((typeof(presetValue) !== "number") || !isFinite(presetValue)) {
+				errorList.push(sectionName + "." + valueName + " must be a number (found " +
+					JSON.stringify(presetValue) + ")");
+			}
+			else if ((presetValue < valueLimit.min) || (presetValue > valueLimit.max)) {
+				errorList.push(sectionName + "." + valueName + " value " + presetValue +
+					" is outside of the permitted range [" + valueLimit.min + ", " + valueLimit.max + "]");
+			}
+		}
+	}
+	
+	if (validateVar(preset.tree) && (typeof(preset.tree) === "object")) {
+		var treeDepth = preset.tree.treeDepth;
+		if ((typeof(treeDepth) !== "number") || (Math.floor(treeDepth) !== treeDepth)) {
+			errorList.push("tree.treeDepth must be an integer (found " + JSON.stringify(treeDepth) + ")");
+		}
+		else if ((treeDepth < minTreeDepth) || (treeDepth > maxTreeDepth)) {
+			errorList.push("tree.treeDepth value " + treeDepth + " is outside of the permitted range [" +
+				minTreeDepth + ", " + maxTreeDepth + "]");
+		}
+		
+		if ((typeof(preset.tree.minTreeLengthFraction) === "number") &&
+			(typeof(preset.tree.maxTreeLengthFraction) === "number") &&
+			(preset.tree.minTreeLengthFraction > preset.tree.maxTreeLengthFraction)) {
+			errorList.push("tree.minTreeLengthFraction (" + preset.tree.minTreeLengthFraction +
+				") must not exceed tree.maxTreeLengthFraction (" + preset.tree.maxTreeLengthFraction + ")");
+		}
+	}
+	
+	// The topper section was introduced in version 2.
+	if ((typeof(preset.version) === "number") && (preset.version >= 2)) {
+		errorList = errorList.concat(treePreset.validateTopper(preset.topper));
+	}
+	
+	return errorList;
+}
+
+/**
+ * Validates the topper section of a preset
+ * @param presetTopper {object} The topper section
+ * @return {Array} A list of error description strings (empty if the
+ *                 topper section is valid)
+ */
+treePreset.validateTopper = function(presetTopper) {
+	var errorList = [];
+	
+	if (!validateVar(presetTopper) || (typeof(presetTopper) !== "object")) {
+		errorList.push("section \"topper\" is missing");
+	}
+	else {
+		if (!treeTopper.isValidStyle(presetTopper.style)) {
+			errorList.push("topper.style " + JSON.stringify(presetTopper.style) + " is not a valid topper style");
+		}
+		
+		var colorValid = Array.isArray(presetTopper.color) && (presetTopper.color.length === 3);
+		for (var componentLoop = 0; colorValid && (componentLoop < presetTopper.color.length); componentLoop++) {
+			var colorComponent = presetTopper.color[componentLoop];
+			colorValid = (typeof(colorComponent) === "number") && (colorComponent >= 0.0) && (colorComponent <= 1.0);
+		}
+		
+		if (!colorValid) {
+			errorList.push("topper.color must be a list of three unit RGB component values (found " +
+				JSON.stringify(presetTopper.color) + ")");
+		}
+	}
+	
+	return errorList;
+}
+
+/**
+ * Upgrades a (validated) preset to the current format version
+ * @param preset {object} The preset object
+ * @return {object} The preset, in the current format version (a new
+ *                  object is returned if the preset was upgraded)
+ */
+treePreset.upgrade = function(preset) {
+	var upgradedPreset = preset;
+	
+	if (preset.version < 2) {
+		// Version 1 - apply the default topper.
+		upgradedPreset = JSON.parse(JSON.stringify(preset));
+		upgradedPreset.topper = {
+			style: Constants.topperStyle,
+			color: Constants.topperColor.slice()
+		};
+	}
+	
+	upgradedPreset.version = treePreset.formatVersion;
+	
+	return upgradedPreset;
+}
+
+/**
+ * Parses and validates one or more presets
+ * @param presetSource {string/object/Array} A JSON string, a preset object, a
+ *                                           list of preset objects, or an object
+ *                                           with a "presets" list
+ * @param minTreeDepth {number} Minimum permitted tree depth
+ * @param maxTreeDepth {number} Maximum permitted tree depth
+ * @return {Array} A list of validated preset objects (upgraded to the current
+ *                 format version)
+ * @throws {Error} If the source cannot be parsed, or if any preset is invalid
+ *                 (the error message describes all invalid values)
+ */
+treePreset.parseList = function(presetSource, minTreeDepth, maxTreeDepth) {
+	var presetData = presetSource;
+	if (typeof(presetSource) === "string") {
+		try {
+			presetData = JSON.parse(presetSource);
+		}
+		catch (parseError) {
+			throw new Error("Tree preset data is not valid JSON: " + parseError.message);
+		}
+	}
+	
+	var presetList = Array.isArray(presetData) ? presetData :
+		(validateVar(presetData) && Array.isArray(presetData.presets)) ? presetData.presets :
+		[ presetData ];
+	
+	if (presetList.length === 0) {
+		throw new Error("Tree preset data does not contain any presets");
+	}
+	
+	var errorDescriptions = [];
+	for (var presetLoop = 0; presetLoop < presetList.length; presetLoop++) {
+		var presetErrors = treePreset.validate(presetList[presetLoop], minTreeDepth, maxTreeDepth);
+		if (presetErrors.length > 0) {
+			var presetLabel = "preset " + presetLoop;
+			if (validateVar(presetList[presetLoop]) && (typeof(presetList[presetLoop].name) === "string")) {
+				presetLabel += " (\"" + presetList[presetLoop].name + "\")";
+			}
+			
+			errorDescriptions.push(presetLabel + ": " + presetErrors.join("; "));
+		}
+	}
+	
+	if (errorDescriptions.length > 0) {
+		throw new Error("Invalid tree preset data - " + errorDescriptions.join(" / "));
+	}
+	
+	return presetList.map(treePreset.upgrade);
+}
+
+/**
+ * Serializes a preset (or list of presets) to a JSON string
+ * @param presetData {object/Array} A preset object or list of preset objects
+ * @return {string} A formatted JSON string
+ */
+treePreset.toJson = function(presetData) {
+	return JSON.stringify(presetData, null, "\t");
+}
@@ -0,0 +1,601 @@
+// TreeSceneReference.js - CPU reference implementation of the IFS fractal
+//                         tree fragment computation (a direct port of
+//                         treeSceneFragColor(...) and the related functions
+//                         within FragmentShaderIfsFractalTree.shader and
+//                         ShaderGeometryFunctions.shader)
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -
+//
+// The reference implementation permits the shader computations to be
+// evaluated without a GPU (e.g. in order to compare the output of
+// modified shader computations against previously-generated "golden"
+// images). The implementation has no dependencies, and can be loaded
+// via require(...) within Node.js - tests/TreeSceneReference.test.js
+// compares the implementation against golden images, and against the
+// shader constants (node --test tests/TreeSceneReference.test.js).
+//
+// Points/vectors are represented as two-element arrays ([x, y]), and
+// colors as four-element arrays ([r, g, b, a]). Computations are
+// performed using double precision, and will therefore differ slightly
+// from the (single precision) shader output.
+//
+// Uniform object format (values correspond to the fractal shader
+// uniforms):
+// {
+//   trunkLengthMultiplier: <uniform_trunkLengthMultiplier>,
+//   branchLengthMultiplier: <uniform_branchLengthMultiplier>,
+//   windFactor: <uniform_windFactor>,
+//   interLevelScaleDownFactor: <uniform_interLevelScaleDownFactor>,
+//   minTreeLengthFraction: <uniform_minTreeLengthFraction>,
+//   maxTreeLengthFraction: <uniform_maxTreeLengthFraction>,
+//   maxTreeDepth: <uniform_maxTreeDepth>,
+//   trunkColor: <optional uniform_trunkColor ([r, g, b, a])>,
+//   innerBranchColor: <optional uniform_innerBranchColor>,
+//   outerBranchColor: <optional uniform_outerBranchColor>,
+//   backgroundColor: <optional uniform_backgroundColor>,
+//   forestTrees: <optional list of forest trees (uniform_forestTree*),
+//                 ordered from nearest to most distant>
+// }
+//
+// The classic green palette colors are used when the trunk/branch colors
+// are not specified (no background is composited when the background
+// color is not specified).
+//
+// Each forest tree contains the uniform object tree properties (excluding
+// the colors and forestTrees), in addition to the tree placement (baseCoordX, baseCoordY,
+// scale, atmosphericFade) - the format is compatible with the tree list
+// produced by treeForest.
+
+function treeSceneReference() {
+}
+
+/**
+ * Constants that mirror the fractal shader constants
+ */
+treeSceneReference.constBranchWidth = 0.020;
+treeSceneReference.constDistanceThreshold = 0.001;
+treeSceneReference.constOuterDistanceThreshold = treeSceneReference.constDistanceThreshold * 1.5;
+treeSceneReference.constVectorUp = [ 0.0, 1.0 ];
+treeSceneReference.constPointZeroOrigin = [ 0.0, 0.0 ];
+treeSceneReference.constDefaultTrunkColor = [ 0.0, 0.5, 0.0, 0.9 ];
+treeSceneReference.constDefaultInnerBranchColor = [ 0.0, 0.5, 0.0, 0.9 ];
+treeSceneReference.constDefaultOuterBranchColor = [ 0.0, 0.5, 0.0, 0.4 ];
+treeSceneReference.constBranchRotationAngle = (Math.PI * 3.2 / 4.0);
+treeSceneReference.constWindMaxRotationAngle = (Math.PI / 20.0);
+treeSceneReference.constInitialTrunkVector = [ 0.0, -0.6 ];
+treeSceneReference.constInitialTrunkBasePoint = [ 0.5, 0.8 ];
+treeSceneReference.constTrunkMaxSwayAngleAmplitude = Math.PI / 60.0;
+treeSceneReference.constMaxInclusionDistance = 0.60 * 0.70;
+treeSceneReference.constBranchInclusionDistanceScale = 2.5;
+treeSceneReference.constMaxForestTrees = 6;
+treeSceneReference.constForestFogColor = [ 0.55, 0.62, 0.72 ];
+treeSceneReference.constForestFogAlphaAttenuation = 0.6;
+
+/**
+ * Branching configuration (mirrors the values of the fractal shader
+ *  compile-time definitions)
+ * @see treeSceneReference.setBranchingConfiguration
+ */
+treeSceneReference.subBranchesPerHostBranch = 8;
+treeSceneReference.maxRecursionDepth = 3;
+treeSceneReference.maxTotalBranches = 512;
+treeSceneReference.branchesPerSide = 4.0;
+treeSceneReference.branchDisplacementFractionAlongHost = 0.25;
+treeSceneReference.subBranchCountLogarithm = 3.0;
+
+/**
+ * Sets the branching configuration (corresponds to the
+ *  SUBBRANCHES_PER_HOST_BRANCH and MAX_RECURSION_DEPTH definitions within
+ *  the fractal shader)
+ * @param subBranchesPerHostBranch {number} Number of sub-branches attached to
+ *                                          each host branch
+ * @param maxRecursionDepth {number} Maximum tree recursion depth
+ */
+treeSceneReference.setBranchingConfiguration = function(subBranchesPerHostBranch, maxRecursionDepth) {
+	treeSceneReference.subBranchesPerHostBranch = subBranchesPerHostBranch;
+	treeSceneReference.maxRecursionDepth = maxRecursionDepth;
+	treeSceneReference.maxTotalBranches = Math.pow(subBranchesPerHostBranch, maxRecursionDepth);
+	treeSceneReference.branchesPerSide = subBranchesPerHostBranch / 2.0;
+	treeSceneReference.branchDisplacementFractionAlongHost = 1.0 / treeSceneReference.branchesPerSide;
+	treeSceneReference.subBranchCountLogarithm = Math.log(subBranchesPerHostBranch) / Math.LN2;
+}
+
+/**
+ * GLSL built-in function equivalents (behavior matches the GLSL
+ *  definitions, including the handling of NaN values by min/max)
+ */
+treeSceneReference.glslMin = function(x, y) {
+	return (y < x) ? y : x;
+}
+
+treeSceneReference.glslMax = function(x, y) {
+	return (x < y) ? y : x;
+}
+
+treeSceneReference.glslClamp = function(x, minValue, maxValue) {
+	return treeSceneReference.glslMin(treeSceneReference.glslMax(x, minValue), maxValue);
+}
+
+treeSceneReference.glslMix = function(x, y, a) {
+	return (x * (1.0 - a)) + (y * a);
+}
+
+treeSceneReference.glslStep = function(edge, x) {
+	return (x < edge) ? 0.0 : 1.0;
+}
+
+treeSceneReference.glslSmoothstep = function(edge0, edge1, x) {
+	var t = treeSceneReference.glslClamp((x - edge0) / (edge1 - edge0), 0.0, 1.0);
+	return t * t * (3.0 - (2.0 * t));
+}
+
+treeSceneReference.glslMod = function(x, y) {
+	return x - (y * Math.floor(x / y));
+}
+
+treeSceneReference.glslLog2 = function(x) {
+	return Math.log(x) / Math.LN2;
+}
+
+/**
+ * Converts a floating-point value to an integer, using the GLSL
+ *  int(...) conversion (truncation towards zero)
+ */
+treeSceneReference.glslInt = function(x) {
+	return (x < 0.0) ? Math.ceil(x) : Math.floor(x);
+}
+
+treeSceneReference.vectorLength = function(vector) {
+	return Math.sqrt((vector[0] * vector[0]) + (vector[1] * vector[1]));
+}
+
+treeSceneReference.pointDistance = function(firstPoint, secondPoint) {
+	return treeSceneReference.vectorLength([ firstPoint[0] - secondPoint[0], firstPoint[1] - secondPoint[1] ]);
+}
+
+treeSceneReference.dotProduct = function(firstVector, secondVector) {
+	return (firstVector[0] * secondVector[0]) + (firstVector[1] * secondVector[1]);
+}
+
+/**
+ * Rotates a point around a provided point, using the specified rotation
+ *  angle (port of rotatePoint(...))
+ * @param targetPoint {Array} The point that is to be rotated
+ * @param rotationOrigin {Array} The center/origin of the rotation operation
+ * @param rotationAngle {number} The angle for the target point to be rotated,
+ *                               in radians
+ * @return {Array} The rotated point
+ */
+treeSceneReference.rotatePoint = function(targetPoint, rotationOrigin, rotationAngle) {
+	var cosineAngle = Math.cos(rotationAngle);
+	var sineAngle = Math.sin(rotationAngle);
+	var translatedX = targetPoint[0] - rotationOrigin[0];
+	var translatedY = targetPoint[1] - rotationOrigin[1];
+
+	// Row vector-matrix product, equivalent to (point * mat2(...)) in GLSL.
+	return [
+		(translatedX * cosineAngle) + (translatedY * sineAngle) + rotationOrigin[0],
+		(-translatedX * sineAngle) + (translatedY * cosineAngle) + rotationOrigin[1]
+	];
+}
+
+/**
+ * Returns the signed distance to a cylinder with rounded ends (port of
+ *  signedDistanceToCapsule(...))
+ * @param queryPoint {Array} The point for which the distance to a capsule
+ *                           should be determined
+ * @param capStartPoint {Array} Start of the capsule
+ * @param capEndPoint {Array} End of the capsule
+ * @param endRadius {number} Radius for the terminal points of the capsule
+ * @return {number} The distance to the defined capsule
+ */
+treeSceneReference.signedDistanceToCapsule = function(queryPoint, capStartPoint, capEndPoint, endRadius) {
+	var pa = [ queryPoint[0] - capStartPoint[0], queryPoint[1] - capStartPoint[1] ];
+	var ba = [ capEndPoint[0] - capStartPoint[0], capEndPoint[1] - capStartPoint[1] ];
+	var h = treeSceneReference.glslClamp(treeSceneReference.dotProduct(pa, ba) /
+		treeSceneReference.dotProduct(ba, ba), 0.0, 1.0);
+
+	return treeSceneReference.vectorLength([ pa[0] - (ba[0] * h), pa[1] - (ba[1] * h) ]) - endRadius;
+}
+
+/**
+ * Returns the signed distance to a specified line segment (port of
+ *  distanceToLineSegment(...))
+ * @param queryPoint {Array} The point for which the distance to a line
+ *                           segment should be determined
+ * @param segmentStartPoint {Array} Start of the line segment
+ * @param segmentWidth {number} Width of the line segment (unused, as is the
+ *                              case within the shader)
+ * @param segmentVector {Array} Vector that defines the direction/length
+ *                              of the line segment
+ * @return {number} The distance to the defined line segment
+ */
+treeSceneReference.distanceToLineSegment = function(queryPoint, segmentStartPoint, segmentWidth, segmentVector) {
+	var segmentVectorLength = treeSceneReference.vectorLength(segmentVector);
+	var translatedQueryPoint = [ queryPoint[0] - segmentStartPoint[0], queryPoint[1] - segmentStartPoint[1] ];
+
+	// z component of cross(vec3(segmentVector, 0.0), vec3(VECTOR_UP, 0.0)).
+	var crossProductZ = (segmentVector[0] * treeSceneReference.constVectorUp[1]) -
+		(segmentVector[1] * treeSceneReference.constVectorUp[0]);
+	var angleSideMultiplier = (2.0 * treeSceneReference.glslStep(0.0, crossProductZ)) - 1.0;
+	var rotationAngle = -angleSideMultiplier * Math.acos(
+		treeSceneReference.dotProduct(segmentVector, treeSceneReference.constVectorUp) /
+		(segmentVectorLength * treeSceneReference.vectorLength(treeSceneReference.constVectorUp)));
+	var rotTransQueryPoint = treeSceneReference.rotatePoint(translatedQueryPoint, [ 0.0, 0.0 ], rotationAngle);
+
+	var endPointRadius = treeSceneReference.constBranchWidth / 2.0;
+	return treeSceneReference.signedDistanceToCapsule(rotTransQueryPoint, treeSceneReference.constPointZeroOrigin,
+		[ 0.0, segmentVectorLength ], endPointRadius);
+}
+
+/**
+ * Returns the nearest power of the branch count base that is less than
+ *  or equal to a specific number (port of nearestPowerOfBranchCountBase(...))
+ * @param queryNumber {number} The number for which the power should
+ *                             be determined
+ * @return {number} The nearest power (integer)
+ */
+treeSceneReference.nearestPowerOfBranchCountBase = function(queryNumber) {
+	return treeSceneReference.glslInt(treeSceneReference.glslLog2(treeSceneReference.glslMax(1.0, queryNumber)) /
+		treeSceneReference.subBranchCountLogarithm);
+}
+
+/**
+ * Returns the nearest power of the branch count base that is greater
+ *  than or equal to a specific number (port of
+ *  nearestPowerOfBranchCountBaseGreaterEqual(...) - the evaluation
+ *  order of the shader implementation is retained)
+ * @param queryNumber {number} The number for which the power should
+ *                             be determined
+ * @return {number} The nearest power (integer)
+ */
+treeSceneReference.nearestPowerOfBranchCountBaseGreaterEqual = function(queryNumber) {
+	return treeSceneReference.glslInt(treeSceneReference.glslMax(Math.ceil(treeSceneReference.glslLog2(
+		treeSceneReference.glslMax(1.0, queryNumber) / treeSceneReference.subBranchCountLogarithm)), 1.0));
+}
+
+/**
+ * Determines the fragment color for a fragment at a particular location
+ *  (port of treeSceneFragColor(...))
+ * @param currentPoint {Array} Location of the fragment (texture coordinate
+ *                             space - the origin is located at the upper-left
+ *                             corner)
+ * @param branchHalfWidth {number} Half-width of a tree branch
+ * @param uniforms {object} Uniform object (or forest tree)
+ * @param colorUniforms {object} Optional uniform object from which the palette
+ *                               colors are retrieved (the colors are retrieved
+ *                               from the uniform object if this object is not
+ *                               specified)
+ * @return {Array} A four-component fragment color
+ */
+treeSceneReference.treeSceneFragColor = function(currentPoint, branchHalfWidth, uniforms, colorUniforms) {
+	var finalFragmentColor = [ 0.0, 0.0, 0.0, 0.0 ];
+	var paletteSource = (typeof(colorUniforms) === "object") ? colorUniforms : uniforms;
+
+	var maxTreeLevelLengthFraction = uniforms.maxTreeLengthFraction;
+	var minTreeLevelLengthFraction = uniforms.minTreeLengthFraction;
+	var interLevelScaleDownFactor = uniforms.interLevelScaleDownFactor;
+	var maxBranchInclusionDistanceFraction = interLevelScaleDownFactor * treeSceneReference.constBranchInclusionDistanceScale;
+	var maxTreeDepth = treeSceneReference.glslInt(uniforms.maxTreeDepth);
+	var maxRecursionDepth = treeSceneReference.maxRecursionDepth;
+	var subBranchesPerHostBranch = treeSceneReference.subBranchesPerHostBranch;
+	var outerDistanceThreshold = treeSceneReference.constOuterDistanceThreshold;
+	var trunkBasePoint = treeSceneReference.constInitialTrunkBasePoint;
+	var initialTrunkVector = treeSceneReference.constInitialTrunkVector;
+
+	// Prevent unnecessary computations - if the fragment is not near
+	// the tree, do not perform a tree branch computation.
+	var trunkCenterPoint = [ trunkBasePoint[0] + (initialTrunkVector[0] / 2.0),
+		trunkBasePoint[1] + (initialTrunkVector[1] / 2.0) ];
+	if (treeSceneReference.pointDistance(trunkCenterPoint, currentPoint) <= treeSceneReference.constMaxInclusionDistance) {
+		var trunkVector = treeSceneReference.rotatePoint([ initialTrunkVector[0] * uniforms.trunkLengthMultiplier,
+			initialTrunkVector[1] * uniforms.trunkLengthMultiplier ], [ 0.0, 0.0 ],
+			treeSceneReference.constTrunkMaxSwayAngleAmplitude * uniforms.windFactor);
+
+		var distanceToTrunk = treeSceneReference.distanceToLineSegment(currentPoint, trunkBasePoint,
+			branchHalfWidth, trunkVector);
+		var finalDistanceToTree = outerDistanceThreshold;
+
+		// Recursion depth evaluated for the branch that was determined to be within
+		// the distance threshold.
+		var depthAtEvaluatedDistance = 0;
+		// Set when the trunk (rather than a branch) is nearest to the fragment.
+		var trunkAtEvaluatedDistance = false;
+
+		var branchDistanceThresholdReached = false;
+		var totalBranchCount = treeSceneReference.glslInt(Math.pow(subBranchesPerHostBranch, maxTreeDepth));
+		var branchCount = totalBranchCount;
+		for (var subBranchLoop = 0; subBranchLoop < treeSceneReference.maxTotalBranches; subBranchLoop++) {
+			if (branchDistanceThresholdReached || (branchCount < 0)) {
+				break;
+			}
+
+			var currentHostVector = trunkVector;
+			var currentStartPoint = trunkBasePoint;
+
+			// Evaluated (but not employed) within the shader implementation.
+			var currentMaxDepth = treeSceneReference.nearestPowerOfBranchCountBaseGreaterEqual(branchCount);
+
+			// An L-system, coded in base x, where x is the number of branches
+			// per host branch.
+			var branchLineageCoding = branchCount - 1;
+			var currentDepth = maxTreeDepth;
+			for (var depthLoop = maxRecursionDepth; depthLoop >= 1; depthLoop--) {
+				currentDepth = depthLoop - (maxRecursionDepth - maxTreeDepth);
+				if (currentDepth === 0) {
+					break;
+				}
+
+				// Nearest power of x^n, where x is the number of branches per host branch.
+				var nearestBranchBaseNumber = Math.pow(subBranchesPerHostBranch, currentDepth - 1);
+				// "Level" of branch along host branch.
+				var branchLevel = treeSceneReference.glslInt(branchLineageCoding / nearestBranchBaseNumber);
+				var halfBranchLevel = treeSceneReference.glslInt(branchLevel / 2);
+
+				// The branches will start a short distance away from the base of the
+				// host branch/trunk.
+				var displacementFraction = treeSceneReference.branchDisplacementFractionAlongHost *
+					(halfBranchLevel + 1.0);
+				var branchStartPoint = [ (currentHostVector[0] * displacementFraction) + currentStartPoint[0],
+					(currentHostVector[1] * displacementFraction) + currentStartPoint[1] ];
+
+				// Distance verification - abort early if the current pixel is not
+				// near the branch.
+				if (treeSceneReference.pointDistance(branchStartPoint, currentPoint) <=
+					(maxBranchInclusionDistanceFraction * treeSceneReference.vectorLength(currentHostVector))) {
+
+					branchLineageCoding = branchLineageCoding - (nearestBranchBaseNumber * branchLevel);
+
+					// Reduce the length of the branches that are further along the tree,
+					// in order to simulate a conifer tree profile.
+					var branchLength = treeSceneReference.glslMix(maxTreeLevelLengthFraction, minTreeLevelLengthFraction,
+						halfBranchLevel / treeSceneReference.glslInt(subBranchesPerHostBranch / 2)) *
+						uniforms.branchLengthMultiplier;
+					currentHostVector = [ currentHostVector[0] * branchLength, currentHostVector[1] * branchLength ];
+
+					// Divide the branches into left and right sides along the host branch.
+					var directionBias = treeSceneReference.glslInt(treeSceneReference.glslMod(branchLevel, 2.0) * 2.0);
+					var rotationDirectionBias = directionBias - 1.0;
+					var branchEndPoint = [ (currentHostVector[0] * interLevelScaleDownFactor) + branchStartPoint[0],
+						(currentHostVector[1] * interLevelScaleDownFactor) + branchStartPoint[1] ];
+					// ...Apply a "wind" factor for branch rotation.
+					var windRotationAngle = treeSceneReference.constWindMaxRotationAngle * currentDepth / maxTreeDepth *
+						uniforms.windFactor;
+					branchEndPoint = treeSceneReference.rotatePoint(branchEndPoint, branchStartPoint,
+						(treeSceneReference.constBranchRotationAngle * rotationDirectionBias) + windRotationAngle);
+					var branchVector = [ branchEndPoint[0] - branchStartPoint[0], branchEndPoint[1] - branchStartPoint[1] ];
+
+					currentHostVector = branchVector;
+					currentStartPoint = branchStartPoint;
+
+					var distanceToBranch = treeSceneReference.distanceToLineSegment(currentPoint, branchStartPoint,
+						branchHalfWidth, branchVector);
+
+					finalDistanceToTree = treeSceneReference.glslMin(distanceToBranch, distanceToTrunk);
+					if (finalDistanceToTree < outerDistanceThreshold) {
+						branchDistanceThresholdReached = true;
+						depthAtEvaluatedDistance = currentDepth;
+						trunkAtEvaluatedDistance = (distanceToTrunk <= distanceToBranch);
+						break;
+					}
+				}
+				else {
+					// Subtract the lineage-coded number from the branch count,
+					// ensuring that this branch never visited again, as it failed
+					// the rough distance threshold test.
+					branchCount = branchCount - (treeSceneReference.glslInt(nearestBranchBaseNumber) + 1);
+					break;
+				}
+			}
+
+			branchCount--;
+		}
+
+		// Blend the branch colors - branches that are deeper within the branch
+		// hierarchy are rendered using the outer branch color.
+		var currentTreeColor = trunkAtEvaluatedDistance ?
+			treeSceneReference.getPaletteColor(paletteSource, "trunkColor", treeSceneReference.constDefaultTrunkColor) :
+			treeSceneReference.mixColors(
+				treeSceneReference.getPaletteColor(paletteSource, "outerBranchColor", treeSceneReference.constDefaultOuterBranchColor),
+				treeSceneReference.getPaletteColor(paletteSource, "innerBranchColor", treeSceneReference.constDefaultInnerBranchColor),
+				depthAtEvaluatedDistance / maxRecursionDepth);
+		if (finalDistanceToTree < outerDistanceThreshold) {
+			var unitDistanceFactor = treeSceneReference.glslSmoothstep(treeSceneReference.constDistanceThreshold,
+				0.0, finalDistanceToTree);
+			finalFragmentColor = [ currentTreeColor[0], currentTreeColor[1], currentTreeColor[2],
+				currentTreeColor[3] * unitDistanceFactor ];
+		}
+	}
+
+	return finalFragmentColor;
+}
+
+/**
+ * Retrieves a palette color from a uniform object
+ * @param colorUniforms {object} Uniform object
+ * @param colorName {string} Name of the color property
+ * @param defaultColor {Array} Color returned if the uniform object does not
+ *                             specify the color
+ * @return {Array} A four-component color
+ */
+treeSceneReference.getPaletteColor = function(colorUniforms, colorName, defaultColor) {
+	return Array.isArray(colorUniforms[colorName]) ? colorUniforms[colorName] : defaultColor;
+}
+
+/**
+ * Blends two four-component colors (equivalent to mix(...) applied to
+ *  vec4 values)
+ * @param firstColor {Array} The first color
+ * @param secondColor {Array} The second color
+ * @param blendFraction {number} Blend weight of the second color
+ * @return {Array} The blended color
+ */
+treeSceneReference.mixColors = function(firstColor, secondColor, blendFraction) {
+	var blendedColor = [];
+	for (var componentLoop = 0; componentLoop < 4; componentLoop++) {
+		blendedColor.push(treeSceneReference.glslMix(firstColor[componentLoop], secondColor[componentLoop], blendFraction));
+	}
+
+	return blendedColor;
+}
+
+/**
+ * Places a fragment color "over" another fragment color (port of
+ *  compositeOver(...))
+ * @param topColor {Array} Fragment color that is placed in front
+ * @param bottomColor {Array} Fragment color that is placed behind
+ * @return {Array} The composited four-component fragment color
+ */
+treeSceneReference.compositeOver = function(topColor, bottomColor) {
+	var compositeColor = topColor;
+
+	var compositeAlpha = topColor[3] + (bottomColor[3] * (1.0 - topColor[3]));
+	if (compositeAlpha > 0.0) {
+		compositeColor = [ 0.0, 0.0, 0.0, compositeAlpha ];
+		for (var componentLoop = 0; componentLoop < 3; componentLoop++) {
+			compositeColor[componentLoop] = ((topColor[componentLoop] * topColor[3]) +
+				(bottomColor[componentLoop] * bottomColor[3] * (1.0 - topColor[3]))) / compositeAlpha;
+		}
+	}
+
+	return compositeColor;
+}
+
+/**
+ * Determines the fragment color for the foreground tree and all forest
+ *  trees (port of forestSceneFragColor(...))
+ * @param currentPoint {Array} Location of the fragment (texture coordinate
+ *                             space)
+ * @param branchHalfWidth {number} Half-width of a tree branch
+ * @param uniforms {object} Uniform object
+ * @return {Array} A four-component fragment color
+ */
+treeSceneReference.forestSceneFragColor = function(currentPoint, branchHalfWidth, uniforms) {
+	var sceneColor = [ 0.0, 0.0, 0.0, 0.0 ];
+	var forestTrees = Array.isArray(uniforms.forestTrees) ? uniforms.forestTrees : [];
+	var forestTreeCount = Math.min(forestTrees.length, treeSceneReference.constMaxForestTrees);
+	var trunkBasePoint = treeSceneReference.constInitialTrunkBasePoint;
+
+	for (var treeLoop = 0; treeLoop <= forestTreeCount; treeLoop++) {
+		if (sceneColor[3] >= 1.0) {
+			break;
+		}
+
+		var treeUniforms = uniforms;
+		var treePlacement = { baseCoordX: trunkBasePoint[0], baseCoordY: trunkBasePoint[1], scale: 1.0,
+			atmosphericFade: 0.0 };
+		if (treeLoop > 0) {
+			treeUniforms = forestTrees[treeLoop - 1];
+			treePlacement = forestTrees[treeLoop - 1];
+		}
+
+		// Evaluate the tree within the coordinate space of the foreground
+		// tree.
+		var treePoint = [ trunkBasePoint[0] + ((currentPoint[0] - treePlacement.baseCoordX) / treePlacement.scale),
+			trunkBasePoint[1] + ((currentPoint[1] - treePlacement.baseCoordY) / treePlacement.scale) ];
+		var treeColor = treeSceneReference.treeSceneFragColor(treePoint, branchHalfWidth, treeUniforms, uniforms);
+
+		// Atmospheric fading.
+		for (var componentLoop = 0; componentLoop < 3; componentLoop++) {
+			treeColor[componentLoop] = treeSceneReference.glslMix(treeColor[componentLoop],
+				treeSceneReference.constForestFogColor[componentLoop], treePlacement.atmosphericFade);
+		}
+		treeColor[3] *= 1.0 - (treePlacement.atmosphericFade * treeSceneReference.constForestFogAlphaAttenuation);
+
+		sceneColor = treeSceneReference.compositeOver(sceneColor, treeColor);
+	}
+
+	return sceneColor;
+}
+
+/**
+ * Determines the final fragment color, including the background (port
+ *  of main(...), excluding the previous variant and overlay composition)
+ * @param currentPoint {Array} Location of the fragment (texture coordinate
+ *                             space)
+ * @param branchHalfWidth {number} Half-width of a tree branch
+ * @param uniforms {object} Uniform object
+ * @return {Array} A four-component fragment color
+ */
+treeSceneReference.sceneFragColor = function(currentPoint, branchHalfWidth, uniforms) {
+	var sceneColor = treeSceneReference.forestSceneFragColor(currentPoint, branchHalfWidth, uniforms);
+
+	return Array.isArray(uniforms.backgroundColor) ?
+		treeSceneReference.compositeOver(sceneColor, uniforms.backgroundColor) : sceneColor;
+}
+
+/**
+ * Renders the tree (and any forest trees) into an RGBA image buffer (rows are stored from top to
+ *  bottom, in the format used by ImageData) - each pixel is evaluated at
+ *  the pixel center
+ * @param imageWidth {number} Width of the image (pixels)
+ * @param imageHeight {number} Height of the image (pixels)
+ * @param uniforms {object} Uniform object
+ * @param imageBuffer {Uint8ClampedArray} Optional buffer that will receive
+ *                                        the image data (must contain at least
+ *                                        imageWidth * imageHeight * 4 elements)
+ * @return {Uint8ClampedArray} The RGBA image buffer
+ */
+treeSceneReference.renderImageBuffer = function(imageWidth, imageHeight, uniforms, imageBuffer) {
+	var bytesPerPixel = 4;
+	var requiredBufferLength = imageWidth * imageHeight * bytesPerPixel;
+	var targetBuffer = ((imageBuffer instanceof Uint8ClampedArray) && (imageBuffer.length >= requiredBufferLength)) ?
+		imageBuffer : new Uint8ClampedArray(requiredBufferLength);
+	var branchHalfWidth = treeSceneReference.constBranchWidth / 2.0;
+
+	for (var rowLoop = 0; rowLoop < imageHeight; rowLoop++) {
+		for (var columnLoop = 0; columnLoop < imageWidth; columnLoop++) {
+			var fragmentColor = treeSceneReference.sceneFragColor([ (columnLoop + 0.5) / imageWidth,
+				(rowLoop + 0.5) / imageHeight ], branchHalfWidth, uniforms);
+
+			var pixelOffset = ((rowLoop * imageWidth) + columnLoop) * bytesPerPixel;
+			for (var componentLoop = 0; componentLoop < bytesPerPixel; componentLoop++) {
+				targetBuffer[pixelOffset + componentLoop] = Math.round(fragmentColor[componentLoop] * 255.0);
+			}
+		}
+	}
+
+	return targetBuffer;
+}
+
+/**
+ * Compares two RGBA image buffers (e.g. a rendered image and a "golden"
+ *  image)
+ * @param firstImageBuffer {Uint8ClampedArray} The first image buffer
+ * @param secondImageBuffer {Uint8ClampedArray} The second image buffer
+ * @param channelTolerance {number} Maximum per-channel difference at which
+ *                                  pixels are considered to be equivalent
+ * @return {object} An object containing the number of differing pixels
+ *                  ("mismatchedPixelCount") and the greatest per-channel
+ *                  difference ("maxChannelDifference") - the pixel count is
+ *                  -1 if the buffer lengths differ
+ */
+treeSceneReference.compareImageBuffers = function(firstImageBuffer, secondImageBuffer, channelTolerance) {
+	var bytesPerPixel = 4;
+	var comparisonResult = { mismatchedPixelCount: -1, maxChannelDifference: 0 };
+
+	if (firstImageBuffer.length === secondImageBuffer.length) {
+		comparisonResult.mismatchedPixelCount = 0;
+		for (var pixelOffset = 0; pixelOffset < firstImageBuffer.length; pixelOffset += bytesPerPixel) {
+			var pixelMismatched = false;
+			for (var componentLoop = 0; componentLoop < bytesPerPixel; componentLoop++) {
+				var channelDifference = Math.abs(firstImageBuffer[pixelOffset + componentLoop] -
+					secondImageBuffer[pixelOffset + componentLoop]);
+				comparisonResult.maxChannelDifference = Math.max(comparisonResult.maxChannelDifference, channelDifference);
+				pixelMismatched = pixelMismatched || (channelDifference > channelTolerance);
+			}
+
+			if (pixelMismatched) {
+				comparisonResult.mismatchedPixelCount++;
+			}
+		}
+	}
+
+	return comparisonResult;
+}
+
+// Permit the reference implementation to be loaded within Node.js.
+if (typeof(module) !== "undefined") {
+	module.exports = treeSceneReference;
+}
@@ -0,0 +1,214 @@
+// TreeTopper.js - Manages the topper (star, etc.) that is attached to the
+//                 apex of the tree trunk
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//  -RgbColor.js
+//  -InternalConstants.js
+//  -PointSpriteRenderer.js
+
+function treeTopper() {
+	this.topperStyle = treeTopper.styleStar;
+	this.topperColor = new rgbColor(1.0, 1.0, 1.0, 1.0);
+	this.setStyle(Constants.topperStyle);
+	this.setColor(Constants.topperColor);
+	
+	// Topper size, as a fraction of the canvas height.
+	this.constTopperSize = 0.065;
+	
+	// Scale of the topper while the tree is growing (the topper "pops"
+	// to the full size when the tree growth has been completed).
+	this.constGrowingTopperScale = 0.35;
+	
+	// Duration of the "pop" animation (milliseconds), and the overshoot
+	// applied to the topper scale during the animation.
+	this.constPopDurationMs = 700.0;
+	this.constPopOvershoot = 2.2;
+	
+	// Glow surrounding the topper - the glow flares during the "pop"
+	// animation, and subsequently pulses.
+	this.constGlowSizeMultiplier = 2.6;
+	this.constGlowBaseIntensity = 0.45;
+	this.constGlowPulseAmplitude = 0.15;
+	this.constGlowPulsePeriodMs = 2400.0;
+	this.constGlowFlareIntensity = 1.0;
+	
+	// Rotation rate of the topper (radians/second).
+	this.constRotationRate = 0.6;
+	
+	this.topperRotation = 0.0;
+	this.glowPulseTimeMs = 0.0;
+	this.treeGrowthComplete = false;
+	this.popElapsedTimeMs = 0.0;
+}
+
+/**
+ * Topper styles
+ */
+treeTopper.styleNone = "none";
+treeTopper.styleStar = "star";
+treeTopper.styleStarburst = "starburst";
+treeTopper.styleOrb = "orb";
+
+/**
+ * Sprite shapes used to render each topper style
+ */
+treeTopper.spriteShapesByStyle = {
+	"star": pointSpriteRenderer.shapeStar,
+	"starburst": pointSpriteRenderer.shapeStarburst,
+	"orb": pointSpriteRenderer.shapeBauble
+};
+
+/**
+ * Determines whether or not a topper style name is valid
+ * @param styleName {string} The topper style name
+ * @return {boolean} True if the style name is valid
+ */
+treeTopper.isValidStyle = function(styleName) {
+	return (styleName === treeTopper.styleNone) || treeTopper.spriteShapesByStyle.hasOwnProperty(styleName);
+}
+
+/**
+ * Sets the topper style
+ * @param styleName {string} Topper style ("none", "star", "starburst" or "orb")
+ */
+treeTopper.prototype.setStyle = function(styleName) {
+	if (treeTopper.isValidStyle(styleName)) {
+		this.topperStyle = styleName;
+	}
+	else {
+		console.log("Unknown tree topper style: " + styleName);
+	}
+}
+
+/**
+ * Retrieves the topper style
+ * @return {string} The topper style name
+ */
+treeTopper.prototype.getStyle = function() {
+	return this.topperStyle;
+}
+
+/**
+ * Sets the topper color
+ * @param topperColor {rgbColor/Array} The topper color, specified as an
+ *                                     rgbColor, or as a list of unit RGB
+ *                                     component values
+ */
+treeTopper.prototype.setColor = function(topperColor) {
+	if (topperColor instanceof rgbColor) {
+		this.topperColor = topperColor;
+	}
+	else if (Array.isArray(topperColor) && (topperColor.length >= 3)) {
+		this.topperColor = new rgbColor(topperColor[0], topperColor[1], topperColor[2], 1.0);
+	}
+}
+
+/**
+ * Retrieves the topper color
+ * @return {Array} The topper color, as a list of unit RGB component values
+ */
+treeTopper.prototype.getColorComponents = function() {
+	return [ this.topperColor.getRedValue(), this.topperColor.getGreenValue(), this.topperColor.getBlueValue() ];
+}
+
+/**
+ * Resets the topper animation (invoked when a new tree variant is
+ *  displayed)
+ */
+treeTopper.prototype.reset = function() {
+	this.treeGrowthComplete = false;
+	this.popElapsedTimeMs = 0.0;
+}
+
+/**
+ * Advances the topper animation
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ * @param treeGrowthComplete {boolean} True if all tree growth phases have
+ *                                     been completed (the "pop" animation
+ *                                     starts when the growth is completed)
+ */
+treeTopper.prototype.update = function(timeQuantum, treeGrowthComplete) {
+	if (treeGrowthComplete && !this.treeGrowthComplete) {
+		this.popElapsedTimeMs = 0.0;
+	}
+	else if (treeGrowthComplete) {
+		this.popElapsedTimeMs += timeQuantum;
+	}
+	
+	this.treeGrowthComplete = treeGrowthComplete;
+	this.topperRotation = (this.topperRotation + (this.constRotationRate * timeQuantum / 1000.0)) % (2.0 * Math.PI);
+	this.glowPulseTimeMs += timeQuantum;
+}
+
+/**
+ * Computes the scale of the topper, including the "pop" animation
+ * @return {number} The topper scale (1.0 - full size)
+ */
+treeTopper.prototype.computeTopperScale = function() {
+	var topperScale = this.constGrowingTopperScale;
+	
+	if (this.treeGrowthComplete) {
+		// "Back" easing - the topper briefly exceeds the full size.
+		var popFraction = Math.min(1.0, this.popElapsedTimeMs / this.constPopDurationMs) - 1.0;
+		var easedFraction = 1.0 + (popFraction * popFraction * (((this.constPopOvershoot + 1.0) * popFraction) +
+			this.constPopOvershoot));
+		topperScale = this.constGrowingTopperScale + ((1.0 - this.constGrowingTopperScale) * easedFraction);
+	}
+	
+	return topperScale;
+}
+
+/**
+ * Computes the intensity of the glow surrounding the topper
+ * @return {number} The glow intensity (0.0 - 1.0, inclusive)
+ */
+treeTopper.prototype.computeGlowIntensity = function() {
+	var glowIntensity = this.constGlowBaseIntensity + (this.constGlowPulseAmplitude *
+		Math.sin(2.0 * Math.PI * this.glowPulseTimeMs / this.constGlowPulsePeriodMs));
+	
+	if (this.treeGrowthComplete && (this.popElapsedTimeMs < this.constPopDurationMs)) {
+		// Flare as the topper "pops".
+		var flareFraction = 1.0 - (this.popElapsedTimeMs / this.constPopDurationMs);
+		glowIntensity += (this.constGlowFlareIntensity - glowIntensity) * flareFraction;
+	}
+	
+	return Math.max(0.0, Math.min(1.0, glowIntensity));
+}
+
+/**
+ * Appends point sprites that represent the topper (and the surrounding
+ *  glow) to a sprite list
+ * @param trunkTipPoint {Array} The apex of the tree trunk
+ * @param trunkGrowthFraction {number} Growth progress of the trunk (0.0 - 1.0,
+ *                                     inclusive)
+ * @param spriteList {Array} List to which the topper sprites will be appended
+ * @see treeGeometry.computeTrunkTipPoint
+ * @see pointSpriteRenderer
+ */
+treeTopper.prototype.appendSprites = function(trunkTipPoint, trunkGrowthFraction, spriteList) {
+	if ((this.topperStyle !== treeTopper.styleNone) && (trunkGrowthFraction > 0.0)) {
+		var topperSize = this.constTopperSize * this.computeTopperScale() * Math.min(1.0, trunkGrowthFraction);
+		
+		spriteList.push({
+			coordX: trunkTipPoint[0],
+			coordY: trunkTipPoint[1],
+			size: topperSize * this.constGlowSizeMultiplier,
+			spriteColor: new rgbColor(this.topperColor.getRedValue(), this.topperColor.getGreenValue(),
+				this.topperColor.getBlueValue(), this.computeGlowIntensity()),
+			shape: pointSpriteRenderer.shapeLight,
+			rotation: 0.0
+		});
+		
+		spriteList.push({
+			coordX: trunkTipPoint[0],
+			coordY: trunkTipPoint[1],
+			size: topperSize,
+			spriteColor: this.topperColor,
+			shape: treeTopper.spriteShapesByStyle[this.topperStyle],
+			rotation: this.topperRotation
+		});
+	}
+}
@@ -58,3 +58,93 @@ function getRangedRandomValue(minRandomValue, maxRandomValue) {
 	
 	return rangedRandomValue;
 }
+
+
+/**
+ * Retrieves the value of a parameter within the query string
+ *  of the current page URL
+ * @param parameterName {string} Name of the query parameter
+ * @return {string} The decoded parameter value upon success (an empty
+ *                  string if the parameter is present without a value),
+ *                  null if the parameter is not present
+ */
+function getQueryParameterValue(parameterName) {
+	var parameterValue = null;
+	
+	if (validateVar(parameterName) && (typeof(window) !== 'undefined') &&
+		validateVar(window.location)) {
+			
+		var queryString = window.location.search.replace(/^\?/, "");
+		var queryComponents = (queryString.length > 0) ? queryString.split("&") : [];
+		for (var componentLoop = 0; (componentLoop < queryComponents.length) &&
+			(parameterValue === null); componentLoop++) {
+				
+			var keyValuePair = queryComponents[componentLoop].split("=");
+			if (decodeURIComponent(keyValuePair[0]) === parameterName) {
+				parameterValue = (keyValuePair.length > 1) ?
+					decodeURIComponent(keyValuePair.slice(1).join("=").replace(/\+/g, " ")) : "";
+			}
+		}
+	}
+	
+	return parameterValue;
+}
+
+/**
+ * Stores a parameter value within the query string of the current
+ *  page URL, without reloading the page (the updated URL can be
+ *  shared/bookmarked in order to reproduce the page state)
+ * @param parameterName {string} Name of the query parameter
+ * @param parameterValue {string/number} Value to be assigned to the
+ *                                       query parameter
+ */
+function setQueryParameterValue(parameterName, parameterValue) {
+	if (validateVar(parameterName) && validateVar(parameterValue) &&
+		(typeof(window) !== 'undefined') && validateVar(window.history) &&
+		(typeof(window.history.replaceState) === 'function')) {
+			
+		var encodedComponent = encodeURIComponent(parameterName) + "=" +
+			encodeURIComponent(String(parameterValue));
+		var queryString = window.location.search.replace(/^\?/, "");
+		var queryComponents = (queryString.length > 0) ? queryString.split("&") : [];
+		var parameterReplaced = false;
+		for (var componentLoop = 0; componentLoop < queryComponents.length; componentLoop++) {
+			if (decodeURIComponent(queryComponents[componentLoop].split("=")[0]) === parameterName) {
+				queryComponents[componentLoop] = encodedComponent;
+				parameterReplaced = true;
+			}
+		}
+		
+		if (!parameterReplaced) {
+			queryComponents.push(encodedComponent);
+		}
+		
+		window.history.replaceState(window.history.state, document.title,
+			window.location.pathname + "?" + queryComponents.join("&") + window.location.hash);
+	}
+}
+
+/**
+ * Initiates a browser download of the provided data
+ * @param fileData {string/Blob} Data to be downloaded
+ * @param fileName {string} Suggested name of the downloaded file
+ * @param mimeType {string} MIME type of the data (ignored if the
+ *                          data is provided as a Blob)
+ */
+function downloadDataAsFile(fileData, fileName, mimeType) {
+	if (validateVar(fileData) && validateVar(fileName)) {
+		var fileBlob = (fileData instanceof Blob) ? fileData :
+			new Blob([ fileData ], { type: mimeType });
+		var fileUrl = URL.createObjectURL(fileBlob);
+		
+		var downloadAnchor = document.createElement("a");
+		downloadAnchor.href = fileUrl;
+		downloadAnchor.download = fileName;
+		document.body.appendChild(downloadAnchor);
+		downloadAnchor.click();
+		document.body.removeChild(downloadAnchor);
+		
+		// Release the object URL after the download has been initiated.
+		window.setTimeout(function() { URL.revokeObjectURL(fileUrl); }, 0);
+	}
+}
@@ -0,0 +1,20 @@
+// VertexShaderPointSprite.shader - Positions point sprites that are specified
+//  within texture coordinate space (origin at the upper-left corner).
+//
+// Author: Ayodeji Oshinnaiye
+
+attribute vec2 aSpritePosition;
+attribute float aSpriteSize;
+attribute vec4 aSpriteColor;
+// Sprite shape index (x component) and rotation, in radians (y component).
+attribute vec2 aSpriteShapeRotation;
+
+varying mediump vec4 vSpriteColor;
+varying mediump vec2 vSpriteShapeRotation;
+
+void main() {
+	gl_Position = vec4((aSpritePosition.x * 2.0) - 1.0, 1.0 - (aSpritePosition.y * 2.0), 0.0, 1.0);
+	gl_PointSize = aSpriteSize;
+	vSpriteColor = aSpriteColor;
+	vSpriteShapeRotation = aSpriteShapeRotation;
+}
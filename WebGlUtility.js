@@ -2,7 +2,7 @@
 //                   use of WebGL.
 // Author: Ayodeji Oshinnaiye
 // Dependent upon:
-//  -
+//  -ShaderProgram.js
 
 /**
  * Retrieves a WebGL context from a canvas object, if
@@ -31,6 +31,16 @@ function getWebGlContextFromCanvas(sourceCanvas) {
 	return webGlContext;
 }
 
+/**
+ * Determines whether or not a canvas context is a WebGL context
+ * @param canvasContext {object} The canvas context to be evaluated
+ * @return {boolean} True if the context is a WebGL context
+ */
+function isWebGlContext(canvasContext) {
+	return (typeof(WebGLRenderingContext) !== "undefined") && validateVar(canvasContext) &&
+		(canvasContext instanceof WebGLRenderingContext);
+}
+
 /**
  * Prepares a WebGL context for initial use
  * @param webGlCanvasContext {WebGLRenderingContext2D} The WebGL context object that
@@ -58,30 +68,63 @@ function initializeWebGl(webGlCanvasContext) {
  *                                       shader
  * @param fragmentShaderSource {DOMString} Source code employed to implement the fragment
  *                                         shader
- * @return {WebGLProgram} A WebGL shader program upon success, null otherwise (diagnostic
- *                        data from compilation will be logged to the console upon failure)
+ * @param diagnosticFunction {function} Function that receives the info log upon a
+ *                                      compilation/link failure (optional) - the
+ *                                      function receives the failed stage
+ *                                      ("vertex", "fragment" or "link") and the
+ *                                      info log
+ * @param programName {string} Name used to identify the program within warnings
+ *                             (optional)
+ * @return {shaderProgram} A shader program (with reflected uniforms/attributes)
+ *                         upon success, null otherwise (diagnostic data from
+ *                         compilation will be logged to the console upon failure
+ *                         if a diagnostic function has not been provided)
  */
-function createShaderProgram(webGlCanvasContext, vertexShaderSource, fragmentShaderSource) {
-	var shaderProgram = null;
+function createShaderProgram(webGlCanvasContext, vertexShaderSource, fragmentShaderSource, diagnosticFunction,
+	programName) {
+	
+	var createdProgram = null;
+	
+	// Produces a function that reports the info log of a failed stage.
+	var reportDiagnostics = function(failedStage) {
+		return function(infoLog) {
+			if (typeof(diagnosticFunction) === "function") {
+				diagnosticFunction(failedStage, infoLog);
+			}
+			else {
+				console.log(infoLog);
+			}
+		};
+	}
 	
 	if (validateVar(webGlCanvasContext) && (webGlCanvasContext instanceof WebGLRenderingContext) &&
 		validateVar(vertexShaderSource) && validateVar(fragmentShaderSource)) {
 		
 		// Compile the vertex shader and fragment shader. Then, create a shader program
-		// using the compiled vertex shader and fragment shader.
-		shaderProgram = webGlCanvasContext.createProgram();
-		webGlCanvasContext.attachShader(shaderProgram, compileVertexShaderFromSource(webGlCanvasContext, vertexShaderSource));
-		webGlCanvasContext.attachShader(shaderProgram, compileFragmentShaderFromSource(webGlCanvasContext, fragmentShaderSource));
-		webGlCanvasContext.linkProgram(shaderProgram);
-		if (!webGlCanvasContext.getProgramParameter(shaderProgram, webGlCanvasContext.LINK_STATUS)) {
-			// Program creation failed - log a detailed error message.
-			console.log(webGlCanvasContext.getProgramInfoLog(shaderProgram));
-			webGlCanvasContext.deleteProgram(shaderProgram);
-			shaderProgram = null;
+		// using the compiled vertex shader and fragment shader (a program is not
+		// created if either shader fails to compile).
+		var vertexShader = compileVertexShaderFromSource(webGlCanvasContext, vertexShaderSource,
+			reportDiagnostics("vertex"));
+		var fragmentShader = compileFragmentShaderFromSource(webGlCanvasContext, fragmentShaderSource,
+			reportDiagnostics("fragment"));
+		
+		if ((vertexShader !== null) && (fragmentShader !== null)) {
+			var linkedProgram = webGlCanvasContext.createProgram();
+			webGlCanvasContext.attachShader(linkedProgram, vertexShader);
+			webGlCanvasContext.attachShader(linkedProgram, fragmentShader);
+			webGlCanvasContext.linkProgram(linkedProgram);
+			if (webGlCanvasContext.getProgramParameter(linkedProgram, webGlCanvasContext.LINK_STATUS)) {
+				createdProgram = new shaderProgram(webGlCanvasContext, linkedProgram, programName);
+			}
+			else {
+				// Program creation failed - report a detailed error message.
+				reportDiagnostics("link")(webGlCanvasContext.getProgramInfoLog(linkedProgram));
+				webGlCanvasContext.deleteProgram(linkedProgram);
+			}
 		}
 	}
 	
-	return shaderProgram;
+	return createdProgram;
 }
 
 /**
@@ -92,15 +135,17 @@ function createShaderProgram(webGlCanvasContext, vertexShaderSource, fragmentSha
  *                           						   shader program compilation
  * @param vertexShaderSource {DOMString} Source code employed to implement the vertex
  *                                       shader
+ * @param diagnosticFunction {function} Function that receives the compilation info
+ *                                      log upon failure (optional)
  * @return {WebGLShader} A WebGL shader object representing the vertex shader upon
  *                       success, null otherwise
  */
-function compileVertexShaderFromSource(webGlCanvasContext, vertexShaderSource) {
+function compileVertexShaderFromSource(webGlCanvasContext, vertexShaderSource, diagnosticFunction) {
 	var vertexShader = null;
 	
 	if (validateVar(webGlCanvasContext) && validateVar(vertexShaderSource)) {
 		vertexShader = compileShaderFromSource(webGlCanvasContext, vertexShaderSource,
-			webGlCanvasContext.VERTEX_SHADER);
+			webGlCanvasContext.VERTEX_SHADER, diagnosticFunction);
 	}
 	
 	return vertexShader;
@@ -114,15 +159,17 @@ function compileVertexShaderFromSource(webGlCanvasContext, vertexShaderSource) {
  *                           						   shader program compilation
  * @param fragmentShaderSource {DOMString} Source code employed to implement the fragment
  *                                         shader
+ * @param diagnosticFunction {function} Function that receives the compilation info
+ *                                      log upon failure (optional)
  * @return {WebGLShader} A WebGL shader object representing the fragment shader upon
  *                       success, null otherwise
  */
-function compileFragmentShaderFromSource(webGlCanvasContext, fragmentShaderSource) {
+function compileFragmentShaderFromSource(webGlCanvasContext, fragmentShaderSource, diagnosticFunction) {
 	var fragmentShader = null;
 	
 	if (validateVar(webGlCanvasContext) && validateVar(fragmentShaderSource)) {
 		fragmentShader = compileShaderFromSource(webGlCanvasContext, fragmentShaderSource,
-			webGlCanvasContext.FRAGMENT_SHADER);
+			webGlCanvasContext.FRAGMENT_SHADER, diagnosticFunction);
 	}
 	
 	return fragmentShader;
@@ -139,10 +186,12 @@ function compileFragmentShaderFromSource(webGlCanvasContext, fragmentShaderSourc
  * @param shaderType {number} Indicates the type of shader to be compiled - 
  *                            can be either WebGLRenderingContext2D.VERTEX_SHADER or
  *							  WebGLRenderingContext2D.FRAGMENT_SHADER
+ * @param diagnosticFunction {function} Function that receives the compilation info
+ *                                      log upon failure (optional)
  * @return {WebGLShader} A WebGL shader object representing the compiled shader upon
  *                       success, null otherwise
  */
-function compileShaderFromSource(webGlCanvasContext, shaderSource, shaderType) {
+function compileShaderFromSource(webGlCanvasContext, shaderSource, shaderType, diagnosticFunction) {
 	var webGlShader = null;
 	
 	if (validateVar(webGlCanvasContext) && validateVar(shaderSource) &&
@@ -150,7 +199,7 @@ function compileShaderFromSource(webGlCanvasContext, shaderSource, shaderType) {
 			
 		webGlShader = webGlCanvasContext.createShader(shaderType);
 		webGlCanvasContext.shaderSource(webGlShader, shaderSource);
-		if (!compileShaderObject(webGlCanvasContext, webGlShader)) {
+		if (!compileShaderObject(webGlCanvasContext, webGlShader, diagnosticFunction)) {
 			webGlCanvasContext.deleteShader(webGlShader);
 			webGlShader = null;
 		}
@@ -167,10 +216,13 @@ function compileShaderFromSource(webGlCanvasContext, shaderSource, shaderType) {
  *                           						   shader object compilation
  * @param WebGlShader {WebGLShader} A WebGL shader object associated with vertex or
  *                                  fragment shader source code
+ * @param diagnosticFunction {function} Function that receives the compilation info
+ *                                      log upon failure (optional - the info log is
+ *                                      logged to the console by default)
  * @return {boolean} True upon successful compilation of the shader (diagnostic
  *                   data from compilation will be logged to the console upon failure)
  */
-function compileShaderObject(webGlCanvasContext, webGlShader) {
+function compileShaderObject(webGlCanvasContext, webGlShader, diagnosticFunction) {
 	var compiledSuccessfully = false;
 	
 	if (validateVar(webGlCanvasContext) && validateVar(webGlShader)) {
@@ -182,7 +234,13 @@ function compileShaderObject(webGlCanvasContext, webGlShader) {
 		}
 		else {
 			// Shader creation failed - log a detailed error message.
-			console.log(webGlCanvasContext.getShaderInfoLog(webGlShader));
+			var infoLog = webGlCanvasContext.getShaderInfoLog(webGlShader);
+			if (typeof(diagnosticFunction) === "function") {
+				diagnosticFunction(infoLog);
+			}
+			else {
+				console.log(infoLog);
+			}
 		}
 			
 	}
@@ -197,12 +255,28 @@ function compileShaderObject(webGlCanvasContext, webGlShader) {
  *                                                     creation of the texture
  * @param imageData {ImageData} An object containing bitmap image data that
  *                              will be used to generate a texture
+ * @param generateMipmaps {Boolean} If set to true, a mipmap chain will be
+ *                                  generated, and the texture will be minified
+ *                                  using trilinear filtering (optional - both
+ *                                  the width and the height of the image data
+ *                                  must be powers of two)
+ * @param wrapTexture {Boolean} If set to true, texture coordinates will repeat
+ *                              (optional - both the width and the height of the
+ *                              image data must be powers of two)
  * @return {WebGLTexture} A WebGL texture object upon success, null otherwise
  */
-function createTextureFromImageData(webGlCanvasContext, imageData) {
+function createTextureFromImageData(webGlCanvasContext, imageData, generateMipmaps, wrapTexture) {
 	var webGlTexture = null;
 	
 	if (validateVar(webGlCanvasContext) && validateVar(imageData)) {
+		// Mipmapping and texture coordinate wrapping are only supported for
+		// power-of-two textures (WebGL 1).
+		var powerOfTwoDimensions = isPowerOfTwo(imageData.width) && isPowerOfTwo(imageData.height);
+		if ((generateMipmaps || wrapTexture) && !powerOfTwoDimensions) {
+			console.log("Mipmapping/wrapping requires power-of-two texture dimensions (" +
+				imageData.width + " x " + imageData.height + ")");
+		}
+		
 		// Create the texture, and define the texture format (since ImageData
 		// objects are RGBA formatted, the texture must be an RGBA texture).
 		webGlTexture = webGlCanvasContext.createTexture();
@@ -210,18 +284,56 @@ function createTextureFromImageData(webGlCanvasContext, imageData) {
 		webGlCanvasContext.texImage2D(webGlCanvasContext.TEXTURE_2D, 0,
 			webGlCanvasContext.RGBA, webGlCanvasContext.RGBA,
 			webGlCanvasContext.UNSIGNED_BYTE, imageData);
-			
-		// The texture will be magnified using bilinear filtering...
+		
+		var textureWrapMode = (wrapTexture && powerOfTwoDimensions) ? webGlCanvasContext.REPEAT :
+			webGlCanvasContext.CLAMP_TO_EDGE;
+		webGlCanvasContext.texParameteri(webGlCanvasContext.TEXTURE_2D,
+			webGlCanvasContext.TEXTURE_WRAP_S, textureWrapMode);
+		webGlCanvasContext.texParameteri(webGlCanvasContext.TEXTURE_2D,
+			webGlCanvasContext.TEXTURE_WRAP_T, textureWrapMode);
+		
+		// The texture will be magnified using bilinear filtering, and minified
+		// using trilinear filtering (if mipmaps are available)...
+		var minificationFilter = webGlCanvasContext.LINEAR;
+		if (generateMipmaps && powerOfTwoDimensions) {
+			webGlCanvasContext.generateMipmap(webGlCanvasContext.TEXTURE_2D);
+			minificationFilter = webGlCanvasContext.LINEAR_MIPMAP_LINEAR;
+		}
+		
 		webGlCanvasContext.texParameteri(webGlCanvasContext.TEXTURE_2D,
 			webGlCanvasContext.TEXTURE_MAG_FILTER, webGlCanvasContext.LINEAR);
 		webGlCanvasContext.texParameteri(webGlCanvasContext.TEXTURE_2D,
-			webGlCanvasContext.TEXTURE_MIN_FILTER, webGlCanvasContext.LINEAR);
+			webGlCanvasContext.TEXTURE_MIN_FILTER, minificationFilter);
 		webGlCanvasContext.bindTexture(webGlCanvasContext.TEXTURE_2D, null);
 	}
 	
 	return webGlTexture;
 }
 
+/**
+ * Determines whether or not a value is a power of two
+ * @param value {number} The value to be evaluated
+ * @return {Boolean} True if the value is a (positive, integral) power of two
+ */
+function isPowerOfTwo(value) {
+	return (value > 0) && (Math.round(value) === value) && ((value & (value - 1)) === 0);
+}
+
+/**
+ * Rounds a value up to the nearest power of two
+ * @param value {number} The value to be rounded
+ * @return {number} The smallest power of two that is greater than or equal to
+ *                  the value (one for values less than one)
+ */
+function roundUpToPowerOfTwo(value) {
+	var powerOfTwo = 1;
+	while (powerOfTwo < value) {
+		powerOfTwo *= 2;
+	}
+	
+	return powerOfTwo;
+}
+
 /**
  * Creates a WebGL texture from a canvas object
  * @param webGlCanvasContext {WebGLRenderingContext2D} A WebGL context that will facilitate the
@@ -285,3 +397,118 @@ function updateDynamicTextureWithCanvas(webGlCanvasContext, webGlTexture, source
 			webGlCanvasContext.UNSIGNED_BYTE, sourceCanvas);		
 	}		
 }
+
+/**
+ * Creates an offscreen render target (a framebuffer with an attached
+ *  color texture), permitting scene output to be rendered to a texture -
+ *  the framebuffer/texture bindings that are active when the render target
+ *  is created are preserved (render targets can therefore be created while
+ *  rendering to another render target)
+ * @param webGlCanvasContext {WebGLRenderingContext2D} A WebGL context that will facilitate the
+ *                                                     creation of the render target
+ * @param targetWidth {number} Width of the render target, in pixels
+ * @param targetHeight {number} Height of the render target, in pixels
+ * @return {object} An object containing the framebuffer ("framebuffer"), the
+ *                  color texture ("texture") and the render target dimensions
+ *                  ("width", "height") upon success, null otherwise
+ */
+function createRenderTarget(webGlCanvasContext, targetWidth, targetHeight) {
+	var renderTarget = null;
+	
+	if (validateVar(webGlCanvasContext) && (targetWidth > 0) && (targetHeight > 0)) {
+		var activeFramebuffer = webGlCanvasContext.getParameter(webGlCanvasContext.FRAMEBUFFER_BINDING);
+		var activeTexture = webGlCanvasContext.getParameter(webGlCanvasContext.TEXTURE_BINDING_2D);
+		
+		// Non-power-of-two textures are permitted, provided that texture coordinates
+		// are clamped and no mipmaps are employed.
+		var colorTexture = webGlCanvasContext.createTexture();
+		webGlCanvasContext.bindTexture(webGlCanvasContext.TEXTURE_2D, colorTexture);
+		webGlCanvasContext.texImage2D(webGlCanvasContext.TEXTURE_2D, 0,
+			webGlCanvasContext.RGBA, targetWidth, targetHeight, 0,
+			webGlCanvasContext.RGBA, webGlCanvasContext.UNSIGNED_BYTE, null);
+		webGlCanvasContext.texParameteri(webGlCanvasContext.TEXTURE_2D,
+			webGlCanvasContext.TEXTURE_WRAP_S, webGlCanvasContext.CLAMP_TO_EDGE);
+		webGlCanvasContext.texParameteri(webGlCanvasContext.TEXTURE_2D,
+			webGlCanvasContext.TEXTURE_WRAP_T, webGlCanvasContext.CLAMP_TO_EDGE);
+		webGlCanvasContext.texParameteri(webGlCanvasContext.TEXTURE_2D,
+			webGlCanvasContext.TEXTURE_MAG_FILTER, webGlCanvasContext.LINEAR);
+		webGlCanvasContext.texParameteri(webGlCanvasContext.TEXTURE_2D,
+			webGlCanvasContext.TEXTURE_MIN_FILTER, webGlCanvasContext.LINEAR);
+		webGlCanvasContext.bindTexture(webGlCanvasContext.TEXTURE_2D, activeTexture);
+		
+		var framebuffer = webGlCanvasContext.createFramebuffer();
+		webGlCanvasContext.bindFramebuffer(webGlCanvasContext.FRAMEBUFFER, framebuffer);
+		webGlCanvasContext.framebufferTexture2D(webGlCanvasContext.FRAMEBUFFER,
+			webGlCanvasContext.COLOR_ATTACHMENT0, webGlCanvasContext.TEXTURE_2D, colorTexture, 0);
+		var framebufferStatus = webGlCanvasContext.checkFramebufferStatus(webGlCanvasContext.FRAMEBUFFER);
+		webGlCanvasContext.bindFramebuffer(webGlCanvasContext.FRAMEBUFFER, activeFramebuffer);
+		
+		if (framebufferStatus === webGlCanvasContext.FRAMEBUFFER_COMPLETE) {
+			renderTarget = {
+				framebuffer: framebuffer,
+				texture: colorTexture,
+				width: targetWidth,
+				height: targetHeight
+			};
+		}
+		else {
+			console.log("Render target creation failed (framebuffer status: " + framebufferStatus + ")");
+			webGlCanvasContext.deleteFramebuffer(framebuffer);
+			webGlCanvasContext.deleteTexture(colorTexture);
+		}
+	}
+	
+	return renderTarget;
+}
+
+/**
+ * Releases the WebGL resources associated with a render target (the
+ *  active framebuffer/texture bindings are preserved, unless the bound
+ *  objects belong to the released render target)
+ * @param webGlCanvasContext {WebGLRenderingContext2D} The WebGL context that was used
+ *                                                     to create the render target
+ * @param renderTarget {object} The render target to be released
+ * @see createRenderTarget
+ */
+function deleteRenderTarget(webGlCanvasContext, renderTarget) {
+	if (validateVar(webGlCanvasContext) && validateVar(renderTarget)) {
+		var activeFramebuffer = webGlCanvasContext.getParameter(webGlCanvasContext.FRAMEBUFFER_BINDING);
+		var activeTexture = webGlCanvasContext.getParameter(webGlCanvasContext.TEXTURE_BINDING_2D);
+		
+		webGlCanvasContext.deleteFramebuffer(renderTarget.framebuffer);
+		webGlCanvasContext.deleteTexture(renderTarget.texture);
+		
+		// Deleted objects are unbound implicitly (the default framebuffer
+		// becomes active if the render target framebuffer was bound).
+		webGlCanvasContext.bindFramebuffer(webGlCanvasContext.FRAMEBUFFER,
+			(activeFramebuffer !== renderTarget.framebuffer) ? activeFramebuffer : null);
+		webGlCanvasContext.bindTexture(webGlCanvasContext.TEXTURE_2D,
+			(activeTexture !== renderTarget.texture) ? activeTexture : null);
+	}
+}
+
+/**
+ * Ensures that a render target matches the specified dimensions, creating
+ *  a new render target if the existing render target does not exist or
+ *  has different dimensions
+ * @param webGlCanvasContext {WebGLRenderingContext2D} A WebGL context that will facilitate the
+ *                                                     creation of the render target
+ * @param renderTarget {object} An existing render target (can be null)
+ * @param targetWidth {number} Required width of the render target, in pixels
+ * @param targetHeight {number} Required height of the render target, in pixels
+ * @return {object} A render target with the required dimensions upon success,
+ *                  null otherwise
+ * @see createRenderTarget
+ */
+function ensureRenderTargetDimensions(webGlCanvasContext, renderTarget, targetWidth, targetHeight) {
+	var resultRenderTarget = renderTarget;
+	
+	if (!validateVar(renderTarget) || (renderTarget.width !== targetWidth) ||
+		(renderTarget.height !== targetHeight)) {
+			
+		deleteRenderTarget(webGlCanvasContext, renderTarget);
+		resultRenderTarget = createRenderTarget(webGlCanvasContext, targetWidth, targetHeight);
+	}
+	
+	return resultRenderTarget;
+}
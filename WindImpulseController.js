@@ -0,0 +1,158 @@
+// WindImpulseController.js - Converts mouse drag/touch swipe gestures over
+//                            an element into a decaying "wind" impulse
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+
+function windImpulseController(targetElement) {
+	// Impulse added per horizontal traversal of the full element width
+	// (the sign of the impulse determines the sway direction - positive
+	// impulses sway the tree to the left).
+	this.constImpulsePerElementWidth = -3.0;
+	
+	// Maximum impulse magnitude.
+	this.constMaxImpulseMagnitude = 2.5;
+	
+	// Time required for the impulse to decay to half of its magnitude
+	// (milliseconds).
+	this.constImpulseHalfLifeMs = 700.0;
+	
+	// Current impulse value (combined with the ambient wind factor).
+	this.currentImpulse = 0.0;
+	
+	// Horizontal position of the most recent drag/swipe event (null
+	// if no drag/swipe is in progress).
+	this.lastDragCoordX = null;
+	
+	this.targetElement = null;
+	
+	// Event handlers (retained in order to permit removal - see detach()).
+	var impulseController = this;
+	this.mouseDownHandler = function(mouseEvent) {
+		impulseController.beginDrag(mouseEvent.clientX);
+	};
+	this.mouseMoveHandler = function(mouseEvent) {
+		impulseController.continueDrag(mouseEvent.clientX);
+	};
+	this.touchStartHandler = function(touchEvent) {
+		if (touchEvent.touches.length > 0) {
+			impulseController.beginDrag(touchEvent.touches[0].clientX);
+		}
+	};
+	this.touchMoveHandler = function(touchEvent) {
+		if (touchEvent.touches.length > 0) {
+			// Prevent the swipe from scrolling the page.
+			touchEvent.preventDefault();
+			impulseController.continueDrag(touchEvent.touches[0].clientX);
+		}
+	};
+	this.dragEndHandler = function() {
+		impulseController.endDrag();
+	};
+	
+	this.attachToElement(targetElement);
+}
+
+/**
+ * Registers the mouse/touch event handlers with an element (the handlers
+ *  are removed from any previously-attached element)
+ * @param targetElement {HTMLElement} Element over which gestures will
+ *                                    be interpreted as wind impulses (can
+ *                                    be null - no gestures are received)
+ */
+windImpulseController.prototype.attachToElement = function(targetElement) {
+	this.detach();
+	
+	if (validateVar(targetElement) && (typeof(targetElement.addEventListener) === "function")) {
+		this.targetElement = targetElement;
+		
+		targetElement.addEventListener("mousedown", this.mouseDownHandler);
+		targetElement.addEventListener("mousemove", this.mouseMoveHandler);
+		targetElement.addEventListener("mouseup", this.dragEndHandler);
+		targetElement.addEventListener("mouseleave", this.dragEndHandler);
+		
+		targetElement.addEventListener("touchstart", this.touchStartHandler, { passive: true });
+		targetElement.addEventListener("touchmove", this.touchMoveHandler, { passive: false });
+		targetElement.addEventListener("touchend", this.dragEndHandler);
+		targetElement.addEventListener("touchcancel", this.dragEndHandler);
+	}
+}
+
+/**
+ * Removes the mouse/touch event handlers from the attached element (any
+ *  gesture in progress is ended)
+ */
+windImpulseController.prototype.detach = function() {
+	if (validateVar(this.targetElement)) {
+		this.targetElement.removeEventListener("mousedown", this.mouseDownHandler);
+		this.targetElement.removeEventListener("mousemove", this.mouseMoveHandler);
+		this.targetElement.removeEventListener("mouseup", this.dragEndHandler);
+		this.targetElement.removeEventListener("mouseleave", this.dragEndHandler);
+		
+		this.targetElement.removeEventListener("touchstart", this.touchStartHandler);
+		this.targetElement.removeEventListener("touchmove", this.touchMoveHandler);
+		this.targetElement.removeEventListener("touchend", this.dragEndHandler);
+		this.targetElement.removeEventListener("touchcancel", this.dragEndHandler);
+		
+		this.targetElement = null;
+	}
+	
+	this.endDrag();
+}
+
+/**
+ * Begins tracking a drag/swipe gesture
+ * @param coordX {number} Horizontal client coordinate of the gesture start
+ */
+windImpulseController.prototype.beginDrag = function(coordX) {
+	this.lastDragCoordX = coordX;
+}
+
+/**
+ * Applies the horizontal movement of a drag/swipe gesture to the
+ *  wind impulse
+ * @param coordX {number} Horizontal client coordinate of the gesture
+ */
+windImpulseController.prototype.continueDrag = function(coordX) {
+	if ((this.lastDragCoordX !== null) && (this.targetElement.clientWidth > 0)) {
+		var dragFraction = (coordX - this.lastDragCoordX) / this.targetElement.clientWidth;
+		this.addImpulse(dragFraction * this.constImpulsePerElementWidth);
+		this.lastDragCoordX = coordX;
+	}
+}
+
+/**
+ * Ends tracking of a drag/swipe gesture
+ */
+windImpulseController.prototype.endDrag = function() {
+	this.lastDragCoordX = null;
+}
+
+/**
+ * Adds a value to the current wind impulse (the impulse magnitude
+ *  is limited)
+ * @param impulseDelta {number} Value to be added to the impulse
+ */
+windImpulseController.prototype.addImpulse = function(impulseDelta) {
+	this.currentImpulse = Math.max(-this.constMaxImpulseMagnitude,
+		Math.min(this.constMaxImpulseMagnitude, this.currentImpulse + impulseDelta));
+}
+
+/**
+ * Decays the wind impulse over time
+ * @param timeQuantum {number} A time quantum that represents the time delta
+ *                             between the current rendering invocation and the
+ *                             last rendering invocation (milliseconds)
+ */
+windImpulseController.prototype.updateImpulse = function(timeQuantum) {
+	this.currentImpulse *= Math.pow(0.5, timeQuantum / this.constImpulseHalfLifeMs);
+}
+
+/**
+ * Retrieves the current wind impulse
+ * @return {number} The wind impulse, to be combined with the ambient wind
+ *                  factor
+ */
+windImpulseController.prototype.getImpulse = function() {
+	return this.currentImpulse;
+}
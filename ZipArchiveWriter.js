@@ -0,0 +1,183 @@
+// ZipArchiveWriter.js - Assembles a ZIP archive from a collection of files
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -Utility.js
+//
+// Files are stored without compression (the archive is intended for
+// data that is already compressed - e.g., PNG images). ZIP64 extensions
+// are not supported - the archive is limited to 65535 files, and to a
+// total size of 4 GB. File names are expected to contain only ASCII
+// characters.
+
+function zipArchiveWriter() {
+	// Data that constitutes the archive (local file headers, followed by
+	// the associated file data), in archive order.
+	this.archivePartList = [];
+	
+	// Current length of the archive data (offset of the next local file
+	// header).
+	this.archiveByteLength = 0;
+	
+	// Central directory information for each file (fileNameBytes, crc32, byteLength,
+	// localHeaderOffset).
+	this.fileEntryList = [];
+	
+	// Modification time/date recorded for all files (MS-DOS format).
+	var currentDate = new Date();
+	this.dosTime = (currentDate.getHours() << 11) | (currentDate.getMinutes() << 5) |
+		Math.floor(currentDate.getSeconds() / 2);
+	this.dosDate = ((Math.max(currentDate.getFullYear() - 1980, 0)) << 9) |
+		((currentDate.getMonth() + 1) << 5) | currentDate.getDate();
+}
+
+/**
+ * ZIP record signatures, version and size constants
+ */
+zipArchiveWriter.constLocalFileHeaderSignature = 0x04034b50;
+zipArchiveWriter.constCentralDirectoryHeaderSignature = 0x02014b50;
+zipArchiveWriter.constEndOfCentralDirectorySignature = 0x06054b50;
+zipArchiveWriter.constRequiredVersion = 20;
+zipArchiveWriter.constLocalFileHeaderSize = 30;
+zipArchiveWriter.constCentralDirectoryHeaderSize = 46;
+zipArchiveWriter.constEndOfCentralDirectorySize = 22;
+zipArchiveWriter.constMaxFileCount = 65535;
+
+/**
+ * CRC-32 lookup table (created upon first use)
+ */
+zipArchiveWriter.crc32Table = null;
+
+/**
+ * Computes the CRC-32 checksum of a block of data (as required
+ *  by the ZIP format)
+ * @param sourceData {Uint8Array} The data
+ * @return {number} The CRC-32 checksum (unsigned)
+ */
+zipArchiveWriter.computeCrc32 = function(sourceData) {
+	if (zipArchiveWriter.crc32Table === null) {
+		zipArchiveWriter.crc32Table = new Uint32Array(256);
+		for (var tableLoop = 0; tableLoop < 256; tableLoop++) {
+			var tableValue = tableLoop;
+			for (var bitLoop = 0; bitLoop < 8; bitLoop++) {
+				tableValue = (tableValue & 1) ? (0xEDB88320 ^ (tableValue >>> 1)) : (tableValue >>> 1);
+			}
+			
+			zipArchiveWriter.crc32Table[tableLoop] = tableValue >>> 0;
+		}
+	}
+	
+	var crcValue = 0xFFFFFFFF;
+	for (var byteLoop = 0; byteLoop < sourceData.length; byteLoop++) {
+		crcValue = zipArchiveWriter.crc32Table[(crcValue ^ sourceData[byteLoop]) & 0xFF] ^ (crcValue >>> 8);
+	}
+	
+	return (crcValue ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Converts a file name to the byte representation stored within the
+ *  archive
+ * @param fileName {string} The file name (ASCII characters)
+ * @return {Uint8Array} The file name bytes
+ */
+zipArchiveWriter.encodeFileName = function(fileName) {
+	var fileNameBytes = new Uint8Array(fileName.length);
+	for (var charLoop = 0; charLoop < fileName.length; charLoop++) {
+		fileNameBytes[charLoop] = fileName.charCodeAt(charLoop) & 0x7F;
+	}
+	
+	return fileNameBytes;
+}
+
+/**
+ * Adds a file to the archive
+ * @param fileName {string} Name of the file within the archive (ASCII
+ *                          characters - "/" separates directories)
+ * @param fileData {Uint8Array} Contents of the file
+ * @return {boolean} True if the file was added to the archive, false
+ *                   if the archive cannot accommodate additional files
+ */
+zipArchiveWriter.prototype.addFile = function(fileName, fileData) {
+	var fileAdded = false;
+	
+	if (validateVar(fileName) && validateVar(fileData) &&
+		(this.fileEntryList.length < zipArchiveWriter.constMaxFileCount)) {
+		
+		var fileEntry = {
+			fileNameBytes: zipArchiveWriter.encodeFileName(fileName),
+			crc32: zipArchiveWriter.computeCrc32(fileData),
+			byteLength: fileData.length,
+			localHeaderOffset: this.archiveByteLength
+		};
+		
+		var localHeader = new DataView(new ArrayBuffer(zipArchiveWriter.constLocalFileHeaderSize));
+		localHeader.setUint32(0, zipArchiveWriter.constLocalFileHeaderSignature, true);
+		localHeader.setUint16(4, zipArchiveWriter.constRequiredVersion, true);
+		// General purpose flags (2 bytes), compression method (2 bytes - stored)
+		// remain zero.
+		localHeader.setUint16(10, this.dosTime, true);
+		localHeader.setUint16(12, this.dosDate, true);
+		localHeader.setUint32(14, fileEntry.crc32, true);
+		localHeader.setUint32(18, fileEntry.byteLength, true);
+		localHeader.setUint32(22, fileEntry.byteLength, true);
+		localHeader.setUint16(26, fileEntry.fileNameBytes.length, true);
+		
+		this.archivePartList.push(localHeader.buffer, fileEntry.fileNameBytes, fileData);
+		this.archiveByteLength += zipArchiveWriter.constLocalFileHeaderSize + fileEntry.fileNameBytes.length +
+			fileData.length;
+		this.fileEntryList.push(fileEntry);
+		
+		fileAdded = true;
+	}
+	
+	return fileAdded;
+}
+
+/**
+ * Retrieves the number of files that have been added to the archive
+ * @return {number} The number of files
+ */
+zipArchiveWriter.prototype.getFileCount = function() {
+	return this.fileEntryList.length;
+}
+
+/**
+ * Completes the archive (appends the central directory)
+ * @return {Blob} The archive data
+ */
+zipArchiveWriter.prototype.createBlob = function() {
+	var centralDirectoryPartList = [];
+	var centralDirectoryByteLength = 0;
+	
+	for (var entryLoop = 0; entryLoop < this.fileEntryList.length; entryLoop++) {
+		var fileEntry = this.fileEntryList[entryLoop];
+		
+		var directoryHeader = new DataView(new ArrayBuffer(zipArchiveWriter.constCentralDirectoryHeaderSize));
+		directoryHeader.setUint32(0, zipArchiveWriter.constCentralDirectoryHeaderSignature, true);
+		directoryHeader.setUint16(4, zipArchiveWriter.constRequiredVersion, true);
+		directoryHeader.setUint16(6, zipArchiveWriter.constRequiredVersion, true);
+		directoryHeader.setUint16(12, this.dosTime, true);
+		directoryHeader.setUint16(14, this.dosDate, true);
+		directoryHeader.setUint32(16, fileEntry.crc32, true);
+		directoryHeader.setUint32(20, fileEntry.byteLength, true);
+		directoryHeader.setUint32(24, fileEntry.byteLength, true);
+		directoryHeader.setUint16(28, fileEntry.fileNameBytes.length, true);
+		// Extra field/comment lengths, disk number and file attributes
+		// remain zero.
+		directoryHeader.setUint32(42, fileEntry.localHeaderOffset, true);
+		
+		centralDirectoryPartList.push(directoryHeader.buffer, fileEntry.fileNameBytes);
+		centralDirectoryByteLength += zipArchiveWriter.constCentralDirectoryHeaderSize +
+			fileEntry.fileNameBytes.length;
+	}
+	
+	var endRecord = new DataView(new ArrayBuffer(zipArchiveWriter.constEndOfCentralDirectorySize));
+	endRecord.setUint32(0, zipArchiveWriter.constEndOfCentralDirectorySignature, true);
+	endRecord.setUint16(8, this.fileEntryList.length, true);
+	endRecord.setUint16(10, this.fileEntryList.length, true);
+	endRecord.setUint32(12, centralDirectoryByteLength, true);
+	endRecord.setUint32(16, this.archiveByteLength, true);
+	
+	return new Blob(this.archivePartList.concat(centralDirectoryPartList, [ endRecord.buffer ]),
+		{ type: "application/zip" });
+}
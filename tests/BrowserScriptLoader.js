@@ -0,0 +1,41 @@
+// BrowserScriptLoader.js - Loads demo scripts (which are written for
+//                          inclusion via <script> elements, and declare
+//                          global functions/variables) within Node.js,
+//                          in order to permit the scripts to be tested
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -
+//
+// Scripts are executed in order within a shared context (equivalent to
+// the global scope of the demo page), and must therefore be supplied in
+// dependency order. Browser objects are not provided - only scripts that
+// do not require browser objects while loading can be tested.
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+var constRepositoryPath = path.join(__dirname, "..");
+
+/**
+ * Loads a list of demo scripts within a new script context
+ * @param scriptFileNameList {Array} Names of the script files, relative to the
+ *                                   repository root (loaded in order)
+ * @param contextGlobals {object} Additional global values made available to the
+ *                                scripts (optional)
+ * @return {object} The script context (the global functions/variables declared
+ *                  by the scripts are properties of the context)
+ */
+function loadBrowserScripts(scriptFileNameList, contextGlobals) {
+	var scriptContext = vm.createContext(Object.assign({ console: console }, contextGlobals));
+
+	for (var fileLoop = 0; fileLoop < scriptFileNameList.length; fileLoop++) {
+		var scriptFileName = scriptFileNameList[fileLoop];
+		vm.runInContext(fs.readFileSync(path.join(constRepositoryPath, scriptFileName), "utf8"), scriptContext,
+			{ filename: scriptFileName });
+	}
+
+	return scriptContext;
+}
+
+module.exports = loadBrowserScripts;
@@ -0,0 +1,209 @@
+// ShaderPreprocessor.test.js - Tests for the shader source preprocessor
+//                              (#define directive injection, and #include
+//                              directive resolution)
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -BrowserScriptLoader.js
+//  -ShaderPreprocessor.js
+//  -GlobalResources.js
+//  -FragmentShaderIfsFractalTree.shader
+//  -ShaderGeometryFunctions.shader
+//
+// Execution (Node.js 18 or later - no packages are required):
+//
+//     node --test tests/ShaderPreprocessor.test.js
+//
+// The preprocessor does not evaluate conditional directives (these are
+// evaluated by the shader compiler) - the tests evaluate the #define,
+// #ifdef and #ifndef directives within the preprocessed source in order
+// to determine the macro values observed by the shader compiler.
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var test = require("node:test");
+
+var loadBrowserScripts = require("./BrowserScriptLoader.js");
+
+var scriptContext = loadBrowserScripts([ "Utility.js", "WebGlUtility.js", "InternalConstants.js",
+	"ShaderPreprocessor.js", "ShaderDiagnostics.js", "ResourceLoader.js", "GlobalResources.js" ]);
+
+var constRepositoryPath = path.join(__dirname, "..");
+
+/**
+ * Creates a preprocessor that loads shader source from a set of
+ *  in-memory files
+ * @param sourceFiles {object} Source of each file, keyed by resource name
+ * @return {shaderPreprocessor} The preprocessor
+ */
+function createMemoryPreprocessor(sourceFiles) {
+	return new scriptContext.shaderPreprocessor(function(resourceName) {
+		return sourceFiles.hasOwnProperty(resourceName) ? sourceFiles[resourceName] : null;
+	});
+}
+
+/**
+ * Creates a preprocessor that loads shader source from the repository
+ * @return {shaderPreprocessor} The preprocessor
+ */
+function createRepositoryPreprocessor() {
+	return new scriptContext.shaderPreprocessor(function(resourceName) {
+		var fileName = path.join(constRepositoryPath, resourceName);
+
+		return fs.existsSync(fileName) ? fs.readFileSync(fileName, "utf8") : null;
+	});
+}
+
+/**
+ * Converts an object created within the script context to a plain
+ *  object (permits comparison via assert.deepStrictEqual)
+ * @param sourceObject {object} The object
+ * @return {object} An equivalent plain object
+ */
+function toPlainObject(sourceObject) {
+	return JSON.parse(JSON.stringify(sourceObject));
+}
+
+/**
+ * Evaluates the #define/#undef/#ifdef/#ifndef/#else/#endif directives within
+ *  shader source (other conditional directives are not supported)
+ * @param shaderSource {string} The shader source
+ * @return {object} The macro values (macroValues - keyed by macro name), and
+ *                  the source lines that are not excluded by conditional
+ *                  directives (activeLines - directives are omitted)
+ */
+function evaluateDefineDirectives(shaderSource) {
+	var directiveExpression = /^\s*#\s*(\w+)\s*(\w*)\s*(.*?)\s*$/;
+	var evaluationResult = { macroValues: {}, activeLines: [] };
+	var conditionStack = [];
+
+	shaderSource.split("\n").forEach(function(sourceLine) {
+		var linesActive = conditionStack.every(function(condition) { return condition.active; });
+		var directiveMatch = directiveExpression.exec(sourceLine);
+		var directiveName = (directiveMatch !== null) ? directiveMatch[1] : null;
+
+		if ((directiveName === "ifdef") || (directiveName === "ifndef")) {
+			var macroDefined = evaluationResult.macroValues.hasOwnProperty(directiveMatch[2]);
+			conditionStack.push({ active: (directiveName === "ifdef") ? macroDefined : !macroDefined });
+		}
+		else if (directiveName === "else") {
+			conditionStack[conditionStack.length - 1].active = !conditionStack[conditionStack.length - 1].active;
+		}
+		else if (directiveName === "endif") {
+			conditionStack.pop();
+		}
+		else if ((directiveName === "if") || (directiveName === "elif")) {
+			throw new Error("Unsupported directive: " + sourceLine);
+		}
+		else if (linesActive && (directiveName === "define")) {
+			evaluationResult.macroValues[directiveMatch[2]] = directiveMatch[3];
+		}
+		else if (linesActive && (directiveName === "undef")) {
+			delete evaluationResult.macroValues[directiveMatch[2]];
+		}
+		else if (linesActive && (directiveName === null)) {
+			evaluationResult.activeLines.push(sourceLine);
+		}
+	});
+
+	assert.strictEqual(conditionStack.length, 0, "Unterminated conditional directive");
+
+	return evaluationResult;
+}
+
+test("#define directives are injected after the #version directive", function() {
+	var sourcePreprocessor = createMemoryPreprocessor({
+		"Main.shader": "#version 100\nprecision mediump float;\nvoid main() {}"
+	});
+
+	var preprocessedShader = sourcePreprocessor.preprocessShader("Main.shader", { FIRST_VALUE: 1, SECOND_VALUE: "2.5" });
+	assert.strictEqual(preprocessedShader.source, "#version 100\n#define FIRST_VALUE 1\n#define SECOND_VALUE 2.5\n" +
+		"precision mediump float;\nvoid main() {}");
+
+	assert.deepStrictEqual(toPlainObject(preprocessedShader.lineMap.map(function(lineEntry) {
+		return lineEntry.fileName + ":" + lineEntry.lineNumber;
+	})), [ "Main.shader:1", "<defines>:1", "<defines>:2", "Main.shader:2", "Main.shader:3" ]);
+	assert.strictEqual(preprocessedShader.getSourceLine("<defines>", 2), "#define SECOND_VALUE 2.5");
+});
+
+test("injected #define directives select #ifdef/#ifndef branches", function() {
+	var sourcePreprocessor = createMemoryPreprocessor({
+		"Main.shader": [
+			"#ifndef BRANCH_COUNT",
+			"#define BRANCH_COUNT 8",
+			"#endif",
+			"#ifdef HIGH_QUALITY",
+			"float quality = 1.0;",
+			"#else",
+			"float quality = 0.5;",
+			"#endif"
+		].join("\n")
+	});
+
+	var defaultEvaluation = evaluateDefineDirectives(sourcePreprocessor.preprocessShader("Main.shader", {}).source);
+	assert.strictEqual(defaultEvaluation.macroValues.BRANCH_COUNT, "8");
+	assert.deepStrictEqual(defaultEvaluation.activeLines, [ "float quality = 0.5;" ]);
+
+	var injectedEvaluation = evaluateDefineDirectives(sourcePreprocessor.preprocessShader("Main.shader",
+		{ BRANCH_COUNT: 4, HIGH_QUALITY: 1 }).source);
+	assert.strictEqual(injectedEvaluation.macroValues.BRANCH_COUNT, "4");
+	assert.deepStrictEqual(injectedEvaluation.activeLines, [ "float quality = 1.0;" ]);
+});
+
+test("#include directives are resolved once, relative to the including file", function() {
+	var sourcePreprocessor = createMemoryPreprocessor({
+		"shaders/Main.shader": "#include \"Common.shader\"\nvoid main() {}\n  #  include \"Common.shader\"  ",
+		"shaders/Common.shader": "#ifdef ENABLE_HELPERS\n#include \"Helpers.shader\"\n#endif\nfloat common;",
+		"shaders/Helpers.shader": "float helper;"
+	});
+
+	// Included files are resolved regardless of enclosing conditional
+	// directives.
+	var preprocessedShader = sourcePreprocessor.preprocessShader("shaders/Main.shader");
+	assert.strictEqual(preprocessedShader.source, "#ifdef ENABLE_HELPERS\nfloat helper;\n#endif\nfloat common;\n" +
+		"void main() {}");
+	assert.deepStrictEqual(toPlainObject(preprocessedShader.mapLineNumber(2)),
+		{ fileName: "shaders/Helpers.shader", lineNumber: 1 });
+	assert.deepStrictEqual(toPlainObject(preprocessedShader.mapLineNumber(5)),
+		{ fileName: "shaders/Main.shader", lineNumber: 2 });
+	assert.strictEqual(preprocessedShader.mapLineNumber(6), null);
+
+	assert.deepStrictEqual(evaluateDefineDirectives(preprocessedShader.source).activeLines,
+		[ "float common;", "void main() {}" ]);
+});
+
+test("include cycles and missing files are reported", function() {
+	var sourcePreprocessor = createMemoryPreprocessor({
+		"Main.shader": "#include \"First.shader\"",
+		"First.shader": "#include \"Second.shader\"",
+		"Second.shader": "\n#include \"First.shader\"",
+		"Missing.shader": "#include \"Absent.shader\""
+	});
+
+	assert.strictEqual(sourcePreprocessor.preprocessShader("Main.shader"), null);
+	assert.strictEqual(sourcePreprocessor.lastErrorMessage,
+		"Include cycle detected (Second.shader:2): Main.shader -> First.shader -> Second.shader -> First.shader");
+
+	assert.strictEqual(sourcePreprocessor.preprocessShader("Missing.shader"), null);
+	assert.strictEqual(sourcePreprocessor.lastErrorMessage,
+		"Unable to load Absent.shader (included from Missing.shader:1)");
+});
+
+test("the fractal shader observes the injected branching configuration", function() {
+	var shaderDefines = scriptContext.globalResources.computeFractalTreeShaderDefines(6, 4);
+	var preprocessedShader = createRepositoryPreprocessor().preprocessShader("FragmentShaderIfsFractalTree.shader",
+		shaderDefines);
+	assert.notStrictEqual(preprocessedShader, null);
+
+	var shaderEvaluation = evaluateDefineDirectives(preprocessedShader.source);
+	assert.strictEqual(shaderEvaluation.macroValues.SUBBRANCHES_PER_HOST_BRANCH, "6");
+	assert.strictEqual(shaderEvaluation.macroValues.MAX_RECURSION_DEPTH, "4");
+	assert.strictEqual(shaderEvaluation.macroValues.MAX_TOTAL_BRANCHES, "1296");
+
+	// The included geometry functions observe the end point radius defined
+	// by the fractal shader, rather than the default radius.
+	assert.strictEqual(shaderEvaluation.macroValues.LINE_SEGMENT_END_POINT_RADIUS, "(BRANCH_WIDTH / 2.0)");
+	assert.ok(preprocessedShader.source.split("\n").every(function(sourceLine) {
+		return !/^\s*#\s*include\b/.test(sourceLine);
+	}));
+});
@@ -0,0 +1,152 @@
+// TreePreset.test.js - Tests for the tree preset format (validation, and
+//                      upgrading of earlier format versions)
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -BrowserScriptLoader.js
+//  -TreePreset.js
+//  -TreePresets.json
+//
+// Execution (Node.js 18 or later - no packages are required):
+//
+//     node --test tests/TreePreset.test.js
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var test = require("node:test");
+
+var loadBrowserScripts = require("./BrowserScriptLoader.js");
+
+var scriptContext = loadBrowserScripts([ "Utility.js", "RgbColor.js", "InternalConstants.js",
+	"PointSpriteRenderer.js", "TreeTopper.js", "TreePreset.js" ]);
+var treePreset = scriptContext.treePreset;
+
+// Tree depth limits supplied to the validation routines.
+var constMinTreeDepth = 1;
+var constMaxTreeDepth = 4;
+
+/**
+ * Creates a valid (current version) preset
+ * @return {object} A new preset object
+ */
+function createValidPreset() {
+	return {
+		format: "HappyHolidays2017TreePreset",
+		version: 2,
+		name: "Test tree",
+		tree: { interLevelScaleDownFactor: 0.45, minTreeLengthFraction: 0.3, maxTreeLengthFraction: 0.8,
+			treeDepth: 3 },
+		wind: { firstSineAmplitude: 1.0, firstSinePeriodMultiplier: 5.0, secondSineAmplitude: 1.0,
+			secondSinePeriodMultiplier: 5.0, secondSinePhaseShift: 0.5 },
+		growth: { trunkGrowthPhaseDurationMs: 3000, branchGrowthPhaseDurationMs: 3000 },
+		topper: { style: "orb", color: [ 0.2, 0.4, 0.6 ] }
+	};
+}
+
+/**
+ * Converts an object created within the script context to a plain
+ *  object (permits comparison via assert.deepStrictEqual)
+ * @param sourceObject {object} The object
+ * @return {object} An equivalent plain object
+ */
+function toPlainObject(sourceObject) {
+	return JSON.parse(JSON.stringify(sourceObject));
+}
+
+test("a valid preset produces no validation errors", function() {
+	assert.deepStrictEqual(toPlainObject(treePreset.validate(createValidPreset(), constMinTreeDepth,
+		constMaxTreeDepth)), []);
+});
+
+test("the bundled presets are valid", function() {
+	var presetSource = fs.readFileSync(path.join(__dirname, "..", "TreePresets.json"), "utf8");
+	var presetList = treePreset.parseList(presetSource, constMinTreeDepth, constMaxTreeDepth);
+
+	assert.ok(presetList.length > 0);
+	presetList.forEach(function(preset) {
+		assert.strictEqual(preset.version, treePreset.formatVersion);
+	});
+});
+
+test("validation reports each invalid value", function() {
+	var invalidPreset = createValidPreset();
+	invalidPreset.format = "OtherFormat";
+	invalidPreset.tree.treeDepth = 5;
+	invalidPreset.tree.minTreeLengthFraction = 0.9;
+	invalidPreset.wind.firstSineAmplitude = "1.0";
+	invalidPreset.growth.branchGrowthPhaseDurationMs = 0.0;
+	invalidPreset.topper.style = "angel";
+	delete invalidPreset.topper.color;
+
+	assert.deepStrictEqual(toPlainObject(treePreset.validate(invalidPreset, constMinTreeDepth, constMaxTreeDepth)), [
+		"format must be \"HappyHolidays2017TreePreset\" (found \"OtherFormat\")",
+		"wind.firstSineAmplitude must be a number (found \"1.0\")",
+		"growth.branchGrowthPhaseDurationMs value 0 is outside of the permitted range [1, 60000]",
+		"tree.treeDepth value 5 is outside of the permitted range [1, 4]",
+		"tree.minTreeLengthFraction (0.9) must not exceed tree.maxTreeLengthFraction (0.8)",
+		"topper.style \"angel\" is not a valid topper style",
+		"topper.color must be a list of three unit RGB component values (found undefined)"
+	]);
+});
+
+test("unsupported versions and missing sections are reported", function() {
+	var futurePreset = createValidPreset();
+	futurePreset.version = 3;
+	delete futurePreset.wind;
+
+	assert.deepStrictEqual(toPlainObject(treePreset.validate(futurePreset, constMinTreeDepth, constMaxTreeDepth)), [
+		"version 3 is not supported (supported versions: 1 - 2)",
+		"section \"wind\" is missing"
+	]);
+	assert.deepStrictEqual(toPlainObject(treePreset.validate([], constMinTreeDepth, constMaxTreeDepth)),
+		[ "preset must be an object" ]);
+});
+
+test("version 1 presets are upgraded with the default topper", function() {
+	var versionOnePreset = createValidPreset();
+	versionOnePreset.version = 1;
+	delete versionOnePreset.topper;
+
+	// The topper section is not validated within version 1 presets.
+	assert.deepStrictEqual(toPlainObject(treePreset.validate(versionOnePreset, constMinTreeDepth,
+		constMaxTreeDepth)), []);
+
+	var upgradedPresetList = treePreset.parseList({ presets: [ versionOnePreset ] }, constMinTreeDepth,
+		constMaxTreeDepth);
+	var expectedPreset = createValidPreset();
+	expectedPreset.topper = { style: "star", color: [ 1.0, 0.85, 0.3 ] };
+	assert.deepStrictEqual(toPlainObject(upgradedPresetList), [ expectedPreset ]);
+
+	// The source preset is not modified.
+	assert.strictEqual(versionOnePreset.version, 1);
+	assert.ok(!("topper" in versionOnePreset));
+});
+
+test("invalid preset lists are rejected with a description of each invalid preset", function() {
+	var invalidPreset = createValidPreset();
+	invalidPreset.tree.treeDepth = 0;
+
+	assert.throws(function() {
+		treePreset.parseList([ createValidPreset(), invalidPreset ], constMinTreeDepth, constMaxTreeDepth);
+	}, /^Error: Invalid tree preset data - preset 1 \("Test tree"\): tree\.treeDepth value 0 is outside/);
+	assert.throws(function() {
+		treePreset.parseList("{ \"presets\": ", constMinTreeDepth, constMaxTreeDepth);
+	}, /^Error: Tree preset data is not valid JSON/);
+	assert.throws(function() {
+		treePreset.parseList({ presets: [] }, constMinTreeDepth, constMaxTreeDepth);
+	}, /^Error: Tree preset data does not contain any presets$/);
+});
+
+test("created presets round-trip through JSON", function() {
+	var createdPreset = treePreset.create({
+		interLevelScaleDownFactor: 0.45, minTreeLengthFraction: 0.3, maxTreeLengthFraction: 0.8, treeDepth: 3,
+		firstSineAmplitude: 1.0, firstSinePeriodMultiplier: 5.0, secondSineAmplitude: 1.0,
+		secondSinePeriodMultiplier: 5.0, secondSinePhaseShift: 0.5,
+		trunkGrowthPhaseDurationMs: 3000, branchGrowthPhaseDurationMs: 3000,
+		topperStyle: "orb", topperColor: [ 0.2, 0.4, 0.6 ]
+	}, "Test tree");
+
+	var parsedPresetList = treePreset.parseList(treePreset.toJson(createdPreset), constMinTreeDepth,
+		constMaxTreeDepth);
+	assert.deepStrictEqual(toPlainObject(parsedPresetList), [ createValidPreset() ]);
+});
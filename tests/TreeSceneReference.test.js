@@ -0,0 +1,225 @@
+// TreeSceneReference.test.js - Regression tests for the CPU reference
+//                              implementation of the fractal tree shader
+//                              computations
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -TreeSceneReference.js
+//  -FragmentShaderIfsFractalTree.shader
+//  -ShaderGeometryFunctions.shader
+//
+// Execution (Node.js 18 or later - no packages are required):
+//
+//     node --test tests/TreeSceneReference.test.js
+//
+// The reference implementation is compared against "golden" images
+// (tests/golden - gzip-compressed RGBA image buffers, rows stored from top
+// to bottom), and the constants of the reference implementation are
+// compared against the constants declared within the shader source. When
+// the tree computations are intentionally altered (within both the shader
+// and the reference implementation), the golden images are regenerated
+// using:
+//
+//     UPDATE_GOLDEN_IMAGES=1 node --test tests/TreeSceneReference.test.js
+//
+// (regenerated images should be inspected before they are committed).
+
+var assert = require("assert");
+var fs = require("fs");
+var path = require("path");
+var test = require("node:test");
+var zlib = require("zlib");
+
+var treeSceneReference = require("../TreeSceneReference.js");
+
+var constRepositoryPath = path.join(__dirname, "..");
+var constGoldenImagePath = path.join(__dirname, "golden");
+
+// Maximum per-channel difference tolerated between a rendered image and a
+// golden image (permits minor differences in the results of the Math
+// library functions between JavaScript engines).
+var constGoldenChannelTolerance = 1;
+
+/**
+ * Uniforms shared by the golden image scenes
+ */
+var baseTreeUniforms = {
+	trunkLengthMultiplier: 1.0,
+	branchLengthMultiplier: 1.0,
+	windFactor: 0.3,
+	interLevelScaleDownFactor: 0.45,
+	minTreeLengthFraction: 0.3,
+	maxTreeLengthFraction: 0.8,
+	maxTreeDepth: 3,
+	trunkColor: [ 0.35, 0.22, 0.1, 1.0 ],
+	innerBranchColor: [ 0.0, 0.45, 0.1, 0.95 ],
+	outerBranchColor: [ 0.1, 0.6, 0.2, 0.5 ],
+	backgroundColor: [ 0.02, 0.03, 0.1, 1.0 ]
+};
+
+/**
+ * Golden image scenes - a single tree, and a partially-grown tree within
+ *  a forest
+ */
+var goldenImageSceneList = [
+	{
+		name: "SingleTree",
+		imageWidth: 96,
+		imageHeight: 72,
+		uniforms: baseTreeUniforms
+	},
+	{
+		name: "ForestGrowth",
+		imageWidth: 96,
+		imageHeight: 72,
+		uniforms: Object.assign({}, baseTreeUniforms, {
+			branchLengthMultiplier: 0.6,
+			windFactor: -0.8,
+			maxTreeDepth: 2,
+			forestTrees: [
+				{ trunkLengthMultiplier: 1.0, branchLengthMultiplier: 1.0, windFactor: -0.4,
+					interLevelScaleDownFactor: 0.5, minTreeLengthFraction: 0.25, maxTreeLengthFraction: 0.7,
+					maxTreeDepth: 2, baseCoordX: 0.2, baseCoordY: 0.7, scale: 0.5, atmosphericFade: 0.3 },
+				{ trunkLengthMultiplier: 0.8, branchLengthMultiplier: 1.0, windFactor: 0.2,
+					interLevelScaleDownFactor: 0.4, minTreeLengthFraction: 0.35, maxTreeLengthFraction: 0.9,
+					maxTreeDepth: 3, baseCoordX: 0.8, baseCoordY: 0.65, scale: 0.35, atmosphericFade: 0.6 }
+			]
+		})
+	}
+];
+
+/**
+ * Shader constants, and the corresponding reference implementation
+ *  constants
+ */
+var shaderConstantMap = {
+	BRANCH_WIDTH: "constBranchWidth",
+	DISTANCE_THRESHOLD: "constDistanceThreshold",
+	OUTER_DISTANCE_THRESHOLD: "constOuterDistanceThreshold",
+	POINT_ZERO_ORIGIN: "constPointZeroOrigin",
+	BRANCH_ROTATION_ANGLE: "constBranchRotationAngle",
+	WIND_MAX_ROTATION_ANGLE: "constWindMaxRotationAngle",
+	INITIAL_TRUNK_VECTOR: "constInitialTrunkVector",
+	INITIAL_TRUNK_BASE_POINT: "constInitialTrunkBasePoint",
+	TRUNK_MAX_SWAY_ANGLE_AMPLITUDE: "constTrunkMaxSwayAngleAmplitude",
+	MAX_INCLUSION_DISTANCE: "constMaxInclusionDistance",
+	BRANCH_INCLUSION_DISTANCE_SCALE: "constBranchInclusionDistanceScale",
+	MAX_FOREST_TREES: "constMaxForestTrees",
+	FOREST_FOG_COLOR: "constForestFogColor",
+	FOREST_FOG_ALPHA_ATTENUATION: "constForestFogAlphaAttenuation",
+	SUBBRANCHES_PER_HOST_BRANCH: "subBranchesPerHostBranch",
+	MAX_RECURSION_DEPTH: "maxRecursionDepth",
+	MAX_TOTAL_BRANCHES: "maxTotalBranches",
+	BRANCHES_PER_SIDE: "branchesPerSide",
+	BRANCH_DISPLACEMENT_FRACTION_ALONG_HOST: "branchDisplacementFractionAlongHost",
+	GEOMETRY_VECTOR_UP: "constVectorUp"
+};
+
+/**
+ * Evaluates the scalar/vector constants (const declarations and #define
+ *  directives) declared within shader source files - constants with
+ *  expressions that cannot be evaluated (e.g., function calls) are omitted
+ * @param shaderFileNameList {Array} Names of the shader files (evaluated
+ *                                   in order)
+ * @return {object} Constant values (numbers, or arrays of numbers for
+ *                  vectors), keyed by constant name
+ */
+function evaluateShaderConstants(shaderFileNameList) {
+	var constantValues = {};
+	var declarationExpression = /^\s*(?:const\s+(?:float|int|vec2|vec3|vec4)\s+(\w+)\s*=\s*(.+?)\s*;|#define\s+(\w+)\s+(.+?)\s*)$/;
+
+	function createVector() {
+		return Array.prototype.slice.call(arguments);
+	}
+
+	for (var fileLoop = 0; fileLoop < shaderFileNameList.length; fileLoop++) {
+		var sourceLines = fs.readFileSync(path.join(constRepositoryPath, shaderFileNameList[fileLoop]), "utf8").split(/\r?\n/);
+		for (var lineLoop = 0; lineLoop < sourceLines.length; lineLoop++) {
+			var declarationMatch = declarationExpression.exec(sourceLines[lineLoop].replace(/\/\/.*$/, ""));
+			if (declarationMatch !== null) {
+				var constantName = declarationMatch[1] || declarationMatch[3];
+				var constantExpression = (declarationMatch[2] || declarationMatch[4])
+					.replace(/\b(?:float|int)\s*\(/g, "(")
+					.replace(/\bvec[234]\s*\(/g, "createVector(");
+
+				// Only the first declaration of a constant is evaluated (the
+				// shader #ifndef guards are not interpreted).
+				if (!(constantName in constantValues)) {
+					var constantNameList = Object.keys(constantValues);
+					try {
+						constantValues[constantName] = new Function(["createVector"].concat(constantNameList),
+							"return (" + constantExpression + ");").apply(null,
+							[createVector].concat(constantNameList.map(function(name) { return constantValues[name]; })));
+					}
+					catch (evaluationError) {
+						// The expression is not a constant arithmetic expression.
+					}
+				}
+			}
+		}
+	}
+
+	return constantValues;
+}
+
+/**
+ * Reads a golden image
+ * @param goldenImageName {string} Name of the golden image
+ * @return {Uint8ClampedArray} The RGBA image buffer, or null if the golden
+ *                             image does not exist
+ */
+function readGoldenImage(goldenImageName) {
+	var goldenImageFileName = path.join(constGoldenImagePath, goldenImageName + ".rgba.gz");
+
+	return fs.existsSync(goldenImageFileName) ?
+		new Uint8ClampedArray(zlib.gunzipSync(fs.readFileSync(goldenImageFileName))) : null;
+}
+
+/**
+ * Writes a golden image
+ * @param goldenImageName {string} Name of the golden image
+ * @param imageBuffer {Uint8ClampedArray} The RGBA image buffer
+ */
+function writeGoldenImage(goldenImageName, imageBuffer) {
+	fs.mkdirSync(constGoldenImagePath, { recursive: true });
+	fs.writeFileSync(path.join(constGoldenImagePath, goldenImageName + ".rgba.gz"),
+		zlib.gzipSync(Buffer.from(imageBuffer.buffer, imageBuffer.byteOffset, imageBuffer.length), { level: 9 }));
+}
+
+test("reference constants match the fractal shader constants", function() {
+	var shaderConstants = evaluateShaderConstants([ "FragmentShaderIfsFractalTree.shader",
+		"ShaderGeometryFunctions.shader" ]);
+
+	Object.keys(shaderConstantMap).forEach(function(shaderConstantName) {
+		assert.ok(shaderConstantName in shaderConstants, "Shader constant " + shaderConstantName +
+			" was not found (or could not be evaluated)");
+
+		var shaderValue = [].concat(shaderConstants[shaderConstantName]);
+		var referenceValue = [].concat(treeSceneReference[shaderConstantMap[shaderConstantName]]);
+		assert.strictEqual(referenceValue.length, shaderValue.length, shaderConstantName + " component count");
+		for (var componentLoop = 0; componentLoop < shaderValue.length; componentLoop++) {
+			assert.ok(Math.abs(referenceValue[componentLoop] - shaderValue[componentLoop]) < 1.0e-9,
+				shaderConstantName + " (shader value " + shaderValue + ", reference value " + referenceValue + ")");
+		}
+	});
+});
+
+goldenImageSceneList.forEach(function(goldenImageScene) {
+	test("reference rendering matches golden image " + goldenImageScene.name, function() {
+		var renderedImage = treeSceneReference.renderImageBuffer(goldenImageScene.imageWidth,
+			goldenImageScene.imageHeight, goldenImageScene.uniforms);
+
+		if (process.env.UPDATE_GOLDEN_IMAGES === "1") {
+			writeGoldenImage(goldenImageScene.name, renderedImage);
+		}
+
+		var goldenImage = readGoldenImage(goldenImageScene.name);
+		assert.ok(goldenImage !== null, "Golden image " + goldenImageScene.name + " does not exist " +
+			"(generate the image using UPDATE_GOLDEN_IMAGES=1)");
+
+		var comparisonResult = treeSceneReference.compareImageBuffers(renderedImage, goldenImage,
+			constGoldenChannelTolerance);
+		assert.strictEqual(comparisonResult.mismatchedPixelCount, 0, goldenImageScene.name + ": " +
+			comparisonResult.mismatchedPixelCount + " pixels differ from the golden image (maximum channel " +
+			"difference " + comparisonResult.maxChannelDifference + ")");
+	});
+});
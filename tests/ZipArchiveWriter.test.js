@@ -0,0 +1,158 @@
+// ZipArchiveWriter.test.js - Tests for the ZIP archive writer (CRC-32
+//                            computation, and archive structure)
+// Author: Ayodeji Oshinnaiye
+// Dependent upon:
+//  -BrowserScriptLoader.js
+//  -ZipArchiveWriter.js
+//
+// Execution (Node.js 18 or later - no packages are required):
+//
+//     node --test tests/ZipArchiveWriter.test.js
+//
+// Archives are verified by extracting each file using the central
+// directory (in the manner of an archive utility), and comparing the
+// extracted files against the original files.
+
+var assert = require("assert");
+var test = require("node:test");
+
+var loadBrowserScripts = require("./BrowserScriptLoader.js");
+
+var scriptContext = loadBrowserScripts([ "Utility.js", "ZipArchiveWriter.js" ], { Blob: Blob });
+var zipArchiveWriter = scriptContext.zipArchiveWriter;
+
+/**
+ * Converts a string to a byte array (ASCII characters)
+ * @param sourceString {string} The string
+ * @return {Uint8Array} The string bytes
+ */
+function toBytes(sourceString) {
+	return new Uint8Array(Buffer.from(sourceString, "latin1"));
+}
+
+/**
+ * Extracts the files from a ZIP archive (stored files only), validating
+ *  the archive structure
+ * @param archiveBytes {Buffer} The archive data
+ * @return {Array} The extracted files (fileName, fileData, crc32, dosTime,
+ *                 dosDate), in central directory order
+ */
+function extractArchive(archiveBytes) {
+	var endRecordOffset = archiveBytes.length - 22;
+	assert.strictEqual(archiveBytes.readUInt32LE(endRecordOffset), 0x06054b50, "End of central directory signature");
+	assert.strictEqual(archiveBytes.readUInt16LE(endRecordOffset + 20), 0, "Archive comment length");
+
+	var fileCount = archiveBytes.readUInt16LE(endRecordOffset + 10);
+	assert.strictEqual(archiveBytes.readUInt16LE(endRecordOffset + 8), fileCount, "File count (current disk)");
+	var centralDirectoryByteLength = archiveBytes.readUInt32LE(endRecordOffset + 12);
+	var centralDirectoryOffset = archiveBytes.readUInt32LE(endRecordOffset + 16);
+	assert.strictEqual(centralDirectoryOffset + centralDirectoryByteLength, endRecordOffset,
+		"Central directory extent");
+
+	var extractedFileList = [];
+	var directoryOffset = centralDirectoryOffset;
+	for (var fileLoop = 0; fileLoop < fileCount; fileLoop++) {
+		assert.strictEqual(archiveBytes.readUInt32LE(directoryOffset), 0x02014b50, "Central directory header signature");
+		assert.strictEqual(archiveBytes.readUInt16LE(directoryOffset + 10), 0, "Compression method (stored)");
+		var crc32 = archiveBytes.readUInt32LE(directoryOffset + 16);
+		var compressedSize = archiveBytes.readUInt32LE(directoryOffset + 20);
+		assert.strictEqual(archiveBytes.readUInt32LE(directoryOffset + 24), compressedSize, "Uncompressed size");
+		var fileNameLength = archiveBytes.readUInt16LE(directoryOffset + 28);
+		var extraFieldLength = archiveBytes.readUInt16LE(directoryOffset + 30);
+		var commentLength = archiveBytes.readUInt16LE(directoryOffset + 32);
+		var localHeaderOffset = archiveBytes.readUInt32LE(directoryOffset + 42);
+		var fileName = archiveBytes.toString("latin1", directoryOffset + 46, directoryOffset + 46 + fileNameLength);
+
+		// The local file header must agree with the central directory.
+		assert.strictEqual(archiveBytes.readUInt32LE(localHeaderOffset), 0x04034b50, "Local file header signature");
+		assert.strictEqual(archiveBytes.readUInt16LE(localHeaderOffset + 8), 0, "Local compression method");
+		assert.strictEqual(archiveBytes.readUInt32LE(localHeaderOffset + 14), crc32, "Local CRC-32");
+		assert.strictEqual(archiveBytes.readUInt32LE(localHeaderOffset + 18), compressedSize, "Local compressed size");
+		assert.strictEqual(archiveBytes.readUInt16LE(localHeaderOffset + 26), fileNameLength, "Local file name length");
+		var localExtraFieldLength = archiveBytes.readUInt16LE(localHeaderOffset + 28);
+		assert.strictEqual(archiveBytes.toString("latin1", localHeaderOffset + 30, localHeaderOffset + 30 + fileNameLength),
+			fileName, "Local file name");
+
+		var fileDataOffset = localHeaderOffset + 30 + fileNameLength + localExtraFieldLength;
+		extractedFileList.push({
+			fileName: fileName,
+			fileData: new Uint8Array(archiveBytes.subarray(fileDataOffset, fileDataOffset + compressedSize)),
+			crc32: crc32,
+			dosTime: archiveBytes.readUInt16LE(directoryOffset + 12),
+			dosDate: archiveBytes.readUInt16LE(directoryOffset + 14)
+		});
+
+		directoryOffset += 46 + fileNameLength + extraFieldLength + commentLength;
+	}
+
+	assert.strictEqual(directoryOffset, endRecordOffset, "Central directory length");
+
+	return extractedFileList;
+}
+
+/**
+ * Completes an archive, and retrieves the archive data
+ * @param archiveWriter {zipArchiveWriter} The archive writer
+ * @return {Promise} A promise that receives the archive data (Buffer)
+ */
+function readArchiveBytes(archiveWriter) {
+	return archiveWriter.createBlob().arrayBuffer().then(function(archiveBuffer) {
+		return Buffer.from(archiveBuffer);
+	});
+}
+
+test("CRC-32 checksums match the standard check values", function() {
+	assert.strictEqual(zipArchiveWriter.computeCrc32(toBytes("123456789")), 0xCBF43926);
+	assert.strictEqual(zipArchiveWriter.computeCrc32(toBytes("The quick brown fox jumps over the lazy dog")),
+		0x414FA339);
+	assert.strictEqual(zipArchiveWriter.computeCrc32(new Uint8Array(0)), 0);
+	assert.strictEqual(zipArchiveWriter.computeCrc32(new Uint8Array([ 0xFF, 0xFF, 0xFF, 0xFF ])), 0xFFFFFFFF);
+});
+
+test("archived files are extracted intact", function() {
+	var sourceFileList = [
+		{ fileName: "frames/frame_00000.png", fileData: toBytes("\x89PNG first frame") },
+		{ fileName: "frames/frame_00001.png", fileData: new Uint8Array(1000).map(function(value, index) {
+			return (index * 37) & 0xFF;
+		}) },
+		{ fileName: "empty.txt", fileData: new Uint8Array(0) }
+	];
+
+	var archiveWriter = new zipArchiveWriter();
+	sourceFileList.forEach(function(sourceFile) {
+		assert.strictEqual(archiveWriter.addFile(sourceFile.fileName, sourceFile.fileData), true);
+	});
+	assert.strictEqual(archiveWriter.getFileCount(), sourceFileList.length);
+
+	return readArchiveBytes(archiveWriter).then(function(archiveBytes) {
+		assert.strictEqual(archiveBytes.length, sourceFileList.reduce(function(archiveLength, sourceFile) {
+			return archiveLength + 30 + 46 + (2 * sourceFile.fileName.length) + sourceFile.fileData.length;
+		}, 22));
+
+		var extractedFileList = extractArchive(archiveBytes);
+		assert.strictEqual(extractedFileList.length, sourceFileList.length);
+		extractedFileList.forEach(function(extractedFile, fileIndex) {
+			assert.strictEqual(extractedFile.fileName, sourceFileList[fileIndex].fileName);
+			assert.deepStrictEqual(extractedFile.fileData, sourceFileList[fileIndex].fileData);
+			assert.strictEqual(extractedFile.crc32, zipArchiveWriter.computeCrc32(extractedFile.fileData));
+			assert.strictEqual(extractedFile.dosTime, archiveWriter.dosTime);
+			assert.strictEqual(extractedFile.dosDate, archiveWriter.dosDate);
+		});
+	});
+});
+
+test("an empty archive contains only the end of central directory record", function() {
+	return readArchiveBytes(new zipArchiveWriter()).then(function(archiveBytes) {
+		assert.deepStrictEqual(archiveBytes, Buffer.from([ 0x50, 0x4b, 0x05, 0x06, 0, 0, 0, 0, 0, 0, 0, 0,
+			0, 0, 0, 0, 0, 0, 0, 0, 0, 0 ]));
+		assert.deepStrictEqual(extractArchive(archiveBytes), []);
+	});
+});
+
+test("files without a name or data are not added", function() {
+	var archiveWriter = new zipArchiveWriter();
+
+	assert.strictEqual(archiveWriter.addFile(null, new Uint8Array(1)), false);
+	assert.strictEqual(archiveWriter.addFile("file.bin", undefined), false);
+	assert.strictEqual(archiveWriter.getFileCount(), 0);
+});